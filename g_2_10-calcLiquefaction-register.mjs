@@ -0,0 +1,85 @@
+import fs from 'fs'
+import calcLiquefaction from './src/calcLiquefaction.mjs'
+
+
+//sptCustom, 外部液化方法範例, CRR取N60/90, CSR取0.65*PGA*sv/svpDesign
+let sptCustom = ({ N60, sv, svpDesign, PGA }) => {
+    let CRR = N60 / 90
+    let CSR = 0.65 * PGA * sv / svpDesign
+    let FS = Math.min(CRR / CSR, 3)
+    return { CRR, CSR, FS }
+}
+
+//vsCustom, 外部液化方法範例, CRR取(Vs/500)^2, CSR取0.65*PGA*sv/svpDesign
+let vsCustom = ({ Vs, sv, svpDesign, PGA }) => {
+    let CRR = (Vs / 500) ** 2
+    let CSR = 0.65 * PGA * sv / svpDesign
+    let FS = Math.min(CRR / CSR, 3)
+    return { CRR, CSR, FS }
+}
+
+function getRows(k) {
+
+    let rowsIn1 = JSON.parse(fs.readFileSync('./test/calcLiquefaction-spt-rowsIn1.json', 'utf8'))
+
+    //rowsIn2, 沿用臨界地下水位之VS測試數據
+    let rowsIn2 = JSON.parse(fs.readFileSync('./test/calcLiquefactionForCriticalWaterLevel-rowsIn3.json', 'utf8'))
+
+    let kp = {
+        1: rowsIn1,
+        2: rowsIn2,
+    }
+    let rowsIn = kp[k]
+    return rowsIn
+}
+
+function calc1(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    calcLiquefaction.register('SPT', 'sptCustom', sptCustom, { keysRequired: ['N60', 'sv', 'svpDesign', 'PGA'] })
+
+    let opt = {
+        unitSvSvp: 'kPa',
+        methods: ['sptCustom', 'sptSeed'],
+    }
+
+    let rowsOut = calcLiquefaction.calc('SPT', rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    calcLiquefaction.unregister('SPT', 'sptCustom')
+
+    fs.writeFileSync(`./calcLiquefaction-register-rowsOut${k}.json`, JSON.stringify(rowsOut, null, 2), 'utf8')
+
+}
+
+function calc2(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    calcLiquefaction.register('VS', 'vsCustom', vsCustom, { keysRequired: ['Vs', 'sv', 'svpDesign', 'PGA'] })
+
+    let opt = {
+        waterLevelUsual: 1,
+        waterLevelDesign: 1,
+        PGA: 0.3,
+        Mw: 7,
+        unitSvSvp: 'kPa',
+        methods: ['vsCustom', 'vsHBF'],
+    }
+
+    let rowsOut = calcLiquefaction.calc('VS', rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    calcLiquefaction.unregister('VS', 'vsCustom')
+
+    fs.writeFileSync(`./calcLiquefaction-register-rowsOut${k}.json`, JSON.stringify(rowsOut, null, 2), 'utf8')
+
+}
+
+calc1(1)
+calc2(2)
+
+//node --experimental-modules g_2_10-calcLiquefaction-register.mjs
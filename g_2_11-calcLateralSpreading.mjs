@@ -0,0 +1,42 @@
+import fs from 'fs'
+import calcLateralSpreading from './src/calcLateralSpreading.mjs'
+
+
+function getData() {
+
+    //rowsIn1, SPT液化分析結果, 含各液化方法之N160與FS
+    let rowsIn1 = [
+        { 'depthStart': 0, 'depthEnd': 2, 'depth': 1, 'waterLevelUsual': 1, 'soilClassification': 'CL', 'FC': 80, 'D50': 0.02, 'Mw': 7.5, 'sptX-N160': 6, 'sptX-FS': 10 },
+        { 'depthStart': 2, 'depthEnd': 4, 'depth': 3, 'waterLevelUsual': 1, 'soilClassification': 'SM', 'FC': 15, 'D50': 0.2, 'Mw': 7.5, 'sptX-N160': 8, 'sptX-FS': 0.6 },
+        { 'depthStart': 4, 'depthEnd': 6, 'depth': 5, 'waterLevelUsual': 1, 'soilClassification': 'SP', 'FC': 5, 'D50': 0.3, 'Mw': 7.5, 'sptX-N160': 18, 'sptX-FS': 1.2 },
+    ]
+
+    //rowsIn2, CPT液化分析結果, 含各液化方法之Qtn, Ic與FS
+    let rowsIn2 = [
+        { 'depthStart': 0, 'depthEnd': 1, 'depth': 0.5, 'cptX-Qtn': 40, 'cptX-Ic': 2.8, 'cptX-FS': 0.5 },
+        { 'depthStart': 1, 'depthEnd': 2, 'depth': 1.5, 'cptX-Qtn': 60, 'cptX-Ic': 2.1, 'cptX-FS': 0.8 },
+    ]
+
+    return { rowsIn1, rowsIn2 }
+}
+
+function calc() {
+
+    let { rowsIn1, rowsIn2 } = getData()
+
+    //resOut1, 緩坡地形
+    let resOut1 = calcLateralSpreading('SPT', rowsIn1, { slope: 1.5, R: 20 })
+
+    //resOut2, 自由面地形
+    let resOut2 = calcLateralSpreading('CPT', rowsIn2, { ratioLH: 10 })
+
+    fs.writeFileSync(`./calcLateralSpreading-rowsIn1.json`, JSON.stringify(rowsIn1, null, 2), 'utf8')
+    fs.writeFileSync(`./calcLateralSpreading-rowsIn2.json`, JSON.stringify(rowsIn2, null, 2), 'utf8')
+    fs.writeFileSync(`./calcLateralSpreading-resOut1.json`, JSON.stringify(resOut1, null, 2), 'utf8')
+    fs.writeFileSync(`./calcLateralSpreading-resOut2.json`, JSON.stringify(resOut2, null, 2), 'utf8')
+
+}
+
+calc()
+
+//node --experimental-modules g_2_11-calcLateralSpreading.mjs
@@ -0,0 +1,82 @@
+import fs from 'fs'
+import calcLiquefactionForCriticalPga from './src/calcLiquefactionForCriticalPga.mjs'
+
+
+function getRows(k) {
+
+    //rowsIn1, 沿用SPT臨界PGA之測試數據
+    let rowsIn1 = JSON.parse(fs.readFileSync('./test/calcLiquefactionSptForCriticalPga-rowsIn1.json', 'utf8'))
+
+    //rowsIn2, 沿用CPT液化分析之測試數據(含rsat)
+    let rowsIn2 = JSON.parse(fs.readFileSync('./test/calcLiquefaction-cpt-rowsIn2.json', 'utf8'))
+
+    //rowsIn3, 地下水位以上土層須提供rd
+    let rowsIn3 = [
+        { 'depthStart': '0', 'depthEnd': '2.025', 'FC': '83', 'rd': '15.2', 'rsat': '19.52', 'Vs': '150' },
+        { 'depthStart': '2.025', 'depthEnd': '3.525', 'FC': '91', 'rd': '14.6', 'rsat': '18.64', 'Vs': '160' },
+        { 'depthStart': '3.525', 'depthEnd': '5.025', 'FC': '14', 'rd': '15.0', 'rsat': '19.03', 'Vs': '185' },
+        { 'depthStart': '5.025', 'depthEnd': '6.525', 'FC': '12', 'rd': '14.5', 'rsat': '18.54', 'Vs': '195' },
+        { 'depthStart': '6.525', 'depthEnd': '8.025', 'FC': '15', 'rd': '15.1', 'rsat': '19.18', 'Vs': '190' },
+        { 'depthStart': '8.025', 'depthEnd': '9.525', 'FC': '13', 'rd': '14.8', 'rsat': '18.84', 'Vs': '200' },
+        { 'depthStart': '9.525', 'depthEnd': '11.025', 'FC': '52', 'rd': '14.3', 'rsat': '18.39', 'Vs': '210' }
+    ]
+
+    let kp = {
+        1: rowsIn1,
+        2: rowsIn2,
+        3: rowsIn3,
+    }
+    let rowsIn = kp[k]
+    return rowsIn
+}
+
+function calc(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    let kpKind = {
+        1: 'SPT',
+        2: 'CPT',
+        3: 'VS',
+    }
+    let kind = kpKind[k]
+
+    let kpMethods = {
+        1: ['sptHBF2017', 'sptNJRA2017'],
+        2: ['cptHBF2012', 'cptRobertson2009'],
+        3: ['vsHBF', 'vsAndrus'],
+    }
+    let methods = kpMethods[k]
+
+    let opt = {
+        waterLevelUsual: 0.7,
+        waterLevelDesign: 0.7,
+        unitSvSvp: 'kPa',
+        Mw: 6.8,
+        pgaMax: 2,
+        searchMode: 'bisection',
+        pgaTol: 0.01,
+        useFS: true,
+        usePL: true,
+        useStl: true,
+        stlLims: [0.1],
+        useH1PL: true,
+        keysPick: ['depthStart', 'depthEnd', 'depth'],
+    }
+
+    let resOut = calcLiquefactionForCriticalPga(kind, rowsIn, methods, opt)
+    // console.log('resOut',resOut)
+
+    if (k === 3) { //rowsIn1與rowsIn2沿用既有測試數據
+        fs.writeFileSync(`./calcLiquefactionForCriticalPga-rowsIn${k}.json`, JSON.stringify(rowsIn, null, 2), 'utf8')
+    }
+    fs.writeFileSync(`./calcLiquefactionForCriticalPga-resOut${k}.json`, JSON.stringify(resOut, null, 2), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+calc(3)
+
+//node --experimental-modules g_2_4-calcLiquefactionForCriticalPga.mjs
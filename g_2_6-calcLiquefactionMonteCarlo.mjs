@@ -0,0 +1,86 @@
+import fs from 'fs'
+import calcLiquefactionMonteCarlo from './src/calcLiquefactionMonteCarlo.mjs'
+
+
+function getRows(k) {
+
+    //rowsIn1, 沿用SPT臨界PGA之測試數據
+    let rowsIn1 = JSON.parse(fs.readFileSync('./test/calcLiquefactionSptForCriticalPga-rowsIn1.json', 'utf8'))
+
+    //rowsIn2, 沿用VS臨界設計地下水位之測試數據
+    let rowsIn2 = JSON.parse(fs.readFileSync('./test/calcLiquefactionForCriticalWaterLevel-rowsIn3.json', 'utf8'))
+
+    let kp = {
+        1: rowsIn1,
+        2: rowsIn2,
+    }
+    let rowsIn = kp[k]
+    return rowsIn
+}
+
+function calc(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    let kpKind = {
+        1: 'SPT',
+        2: 'VS',
+    }
+    let kind = kpKind[k]
+
+    let kpMethods = {
+        1: ['sptHBF2017', 'sptNJRA2017'],
+        2: ['vsHBF', 'vsAndrus'],
+    }
+    let methods = kpMethods[k]
+
+    let kpDists = {
+        1: {
+            N60: { type: 'lognormal', cov: 0.3 },
+            FC: { type: 'normal', cov: 0.2, min: 0, max: 100 },
+            rsat: { type: 'normal', std: 0.5 },
+            PGA: { type: 'normal', std: 0.05, min: 0.1 },
+            Mw: { type: 'uniform', min: 7, max: 7.5 },
+        },
+        2: {
+            Vs: { type: 'lognormal', cov: 0.15 },
+            waterLevelDesign: { type: 'uniform', min: 0, max: 2 },
+        },
+    }
+    let dists = kpDists[k]
+
+    let kpDistsByLayer = {
+        1: {
+            0: {
+                N60: { type: 'normal', mean: 5, std: 1, min: 1 },
+            },
+        },
+        2: {},
+    }
+    let distsByLayer = kpDistsByLayer[k]
+
+    let opt = {
+        waterLevelUsual: 2,
+        waterLevelDesign: 1,
+        unitSvSvp: 'kPa',
+        PGA: 0.24,
+        Mw: 7.3,
+        dists,
+        distsByLayer,
+        nSample: 20,
+        seed: 123,
+        percentiles: [0.05, 0.5, 0.95],
+    }
+
+    let resOut = calcLiquefactionMonteCarlo(kind, rowsIn, methods, opt)
+    // console.log('resOut',resOut)
+
+    fs.writeFileSync(`./calcLiquefactionMonteCarlo-resOut${k}.json`, JSON.stringify(resOut, null, 2), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+
+//node --experimental-modules g_2_6-calcLiquefactionMonteCarlo.mjs
@@ -0,0 +1,67 @@
+import fs from 'fs'
+import calcLiquefactionSensitivity from './src/calcLiquefactionSensitivity.mjs'
+
+
+function getRows(k) {
+
+    //rowsIn1, 沿用SPT臨界PGA之測試數據
+    let rowsIn1 = JSON.parse(fs.readFileSync('./test/calcLiquefactionSptForCriticalPga-rowsIn1.json', 'utf8'))
+
+    //rowsIn2, 沿用VS臨界設計地下水位之測試數據
+    let rowsIn2 = JSON.parse(fs.readFileSync('./test/calcLiquefactionForCriticalWaterLevel-rowsIn3.json', 'utf8'))
+
+    let kp = {
+        1: rowsIn1,
+        2: rowsIn2,
+    }
+    let rowsIn = kp[k]
+    return rowsIn
+}
+
+function calc(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    let kpKind = {
+        1: 'SPT',
+        2: 'VS',
+    }
+    let kind = kpKind[k]
+
+    let kpMethods = {
+        1: ['sptHBF2017', 'sptNJRA2017'],
+        2: ['vsHBF', 'vsAndrus'],
+    }
+    let methods = kpMethods[k]
+
+    let opt = {
+        waterLevelUsual: 2,
+        waterLevelDesign: 1,
+        unitSvSvp: 'kPa',
+        PGA: 0.24,
+        Mw: 7.3,
+        ranges: {
+            N60: { low: -0.2, high: 0.2 },
+            FC: { low: -0.2, high: 0.2 },
+            rsat: { type: 'delta', low: -1, high: 1 },
+            waterLevelDesign: { type: 'value', low: 0, high: 2 },
+            PGA: { type: 'delta', low: -0.05, high: 0.05 },
+            Mw: { type: 'delta', low: -0.3, high: 0.3 },
+            qc: { low: -0.2, high: 0.2 },
+            fs: { low: -0.2, high: 0.2 },
+            Vs: { low: -0.1, high: 0.1 },
+        },
+    }
+
+    let resOut = calcLiquefactionSensitivity(kind, rowsIn, methods, opt)
+    // console.log('resOut',resOut)
+
+    fs.writeFileSync(`./calcLiquefactionSensitivity-resOut${k}.json`, JSON.stringify(resOut, null, 2), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+
+//node --experimental-modules g_2_7-calcLiquefactionSensitivity.mjs
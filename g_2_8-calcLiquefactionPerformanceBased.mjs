@@ -0,0 +1,68 @@
+import fs from 'fs'
+import calcLiquefactionPerformanceBased from './src/calcLiquefactionPerformanceBased.mjs'
+
+
+function getRows(k) {
+
+    //rowsIn1, 沿用SPT臨界PGA之測試數據
+    let rowsIn1 = JSON.parse(fs.readFileSync('./test/calcLiquefactionSptForCriticalPga-rowsIn1.json', 'utf8'))
+
+    //rowsIn2, 沿用VS臨界設計地下水位之測試數據
+    let rowsIn2 = JSON.parse(fs.readFileSync('./test/calcLiquefactionForCriticalWaterLevel-rowsIn3.json', 'utf8'))
+
+    let kp = {
+        1: rowsIn1,
+        2: rowsIn2,
+    }
+    let rowsIn = kp[k]
+    return rowsIn
+}
+
+function calc(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    let kpKind = {
+        1: 'SPT',
+        2: 'VS',
+    }
+    let kind = kpKind[k]
+
+    let kpMethods = {
+        1: ['sptHBF2017', 'sptNJRA2017'],
+        2: ['vsHBF', 'vsAndrus'],
+    }
+    let methods = kpMethods[k]
+
+    let deagg = [
+        { Mw: 6.0, weight: 0.3 },
+        { Mw: 6.8, weight: 0.5 },
+        { Mw: 7.5, weight: 0.2 },
+    ]
+    let opt = {
+        waterLevelUsual: 2,
+        waterLevelDesign: 1,
+        unitSvSvp: 'kPa',
+        hazard: [
+            { PGA: 0.05, rate: 0.1, deagg },
+            { PGA: 0.1, rate: 0.03, deagg },
+            { PGA: 0.2, rate: 0.006, deagg },
+            { PGA: 0.3, rate: 0.002, deagg },
+            { PGA: 0.4, rate: 0.0008, deagg },
+            { PGA: 0.6, rate: 0.0002, deagg },
+        ],
+        returnPeriods: [72, 475, 2475],
+    }
+
+    let resOut = calcLiquefactionPerformanceBased(kind, rowsIn, methods, opt)
+    // console.log('resOut',resOut)
+
+    fs.writeFileSync(`./calcLiquefactionPerformanceBased-resOut${k}.json`, JSON.stringify(resOut, null, 2), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+
+//node --experimental-modules g_2_8-calcLiquefactionPerformanceBased.mjs
@@ -0,0 +1,39 @@
+import fs from 'fs'
+import calcLiquefaction from './src/calcLiquefaction.mjs'
+
+
+function getRows(k) {
+
+    //rowsIn1, 沿用臨界地下水位之VS測試數據
+    let rowsIn1 = JSON.parse(fs.readFileSync('./test/calcLiquefactionForCriticalWaterLevel-rowsIn3.json', 'utf8'))
+
+    let kp = {
+        1: rowsIn1,
+    }
+    let rowsIn = kp[k]
+    return rowsIn
+}
+
+function calc(k) {
+
+    let rowsIn = getRows(k)
+    // console.log('rowsIn',rowsIn)
+
+    let opt = {
+        waterLevelUsual: 1,
+        waterLevelDesign: 1,
+        PGA: 0.3,
+        Mw: 7,
+        unitSvSvp: 'kPa',
+    }
+
+    let rowsOut = calcLiquefaction.calc('VS', rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    fs.writeFileSync(`./calcLiquefaction-vs-rowsOut${k}.json`, JSON.stringify(rowsOut, null, 2), 'utf8')
+
+}
+
+calc(1)
+
+//node --experimental-modules g_2_9-calcLiquefaction-vs.mjs
@@ -0,0 +1,31 @@
+import fs from 'fs'
+import calcCptPermeability from './src/calcCptPermeability.mjs'
+
+
+function calc(k) {
+
+    //rowsIn, 沿用calcCptModulus之輸出數據, 已含拘束模數M
+    let rowsIn = JSON.parse(fs.readFileSync('./test/calcCptModulus-rowsOut1.json', 'utf8'))
+
+    let opt
+    if (k === 1) {
+        opt = {}
+    }
+    else if (k === 2) {
+        opt = {
+            keyZone: 'iRobFrQt',
+            ratioKhKv: 2,
+        }
+    }
+
+    let rowsOut = calcCptPermeability(rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    fs.writeFileSync(`./calcCptPermeability-rowsOut${k}.json`, JSON.stringify(rowsOut), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+
+//node --experimental-modules g_3_10-calcCptPermeability.mjs
@@ -0,0 +1,69 @@
+import fs from 'fs'
+import calcCptDissipation, { buildIntrpU0 } from './src/calcCptDissipation.mjs'
+
+
+function getData() {
+
+    //ts, 紀錄時間(s)
+    let ts = [0, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 40000]
+
+    //rowsIn1, 合成單調消散紀錄, 試驗深度10m, 地下水位2m, 初始孔隙水壓0.5MPa
+    let u01 = 8 * 9.81 / 1000
+    let rowsIn1 = ts.map((t) => {
+        let u = u01 + (0.5 - u01) / (1 + (t / 60) ** 0.9)
+        return {
+            time: t,
+            u2: Math.round(u * 1e6) / 1e6,
+        }
+    })
+
+    //rowsIn2, 合成膨脹性消散紀錄, 試驗深度15m, 地下水位3m, 孔隙水壓於20s前由0.2MPa升至0.35MPa後消散
+    let u02 = 12 * 9.81 / 1000
+    let rowsIn2 = ts.map((t) => {
+        let u
+        if (t <= 20) {
+            u = 0.2 + 0.15 * (t / 20)
+        }
+        else {
+            u = u02 + (0.35 - u02) / (1 + ((t - 20) / 300) ** 0.8)
+        }
+        return {
+            time: t,
+            u2: Math.round(u * 1e6) / 1e6,
+        }
+    })
+
+    return { rowsIn1, rowsIn2 }
+}
+
+function calc() {
+
+    let { rowsIn1, rowsIn2 } = getData()
+
+    let resOut1 = calcCptDissipation(rowsIn1, { Ir: 100, depth: 10 })
+    let resOut2 = calcCptDissipation(rowsIn2, { Ir: 200, depth: 15, dc: 0.0437 })
+    let resOut3 = calcCptDissipation(rowsIn1, { Ir: 100, depth: 10, u0: 0.08 })
+
+    let resOut5 = calcCptDissipation(rowsIn2, { Ir: 200, depth: 15, dc: 0.0437, u0: 0.1177 })
+
+    let intrpU0 = buildIntrpU0([resOut1, resOut2])
+    let u0sOut4 = [0, 2, 5, 10, 12, 15, 20].map((depth) => {
+        return {
+            depth,
+            u0: intrpU0(depth),
+        }
+    })
+
+    fs.writeFileSync(`./calcCptDissipation-rowsIn1.json`, JSON.stringify(rowsIn1, null, 2), 'utf8')
+    fs.writeFileSync(`./calcCptDissipation-rowsIn2.json`, JSON.stringify(rowsIn2, null, 2), 'utf8')
+    fs.writeFileSync(`./calcCptDissipation-resOut1.json`, JSON.stringify(resOut1, null, 2), 'utf8')
+    fs.writeFileSync(`./calcCptDissipation-resOut2.json`, JSON.stringify(resOut2, null, 2), 'utf8')
+    fs.writeFileSync(`./calcCptDissipation-resOut3.json`, JSON.stringify(resOut3, null, 2), 'utf8')
+    fs.writeFileSync(`./calcCptDissipation-u0sOut4.json`, JSON.stringify(u0sOut4, null, 2), 'utf8')
+    fs.writeFileSync(`./calcCptDissipation-resOut5.json`, JSON.stringify(resOut5, null, 2), 'utf8')
+
+}
+
+calc()
+
+//node --experimental-modules g_3_11-calcCptDissipation.mjs
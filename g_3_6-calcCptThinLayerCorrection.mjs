@@ -0,0 +1,40 @@
+import fs from 'fs'
+import calcCptThinLayerCorrection from './src/calcCptThinLayerCorrection.mjs'
+import calcLiquefaction from './src/calcLiquefaction.mjs'
+
+
+function calc(k) {
+
+    //rowsIn, 沿用CPT液化分析之測試數據
+    let rowsIn = JSON.parse(fs.readFileSync('./test/calcLiquefaction-cpt-rowsIn1.json', 'utf8'))
+
+    let rowsOut
+    if (k === 1) {
+        rowsOut = calcCptThinLayerCorrection(rowsIn)
+    }
+    else if (k === 2) {
+        rowsOut = calcCptThinLayerCorrection(rowsIn, { useTransitionZone: false })
+    }
+    else if (k === 3) {
+        let opt = {
+            waterLevelUsual: 0.7,
+            waterLevelDesign: 0.7,
+            PGA: 0.32,
+            Mw: 7.3,
+            unitSvSvp: 'kPa',
+            methods: ['cptHBF2012', 'cptRobertson2009'],
+            cptProfile: 'corrected',
+        }
+        rowsOut = calcLiquefaction.calc('CPT', rowsIn, opt)
+    }
+    // console.log('rowsOut',rowsOut)
+
+    fs.writeFileSync(`./calcCptThinLayerCorrection-rowsOut${k}.json`, JSON.stringify(rowsOut), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+calc(3)
+
+//node --experimental-modules g_3_6-calcCptThinLayerCorrection.mjs
@@ -0,0 +1,35 @@
+import fs from 'fs'
+import calcCptStrength from './src/calcCptStrength.mjs'
+
+
+function calc(k) {
+
+    //rowsIn, 沿用calcCpt之輸出數據
+    let rowsIn = JSON.parse(fs.readFileSync('./test/calcCpt-rowsOut1.json', 'utf8'))
+
+    let opt
+    if (k === 1) {
+        opt = {
+            unitSvSvp: 'MPa',
+        }
+    }
+    else if (k === 2) {
+        opt = {
+            unitSvSvp: 'MPa',
+            Nkt: 16,
+            NDu: 6,
+            sepIc: 2.5,
+        }
+    }
+
+    let rowsOut = calcCptStrength(rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    fs.writeFileSync(`./calcCptStrength-rowsOut${k}.json`, JSON.stringify(rowsOut), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+
+//node --experimental-modules g_3_7-calcCptStrength.mjs
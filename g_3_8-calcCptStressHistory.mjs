@@ -0,0 +1,36 @@
+import fs from 'fs'
+import calcCptStressHistory from './src/calcCptStressHistory.mjs'
+
+
+function calc(k) {
+
+    //rowsIn, 沿用calcCptStrength之輸出數據, 以提供K0所需之有效摩擦角
+    let rowsIn = JSON.parse(fs.readFileSync('./test/calcCptStrength-rowsOut1.json', 'utf8'))
+
+    let opt
+    if (k === 1) {
+        opt = {
+            unitSvSvp: 'MPa',
+        }
+    }
+    else if (k === 2) {
+        opt = {
+            unitSvSvp: 'MPa',
+            methodOcr: 'Kulhawy & Mayne(1990) for clay',
+            methodDr: 'Kulhawy & Mayne(1990) for sand',
+            compressibility: 'high',
+            ageYear: 1000,
+        }
+    }
+
+    let rowsOut = calcCptStressHistory(rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    fs.writeFileSync(`./calcCptStressHistory-rowsOut${k}.json`, JSON.stringify(rowsOut), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+
+//node --experimental-modules g_3_8-calcCptStressHistory.mjs
@@ -0,0 +1,49 @@
+import fs from 'fs'
+import calcCptModulus from './src/calcCptModulus.mjs'
+
+
+function calc(k) {
+
+    //rowsIn, 沿用calcCptVelocityShear之輸出數據, 已含剪力波速vs與單位重rsat
+    let rowsIn = JSON.parse(fs.readFileSync('./test/calcCptVelocityShear-rowsOut10.json', 'utf8'))
+
+    let opt
+    if (k === 1) {
+        opt = {
+            unitSvSvp: 'MPa',
+        }
+    }
+    else if (k === 2) {
+        opt = {
+            unitSvSvp: 'MPa',
+            strainTarget: 0.5,
+        }
+    }
+    else if (k === 3) {
+        opt = {
+            unitSvSvp: 'MPa',
+            methodE: 'G0 reduction by Darendeli(2001)',
+            strainTarget: 0.01,
+            nu: 0.25,
+        }
+    }
+    else if (k === 4) {
+        opt = {
+            unitSvSvp: 'MPa',
+            methodE: 'Baldi(1989) for sand',
+        }
+    }
+
+    let rowsOut = calcCptModulus(rowsIn, opt)
+    // console.log('rowsOut',rowsOut)
+
+    fs.writeFileSync(`./calcCptModulus-rowsOut${k}.json`, JSON.stringify(rowsOut), 'utf8')
+
+}
+
+calc(1)
+calc(2)
+calc(3)
+calc(4)
+
+//node --experimental-modules g_3_9-calcCptModulus.mjs
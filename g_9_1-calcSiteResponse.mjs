@@ -0,0 +1,65 @@
+import fs from 'fs'
+import calcSiteResponse from './src/calcSiteResponse.mjs'
+import calcLiquefaction from './src/calcLiquefaction.mjs'
+
+
+function getData() {
+
+    //rowsIn1, 沿用SPT液化測試數據, Vs由N60以80*N60^(1/3)估算
+    let rowsSpt = JSON.parse(fs.readFileSync('./test/calcLiquefaction-spt-rowsIn1.json', 'utf8'))
+    let rowsIn1 = rowsSpt.map((v) => {
+        return {
+            depthStart: Number(v.depthStart),
+            depthEnd: Number(v.depthEnd),
+            Vs: Math.round(80 * Number(v.N60) ** (1 / 3)),
+            rsat: Number(v.rsat),
+            curve: 'sand',
+        }
+    })
+
+    //accIn1, 合成輸入加速度歷時(g), dt=0.01s
+    let accIn1 = []
+    for (let i = 0; i < 1000; i++) {
+        let t = i * 0.01
+        let a = 0.15 * Math.sin(2 * Math.PI * 2 * t) * Math.exp(-(((t - 4) / 1.5) ** 2)) + 0.08 * Math.sin(2 * Math.PI * 5.3 * t) * Math.exp(-(((t - 5) / 1) ** 2))
+        accIn1.push(Math.round(a * 1e6) / 1e6)
+    }
+
+    return { rowsSpt, rowsIn1, accIn1 }
+}
+
+function calc() {
+
+    let { rowsSpt, rowsIn1, accIn1 } = getData()
+
+    let opt = {
+        dt: 0.01,
+        VsRock: 760,
+        curves: {
+            sand: {
+                strain: [0.0001, 0.0003, 0.001, 0.003, 0.01, 0.03, 0.1, 0.3, 1],
+                GGmax: [0.998, 0.995, 0.984, 0.952, 0.857, 0.667, 0.375, 0.167, 0.057],
+                damping: [0.55, 0.62, 0.88, 1.65, 3.93, 8.49, 15.5, 20.5, 23.1],
+            },
+        },
+    }
+
+    let resOut1 = calcSiteResponse(rowsIn1, accIn1, opt)
+
+    let optLiq = {
+        unitSvSvp: 'kPa',
+        methods: ['sptHBF2012', 'sptIB2014', 'sptGB2010'],
+        siteResponse: resOut1,
+    }
+    let rowsOut2 = calcLiquefaction.calc('SPT', rowsSpt, optLiq)
+
+    fs.writeFileSync(`./calcSiteResponse-rowsIn1.json`, JSON.stringify(rowsIn1, null, 2), 'utf8')
+    fs.writeFileSync(`./calcSiteResponse-accIn1.json`, JSON.stringify(accIn1), 'utf8')
+    fs.writeFileSync(`./calcSiteResponse-resOut1.json`, JSON.stringify(resOut1, null, 2), 'utf8')
+    fs.writeFileSync(`./calcSiteResponse-rowsOut2.json`, JSON.stringify(rowsOut2, null, 2), 'utf8')
+
+}
+
+calc()
+
+//node --experimental-modules g_9_1-calcSiteResponse.mjs
@@ -0,0 +1,24 @@
+import fs from 'fs'
+import calcModulusDampingCurves from './src/calcModulusDampingCurves.mjs'
+
+
+function calc() {
+
+    let rowsIn = [
+        { depthStart: 0, depthEnd: 4, depth: 2, PI: '', svp: 30, ocr: 1 },
+        { depthStart: 4, depthEnd: 10, depth: 7, PI: 18, svp: 75, ocr: 2.5 },
+        { depthStart: 10, depthEnd: 25, depth: 17.5, PI: 45, svp: 160, ocr: 1.2 },
+    ]
+
+    let resOut = {}
+    for (let model of ['SeedIdriss1970', 'VuceticDobry1991', 'Darendeli2001', 'EPRI1993']) {
+        resOut[model] = calcModulusDampingCurves(rowsIn, { model, unitSvSvp: 'kPa' })
+    }
+
+    fs.writeFileSync(`./calcModulusDampingCurves-resOut1.json`, JSON.stringify(resOut, null, 2), 'utf8')
+
+}
+
+calc()
+
+//node --experimental-modules g_9_2-calcModulusDampingCurves.mjs
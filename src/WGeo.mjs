@@ -3,7 +3,13 @@ export { default as buildSvsAndSvps } from './buildSvsAndSvps.mjs'
 export { default as calcClassifyUscs } from './calcClassifyUscs.mjs'
 export { default as calcCpt } from './calcCpt.mjs'
 export { default as calcCptClassify } from './calcCptClassify.mjs'
+export { default as calcCptDissipation } from './calcCptDissipation.mjs'
 export { default as calcCptLayers } from './calcCptLayers.mjs'
+export { default as calcCptModulus } from './calcCptModulus.mjs'
+export { default as calcCptPermeability } from './calcCptPermeability.mjs'
+export { default as calcCptStrength } from './calcCptStrength.mjs'
+export { default as calcCptStressHistory } from './calcCptStressHistory.mjs'
+export { default as calcCptThinLayerCorrection } from './calcCptThinLayerCorrection.mjs'
 export { default as calcCptUnitWeight } from './calcCptUnitWeight.mjs'
 export { default as calcCptVelocityShear } from './calcCptVelocityShear.mjs'
 export { default as calcDepthByDepthStartEnd } from './calcDepthByDepthStartEnd.mjs'
@@ -17,20 +23,28 @@ export { default as calcEstmRelativeDensity } from './calcEstmRelativeDensity.mj
 export { default as calcEstmVerticalStress } from './calcEstmVerticalStress.mjs'
 export { default as calcIntrpPsdContentIso } from './calcIntrpPsdContentIso.mjs'
 export { default as calcIntrpPsdContentUscs } from './calcIntrpPsdContentUscs.mjs'
+export { default as calcLateralSpreading } from './calcLateralSpreading.mjs'
 export { default as calcLayersByCompress } from './calcLayersByCompress.mjs'
 export { default as calcLayersByMerge } from './calcLayersByMerge.mjs'
 export { default as calcLiquefaction } from './calcLiquefaction.mjs'
 export { default as calcLiquefactionAddErr } from './calcLiquefactionAddErr.mjs'
 export { default as calcLiquefactionClearStress } from './calcLiquefactionClearStress.mjs'
 export { default as calcLiquefactionExtractErr } from './calcLiquefactionExtractErr.mjs'
+export { default as calcLiquefactionForCriticalPga } from './calcLiquefactionForCriticalPga.mjs'
+export { default as calcLiquefactionForCriticalWaterLevel } from './calcLiquefactionForCriticalWaterLevel.mjs'
+export { default as calcLiquefactionMonteCarlo } from './calcLiquefactionMonteCarlo.mjs'
+export { default as calcLiquefactionPerformanceBased } from './calcLiquefactionPerformanceBased.mjs'
+export { default as calcLiquefactionSensitivity } from './calcLiquefactionSensitivity.mjs'
 export { default as calcLiquefactionSpt } from './calcLiquefactionSpt.mjs'
 export { default as calcLiquefactionSptAddPropsAdv } from './calcLiquefactionSptAddPropsAdv.mjs'
 export { default as calcLiquefactionSptAddPropsBasic } from './calcLiquefactionSptAddPropsBasic.mjs'
 export { default as calcLiquefactionSptForCriticalPga } from './calcLiquefactionSptForCriticalPga.mjs'
+export { default as calcModulusDampingCurves } from './calcModulusDampingCurves.mjs'
 export { default as calcPropInterfaceFrictionAngle } from './calcPropInterfaceFrictionAngle.mjs'
 export { default as calcRelaPlasticity } from './calcRelaPlasticity.mjs'
 export { default as calcRelaPorous } from './calcRelaPorous.mjs'
 export { default as calcRelaPsdContent } from './calcRelaPsdContent.mjs'
+export { default as calcSiteResponse } from './calcSiteResponse.mjs'
 export { default as calcVerticalStress } from './calcVerticalStress.mjs'
 export { default as checkDepth } from './checkDepth.mjs'
 export { default as checkDepthStartEnd } from './checkDepthStartEnd.mjs'
@@ -0,0 +1,277 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import sortBy from 'lodash-es/sortBy.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cint from 'wsemi/src/cint.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import cnst from './cnst.mjs'
+
+
+//rw, 水單位重(kN/m3)
+let rw = cnst.rw
+
+
+function interpTime(t1, U1, t2, U2, U) {
+    //內插指定正規化超額孔隙水壓U之時間, 時間皆大於0時採對數時間內插
+    let r = (U1 - U) / (U1 - U2)
+    if (t1 > 0 && t2 > 0) {
+        return 10 ** (Math.log10(t1) + r * (Math.log10(t2) - Math.log10(t1)))
+    }
+    return t1 + r * (t2 - t1)
+}
+
+
+function calcCptDissipation(ltdt, opt = {}) {
+    //CPTu孔隙水壓消散試驗分析, 由固定深度之時間-u2紀錄計算正規化超額孔隙水壓U, t50, 水平壓密係數ch與平衡孔隙水壓u0
+
+    //check
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //keyTime, 時間(s)
+    let keyTime = get(opt, 'keyTime')
+    if (!isestr(keyTime)) {
+        keyTime = 'time'
+    }
+
+    //keyU2, 孔隙水壓(MPa)
+    let keyU2 = get(opt, 'keyU2')
+    if (!isestr(keyU2)) {
+        keyU2 = 'u2'
+    }
+
+    //Ir, 剛性指數G/su
+    let Ir = get(opt, 'Ir')
+    if (!isnum(Ir) || cdbl(Ir) <= 0) {
+        throw new Error(`opt.Ir[${Ir}] need > 0`)
+    }
+    Ir = cdbl(Ir)
+
+    //dc, 錐徑(m), 預設10cm2錐
+    let dc = get(opt, 'dc')
+    if (!isnum(dc)) {
+        dc = 0.0357
+    }
+    dc = cdbl(dc)
+    if (dc <= 0) {
+        throw new Error(`opt.dc[${dc}] need > 0`)
+    }
+
+    //T50, Teh & Houlsby(1991)於錐肩(u2)處U=50%之修正時間因子
+    let T50 = get(opt, 'T50')
+    if (!isnum(T50)) {
+        T50 = 0.245
+    }
+    T50 = cdbl(T50)
+
+    //depth, 試驗深度(m), 未給則不計算地下水位
+    let depth = get(opt, 'depth')
+    depth = isnum(depth) ? cdbl(depth) : null
+
+    //u0, 平衡孔隙水壓(MPa), 未給則取紀錄末端nTail筆平均
+    let u0 = get(opt, 'u0')
+    u0 = isnum(u0) ? cdbl(u0) : null
+
+    //nTail
+    let nTail = get(opt, 'nTail')
+    if (!isnum(nTail)) {
+        nTail = 3
+    }
+    nTail = Math.max(cint(nTail), 1)
+
+    //tolEquilibrium, 末端nTail筆孔隙水壓變化量與初始超額孔隙水壓之比值小於此值視為已達平衡
+    let tolEquilibrium = get(opt, 'tolEquilibrium')
+    if (!isnum(tolEquilibrium)) {
+        tolEquilibrium = 0.02
+    }
+    tolEquilibrium = cdbl(tolEquilibrium)
+
+    //tolDilatory, 最大孔隙水壓高於首筆之增量與最大超額孔隙水壓之比值大於此值視為膨脹性反應
+    let tolDilatory = get(opt, 'tolDilatory')
+    if (!isnum(tolDilatory)) {
+        tolDilatory = 0.05
+    }
+    tolDilatory = cdbl(tolDilatory)
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //ps, 有效紀錄
+    let ps = []
+    each(ltdt, (v, k) => {
+        let t = get(v, keyTime, '')
+        let u = get(v, keyU2, '')
+        if (!isnum(t) || !isnum(u)) {
+            return true //跳出換下一個
+        }
+        ps.push({
+            k,
+            t: cdbl(t),
+            u: cdbl(u),
+        })
+    })
+    ps = sortBy(ps, 't')
+    let n = size(ps)
+    if (n < 2) {
+        throw new Error(`ltdt need at least 2 records with ${keyTime} and ${keyU2}`)
+    }
+
+    //u0, 由末端紀錄估算
+    let nt = Math.min(nTail, n)
+    let psTail = ps.slice(n - nt)
+    let u0Tail = 0
+    each(psTail, (p) => {
+        u0Tail += p.u / nt
+    })
+    let u0Input = u0 !== null
+    if (!u0Input) {
+        u0 = u0Tail
+    }
+
+    //imax, 最大孔隙水壓
+    let imax = 0
+    each(ps, (p, i) => {
+        if (p.u > ps[imax].u) {
+            imax = i
+        }
+    })
+
+    //dilatory, 膨脹性反應, 孔隙水壓先升後降時採最大u法, 以最大孔隙水壓為初始值並將時間原點移至其發生時間
+    let duMax = ps[imax].u - u0
+    let dilatory = imax > 0 && duMax > 0 && (ps[imax].u - ps[0].u) > tolDilatory * duMax
+    let i0 = dilatory ? imax : 0
+    let ui = ps[i0].u
+    let tShift = dilatory ? ps[imax].t : 0
+    let dui = ui - u0
+
+    //equilibrium, 是否已消散至平衡
+    let equilibrium = false
+    if (dui > 0) {
+        equilibrium = Math.abs(psTail[0].u - psTail[nt - 1].u) <= tolEquilibrium * dui
+    }
+
+    //u0Reliable, 未達平衡且未輸入u0時末端平均高估平衡孔隙水壓, 不計算由u0推求之U, t50, ch與waterLevel, 且u0回傳null
+    let u0Reliable = u0Input || equilibrium
+
+    //Us, 正規化超額孔隙水壓, 初始值之前者不計算
+    let Us = map(ps, (p, i) => {
+        if (!u0Reliable || i < i0 || dui <= 0) {
+            return null
+        }
+        return (p.u - u0) / dui
+    })
+
+    //t50(s), 自時間原點起算消散50%所需時間, u0不可靠時Us皆為null故不計算
+    let t50 = null
+    for (let i = i0 + 1; i < n; i++) {
+        if (Us[i] <= 0.5 && Us[i - 1] > 0.5) {
+            t50 = interpTime(ps[i - 1].t - tShift, Us[i - 1], ps[i].t - tShift, Us[i], 0.5)
+            break
+        }
+    }
+
+    //ch(m2/s), Teh & Houlsby(1991), ch=T50*r^2*Ir^0.5/t50
+    let ch = null
+    if (t50 !== null && t50 > 0) {
+        let r = dc / 2
+        ch = T50 * r ** 2 * Math.sqrt(Ir) / t50
+    }
+
+    //waterLevel(m), 依平衡孔隙水壓反推地下水位深度
+    let waterLevel = null
+    if (depth !== null && u0Reliable) {
+        waterLevel = depth - u0 * 1000 / rw //MPa -> kPa
+    }
+
+    //save
+    each(ps, (p, i) => {
+        let v = ltdt[p.k]
+        v.U = Us[i]
+        v.timeShifted = i >= i0 ? p.t - tShift : null
+    })
+
+    return {
+        ltdt,
+        dtRes: {
+            depth,
+            u0: u0Reliable ? u0 : null,
+            u0Tail,
+            u0Input,
+            ui,
+            tShift,
+            dilatory,
+            equilibrium,
+            t50,
+            ch,
+            waterLevel,
+        },
+    }
+}
+
+
+function buildIntrpU0(rs) {
+    //由多個消散試驗結果建立calcCpt之intrpU0函數(MPa), 試驗深度間線性內插u0, 範圍外依靜水壓梯度外插
+
+    //check
+    if (!isearr(rs)) {
+        throw new Error(`rs is not an effective array`)
+    }
+
+    //ps, 未達平衡且未輸入u0之試驗其u0為null而不採用
+    let ps = []
+    each(rs, (r) => {
+        let depth = get(r, 'dtRes.depth', null)
+        let u0 = get(r, 'dtRes.u0', null)
+        let u0Reliable = get(r, 'dtRes.u0Input', true) || get(r, 'dtRes.equilibrium', true)
+        if (isnum(depth) && isnum(u0) && u0Reliable) {
+            ps.push({
+                depth: cdbl(depth),
+                u0: cdbl(u0),
+            })
+        }
+    })
+    ps = sortBy(ps, 'depth')
+    let n = size(ps)
+    if (n === 0) {
+        throw new Error(`rs need dtRes.depth and dtRes.u0`)
+    }
+
+    //grad, 靜水壓梯度(MPa/m)
+    let grad = rw / 1000
+
+    return (depth) => {
+        if (!isnum(depth)) {
+            return null
+        }
+        depth = cdbl(depth)
+        let u0
+        if (depth <= ps[0].depth) {
+            u0 = ps[0].u0 - (ps[0].depth - depth) * grad
+        }
+        else if (depth >= ps[n - 1].depth) {
+            u0 = ps[n - 1].u0 + (depth - ps[n - 1].depth) * grad
+        }
+        else {
+            let i = 1
+            while (ps[i].depth < depth) {
+                i++
+            }
+            let p0 = ps[i - 1]
+            let p1 = ps[i]
+            u0 = p0.u0 + (p1.u0 - p0.u0) * (depth - p0.depth) / (p1.depth - p0.depth)
+        }
+        return Math.max(u0, 0)
+    }
+}
+
+
+export {
+    buildIntrpU0
+}
+export default calcCptDissipation
@@ -0,0 +1,248 @@
+import map from 'lodash-es/map.js'
+import get from 'lodash-es/get.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import { getModulusDampingCurve } from './calcModulusDampingCurves.mjs'
+import cnst from './cnst.mjs'
+
+
+//g, 重力加速度(m/s2)
+let g = cnst.g
+
+//Pa, 大氣壓(MPa)
+let Pa = cnst.Pa
+
+//strainRob, Robertson(2009)之E'約對應25%破壞荷重, 軸應變約0.1(%)
+let strainRob = 0.1
+
+
+function calcCptModulus(ltdt, opt = {}) {
+    //由calcCpt輸出計算變形參數, 包含拘束模數M、指定軸應變之楊氏模數E'與小應變剪力模數G0, 各值皆另存單位與來源方法
+
+    //methodE
+    let methodE = get(opt, 'methodE', '')
+    if (
+        methodE !== 'Robertson(2009)' &&
+        methodE !== 'Baldi(1989) for sand' &&
+        methodE !== 'G0 reduction by Darendeli(2001)' &&
+        true
+    ) {
+        methodE = 'Robertson(2009)'
+    }
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp')
+    if (unitSvSvp !== 'kPa' && unitSvSvp !== 'MPa') {
+        throw new Error(`opt.unitSvSvp[${unitSvSvp}] need kPa or MPa`)
+    }
+
+    //keyIc
+    let keyIc = get(opt, 'keyIc')
+    if (!isestr(keyIc)) {
+        keyIc = 'Ic'
+    }
+
+    //keyVs, calcCptVelocityShear輸出之剪力波速(m/s)
+    let keyVs = get(opt, 'keyVs')
+    if (!isestr(keyVs)) {
+        keyVs = 'vs'
+    }
+
+    //keyUnitWeight, calcCptUnitWeight輸出之單位重(kN/m3)
+    let keyUnitWeight = get(opt, 'keyUnitWeight')
+    if (!isestr(keyUnitWeight)) {
+        keyUnitWeight = 'rsat'
+    }
+
+    //keyOcr, keyK0, calcCptStressHistory輸出之過壓密比與靜止土壓力係數, 用於計算模數折減曲線之平均有效應力
+    let keyOcr = get(opt, 'keyOcr')
+    if (!isestr(keyOcr)) {
+        keyOcr = 'ocr'
+    }
+    let keyK0 = get(opt, 'keyK0')
+    if (!isestr(keyK0)) {
+        keyK0 = 'K0'
+    }
+
+    //K0, 數據內無K0時使用
+    let K0 = get(opt, 'K0')
+    if (!isnum(K0)) {
+        K0 = 0.5
+    }
+    K0 = cdbl(K0)
+
+    //strainTarget, 楊氏模數之目標軸應變(%)
+    let strainTarget = get(opt, 'strainTarget')
+    if (!isnum(strainTarget)) {
+        strainTarget = strainRob
+    }
+    strainTarget = cdbl(strainTarget)
+    if (strainTarget <= 0) {
+        throw new Error(`opt.strainTarget[${strainTarget}] need > 0`)
+    }
+
+    //nu, 排水柏松比
+    let nu = get(opt, 'nu')
+    if (!isnum(nu)) {
+        nu = 0.2
+    }
+    nu = cdbl(nu)
+    if (nu < 0 || nu >= 0.5) {
+        throw new Error(`opt.nu[${nu}] need in [0,0.5)`)
+    }
+
+    //aBaldi, bBaldi, Baldi et al.(1989)正常壓密年輕石英砂E'25/qc與qc1關係圖之冪次近似係數, E'25/qc=aBaldi*qc1^(-bBaldi)
+    let aBaldi = get(opt, 'aBaldi')
+    if (!isnum(aBaldi)) {
+        aBaldi = 21.6
+    }
+    aBaldi = cdbl(aBaldi)
+    if (aBaldi <= 0) {
+        throw new Error(`opt.aBaldi[${aBaldi}] need > 0`)
+    }
+    let bBaldi = get(opt, 'bBaldi')
+    if (!isnum(bBaldi)) {
+        bBaldi = 0.4
+    }
+    bBaldi = cdbl(bBaldi)
+
+    //getGGmax, 依Darendeli(2001)砂土曲線(PI=0)計算軸應變(%)對應之G/Gmax, 軸應變以(1+ν)轉剪應變
+    let getGGmax = (strain, OCR, svpm) => {
+        let r = getModulusDampingCurve('Darendeli2001', { PI: 0, OCR, svpm }, [(1 + nu) * strain])
+        return r.GGmax[0]
+    }
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //計算變形參數
+    ltdt = map(ltdt, (v) => {
+
+        //M(MPa), 拘束模數
+        let M = null
+
+        //E(MPa), 楊氏模數
+        let E = null
+
+        //G0(MPa), 小應變剪力模數
+        let G0 = null
+
+        //Ic
+        let Ic = get(v, keyIc, null)
+        Ic = isnum(Ic) ? cdbl(Ic) : null
+
+        //qnet(MPa)
+        let qnet = get(v, 'qnet', null)
+        qnet = isnum(qnet) && cdbl(qnet) > 0 ? cdbl(qnet) : null
+
+        //svpm(kPa), 平均有效應力
+        let svpm = null
+        let svp = get(v, 'svp', null)
+        let svpMPa = null
+        if (isnum(svp)) {
+            svp = cdbl(svp)
+            if (unitSvSvp === 'MPa') {
+                svp *= 1000 //MPa -> kPa
+            }
+            svpMPa = svp / 1000 //kPa -> MPa
+            let k0 = get(v, keyK0, null)
+            k0 = isnum(k0) ? cdbl(k0) : K0
+            if (svp > 0) {
+                svpm = svp * (1 + 2 * k0) / 3
+            }
+        }
+
+        //OCR
+        let OCR = get(v, keyOcr, null)
+        OCR = isnum(OCR) ? Math.max(cdbl(OCR), 1) : 1
+
+        //M, Robertson(2009), M=αM*qnet, Ic>2.2時αM=min(Qt,14), 否則αM=0.0188*10^(0.55Ic+1.68)
+        let Qt = get(v, 'Qt', null)
+        if (Ic !== null && qnet !== null) {
+            let alphaM = null
+            if (Ic > 2.2) {
+                if (isnum(Qt)) {
+                    alphaM = Math.min(cdbl(Qt), 14)
+                }
+            }
+            else {
+                alphaM = 0.0188 * 10 ** (0.55 * Ic + 1.68)
+            }
+            if (alphaM !== null && alphaM > 0) {
+                M = alphaM * qnet
+            }
+        }
+
+        //G0, G0=ρ*Vs^2
+        let Vs = get(v, keyVs, null)
+        let rsat = get(v, keyUnitWeight, null)
+        if (isnum(Vs) && isnum(rsat)) {
+            Vs = cdbl(Vs)
+            rsat = cdbl(rsat)
+            if (Vs > 0 && rsat > 0) {
+                G0 = rsat / g * Vs ** 2 / 1000 //kPa -> MPa
+            }
+        }
+
+        //E
+        if (methodE === 'Robertson(2009)') {
+            //E'=αE*qnet, αE=0.015*10^(0.55Ic+1.68), 對應軸應變約0.1%, 目標軸應變不同時以模數折減曲線比例修正
+            if (Ic !== null && qnet !== null) {
+                let alphaE = 0.015 * 10 ** (0.55 * Ic + 1.68)
+                E = alphaE * qnet
+                if (strainTarget !== strainRob) {
+                    if (svpm !== null) {
+                        E *= getGGmax(strainTarget, OCR, svpm) / getGGmax(strainRob, OCR, svpm)
+                    }
+                    else {
+                        E = null
+                    }
+                }
+            }
+        }
+        else if (methodE === 'Baldi(1989) for sand') {
+            //E'25=(E'25/qc)*qc, 對應25%破壞荷重(軸應變約0.1%), qc1=(qc/Pa)/(σ'v/Pa)^0.5, 目標軸應變不同時以模數折減曲線比例修正
+            let qc = get(v, 'qc', null)
+            if (isnum(qc) && cdbl(qc) > 0 && svpMPa !== null && svpMPa > 0) {
+                qc = cdbl(qc)
+                let qc1 = (qc / Pa) / ((svpMPa / Pa) ** 0.5)
+                E = aBaldi * qc1 ** (-bBaldi) * qc
+                if (strainTarget !== strainRob) {
+                    if (svpm !== null) {
+                        E *= getGGmax(strainTarget, OCR, svpm) / getGGmax(strainRob, OCR, svpm)
+                    }
+                    else {
+                        E = null
+                    }
+                }
+            }
+        }
+        else if (methodE === 'G0 reduction by Darendeli(2001)') {
+            //E'=2(1+ν)*G0*(G/G0), 由小應變模數依Darendeli(2001)砂土曲線(PI=0)折減至目標軸應變
+            if (G0 !== null && svpm !== null) {
+                E = 2 * (1 + nu) * G0 * getGGmax(strainTarget, OCR, svpm)
+            }
+        }
+
+        //save
+        v.M = M
+        v.MUnit = 'MPa'
+        v.MMethod = 'Robertson(2009)'
+        v.E = E
+        v.EUnit = 'MPa'
+        v.EMethod = methodE
+        v.EStrain = strainTarget //軸應變(%)
+        v.G0 = G0
+        v.G0Unit = 'MPa'
+        v.G0Method = `rho*${keyVs}^2`
+
+        return v
+    })
+
+    return ltdt
+}
+
+
+export default calcCptModulus
@@ -0,0 +1,152 @@
+import map from 'lodash-es/map.js'
+import get from 'lodash-es/get.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isint from 'wsemi/src/isint.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cint from 'wsemi/src/cint.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import cnst from './cnst.mjs'
+
+
+//rw, 水單位重(kN/m3)
+let rw = cnst.rw
+
+
+//kpRangeK, Robertson(2010)各SBTn分區之滲透係數範圍(m/s)
+let kpRangeK = {
+    1: [3e-10, 3e-8],
+    2: [1e-10, 1e-8],
+    3: [1e-10, 1e-9],
+    4: [3e-9, 1e-7],
+    5: [1e-7, 1e-5],
+    6: [1e-5, 1e-3],
+    7: [1e-3, 1],
+    8: [1e-8, 1e-3],
+    9: [1e-9, 1e-7],
+}
+
+
+function getZoneByIc(Ic) {
+    //數據未提供SBTn分區時, 依Ic分界(同getIcInfor)轉換為Robertson(1990)分區
+    if (Ic < 1.31) {
+        return 7
+    }
+    if (Ic < 2.05) {
+        return 6
+    }
+    if (Ic < 2.60) {
+        return 5
+    }
+    if (Ic < 2.95) {
+        return 4
+    }
+    if (Ic < 3.60) {
+        return 3
+    }
+    return 2
+}
+
+
+function calcCptPermeability(ltdt, opt = {}) {
+    //由calcCpt輸出依Robertson(2010)估算滲透係數k(m/s)與SBTn分區之上下限, 並以拘束模數M估算壓密係數ch與cv(m2/s)
+
+    //keyIc
+    let keyIc = get(opt, 'keyIc')
+    if (!isestr(keyIc)) {
+        keyIc = 'Ic'
+    }
+
+    //keyZone, 數據內SBTn分區欄位, 預設使用calcCpt之Robertson(1990)正規化分區
+    let keyZone = get(opt, 'keyZone')
+    if (!isestr(keyZone)) {
+        keyZone = 'iRobFrQtn'
+    }
+
+    //keyM, calcCptModulus輸出之拘束模數(MPa)
+    let keyM = get(opt, 'keyM')
+    if (!isestr(keyM)) {
+        keyM = 'M'
+    }
+
+    //ratioKhKv, 水平與垂直滲透係數比, CPT估算之k視為水平向
+    let ratioKhKv = get(opt, 'ratioKhKv')
+    if (!isnum(ratioKhKv)) {
+        ratioKhKv = 1
+    }
+    ratioKhKv = cdbl(ratioKhKv)
+    if (ratioKhKv <= 0) {
+        throw new Error(`opt.ratioKhKv[${ratioKhKv}] need > 0`)
+    }
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //計算滲透係數與壓密係數
+    ltdt = map(ltdt, (v) => {
+
+        //k, kMin, kMax(m/s), 滲透係數與其範圍
+        let k = null
+        let kMin = null
+        let kMax = null
+
+        //kZone, 範圍所依據之SBTn分區
+        let kZone = null
+
+        //ch, cv(m2/s), 水平與垂直壓密係數
+        let ch = null
+        let cv = null
+
+        //Ic
+        let Ic = get(v, keyIc, null)
+        Ic = isnum(Ic) ? cdbl(Ic) : null
+
+        //k, 1<Ic<=3.27時k=10^(0.952-3.04Ic), 3.27<Ic<4時k=10^(-4.52-1.37Ic)
+        if (Ic !== null) {
+            if (Ic > 1 && Ic <= 3.27) {
+                k = 10 ** (0.952 - 3.04 * Ic)
+            }
+            else if (Ic > 3.27 && Ic < 4) {
+                k = 10 ** (-4.52 - 1.37 * Ic)
+            }
+        }
+
+        //kZone, kMin, kMax
+        let zone = get(v, keyZone, null)
+        if (isint(zone) && kpRangeK[cint(zone)]) {
+            kZone = cint(zone)
+        }
+        else if (Ic !== null) {
+            kZone = getZoneByIc(Ic)
+        }
+        if (kZone !== null) {
+            kMin = kpRangeK[kZone][0]
+            kMax = kpRangeK[kZone][1]
+        }
+
+        //ch, cv, c=k*M/rw
+        let M = get(v, keyM, null)
+        if (k !== null && isnum(M)) {
+            M = cdbl(M)
+            if (M > 0) {
+                ch = k * M * 1000 / rw //MPa -> kPa
+                cv = ch / ratioKhKv
+            }
+        }
+
+        //save
+        v.k = k
+        v.kMin = kMin
+        v.kMax = kMax
+        v.kZone = kZone
+        v.ch = ch
+        v.cv = cv
+
+        return v
+    })
+
+    return ltdt
+}
+
+
+export default calcCptPermeability
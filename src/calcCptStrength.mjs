@@ -0,0 +1,199 @@
+import map from 'lodash-es/map.js'
+import get from 'lodash-es/get.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import cnst from './cnst.mjs'
+
+
+//Pa, 大氣壓(MPa)
+let Pa = cnst.Pa
+
+
+function calcCptStrength(ltdt, opt = {}) {
+    //由calcCpt輸出計算強度參數, 細粒土(Ic>sepIc)計算不排水剪力強度su(kPa)、重模su與靈敏度St, 粗粒土(Ic<=sepIc)計算有效摩擦角φ'(度)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp')
+    if (unitSvSvp !== 'kPa' && unitSvSvp !== 'MPa') {
+        throw new Error(`opt.unitSvSvp[${unitSvSvp}] need kPa or MPa`)
+    }
+
+    //keyIc
+    let keyIc = get(opt, 'keyIc')
+    if (!isestr(keyIc)) {
+        keyIc = 'Ic'
+    }
+
+    //sepIc, 區分粗細粒土之Ic
+    let sepIc = get(opt, 'sepIc')
+    if (!isnum(sepIc)) {
+        sepIc = 2.6
+    }
+    sepIc = cdbl(sepIc)
+
+    //Nkt, 錐尖阻抗係數, 一般介於10~20
+    let Nkt = get(opt, 'Nkt')
+    if (!isnum(Nkt)) {
+        Nkt = 14
+    }
+    Nkt = cdbl(Nkt)
+    if (Nkt <= 0) {
+        throw new Error(`opt.Nkt[${Nkt}] need > 0`)
+    }
+
+    //NDu, 超額孔隙水壓係數, 一般介於4~10
+    let NDu = get(opt, 'NDu')
+    if (!isnum(NDu)) {
+        NDu = 7
+    }
+    NDu = cdbl(NDu)
+    if (NDu <= 0) {
+        throw new Error(`opt.NDu[${NDu}] need > 0`)
+    }
+
+    //BqMin, BqMax, Mayne(2006) NTH法適用之Bq範圍
+    let BqMin = get(opt, 'BqMin')
+    if (!isnum(BqMin)) {
+        BqMin = 0.1
+    }
+    BqMin = cdbl(BqMin)
+    let BqMax = get(opt, 'BqMax')
+    if (!isnum(BqMax)) {
+        BqMax = 1.0
+    }
+    BqMax = cdbl(BqMax)
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //計算強度參數
+    ltdt = map(ltdt, (v) => {
+
+        //suNkt, suNDu, sur(kPa), St, 不排水剪力強度、重模強度與靈敏度
+        let suNkt = null
+        let suNDu = null
+        let sur = null
+        let St = null
+
+        //phiRC, phiKM, phiNTH(度), 有效摩擦角
+        let phiRC = null
+        let phiKM = null
+        let phiNTH = null
+
+        //suApplicable, phiApplicable, phiNTHApplicable, 依Ic與Bq判斷各法是否適用
+        let suApplicable = null
+        let phiApplicable = null
+        let phiNTHApplicable = null
+
+        //Ic
+        let Ic = get(v, keyIc, null)
+        if (isnum(Ic)) {
+            Ic = cdbl(Ic)
+            suApplicable = Ic > sepIc ? 1 : 0
+            phiApplicable = Ic <= sepIc ? 1 : 0
+        }
+
+        //svp(MPa)
+        let svp = get(v, 'svp', null)
+        if (isnum(svp)) {
+            svp = cdbl(svp)
+            if (unitSvSvp === 'kPa') {
+                svp /= 1000 //kPa -> MPa
+            }
+        }
+        else {
+            svp = null
+        }
+
+        //suNkt, Nkt法, su=qnet/Nkt
+        let qnet = get(v, 'qnet', null)
+        if (isnum(qnet)) {
+            qnet = cdbl(qnet)
+            if (qnet > 0) {
+                suNkt = qnet / Nkt * 1000 //MPa -> kPa
+            }
+        }
+
+        //suNDu, NΔu法, su=(u2-u0)/NΔu
+        let u2 = get(v, 'u2', null)
+        let u0 = get(v, 'u0', null)
+        if (isnum(u2) && isnum(u0)) {
+            let du = cdbl(u2) - cdbl(u0)
+            if (du > 0) {
+                suNDu = du / NDu * 1000 //MPa -> kPa
+            }
+        }
+
+        //sur, St, Robertson(2009)以套筒摩擦fs近似重模強度
+        let fs = get(v, 'fs', null)
+        if (isnum(fs)) {
+            fs = cdbl(fs)
+            if (fs > 0) {
+                sur = fs * 1000 //MPa -> kPa
+                if (suNkt !== null) {
+                    St = suNkt / sur
+                }
+            }
+        }
+
+        //phiRC, Robertson & Campanella(1983), tanφ'=[log(qc/σ'v)+0.29]/2.68
+        let qc = get(v, 'qc', null)
+        if (isnum(qc) && svp !== null && svp > 0) {
+            qc = cdbl(qc)
+            if (qc > 0) {
+                let t = (Math.log10(qc / svp) + 0.29) / 2.68
+                if (t > 0) {
+                    phiRC = Math.atan(t) * 180 / Math.PI
+                }
+            }
+        }
+
+        //phiKM, Kulhawy & Mayne(1990), φ'=17.6+11log(qt1), qt1=(qt/Pa)/(σ'v/Pa)^0.5
+        let qt = get(v, 'qt', null)
+        if (isnum(qt) && svp !== null && svp > 0) {
+            qt = cdbl(qt)
+            let qt1 = (qt / Pa) / ((svp / Pa) ** 0.5)
+            if (qt1 > 0) {
+                phiKM = 17.6 + 11 * Math.log10(qt1)
+            }
+        }
+
+        //phiNTH, Mayne(2006) NTH法, φ'=29.5Bq^0.121[0.256+0.336Bq+log(Qt)], 適用於正超額孔隙水壓之細粒土
+        let Bq = get(v, 'Bq', null)
+        let Qt = get(v, 'Qt', null)
+        if (isnum(Bq) && isnum(Qt)) {
+            Bq = cdbl(Bq)
+            Qt = cdbl(Qt)
+            if (Bq > 0 && Qt > 0) {
+                let phi = 29.5 * (Bq ** 0.121) * (0.256 + 0.336 * Bq + Math.log10(Qt))
+                if (phi > 0) {
+                    phiNTH = phi
+                }
+            }
+            if (suApplicable !== null) {
+                phiNTHApplicable = suApplicable === 1 && Bq >= BqMin && Bq <= BqMax ? 1 : 0
+            }
+        }
+
+        //save
+        v.suNkt = suNkt
+        v.suNDu = suNDu
+        v.sur = sur
+        v.St = St
+        v.phiRC = phiRC
+        v.phiKM = phiKM
+        v.phiNTH = phiNTH
+        v.suApplicable = suApplicable
+        v.phiApplicable = phiApplicable
+        v.phiNTHApplicable = phiNTHApplicable
+
+        return v
+    })
+
+    return ltdt
+}
+
+
+export default calcCptStrength
@@ -0,0 +1,235 @@
+import map from 'lodash-es/map.js'
+import get from 'lodash-es/get.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import cnst from './cnst.mjs'
+
+
+//Pa, 大氣壓(MPa)
+let Pa = cnst.Pa
+
+
+function calcCptStressHistory(ltdt, opt = {}) {
+    //由calcCpt輸出計算應力歷史與相對密度, 包含預壓密應力svpc(kPa)、過壓密比ocr、靜止土壓力係數K0與相對密度Dr(%)
+
+    //methodOcr
+    let methodOcr = get(opt, 'methodOcr', '')
+    if (
+        methodOcr !== 'Kulhawy & Mayne(1990) for clay' &&
+        methodOcr !== 'Mayne(2012) for all' &&
+        true
+    ) {
+        methodOcr = 'Mayne(2012) for all'
+    }
+
+    //methodDr
+    let methodDr = get(opt, 'methodDr', '')
+    if (
+        methodDr !== 'Jamiolkowski(2001) for sand' &&
+        methodDr !== 'Kulhawy & Mayne(1990) for sand' &&
+        true
+    ) {
+        methodDr = 'Jamiolkowski(2001) for sand'
+    }
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp')
+    if (unitSvSvp !== 'kPa' && unitSvSvp !== 'MPa') {
+        throw new Error(`opt.unitSvSvp[${unitSvSvp}] need kPa or MPa`)
+    }
+
+    //keyIc
+    let keyIc = get(opt, 'keyIc')
+    if (!isestr(keyIc)) {
+        keyIc = 'Ic'
+    }
+
+    //keyPhi, 數據內有效摩擦角(度)欄位, 未給則依Ic取calcCptStrength之phiKM(粗粒土)或phiNTH(細粒土)
+    let keyPhi = get(opt, 'keyPhi')
+    if (!isestr(keyPhi)) {
+        keyPhi = ''
+    }
+
+    //sepIc, 區分粗細粒土之Ic
+    let sepIc = get(opt, 'sepIc')
+    if (!isnum(sepIc)) {
+        sepIc = 2.6
+    }
+    sepIc = cdbl(sepIc)
+
+    //kOcr, Kulhawy & Mayne(1990)之預壓密應力係數, 一般介於0.2~0.5
+    let kOcr = get(opt, 'kOcr')
+    if (!isnum(kOcr)) {
+        kOcr = 0.33
+    }
+    kOcr = cdbl(kOcr)
+    if (kOcr <= 0) {
+        throw new Error(`opt.kOcr[${kOcr}] need > 0`)
+    }
+
+    //compressibility, Kulhawy & Mayne(1990)相對密度之壓縮性修正, 可給low, medium, high
+    let compressibility = get(opt, 'compressibility')
+    let QC = null
+    if (compressibility === 'low') {
+        QC = 0.91
+    }
+    else if (compressibility === 'medium' || !isestr(compressibility)) {
+        QC = 1.0
+    }
+    else if (compressibility === 'high') {
+        QC = 1.09
+    }
+    else {
+        throw new Error(`opt.compressibility[${compressibility}] need low, medium or high`)
+    }
+
+    //ageYear, Kulhawy & Mayne(1990)相對密度之年代修正, 未給則不修正(QA=1)
+    let ageYear = get(opt, 'ageYear')
+    let QA = 1
+    if (isnum(ageYear)) {
+        ageYear = cdbl(ageYear)
+        if (ageYear <= 0) {
+            throw new Error(`opt.ageYear[${ageYear}] need > 0`)
+        }
+        QA = 1.2 + 0.05 * Math.log10(ageYear / 100)
+    }
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //計算應力歷史與相對密度
+    ltdt = map(ltdt, (v) => {
+
+        //svpc(kPa), ocr, K0, Dr(%)
+        let svpc = null
+        let ocr = null
+        let K0 = null
+        let Dr = null
+
+        //ocrApplicable, DrApplicable, 依Ic判斷是否適用
+        let ocrApplicable = null
+        let DrApplicable = null
+
+        //Ic
+        let Ic = get(v, keyIc, null)
+        if (isnum(Ic)) {
+            Ic = cdbl(Ic)
+            if (methodOcr === 'Kulhawy & Mayne(1990) for clay') {
+                ocrApplicable = Ic > sepIc ? 1 : 0
+            }
+            else {
+                ocrApplicable = 1
+            }
+            DrApplicable = Ic <= sepIc ? 1 : 0
+        }
+        else {
+            Ic = null
+        }
+
+        //svp(MPa)
+        let svp = get(v, 'svp', null)
+        if (isnum(svp)) {
+            svp = cdbl(svp)
+            if (unitSvSvp === 'kPa') {
+                svp /= 1000 //kPa -> MPa
+            }
+            if (svp <= 0) {
+                svp = null
+            }
+        }
+        else {
+            svp = null
+        }
+
+        //qnet(MPa)
+        let qnet = get(v, 'qnet', null)
+        if (isnum(qnet)) {
+            qnet = cdbl(qnet)
+        }
+        else {
+            qnet = null
+        }
+
+        //svpc, ocr
+        if (qnet !== null && qnet > 0 && svp !== null) {
+            if (methodOcr === 'Kulhawy & Mayne(1990) for clay') {
+                //svpc=k*qnet
+                svpc = kOcr * qnet * 1000 //MPa -> kPa
+            }
+            else if (methodOcr === 'Mayne(2012) for all' && Ic !== null) {
+                //svpc=0.33*qnet^m*(Pa/100)^(1-m), m=1-0.28/[1+(Ic/2.65)^25], qnet與Pa單位為kPa
+                let m = 1 - 0.28 / (1 + (Ic / 2.65) ** 25)
+                svpc = 0.33 * ((qnet * 1000) ** m) * ((Pa * 1000 / 100) ** (1 - m))
+            }
+            if (svpc !== null) {
+                ocr = svpc / (svp * 1000)
+            }
+        }
+
+        //phi(度), 有效摩擦角
+        let phi = null
+        if (keyPhi !== '') {
+            phi = get(v, keyPhi, null)
+        }
+        else if (Ic !== null) {
+            phi = Ic <= sepIc ? get(v, 'phiKM', null) : get(v, 'phiNTH', null)
+        }
+        phi = isnum(phi) ? cdbl(phi) : null
+
+        //K0, Mayne & Kulhawy(1982), K0=(1-sinφ')*OCR^sinφ'
+        if (phi !== null && ocr !== null) {
+            let s = Math.sin(phi * Math.PI / 180)
+            K0 = (1 - s) * (Math.max(ocr, 1) ** s)
+        }
+
+        //Dr
+        if (svp !== null) {
+            if (methodDr === 'Jamiolkowski(2001) for sand') {
+                //Dr=100*[0.268*ln(qt1)-0.675], qt1=(qt/Pa)/(σ'v/Pa)^0.5
+                let qt = get(v, 'qt', null)
+                if (isnum(qt)) {
+                    qt = cdbl(qt)
+                    let qt1 = (qt / Pa) / ((svp / Pa) ** 0.5)
+                    if (qt1 > 0) {
+                        Dr = 100 * (0.268 * Math.log(qt1) - 0.675)
+                    }
+                }
+            }
+            else if (methodDr === 'Kulhawy & Mayne(1990) for sand') {
+                //Dr^2=Qcn/(305*QC*QOCR*QA), Qcn=(qc/Pa)/(σ'v/Pa)^0.5, QOCR=OCR^0.18
+                let qc = get(v, 'qc', null)
+                if (isnum(qc)) {
+                    qc = cdbl(qc)
+                    let Qcn = (qc / Pa) / ((svp / Pa) ** 0.5)
+                    let QOCR = (ocr !== null ? Math.max(ocr, 1) : 1) ** 0.18
+                    if (Qcn > 0) {
+                        Dr = 100 * Math.sqrt(Qcn / (305 * QC * QOCR * QA))
+                    }
+                }
+            }
+        }
+
+        //經驗式外插可能出現小於0或大於100
+        if (Dr !== null) {
+            Dr = Math.max(Dr, 0)
+            Dr = Math.min(Dr, 100)
+        }
+
+        //save
+        v.svpc = svpc
+        v.ocr = ocr
+        v.K0 = K0
+        v.Dr = Dr
+        v.ocrApplicable = ocrApplicable
+        v.DrApplicable = DrApplicable
+
+        return v
+    })
+
+    return ltdt
+}
+
+
+export default calcCptStressHistory
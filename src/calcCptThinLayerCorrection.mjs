@@ -0,0 +1,324 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import sortBy from 'lodash-es/sortBy.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import isbol from 'wsemi/src/isbol.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import cnst from './cnst.mjs'
+
+
+//Pa, 大氣壓(MPa)
+let Pa = cnst.Pa
+
+
+function calcIsbt(qc, fs) {
+    //Robertson(2010)非正規化土壤行為指數Isbt, 數據未提供Ic時使用, qc與fs單位為MPa
+    let Rf = fs / qc * 100 //摩擦比(%)
+    if (Rf <= 0) {
+        return null
+    }
+    return Math.sqrt((3.47 - Math.log10(qc / Pa)) ** 2 + (Math.log10(Rf) + 1.22) ** 2)
+}
+
+
+function calcWeight(zr, qr) {
+    //Boulanger & DeJong(2018)錐尖阻抗權重, zr為與錐尖之正規化距離(除以錐徑, 向下為正), qr為該處與錐尖處之錐尖阻抗比值
+
+    //C1, C2, 錐尖下方(zr>=0)影響較上方大
+    let C1 = zr >= 0 ? 1 : 0.5
+    let C2 = zr >= 0 ? 1 : 0.8
+
+    //z50, 權重降至一半之正規化距離, 較硬土層影響範圍較大
+    let z50 = 1 + 2 * (C2 * qr - 1) * (1 - 1 / (1 + qr ** 3))
+
+    //mz
+    let mz = 3
+
+    //w1, 距離權重
+    let w1 = C1 / (1 + Math.abs(zr / z50) ** mz)
+
+    //w2, 勁度權重, 較軟土層權重較高
+    let w2 = Math.sqrt(2 / (1 + qr ** 2))
+
+    return w1 * w2
+}
+
+
+function calcCptThinLayerCorrection(ltdt, opt = {}) {
+    //依Ic梯度偵測過渡區, 並以Boulanger & DeJong(2018)逆濾波法修正薄層效應之qc與fs(MPa), 修正後須再重新計算CPT衍生參數
+
+    //check
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //keyDepth
+    let keyDepth = get(opt, 'keyDepth')
+    if (!isestr(keyDepth)) {
+        keyDepth = 'depth'
+    }
+
+    //keyDepthStart
+    let keyDepthStart = get(opt, 'keyDepthStart')
+    if (!isestr(keyDepthStart)) {
+        keyDepthStart = 'depthStart'
+    }
+
+    //keyDepthEnd
+    let keyDepthEnd = get(opt, 'keyDepthEnd')
+    if (!isestr(keyDepthEnd)) {
+        keyDepthEnd = 'depthEnd'
+    }
+
+    //keyIc, 數據內Ic欄位, 無則由qc與fs計算Isbt
+    let keyIc = get(opt, 'keyIc')
+    if (!isestr(keyIc)) {
+        keyIc = 'Ic'
+    }
+
+    //dc, 錐徑(m), 預設10cm2錐
+    let dc = get(opt, 'dc')
+    if (!isnum(dc)) {
+        dc = 0.0357
+    }
+    dc = cdbl(dc)
+    if (dc <= 0) {
+        throw new Error(`opt.dc[${dc}] need > 0`)
+    }
+
+    //useInverseFilter, 是否進行逆濾波
+    let useInverseFilter = get(opt, 'useInverseFilter')
+    if (!isbol(useInverseFilter)) {
+        useInverseFilter = true
+    }
+
+    //useTransitionZone, 是否修正過渡區
+    let useTransitionZone = get(opt, 'useTransitionZone')
+    if (!isbol(useTransitionZone)) {
+        useTransitionZone = true
+    }
+
+    //nIter, 逆濾波最大迭代次數
+    let nIter = get(opt, 'nIter')
+    if (!isnum(nIter)) {
+        nIter = 100
+    }
+    nIter = cdbl(nIter)
+
+    //tol, 逆濾波收斂之相對誤差
+    let tol = get(opt, 'tol')
+    if (!isnum(tol)) {
+        tol = 0.01
+    }
+    tol = cdbl(tol)
+
+    //zrLim, 權重計算範圍之正規化距離
+    let zrLim = get(opt, 'zrLim')
+    if (!isnum(zrLim)) {
+        zrLim = 30
+    }
+    zrLim = cdbl(zrLim)
+
+    //ratioMin, ratioMax, 逆濾波修正後與量測值比值之範圍
+    let ratioMin = get(opt, 'ratioMin')
+    if (!isnum(ratioMin)) {
+        ratioMin = 0.5
+    }
+    ratioMin = cdbl(ratioMin)
+    let ratioMax = get(opt, 'ratioMax')
+    if (!isnum(ratioMax)) {
+        ratioMax = 2
+    }
+    ratioMax = cdbl(ratioMax)
+    if (ratioMin <= 0 || ratioMin > 1 || ratioMax < 1) {
+        throw new Error(`opt.ratioMin[${ratioMin}] need in (0,1] and opt.ratioMax[${ratioMax}] need >= 1`)
+    }
+
+    //IcMin, IcMax, 過渡區Ic範圍
+    let IcMin = get(opt, 'IcMin')
+    if (!isnum(IcMin)) {
+        IcMin = 1.3
+    }
+    IcMin = cdbl(IcMin)
+    let IcMax = get(opt, 'IcMax')
+    if (!isnum(IcMax)) {
+        IcMax = 3.0
+    }
+    IcMax = cdbl(IcMax)
+
+    //rateIcLim, 過渡區Ic梯度門檻(1/m)
+    let rateIcLim = get(opt, 'rateIcLim')
+    if (!isnum(rateIcLim)) {
+        rateIcLim = 3
+    }
+    rateIcLim = cdbl(rateIcLim)
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //getDepth
+    let getDepth = (v) => {
+        let z = get(v, keyDepth, '')
+        if (isnum(z)) {
+            return cdbl(z)
+        }
+        let ds = get(v, keyDepthStart, '')
+        let de = get(v, keyDepthEnd, '')
+        if (isnum(ds) && isnum(de)) {
+            return (cdbl(ds) + cdbl(de)) / 2
+        }
+        return null
+    }
+
+    //ps, 有效數據點
+    let ps = []
+    each(ltdt, (v, k) => {
+        let z = getDepth(v)
+        let qc = get(v, 'qc', '')
+        let fs = get(v, 'fs', '')
+        if (z === null || !isnum(qc) || !isnum(fs) || cdbl(qc) <= 0 || cdbl(fs) < 0) {
+            return true //跳出換下一個
+        }
+        qc = cdbl(qc)
+        fs = cdbl(fs)
+        let Ic = get(v, keyIc, '')
+        Ic = isnum(Ic) ? cdbl(Ic) : calcIsbt(qc, fs)
+        ps.push({
+            k,
+            z,
+            qc,
+            fs,
+            Ic,
+        })
+    })
+    ps = sortBy(ps, 'z')
+    let n = size(ps)
+
+    //hs, 各點代表厚度
+    let hs = map(ps, (p, i) => {
+        let zu = i > 0 ? (ps[i - 1].z + p.z) / 2 : p.z
+        let zd = i < n - 1 ? (ps[i + 1].z + p.z) / 2 : p.z
+        let h = zd - zu
+        if (h <= 0) {
+            h = i > 0 ? p.z - ps[i - 1].z : (n > 1 ? ps[1].z - p.z : 1)
+        }
+        return h
+    })
+
+    //qinv, 逆濾波, 以量測值為初始值迭代修正至其卷積結果趨近量測值
+    let qm = map(ps, 'qc')
+    let qinv = [...qm]
+    if (useInverseFilter && n > 1) {
+        let zLim = zrLim * dc
+        for (let it = 0; it < nIter; it++) {
+
+            //qconv, 以目前真實剖面估計值卷積得錐尖量測值
+            let i0 = 0
+            let i1 = 0
+            let qconv = map(ps, (p, i) => {
+                while (ps[i0].z < p.z - zLim) {
+                    i0++
+                }
+                while (i1 < n - 1 && ps[i1 + 1].z <= p.z + zLim) {
+                    i1++
+                }
+                let sw = 0
+                let swq = 0
+                for (let j = i0; j <= i1; j++) {
+                    let zr = (ps[j].z - p.z) / dc
+                    let qr = qinv[j] / qinv[i]
+                    let w = calcWeight(zr, qr) * hs[j]
+                    sw += w
+                    swq += w * qinv[j]
+                }
+                return swq / sw
+            })
+
+            //修正並檢查收斂, 以比值開根號進行鬆弛修正避免震盪, 並限制修正比值範圍
+            let errMax = 0
+            qinv = map(qinv, (q, i) => {
+                let r = qm[i] / qconv[i]
+                let qt = q * Math.sqrt(r)
+                q = Math.min(Math.max(qt, qm[i] * ratioMin), qm[i] * ratioMax)
+                if (q === qt) {
+                    errMax = Math.max(errMax, Math.abs(r - 1)) //達比值上下限者不列入收斂判斷
+                }
+                return q
+            })
+            if (errMax < tol) {
+                break
+            }
+
+        }
+    }
+
+    //fsinv, 維持摩擦比修正fs
+    let fsinv = map(ps, (p, i) => {
+        return p.fs * qinv[i] / p.qc
+    })
+
+    //bTrans, 過渡區, Ic介於IcMin與IcMax且Ic梯度大於門檻
+    let bTrans = map(ps, (p, i) => {
+        if (!useTransitionZone || n < 3) {
+            return false
+        }
+        if (p.Ic === null || p.Ic <= IcMin || p.Ic >= IcMax) {
+            return false
+        }
+        let iu = Math.max(i - 1, 0)
+        let id = Math.min(i + 1, n - 1)
+        if (ps[iu].Ic === null || ps[id].Ic === null) {
+            return false
+        }
+        let rate = Math.abs(ps[id].Ic - ps[iu].Ic) / (ps[id].z - ps[iu].z)
+        return rate > rateIcLim
+    })
+
+    //過渡區以中點分界, 上半部取上方非過渡區之值, 下半部取下方非過渡區之值
+    let qcor = [...qinv]
+    let fscor = [...fsinv]
+    let i = 0
+    while (i < n) {
+        if (!bTrans[i]) {
+            i++
+            continue
+        }
+        let ia = i
+        while (i < n && bTrans[i]) {
+            i++
+        }
+        let ib = i - 1
+        let iu = ia - 1 >= 0 ? ia - 1 : null
+        let id = ib + 1 <= n - 1 ? ib + 1 : null
+        let zmid = (ps[ia].z + ps[ib].z) / 2
+        for (let j = ia; j <= ib; j++) {
+            let iref = ps[j].z <= zmid ? (iu !== null ? iu : id) : (id !== null ? id : iu)
+            if (iref === null) {
+                continue
+            }
+            qcor[j] = qinv[iref]
+            fscor[j] = fsinv[iref]
+        }
+    }
+
+    //save, 保留原始qc與fs
+    each(ps, (p, i) => {
+        let v = ltdt[p.k]
+        v.qcRaw = p.qc
+        v.fsRaw = p.fs
+        v.IcRaw = p.Ic !== null ? p.Ic : ''
+        v.transitionZone = bTrans[i] ? 1 : 0
+        v.qc = qcor[i]
+        v.fs = fscor[i]
+    })
+
+    return ltdt
+}
+
+
+export default calcCptThinLayerCorrection
@@ -0,0 +1,351 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import keys from 'lodash-es/keys.js'
+import filter from 'lodash-es/filter.js'
+import size from 'lodash-es/size.js'
+import join from 'lodash-es/join.js'
+import sortBy from 'lodash-es/sortBy.js'
+import isNumber from 'lodash-es/isNumber.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import strright from 'wsemi/src/strright.mjs'
+import strleft from 'wsemi/src/strleft.mjs'
+
+
+function pickMethods(ltdt) {
+    //由'-FS'結尾欄位挑選液化方法
+    let ks = keys(get(ltdt, 0))
+    ks = filter(ks, (k) => {
+        return strright(k, 3) === '-FS'
+    })
+    let methods = map(ks, (k) => {
+        return strleft(k, size(k) - 3)
+    })
+    return methods
+}
+
+
+function calcDrSpt(N160, FC) {
+    //Idriss & Boulanger(2008), 由N160與FC計算N160cs, 再由N160cs計算相對密度Dr
+    let _FC = Math.max(FC, 0)
+    let dN160 = Math.exp(1.63 + 9.7 / (_FC + 0.01) - (15.7 / (_FC + 0.01)) ** 2)
+    let N160cs = N160 + dN160
+    let Dr = Math.sqrt(Math.max(N160cs, 0) / 46)
+    return Dr
+}
+
+
+function calcDrCpt(Qtn, Ic) {
+    //Robertson & Wride(1998)計算qc1Ncs, 再由Idriss & Boulanger(2008)計算相對密度Dr
+    let Kc = 1.0
+    if (Ic > 1.64) {
+        Kc = -0.403 * Ic ** 4 + 5.581 * Ic ** 3 - 21.63 * Ic ** 2 + 33.75 * Ic - 17.88
+    }
+    let qc1Ncs = Kc * Qtn
+    let Dr = 0.478 * Math.max(qc1Ncs, 0) ** 0.264 - 1.063
+    return Dr
+}
+
+
+function calcGammaMax(FS, Dr) {
+    //Yoshimine et al.(2006)擬合Ishihara & Yoshimine(1992)之最大剪應變, 回傳剪應變(%)
+
+    //Dr, 原研究曲線範圍Dr為40%~90%, Zhang et al.(2004)對Dr<40%沿用40%曲線
+    Dr = Math.min(Math.max(Dr, 0.4), 1)
+
+    //gammaLim, 極限剪應變
+    let gammaLim = Math.max(1.859 * (1.1 - Dr) ** 3, 0)
+
+    //Falpha
+    let Falpha = 0.032 + 4.7 * Dr - 6.0 * Dr ** 2
+
+    //gammaMax
+    let gammaMax = 0
+    if (FS >= 2) {
+        gammaMax = 0
+    }
+    else if (FS > Falpha) {
+        gammaMax = Math.min(gammaLim, 0.035 * (2 - FS) * (1 - Falpha) / (FS - Falpha))
+    }
+    else {
+        gammaMax = gammaLim
+    }
+
+    return gammaMax * 100 //比例轉百分比(%)
+}
+
+
+function calcYoudMLR({ mode, Mw, R, S, W, T15, F15, D5015 }) {
+    //Youd, Hansen & Bartlett(2002)多元線性回歸側潰位移(m)
+
+    //Rs, 修正震源距離(km)
+    let Rs = R + 10 ** (0.89 * Mw - 5.64)
+
+    //b0, b5
+    let b0 = mode === 'slope' ? -16.213 : -16.713
+    let v5 = mode === 'slope' ? 0.338 * Math.log10(S) : 0.592 * Math.log10(W)
+
+    //logDH
+    let logDH = b0 + 1.532 * Mw - 1.406 * Math.log10(Rs) - 0.012 * R + v5 + 0.540 * Math.log10(T15) + 3.413 * Math.log10(100 - F15) - 0.795 * Math.log10(D5015 + 0.1)
+
+    return 10 ** logDH
+}
+
+
+function calcLateralSpreading(kind, ltdt, opt = {}) {
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT') {
+        throw new Error(`kind[${kind}] need SPT or CPT`)
+    }
+    if (!isearr(ltdt)) {
+        throw new Error(`invalid ltdt`)
+    }
+
+    //keyDepth
+    let keyDepth = get(opt, 'keyDepth')
+    if (!isestr(keyDepth)) {
+        keyDepth = 'depth'
+    }
+
+    //keyDepthStart
+    let keyDepthStart = get(opt, 'keyDepthStart')
+    if (!isestr(keyDepthStart)) {
+        keyDepthStart = 'depthStart'
+    }
+
+    //keyDepthEnd
+    let keyDepthEnd = get(opt, 'keyDepthEnd')
+    if (!isestr(keyDepthEnd)) {
+        keyDepthEnd = 'depthEnd'
+    }
+
+    //slope, 地表坡度(%)
+    let slope = get(opt, 'slope')
+
+    //ratioLH, 自由面距離L與自由面高度H之比值
+    let ratioLH = get(opt, 'ratioLH')
+
+    //mode, 有給自由面比值則視為自由面地形, 否則視為緩坡地形
+    let mode = ''
+    if (isnum(ratioLH)) {
+        mode = 'freeFace'
+        ratioLH = cdbl(ratioLH)
+        if (ratioLH <= 0) {
+            throw new Error(`opt.ratioLH[${ratioLH}] need > 0`)
+        }
+    }
+    else if (isnum(slope)) {
+        mode = 'slope'
+        slope = cdbl(slope)
+        if (slope <= 0) {
+            throw new Error(`opt.slope[${slope}] need > 0`)
+        }
+    }
+    else {
+        throw new Error(`need opt.slope or opt.ratioLH`)
+    }
+
+    //R, 震源水平距離(km), 僅Youd et al.(2002)使用
+    let R = get(opt, 'R')
+    if (isnum(R)) {
+        R = cdbl(R)
+    }
+    else {
+        R = null
+    }
+
+    //Mw, 未給則取數據內Mw
+    let Mw = get(opt, 'Mw')
+    if (!isnum(Mw)) {
+        Mw = get(ltdt, '0.Mw')
+    }
+    if (isnum(Mw)) {
+        Mw = cdbl(Mw)
+    }
+    else {
+        Mw = null
+    }
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //sortBy
+    ltdt = sortBy(ltdt, (v) => {
+        return cdbl(v[keyDepthStart])
+    })
+
+    //err
+    let err = []
+
+    //ratio, LDI轉側潰位移之係數, Zhang et al.(2004)
+    let ratio = null
+    if (mode === 'slope') {
+        if (slope < 0.2 || slope > 3.5) {
+            err.push(`地表坡度slope[${slope}]超出Zhang et al.(2004)研究範疇0.2~3.5%`)
+        }
+        ratio = slope + 0.2
+    }
+    else {
+        if (ratioLH < 4 || ratioLH > 40) {
+            err.push(`自由面比值ratioLH[${ratioLH}]超出Zhang et al.(2004)研究範疇4~40`)
+        }
+        ratio = 6 * ratioLH ** -0.8
+    }
+
+    //methods
+    let methods = pickMethods(ltdt)
+
+    //dtRes
+    let dtRes = {
+        mode,
+    }
+
+    each(methods, (m) => {
+
+        //sumLDI
+        let sumLDI = 0
+        ltdt = map(ltdt, (v) => {
+
+            //FS
+            let FS = get(v, `${m}-FS`, '')
+
+            //Dr
+            let Dr = ''
+            if (kind === 'SPT') {
+                let N160 = get(v, `${m}-N160`, '')
+                let FC = get(v, 'FC', '')
+                if (isnum(N160) && isnum(FC)) {
+                    Dr = calcDrSpt(cdbl(N160), cdbl(FC))
+                }
+            }
+            else {
+                let Qtn = get(v, `${m}-Qtn`, '')
+                let Ic = get(v, `${m}-Ic`, '')
+                if (isnum(Qtn) && isnum(Ic) && cdbl(Ic) <= 2.6) { //Zhang et al.(2004)視Ic>2.6為黏性土不計入LDI
+                    Dr = calcDrCpt(cdbl(Qtn), cdbl(Ic))
+                }
+            }
+
+            //gmax
+            let gmax = ''
+            if (isnum(FS) && isNumber(Dr)) {
+                gmax = calcGammaMax(cdbl(FS), Dr)
+            }
+
+            //sumLDI
+            if (isNumber(gmax) && isnum(v[keyDepthStart]) && isnum(v[keyDepthEnd])) {
+                let zs = cdbl(v[keyDepthStart])
+                let ze = cdbl(v[keyDepthEnd])
+                sumLDI += gmax / 100 * (ze - zs) //由百分比(%)還原成比例
+            }
+
+            //save
+            v[`${m}-gmax`] = gmax //最大剪應變(%)
+            v[`${m}-LDI`] = sumLDI //側向位移指數(m)
+            v[`${m}-LDZhang`] = ratio * sumLDI //側潰位移(m)
+
+            return v
+        })
+
+        //save
+        dtRes[`${m}-LDI`] = sumLDI
+        dtRes[`${m}-LDZhang`] = ratio * sumLDI
+
+        //Youd et al.(2002)僅適用SPT
+        if (kind !== 'SPT') {
+            return true //跳出換下一個
+        }
+
+        //T15, F15, D5015, 地下水位以下且深度20m內, (N1)60<15之飽和粒狀土層
+        let T15 = 0
+        let sFC = 0
+        let sD50 = 0
+        let hasD50 = true
+        each(ltdt, (v) => {
+            let z = get(v, keyDepth, '')
+            let zs = get(v, keyDepthStart, '')
+            let ze = get(v, keyDepthEnd, '')
+            let wl = get(v, 'waterLevelUsual', '')
+            let N160 = get(v, `${m}-N160`, '')
+            let FC = get(v, 'FC', '')
+            let D50 = get(v, 'D50', '')
+            let sc = get(v, 'soilClassification', '')
+            if (!isnum(z) || !isnum(zs) || !isnum(ze) || !isnum(N160) || !isnum(FC)) {
+                return true //跳出換下一個
+            }
+            z = cdbl(z)
+            if (isnum(wl) && z < cdbl(wl)) {
+                return true //跳出換下一個
+            }
+            if (z > 20) {
+                return true //跳出換下一個
+            }
+            if (cdbl(N160) >= 15) {
+                return true //跳出換下一個
+            }
+            let isGranular = isestr(sc) ? (sc[0] === 'S' || sc[0] === 'G') : cdbl(FC) < 50
+            if (!isGranular) {
+                return true //跳出換下一個
+            }
+            let h = cdbl(ze) - cdbl(zs)
+            T15 += h
+            sFC += cdbl(FC) * h
+            if (isnum(D50)) {
+                sD50 += cdbl(D50) * h
+            }
+            else {
+                hasD50 = false
+            }
+        })
+
+        //LDYoud
+        let LDYoud = ''
+        if (T15 <= 0) {
+            LDYoud = 0
+        }
+        else if (!hasD50) {
+            err.push(`${m}: T15範圍內土層D50非數字，無法計算Youd et al.(2002)側潰位移`)
+        }
+        else if (R === null) {
+            err.push(`${m}: opt.R非數字，無法計算Youd et al.(2002)側潰位移`)
+        }
+        else if (Mw === null) {
+            err.push(`${m}: Mw非數字，無法計算Youd et al.(2002)側潰位移`)
+        }
+        else {
+            LDYoud = calcYoudMLR({
+                mode,
+                Mw,
+                R,
+                S: slope,
+                W: 100 / ratioLH, //自由面比值W=H/L(%)
+                T15,
+                F15: sFC / T15,
+                D5015: sD50 / T15,
+            })
+        }
+
+        //save
+        dtRes[`${m}-T15`] = T15
+        dtRes[`${m}-F15`] = T15 > 0 ? sFC / T15 : ''
+        dtRes[`${m}-D5015`] = T15 > 0 && hasD50 ? sD50 / T15 : ''
+        dtRes[`${m}-LDYoud`] = LDYoud
+
+    })
+
+    //err
+    dtRes.err = join(err, '; ')
+
+    return {
+        ltdt,
+        dtRes,
+    }
+}
+
+
+export default calcLateralSpreading
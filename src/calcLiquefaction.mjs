@@ -11,6 +11,8 @@ import isNumber from 'lodash-es/isNumber.js'
 import get from 'lodash-es/get.js'
 import split from 'lodash-es/split.js'
 import keys from 'lodash-es/keys.js'
+import has from 'lodash-es/has.js'
+import mapValues from 'lodash-es/mapValues.js'
 import cloneDeep from 'lodash-es/cloneDeep.js'
 import cdbl from 'wsemi/src/cdbl.mjs'
 import cint from 'wsemi/src/cint.mjs'
@@ -21,10 +23,14 @@ import replace from 'wsemi/src/replace.mjs'
 import sep from 'wsemi/src/sep.mjs'
 import isnum from 'wsemi/src/isnum.mjs'
 import isestr from 'wsemi/src/isestr.mjs'
+import isarr from 'wsemi/src/isarr.mjs'
 import isearr from 'wsemi/src/isearr.mjs'
+import iseobj from 'wsemi/src/iseobj.mjs'
 import isfun from 'wsemi/src/isfun.mjs'
+import isbol from 'wsemi/src/isbol.mjs'
 import interp1 from 'wsemi/src/interp1.mjs'
 import dtmapping from 'wsemi/src/dtmapping.mjs'
+import jt from 'w-statistic/src/jStat.mjs'
 import cnst from './cnst.mjs'
 import { intrpDefPp } from './intrpDefParam.mjs'
 import checkDepthStartEnd from './checkDepthStartEnd.mjs'
@@ -32,6 +38,7 @@ import relaPorous from './relaPorous.mjs'
 import checkVerticalStress from './checkVerticalStress.mjs'
 import calcVerticalStress from './calcVerticalStress.mjs'
 import { calcCptCore } from './calcCpt.mjs'
+import calcCptThinLayerCorrection from './calcCptThinLayerCorrection.mjs'
 
 
 //g, 重力加速度(m/s2)
@@ -81,6 +88,23 @@ let mergeFS = (oldFS, newFS) => {
 }
 
 
+//Ishihara(1985)地表破壞邊界, 各PGA(g)對應之邊界曲線, x為液化層厚度H2(m), y為非液化表層厚度H1(m), 依原圖簡化為線性上升後持平
+let kpIshiharaBoundary = [
+    {
+        PGA: 0.2,
+        data: [[0, 0], [3, 3], [100, 3]],
+    },
+    {
+        PGA: 0.3,
+        data: [[0, 0], [3, 6], [100, 6]],
+    },
+    {
+        PGA: 0.45, //原圖為400~500gal
+        data: [[0, 0], [3, 9], [100, 9]],
+    },
+]
+
+
 //簡易液化評估法之FS取用與限制
 let t = `
 
@@ -110,6 +134,7 @@ let t = `
 1. FS=3  : JRA法特有: 地下水低於地表下10m以下視為非液化
 1. FS=3  : JRA法特有: 細料含量>35%且PI值>=15視為非液化
 1. FS=3  : JRA法特有: D50>10mm或D10>1mm視為非液化
+1. FS=3  : IB法特有: N160cs>=37視為非液化
 
 ### 2.2 可進行液化分析但無法計算有效FS
 1. FS=3 : 垂直總應力sv<=0
@@ -925,11 +950,12 @@ function sptSettlement(N160, N172, CSR, FS) {
  * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
  * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
  * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
  * @returns {Object} 回傳計算後數據物件
  * @example
  * 待補充
  */
-function sptSeed({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw }) {
+function sptSeed({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, rdSR }) {
     //Seed et al.(1985)
     let err = []
     let MSF = ''
@@ -1191,6 +1217,11 @@ function sptSeed({ noLiqueMode = 'new', waterLevelDesign, soilClassification, de
     //rrd, 應力折減係數, 公式出自土壤液化條文修訂
     rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
 
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
     let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
     CN = Math.min(Math.sqrt(Pa / svpUsual), 1.7)
     N160 = CN * N60 //N60通過有效覆土應力修正為N160
@@ -1486,11 +1517,12 @@ function sptSeed({ noLiqueMode = 'new', waterLevelDesign, soilClassification, de
  * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
  * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
  * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
  * @returns {Object} 回傳計算後數據物件
  * @example
  * 待補充
  */
-function sptHBF({ ver = '2012', noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, PI, sv, svpUsual, svpDesign, PGA, Mw }) {
+function sptHBF({ ver = '2012', noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, PI, sv, svpUsual, svpDesign, PGA, Mw, rdSR }) {
     //HBF(ver=2012,2017)
     let err = []
     let MSF = ''
@@ -1790,6 +1822,11 @@ function sptHBF({ ver = '2012', noLiqueMode = 'new', waterLevelDesign, soilClass
         rrd = 1.2 - 0.03 * depth
     }
 
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
     if (FC <= 10) {
         ks = 1.0
     }
@@ -1899,11 +1936,12 @@ function sptHBF({ ver = '2012', noLiqueMode = 'new', waterLevelDesign, soilClass
  * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
  * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
  * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
  * @returns {Object} 回傳計算後數據物件
  * @example
  * 待補充
  */
-function sptNCEER({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw }) {
+function sptNCEER({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, rdSR }) {
     //NCEER(1997)
     let err = []
     let MSF = ''
@@ -2167,6 +2205,11 @@ function sptNCEER({ noLiqueMode = 'new', waterLevelDesign, soilClassification, d
     //rrd, 應力折減係數
     rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
 
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
     if (FC <= 5) {
         alpha = 0
     }
@@ -2299,11 +2342,12 @@ function sptNCEER({ noLiqueMode = 'new', waterLevelDesign, soilClassification, d
  * @param {Number} [row.svpUsual] 輸入樣本中點深度之常時垂直有效應力數字，單位(kN/m2)
  * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
  * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
  * @returns {Object} 回傳計算後數據物件
  * @example
  * 待補充
  */
-function sptNJRA({ ver = '1996', noLiqueMode = 'new', waterLevelDesign, soilClassification, vibrationType, depth, N60, FC, PI, D50, D10, sv, svpUsual, svpDesign, PGA }) {
+function sptNJRA({ ver = '1996', noLiqueMode = 'new', waterLevelDesign, soilClassification, vibrationType, depth, N60, FC, PI, D50, D10, sv, svpUsual, svpDesign, PGA, rdSR }) {
     //NJRA(ver=1996,2017)
     let err = []
     let rrd = ''
@@ -2657,6 +2701,11 @@ function sptNJRA({ ver = '1996', noLiqueMode = 'new', waterLevelDesign, soilClas
     //rrd, 應力折減係數
     rrd = 1 - 0.015 * depth
 
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
     N72 = N60 / (72 / 60) //修正鑽桿能量(打擊能量比ER)至72%
     //let N172 = N72 * 1.7 / (svp + 0.7) //原莊長賢excel使用, 其g值使用10而非9.81
     // let r = 98.134256 //1 kg/cm2 to kPa = 98.134256
@@ -2883,11 +2932,12 @@ function sptNJRA({ ver = '1996', noLiqueMode = 'new', waterLevelDesign, soilClas
  * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
  * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
  * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
  * @returns {Object} 回傳計算後數據物件
  * @example
  * 待補充
  */
-function sptTY({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, a, n, Cr, Cs, N60, FC, sv, svpUsual, svpDesign, PGA, Mw }) {
+function sptTY({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, a, n, Cr, Cs, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, rdSR }) {
     //TY(1983), N值的鑽桿能量修正原本為80%, 現統一為72% (2021/03/11)
     let err = []
     let rrd = ''
@@ -3171,6 +3221,11 @@ function sptTY({ noLiqueMode = 'new', waterLevelDesign, soilClassification, dept
     //rrd, 應力折減係數
     rrd = 1 - 0.015 * depth
 
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
     N72 = N60 / (72 / 60) //修正鑽桿能量(打擊能量比ER)至72%
     // let r = 98.134256 //1 kg/cm2 to kPa = 98.134256
     // CN = 170 / (svp * r + 70) //svp需由kg/cm2轉kPa
@@ -3260,145 +3315,50 @@ function sptTY({ noLiqueMode = 'new', waterLevelDesign, soilClassification, dept
 }
 
 
-function cptGetCommonKeys() {
-    let t = `
-    
-    u0,
-    qt,
-    qnet,
-    Bq,
-    Qt,
-
-    `
-    t = replace(t, ',', '')
-    let ks = sep(t, '\n')
-    return ks
-}
-
-
-function cptGetCommonData(r) {
-    let ks = cptGetCommonKeys()
-    // console.log('cptGetCommonKeys ks', ks)
-    return dtmapping(r, ks)
-}
-
-
-function cptGetMethodKeys() {
-    let t = `
-        
-    Qtn,
-    Rf,
-    Fr,
-    Ic,
-    Icn,
-    n,
-    Cn,
-
-    iIc,
-    iIcn,
-    iRobBqqt,
-    iRobRfqt,
-    iRobBqQt,
-    iRobFrQt,
-    iRobBqQtn,
-    iRobFrQtn,
-    iRamBqQt,
-    iRamFrQt,
-
-    `
-    t = replace(t, ',', '')
-    let ks = sep(t, '\n')
-    return ks
-}
-
-
-function cptGetMethodData(r) {
-    let ks = cptGetMethodKeys()
-    // console.log('cptGetMethodKeys ks', ks)
-    return dtmapping(r, ks)
-}
-
-
-function cptGetData(r) {
-    // console.log('r', r)
-    let rr = { ...cptGetCommonData(r), ...cptGetMethodData(r) }
-    // console.log('rr', rr)
-    return rr
-}
-
-
-function cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq) {
-
-    //u0(MPa), 現地孔隙壓力
-    let u0 = intrpDefPp(depth, 'MPa') //u0(MPa)
-
-    //CPT分析
-    let rc = null
-    if (true) {
-
-        //轉換單位成為MPa
-        let _sv = sv / 1000 //kPa -> MPa
-        let _svpUsual = svpUsual / 1000 //kPa -> MPa
-        // let _svpDesign = svpDesign / 1000 //kPa -> MPa
-        let _qc = qc //MPa
-        let _fs = fs //MPa
-        let _u2 = u2 //MPa
-        let _u0 = u0 //MPa
-
-        //dt
-        let dt = {
-            depth,
-            coe_a,
-            sv: _sv,
-            svp: _svpUsual, //使用常時垂直有效應力
-            qc: _qc,
-            fs: _fs,
-            u0: _u0,
-            u2: _u2,
-        }
-
-        //calcCptCore, 此處限制輸入與輸出皆使用MPa
-        rc = calcCptCore(dt, { useCnLeq, unitSvSvp: 'MPa' })
-        // Ic = get(rc, 'Ic', null)
-        // Icn = get(rc, 'Icn', null)
-
-    }
-
-    return rc
-}
-
-
-function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw }) {
-    //HBF(ver=2012,2017,2021)
-    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+/**
+ * Idriss and Boulanger液化分析
+ *
+ * @memberOf w-geo
+ * @param {Object} row 輸入數據物件
+ * @param {String} [row.ver='2014'] 輸入版本字串，預設'2014'
+ * @param {String} [row.noLiqueMode='new'] 輸入判斷非液化之土壤分類模式字串，預設'new'
+ * @param {Number} [row.waterLevelDesign=0] 輸入設計地下水位數字，單位m，預設0
+ * @param {String} [row.soilClassification='SW'] 輸入USCS土壤分類字串，預設'SW'
+ * @param {Number} [row.depth] 輸入樣本所在中點深度數字，單位m
+ * @param {Number} [row.N60] 輸入樣本N60數字
+ * @param {Number} [row.FC] 輸入樣本細粒料含量數字，單位%
+ * @param {Number} [row.sv] 輸入樣本中點深度之垂直總應力數字，單位(kN/m2)
+ * @param {Number} [row.svpUsual] 輸入樣本中點深度之常時垂直有效應力數字，單位(kN/m2)
+ * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
+ * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
+ * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
+ * @returns {Object} 回傳計算後數據物件
+ * @example
+ * 待補充
+ */
+function sptIB({ ver = '2014', noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, rdSR }) {
+    //Idriss and Boulanger(2008), Boulanger and Idriss(2014)
     let err = []
-    let rc = {}
     let MSF = ''
     let rrd = ''
-    let Ic = ''
-    let Icn = ''
-    let qt = ''
-    let qc1N = ''
-    let qc1Ncs = ''
-    let Rf = ''
-    let Kc = ''
+    let Ksigma = ''
+    let m = ''
+    let CN = ''
+    let N160 = ''
+    let dN160 = ''
+    let N160cs = ''
+    let N172 = ''
     let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
     let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
+    let vstrTS = ''
+    let vstrIY = ''
 
     function ret() {
-        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
-        // if (isnum(qc1N)) {
-        //     qc1N = qc1N / 1000 / cvru //kg/cm2 -> MPa
-        // }
-        // if (isnum(qc1Ncs)) {
-        //     qc1Ncs = qc1Ncs / 1000 / cvru //kg/cm2 -> MPa
-        // }
-        let r = { ...cptGetData(rc), rrd, Ic, Icn, qc1N, Kc, qc1Ncs, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        let r = { rrd, MSF, Ksigma, m, CN, N160, dN160, N160cs, N172, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), vstrTS, vstrIY, err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -3413,23 +3373,11 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
     while (true) {
 
         //check ver
-        if (ver !== '2012' && ver !== '2017' && ver !== '2021') {
-            err.push(`ver${brk(ver)}非2012或2017或2021`)
+        if (ver !== '2014') {
+            err.push(`ver${brk(ver)}非2014`)
             return ret() //重大錯誤直接報錯結束
         }
 
-        //check coe_a
-        if (!isnum(coe_a)) {
-            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
-            coe_a = 0.8
-        }
-        else {
-
-            //cdbl
-            coe_a = cdbl(coe_a)
-
-        }
-
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -3448,6 +3396,12 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
 
         }
 
+        //check noLiqueMode
+        if (noLiqueMode !== 'new' && noLiqueMode !== 'classic') {
+            err.push(`noLiqueMode${brk(noLiqueMode)}非'new'或'classic'，強制預設為'new'`)
+            noLiqueMode = 'new'
+        }
+
         //check waterLevelUsual, 不使用故不需檢查
 
         //check waterLevelDesign
@@ -3468,6 +3422,20 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
 
         }
 
+        //check soilClassification, 暫時用統一土壤分類區分 2021/05/07
+        if (!isestr(soilClassification)) {
+            err.push(`soilClassification${brk(soilClassification)}非有效字串，強制預設為SW`) //可在配合N60一併檢查才強制給SW
+            soilClassification = 'SW'
+        }
+        //soilClassification = cstr(soilClassification)
+
+        //非液化: 統一土壤分類屬黏土, (N160cs>=30, 於後面處理)
+        if (isNoLiqueByUSCS(soilClassification, noLiqueMode)) {
+            stateFS.push(`非液化之土壤分類${brk(soilClassification)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
         //非液化: 地下水位以上
         if (depth < waterLevelDesign) {
             stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
@@ -3482,87 +3450,64 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check qc
-        if (!isnum(qc)) {
-            err.push(`qc${brk(qc)}非數字`)
+        //check N60
+        if (!isnum(N60)) {
+            err.push(`N60${brk(N60)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            qc = cdbl(qc)
+            N60 = cdbl(N60)
 
             //check
-            if (qc < 0) {
-                err.push(`qc${brk(qc)}<0`)
+            if (N60 < 0) {
+                err.push(`N60${brk(N60)}<0`)
                 delayErr = true
             }
 
+            //非液化: N值>=50
+            if (N60 >= 50) {
+                stateFS.push(`N60${brk(N60)}>=50`)
+                noLique = true
+                FS = mergeFS(FS, limFSNoliqForSpec)
+            }
+
         }
 
-        //check fs
-        if (!isnum(fs)) {
-            err.push(`fs${brk(fs)}非數字`)
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            fs = cdbl(fs)
+            FC = cdbl(FC)
 
             //check
-            if (fs < 0) {
-                err.push(`fs${brk(fs)}<0`)
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
                 delayErr = true
             }
 
         }
 
-        //check u2
-        if (!isnum(u2)) {
-            err.push(`u2${brk(u2)}非數字`)
-            delayErr = true
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
         else {
 
             //cdbl
-            u2 = cdbl(u2)
+            svpUsual = cdbl(svpUsual)
 
-            // //check, 須允許水壓負值
-            // if (u2 < 0) {
-            //     err.push(`u2${brk(u2)}<0`)
-            //     delayErr = true
-            // }
-
-        }
-
-        //check svp, 若有svp則直接複寫svpUsual與svpDesign
-        if (isnum(svp)) {
-
-            //cdbl
-            svp = cdbl(svp)
-
-            //save
-            svpUsual = svp
-            svpDesign = svp
-
-        }
-
-        //check svpUsual
-        if (!isnum(svpUsual)) {
-            err.push(`svpUsual${brk(svpUsual)}非數字`)
-            return ret() //重大錯誤直接報錯結束
-        }
-        else {
-
-            //cdbl
-            svpUsual = cdbl(svpUsual)
-
-            //check
-            if (svpUsual < 0) {
-                err.push(`svpUsual${brk(svpUsual)}<0`)
-                return ret() //重大錯誤直接報錯結束
-            }
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
         }
 
@@ -3657,72 +3602,73 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
         return ret() //觸發延遲報錯並結束
     }
 
-    //CPT分析
-    let useCnLeq = true //HBF法有限制Cn要小於等於1.7, 故得使用useCnLeq=true
-    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    // Fr = get(rc, 'Fr', null)
-    Ic = get(rc, 'Ic', null)
-    Icn = get(rc, 'Icn', null)
-    qt = get(rc, 'qt', null)
-    // Qt = get(rc, 'Qt', null)
-    // Qtn = get(rc, 'Qtn', null)
-    Rf = get(rc, 'Rf', null)
+    //rrd, 應力折減係數, Idriss(1999)
+    let alpha = -1.012 - 1.126 * Math.sin(depth / 11.73 + 5.133)
+    let beta = 0.106 + 0.118 * Math.sin(depth / 11.28 + 5.142)
+    rrd = Math.exp(alpha + beta * Mw)
 
-    //check
-    if (!isnum(qt)) {
-        err.push(`qt${brk(qt)}非數字`)
-        return ret() //重大錯誤直接報錯結束
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
 
-    //轉換單位成為kg/cm2
-    sv = sv * cvru //kPa -> kg/cm2
-    svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    qt = qt * 1000 * cvru //MPa -> kg/cm2
+    //dN160, 細粒料修正
+    dN160 = Math.exp(1.63 + 9.7 / (FC + 0.01) - (15.7 / (FC + 0.01)) ** 2)
 
-    //MSFPow, 原莊長賢excel內MSFPow=-1.11
-    let MSFPow = null
-    if (ver === '2012') {
-        MSFPow = -3.3
-    }
-    else if (ver === '2017' || ver === '2021') {
-        MSFPow = -1.8 //-1.8為「依據2016土壤液化評估方法研討會結論後修正」, 依照「楊智堯_臺中市中級土壤液化潛勢地圖製作與系統說明.pdf」標注此為2017版
-    }
+    //CN, 迭代計算, 應力指數m與N160cs相關
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    N160cs = N60 + dN160 //迭代初始值
+    let i = 0
+    while (true) {
+        i++
 
-    //MSF, 規模修正因子
-    MSF = (Mw / 7.5) ** (MSFPow)
+        //m, N160cs限制於0~46
+        let _N160cs = Math.min(Math.max(N160cs, 0), 46)
+        m = 0.784 - 0.0768 * Math.sqrt(_N160cs)
 
-    //rrd, 應力折減係數
-    if (depth <= 10) {
-        rrd = 1 - 0.01 * depth
-    }
-    else {
-        rrd = 1.2 - 0.03 * depth
-    }
+        //CN, 最大1.7
+        CN = Math.min((Pa / svpUsual) ** m, 1.7)
+        N160 = CN * N60 //N60通過有效覆土應力修正為N160
+        let N160csNew = N160 + dN160
 
-    //qc1N, 單位基於kg/cm2但無法確切定義其單位, 故不給予
-    qc1N = 1.7 / (svpUsual + 0.7) * qt //kg/cm2
-    // qc1N = 170 / (svpUsual + 70) * qt //kN/m2
+        //check 收斂性
+        let diff = Math.abs(N160csNew - N160cs)
+        N160cs = N160csNew
+        if (diff <= 1e-6) {
+            break
+        }
+
+        //check
+        if (i >= 100) {
+            err.push(`CN迭代超過100次未收斂`)
+            break
+        }
 
-    //Kc, 管壁摩擦量對錐尖阻抗qc值之影響係數
-    if (Rf <= 0.1) {
-        Kc = 1.0
     }
-    else {
-        Kc = 0.4 * Rf ** 2 - 0.08 * Rf + 1.004
+
+    //非液化: (地下水位以上, 統一土壤分類屬黏土, 已於前面處理), N160cs>=37
+    if (N160cs >= 37) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`N160cs${brk(N160cs)}>=37`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        FS = mergeFS(FS, limFSNoliqForSpec)
+        return ret() //已於while區塊外, 無錯誤並結束
     }
 
-    //qc1Ncs, 單位基於kg/cm2但無法確切定義其單位, 故不給予
-    qc1Ncs = Kc * qc1N
+    //MSF, 規模修正因子, 2014版與N160cs相關
+    let MSFmax = Math.min(1.09 + (N160cs / 31.5) ** 2, 2.2)
+    MSF = 1 + (MSFmax - 1) * (8.64 * Math.exp(-Mw / 4) - 1.325)
 
-    //CRR75
-    CRR75 = 1e20
-    if (qc1Ncs < 180) {
-        CRR75 = 0.09 + (0.00028 * qc1Ncs) / (1 - qc1Ncs / 180) //基於kg/cm2
-    }
+    //Ksigma, 覆土應力修正因子, 使用設計垂直有效應力
+    let Csigma = Math.min(1 / (18.9 - 2.55 * Math.sqrt(N160cs)), 0.3)
+    Ksigma = Math.min(1 - Csigma * Math.log(svpDesign / Pa), 1.1)
+
+    //CRR75, 對應Mw=7.5與svp=1atm
+    CRR75 = Math.exp(N160cs / 14.1 + (N160cs / 126) ** 2 - (N160cs / 23.6) ** 3 + (N160cs / 25.4) ** 4 - 2.8)
 
     //CRR
-    CRR = CRR75 * MSF
+    CRR = CRR75 * MSF * Ksigma
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
@@ -3730,7 +3676,7 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
     //CSR
     CSR = null
     if (svpDesign > 0) {
-        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+        CSR = 0.65 * (sv / svpDesign) * PGA * rrd
     }
     else {
         CSR = 1e20
@@ -3760,41 +3706,6 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
         FS = limFSMax
     }
 
-    //非液化: 若是qc1Ncs大於180則直接判定為非液化
-    if (qc1Ncs >= 180) {
-        // err = [] //第二階段不清除錯誤
-        stateFS.push(`qc1Ncs${brk(qc1Ncs)}>=180`)
-        // CRR = '-' //已計算CRR故不複寫
-        // CSR = '-' //已計算CSR故不複寫
-        FS = mergeFS(FS, limFSNoliqForBasic)
-        return ret() //已於while區塊外, 無錯誤並結束
-    }
-
-    //2021版使用Icn檢查砂黏性土
-    if (ver === '2021') {
-
-        //useIc
-        let useIc = null
-        if (useIc === null && isNumber(Icn)) {
-            useIc = Icn
-        }
-        if (useIc === null && isNumber(Ic)) {
-            err.push(`無法計算Icn，強制降轉使用Ic`)
-            useIc = Ic
-        }
-
-        //非液化: 若是useIc大於2.6則判定為非液化, 國震簡訊120期(2021)
-        if (useIc > 2.6) {
-            // err = [] //第二階段不清除錯誤
-            stateFS.push(`Ic${brk(useIc)}>2.6`)
-            // CRR = '-' //已計算CRR故不複寫
-            // CSR = '-' //已計算CSR故不複寫
-            FS = mergeFS(FS, limFSNoliqForBasic)
-            return ret() //已於while區塊外, 無錯誤並結束
-        }
-
-    }
-
     //check
     if (CRR < 0) {
         err.push(`CRR${brk(CRR)}<0`)
@@ -3810,42 +3721,62 @@ function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp,
         FS = 0
     }
 
+    //N172
+    N172 = N160 / (72 / 60) //修正鑽桿能量(打擊能量比ER)至72%
+
+    //sptSettlement
+    let slt = sptSettlement(N160, N172, CSR, FS)
+    err = [...err, ...slt.err]
+    vstrTS = slt.vstrTS
+    vstrIY = slt.vstrIY
+
     return ret()
 }
 
 
-function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw }) {
-    //NCEER液化研討會(1996)中Robertson利用Robertson(1990)所建立之CPT試驗土壤分類圖表，直接以錐尖阻抗qc及袖管摩擦比Rf為參數，
-    //建立土壤行為類型指數Ic(Soil Behavior Type Index)，取代以往以平均粒徑D50來表示細粒料對土壤抗液化能力的影響，
-    //建立全CPT法之土壤臨界液化強度曲線，即NCEER(1997)所選用之方法。詳細流程圖可見Robertson and Wride(1998)。
-    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+/**
+ * Cetin機率式液化分析
+ *
+ * 應力折減係數rd未採用Cetin et al.(2004)原式(需Mw, amax與上方12m平均剪力波速Vs,12m), 而以NCEER(1997)之Liao & Whitman式取代, 故CSR與原文略有差異, 有場址反應分析時可由rdSR取代
+ *
+ * @memberOf w-geo
+ * @param {Object} row 輸入數據物件
+ * @param {String} [row.ver='2004'] 輸入版本字串，預設'2004'
+ * @param {String} [row.noLiqueMode='new'] 輸入判斷非液化之土壤分類模式字串，預設'new'
+ * @param {Number} [row.waterLevelDesign=0] 輸入設計地下水位數字，單位m，預設0
+ * @param {String} [row.soilClassification='SW'] 輸入USCS土壤分類字串，預設'SW'
+ * @param {Number} [row.depth] 輸入樣本所在中點深度數字，單位m
+ * @param {Number} [row.N60] 輸入樣本N60數字
+ * @param {Number} [row.FC] 輸入樣本細粒料含量數字，單位%
+ * @param {Number} [row.sv] 輸入樣本中點深度之垂直總應力數字，單位(kN/m2)
+ * @param {Number} [row.svpUsual] 輸入樣本中點深度之常時垂直有效應力數字，單位(kN/m2)
+ * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
+ * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
+ * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.PLiqDesign=0.15] 輸入計算決定性CRR所用之液化機率數字，預設0.15
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代簡化應力折減係數rd，預設不使用
+ * @returns {Object} 回傳計算後數據物件
+ * @example
+ * 待補充
+ */
+function sptCetin({ ver = '2004', noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, PLiqDesign, rdSR }) {
+    //Cetin et al.(2004), 使用排除量測與估計誤差之迴歸係數, 模型不確定性sigma=2.70
     let err = []
-    let rc = {}
-    let MSF = ''
     let rrd = ''
-    let Ic = ''
-    let Fr = ''
-    let qt = ''
-    let Qt = ''
-    let Qt1n = ''
-    let Kc = ''
-    let Qt1ncs = ''
+    let CN = ''
+    let N160 = ''
+    let N172 = ''
     let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
+    let PLiq = ''
     let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
+    let vstrTS = ''
+    let vstrIY = ''
 
     function ret() {
-        if (isnum(Qt1n)) {
-            Qt1n = Qt1n / cvru
-        }
-        if (isnum(Qt1ncs)) {
-            Qt1ncs = Qt1ncs / cvru
-        }
-        let r = { ...cptGetData(rc), rrd, Qt1n, Ic, Kc, Qt1ncs, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        let r = { rrd, CN, N160, N172, CRR75, CRR, CSR, FS, PLiq, stateFS: join(stateFS, '; '), vstrTS, vstrIY, err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -3860,23 +3791,11 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
     while (true) {
 
         //check ver
-        if (ver !== '1997') {
-            err.push(`ver${brk(ver)}非1997`)
+        if (ver !== '2004') {
+            err.push(`ver${brk(ver)}非2004`)
             return ret() //重大錯誤直接報錯結束
         }
 
-        //check coe_a
-        if (!isnum(coe_a)) {
-            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
-            coe_a = 0.8
-        }
-        else {
-
-            //cdbl
-            coe_a = cdbl(coe_a)
-
-        }
-
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -3895,6 +3814,12 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
 
         }
 
+        //check noLiqueMode
+        if (noLiqueMode !== 'new' && noLiqueMode !== 'classic') {
+            err.push(`noLiqueMode${brk(noLiqueMode)}非'new'或'classic'，強制預設為'new'`)
+            noLiqueMode = 'new'
+        }
+
         //check waterLevelUsual, 不使用故不需檢查
 
         //check waterLevelDesign
@@ -3915,6 +3840,20 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
 
         }
 
+        //check soilClassification, 暫時用統一土壤分類區分 2021/05/07
+        if (!isestr(soilClassification)) {
+            err.push(`soilClassification${brk(soilClassification)}非有效字串，強制預設為SW`) //可在配合N60一併檢查才強制給SW
+            soilClassification = 'SW'
+        }
+        //soilClassification = cstr(soilClassification)
+
+        //非液化: 統一土壤分類屬黏土, (N160cs>=30, 於後面處理)
+        if (isNoLiqueByUSCS(soilClassification, noLiqueMode)) {
+            stateFS.push(`非液化之土壤分類${brk(soilClassification)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
         //非液化: 地下水位以上
         if (depth < waterLevelDesign) {
             stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
@@ -3929,81 +3868,58 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check qc
-        if (!isnum(qc)) {
-            err.push(`qc${brk(qc)}非數字`)
+        //check N60
+        if (!isnum(N60)) {
+            err.push(`N60${brk(N60)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            qc = cdbl(qc)
+            N60 = cdbl(N60)
 
             //check
-            if (qc < 0) {
-                err.push(`qc${brk(qc)}<0`)
+            if (N60 < 0) {
+                err.push(`N60${brk(N60)}<0`)
                 delayErr = true
             }
 
+            //非液化: N值>=50
+            if (N60 >= 50) {
+                stateFS.push(`N60${brk(N60)}>=50`)
+                noLique = true
+                FS = mergeFS(FS, limFSNoliqForSpec)
+            }
+
         }
 
-        //check fs
-        if (!isnum(fs)) {
-            err.push(`fs${brk(fs)}非數字`)
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            fs = cdbl(fs)
+            FC = cdbl(FC)
 
             //check
-            if (fs < 0) {
-                err.push(`fs${brk(fs)}<0`)
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
                 delayErr = true
             }
 
         }
 
-        //check u2
-        if (!isnum(u2)) {
-            err.push(`u2${brk(u2)}非數字`)
-            delayErr = true
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
         else {
 
             //cdbl
-            u2 = cdbl(u2)
-
-            // //check, 須允許水壓負值
-            // if (u2 < 0) {
-            //     err.push(`u2${brk(u2)}<0`)
-            //     delayErr = true
-            // }
-
-        }
-
-        //check svp, 若有svp則直接複寫svpUsual與svpDesign
-        if (isnum(svp)) {
-
-            //cdbl
-            svp = cdbl(svp)
-
-            //save
-            svpUsual = svp
-            svpDesign = svp
-
-        }
-
-        //check svpUsual
-        if (!isnum(svpUsual)) {
-            err.push(`svpUsual${brk(svpUsual)}非數字`)
-            return ret() //重大錯誤直接報錯結束
-        }
-        else {
-
-            //cdbl
-            svpUsual = cdbl(svpUsual)
+            svpUsual = cdbl(svpUsual)
 
             //check
             if (svpUsual < 0) {
@@ -4093,6 +4009,7 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         err = [] //清除錯誤
         CRR = '-'
         CSR = '-'
+        PLiq = 0
         if (!isnum(FS)) {
             throw new Error(`FS[${FS}]非數字`)
         }
@@ -4104,123 +4021,59 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         return ret() //觸發延遲報錯並結束
     }
 
-    //CPT分析
-    let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
-    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    Fr = get(rc, 'Fr', null)
-    Ic = get(rc, 'Ic', null)
-    // Icn = get(rc, 'Icn', null)
-    qt = get(rc, 'qt', null)
-    Qt = get(rc, 'Qt', null)
-    // Qtn = get(rc, 'Qtn', null)
-
-    //check
-    if (!isnum(qt)) {
-        err.push(`qt${brk(qt)}非數字`)
-        return ret() //重大錯誤直接報錯結束
+    //check PLiqDesign
+    if (!isnum(PLiqDesign)) {
+        PLiqDesign = 0.15 //Cetin et al.(2004)建議決定性分析採用PL=15%
+    }
+    else {
+        PLiqDesign = cdbl(PLiqDesign)
+        if (PLiqDesign <= 0 || PLiqDesign >= 1) {
+            err.push(`PLiqDesign${brk(PLiqDesign)}須介於0至1之間，強制預設為0.15`)
+            PLiqDesign = 0.15
+        }
     }
 
-    //轉換單位成為kg/cm2
-    sv = sv * cvru //kPa -> kg/cm2
-    svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    qt = qt * 1000 * cvru //MPa -> kg/cm2
-
-    //MSF, 規模修正因子
-    MSF = (Mw / 7.5) ** (-2.56)
+    //th, 迴歸係數與模型不確定性
+    let th1 = 0.004
+    let th2 = 13.32
+    let th3 = 29.53
+    let th4 = 3.70
+    let th5 = 0.05
+    let th6 = 16.85
+    let sigma = 2.70
 
-    //rrd, 應力折減係數
+    //rrd, 應力折減係數, Cetin et al.(2004)原式需Vs,12m, 此處以NCEER(1997)之rd取代
     rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
 
-    //Q(none)
-    // let Q = null
-    // if (svpUsual > 0) {
-    //     Q = (qt - sv) / svpUsual
-    // }
-    // else {
-    //     Q = 1e20
-    // }
-    let Q = Qt
-
-    //F(%)
-    // let F = (fs / (qt - sv)) * 100
-    let F = Fr
-
-    //Qt1n(none), Ic(none), 有另外計算Ic
-    let Ict = Math.sqrt((3.47 - Math.log10(Q)) ** 2 + (Math.log10(F) + 1.22) ** 2)
-    if (Ict <= 2.6) {
-        let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
-        Pa = Pa * cvru //kPa -> kg/cm2
-        if (svpUsual > 0) {
-            Qt1n = (qt / Pa) * (Pa / svpUsual) ** 0.5
-        }
-        else {
-            Qt1n = 1e20
-        }
-        let _Ict = Math.sqrt((3.47 - Math.log10(Qt1n)) ** 2 + (Math.log10(F) + 1.22) ** 2)
-        if (_Ict <= 2.6) {
-            Ic = _Ict
-        }
-        else {
-            if (svpUsual > 0) {
-                Qt1n = (qt / Pa) * (Pa / svpUsual) ** 0.75
-            }
-            else {
-                Qt1n = 1e20
-            }
-            Ic = Math.sqrt((3.47 - Math.log10(Qt1n)) ** 2 + (Math.log10(F) + 1.22) ** 2)
-        }
-    }
-    else {
-        Qt1n = Q
-        Ic = Ict
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
 
-    //非液化: 若是Ic大於等於2.6則須使用其他判斷準則, 或判定為非液化
-    if (Ic >= 2.6) {
-        // err = [] //第二階段不清除錯誤
-        stateFS.push(`Ic${brk(Ic)}>=2.6`)
-        CRR = '-' //尚未計算CRR故複寫「-」
-        CSR = '-' //尚未計算CSR故複寫「-」
-        FS = mergeFS(FS, limFSNoliqForBasic)
-        return ret() //已於while區塊外, 無錯誤並結束
-    }
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    CN = Math.min(Math.sqrt(Pa / svpUsual), 1.6) //Cetin et al.(2004)限制CN最大1.6
+    N160 = CN * N60 //N60通過有效覆土應力修正為N160
 
-    //Kc
-    if (Ic <= 1.64) {
-        Kc = 1.0
-    }
-    else { //1.64<Ic<2.6
-        Kc = -0.403 * Ic ** 4 + 5.581 * Ic ** 3 - 21.63 * Ic ** 2 + 33.75 * Ic - 17.88
-        if (Ic < 2.36 && F < 0.5) {
-            Kc = 1.0
-        }
-    }
+    //FC, 迴歸範圍限制於5~35%
+    let _FC = Math.min(Math.max(FC, 5), 35)
 
-    //Qt1ncs(none)
-    Qt1ncs = Kc * Qt1n
+    //NN, 考慮細粒料之N160
+    let NN = N160 * (1 + th1 * _FC)
 
-    //非液化: 若Qt1ncs大於160(none)則直接判定為非液化
-    if (Qt1ncs >= 160) {
-        // err = [] //第二階段不清除錯誤
-        stateFS.push(`Qt1ncs${brk(Qt1ncs)}>=160`)
-        CRR = '-' //尚未計算CRR故複寫「-」
-        CSR = '-' //尚未計算CSR故複寫「-」
-        FS = mergeFS(FS, limFSNoliqForBasic)
-        return ret() //已於while區塊外, 無錯誤並結束
-    }
+    //lnsvp, 使用設計垂直有效應力
+    let lnsvp = Math.log(Math.max(svpDesign, 1e-6) / Pa)
 
-    //CRR75
-    CRR75 = null
-    if (Qt1ncs < 50) {
-        CRR75 = 0.833 * (Qt1ncs / 1000) + 0.05
-    }
-    else { //50<=Qt1ncs<160
-        CRR75 = 93 * (Qt1ncs / 1000) ** 3 + 0.08
+    //crr
+    let crr = (Mw, lnsvp, pl) => {
+        let t = NN - th3 * Math.log(Mw) - th4 * lnsvp + th5 * _FC + th6 + sigma * jt.normal.inv(pl, 0, 1)
+        return Math.exp(t / th2)
     }
 
-    //CRR
-    CRR = CRR75 * MSF
+    //CRR75, 對應Mw=7.5與svp=1atm
+    CRR75 = crr(7.5, 0, PLiqDesign)
+
+    //CRR, 已含規模與覆土應力之影響
+    CRR = crr(Mw, lnsvp, PLiqDesign)
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
@@ -4228,7 +4081,7 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
     //CSR
     CSR = null
     if (svpDesign > 0) {
-        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+        CSR = 0.65 * (sv / svpDesign) * PGA * rrd
     }
     else {
         CSR = 1e20
@@ -4237,6 +4090,13 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         CSR = Math.min(CSR, 1e20)
     }
 
+    //PLiq, 液化機率
+    PLiq = 0
+    if (isNumber(CSR) && CSR > 0) {
+        let t = NN - th2 * Math.log(CSR) - th3 * Math.log(Mw) - th4 * lnsvp + th5 * _FC + th6
+        PLiq = jt.normal.cdf(-t / sigma, 0, 1)
+    }
+
     //FS
     if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
         FS = CRR / CSR
@@ -4273,35 +4133,31 @@ function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         FS = 0
     }
 
+    //N172
+    N172 = N160 / (72 / 60) //修正鑽桿能量(打擊能量比ER)至72%
+
+    //sptSettlement
+    let slt = sptSettlement(N160, N172, CSR, FS)
+    err = [...err, ...slt.err]
+    vstrTS = slt.vstrTS
+    vstrIY = slt.vstrIY
+
     return ret()
 }
 
 
-function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, tou_s, su, PGA, Mw }) {
-    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+function sptGB({ ver = '2010', noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, PGA, designGroup, clayContent }) {
+    //中國建築抗震設計規範GB 50011-2010, 以臨界標準貫入錘擊數Ncr判別液化, FS以N60/Ncr表示
     let err = []
-    let rc = {}
-    let MSF = ''
-    let rrd = ''
-    let Kc = ''
-    let Kalpha = ''
-    let Fr = ''
-    let Ic = ''
-    let Icn = ''
-    let qt = ''
-    let Qt = ''
-    let Qtn = ''
-    let Qtncs = ''
-    let CRR75 = ''
-    let CRR = ''
-    let CSR = ''
+    let N0 = ''
+    let beta = ''
+    let rhoc = ''
+    let Ncr = ''
     let FS = ''
     let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
 
     function ret() {
-        let r = { ...cptGetData(rc), rrd, Kc, Kalpha, Fr, Ic, Icn, Qt, Qtn, Qtncs, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        let r = { N0, beta, rhoc, Ncr, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -4316,23 +4172,11 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
     while (true) {
 
         //check ver
-        if (ver !== '2009') {
-            err.push(`ver${brk(ver)}非2009`)
+        if (ver !== '2010') {
+            err.push(`ver${brk(ver)}非2010`)
             return ret() //重大錯誤直接報錯結束
         }
 
-        //check coe_a
-        if (!isnum(coe_a)) {
-            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
-            coe_a = 0.8
-        }
-        else {
-
-            //cdbl
-            coe_a = cdbl(coe_a)
-
-        }
-
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -4351,6 +4195,12 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
 
         }
 
+        //check noLiqueMode
+        if (noLiqueMode !== 'new' && noLiqueMode !== 'classic') {
+            err.push(`noLiqueMode${brk(noLiqueMode)}非'new'或'classic'，強制預設為'new'`)
+            noLiqueMode = 'new'
+        }
+
         //check waterLevelUsual, 不使用故不需檢查
 
         //check waterLevelDesign
@@ -4371,6 +4221,20 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
 
         }
 
+        //check soilClassification, 暫時用統一土壤分類區分 2021/05/07
+        if (!isestr(soilClassification)) {
+            err.push(`soilClassification${brk(soilClassification)}非有效字串，強制預設為SW`) //可在配合N60一併檢查才強制給SW
+            soilClassification = 'SW'
+        }
+        //soilClassification = cstr(soilClassification)
+
+        //非液化: 統一土壤分類屬黏土, (N160cs>=30, 於後面處理)
+        if (isNoLiqueByUSCS(soilClassification, noLiqueMode)) {
+            stateFS.push(`非液化之土壤分類${brk(soilClassification)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
         //非液化: 地下水位以上
         if (depth < waterLevelDesign) {
             stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
@@ -4385,69 +4249,300 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check qc
-        if (!isnum(qc)) {
-            err.push(`qc${brk(qc)}非數字`)
+        //check N60
+        if (!isnum(N60)) {
+            err.push(`N60${brk(N60)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            qc = cdbl(qc)
+            N60 = cdbl(N60)
 
             //check
-            if (qc < 0) {
-                err.push(`qc${brk(qc)}<0`)
+            if (N60 < 0) {
+                err.push(`N60${brk(N60)}<0`)
                 delayErr = true
             }
 
+            //非液化: N值>=50
+            if (N60 >= 50) {
+                stateFS.push(`N60${brk(N60)}>=50`)
+                noLique = true
+                FS = mergeFS(FS, limFSNoliqForSpec)
+            }
+
         }
 
-        //check fs
-        if (!isnum(fs)) {
-            err.push(`fs${brk(fs)}非數字`)
-            delayErr = true
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
         else {
 
             //cdbl
-            fs = cdbl(fs)
+            PGA = cdbl(PGA)
 
             //check
-            if (fs < 0) {
-                err.push(`fs${brk(fs)}<0`)
-                delayErr = true
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
             }
 
         }
 
-        //check u2
-        if (!isnum(u2)) {
-            err.push(`u2${brk(u2)}非數字`)
-            delayErr = true
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        Ncr = '-'
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
         }
-        else {
+        return ret() //無錯誤並結束
+    }
 
-            //cdbl
-            u2 = cdbl(u2)
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
 
-            // //check, 須允許水壓負值
-            // if (u2 < 0) {
-            //     err.push(`u2${brk(u2)}<0`)
-            //     delayErr = true
-            // }
 
+    //beta, 設計地震分組調整係數, 未給則視為第一組
+    if (!isnum(designGroup)) {
+        designGroup = 1
+    }
+    designGroup = cint(designGroup)
+    if (designGroup === 1) {
+        beta = 0.80
+    }
+    else if (designGroup === 2) {
+        beta = 0.95
+    }
+    else if (designGroup === 3) {
+        beta = 1.05
+    }
+    else {
+        err.push(`designGroup${brk(designGroup)}非1、2或3`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //rhoc(%), 黏粒含量, 未給或小於3時採用3
+    rhoc = isnum(clayContent) ? cdbl(clayContent) : 3
+    rhoc = Math.max(rhoc, 3)
+
+    //N0, 液化判別標準貫入錘擊數基準值, 依設計基本地震加速度內插, 超出0.1~0.4g時採用端點值
+    let _PGA = PGA
+    if (PGA < 0.1) {
+        stateFS.push(`PGA${brk(PGA)}<0.1，N0採用0.1g之值`)
+        _PGA = 0.1
+    }
+    if (PGA > 0.4) {
+        stateFS.push(`PGA${brk(PGA)}>0.4，N0採用0.4g之值`)
+        _PGA = 0.4
+    }
+    N0 = interp([0.1, 0.15, 0.2, 0.3, 0.4], [7, 10, 12, 16, 19], _PGA)
+
+    //Ncr, 臨界錘擊數, 標準貫入點深度取土層中點深度, 地下水位深度取設計地下水位
+    Ncr = N0 * beta * (Math.log(0.6 * depth + 1.5) - 0.1 * waterLevelDesign) * Math.sqrt(3 / rhoc)
+
+    //check
+    if (!isNumber(Ncr) || Ncr <= 0) {
+        err.push(`Ncr${brk(Ncr)}須大於0`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //FS
+    FS = N60 / Ncr
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+
+    return ret()
+}
+
+
+/**
+ * Eurocode 8(EN 1998-5:2004) Annex B液化分析
+ *
+ * 液化阻抗CRR未數位化EN 1998-5 Annex B Figure B.1之圖表曲線, 而以NCEER(Youd et al., 2001)之潔淨砂CRR75擬合式與細粒料修正取代, 故CRR與原圖表略有差異
+ *
+ * @memberOf w-geo
+ * @param {Object} row 輸入數據物件
+ * @param {String} [row.noLiqueMode='new'] 輸入判斷非液化之土壤分類模式字串，預設'new'
+ * @param {Number} [row.waterLevelDesign=0] 輸入設計地下水位數字，單位m，預設0
+ * @param {String} [row.soilClassification='SW'] 輸入USCS土壤分類字串，預設'SW'
+ * @param {Number} [row.depth] 輸入樣本所在中點深度數字，單位m
+ * @param {Number} [row.N60] 輸入樣本N60數字
+ * @param {Number} [row.FC] 輸入樣本細粒料含量數字，單位%
+ * @param {Number} [row.sv] 輸入樣本中點深度之垂直總應力數字，單位(kN/m2)
+ * @param {Number} [row.svpUsual] 輸入樣本中點深度之常時垂直有效應力數字，單位(kN/m2)
+ * @param {Number} [row.svpDesign] 輸入樣本中點深度之設計垂直有效應力數字，係考慮waterLevelDesign計算而得，單位(kN/m2)
+ * @param {Number} [row.PGA] 輸入設計地表最大水平加速度數字，單位(g)
+ * @param {Number} [row.Mw] 輸入設計地震矩規模數字
+ * @param {Number} [row.lambdaEC8=1.25] 輸入液化判別之安全係數數字，預設1.25
+ * @param {Number} [row.rdSR] 輸入場址反應分析之等效應力折減係數數字，有給則取代應力折減係數，預設不使用
+ * @returns {Object} 回傳計算後數據物件
+ * @example
+ * 待補充
+ */
+function sptEC8({ noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, lambdaEC8, rdSR }) {
+    //Eurocode 8(EN 1998-5:2004) Annex B, 以Seed et al.(1985)之SPT圖表判別液化, 圖表曲線以NCEER(Youd et al., 2001)之潔淨砂擬合式與細粒料修正取代
+    //PGA視為已含場址放大之地表加速度(即alpha*S)
+    let err = []
+    let CN = ''
+    let N160 = ''
+    let N160cs = ''
+    let N172 = ''
+    let CM = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let lambda = ''
+    let stateFS = []
+    let vstrTS = ''
+    let vstrIY = ''
+
+    function ret() {
+        let r = { CN, N160, N160cs, N172, CM, CRR75, CRR, CSR, FS, lambda, stateFS: join(stateFS, '; '), vstrTS, vstrIY, err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //lambda, 液化判別之安全係數, EN 1998-5建議值1.25
+    lambda = isnum(lambdaEC8) ? cdbl(lambdaEC8) : 1.25
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
+        else {
 
-        //check svp, 若有svp則直接複寫svpUsual與svpDesign
-        if (isnum(svp)) {
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check noLiqueMode
+        if (noLiqueMode !== 'new' && noLiqueMode !== 'classic') {
+            err.push(`noLiqueMode${brk(noLiqueMode)}非'new'或'classic'，強制預設為'new'`)
+            noLiqueMode = 'new'
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
 
             //cdbl
-            svp = cdbl(svp)
+            waterLevelDesign = cdbl(waterLevelDesign)
 
-            //save
-            svpUsual = svp
-            svpDesign = svp
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //check soilClassification, 暫時用統一土壤分類區分 2021/05/07
+        if (!isestr(soilClassification)) {
+            err.push(`soilClassification${brk(soilClassification)}非有效字串，強制預設為SW`) //可在配合N60一併檢查才強制給SW
+            soilClassification = 'SW'
+        }
+        //soilClassification = cstr(soilClassification)
+
+        //非液化: 統一土壤分類屬黏土, (N160cs>=30, 於後面處理)
+        if (isNoLiqueByUSCS(soilClassification, noLiqueMode)) {
+            stateFS.push(`非液化之土壤分類${brk(soilClassification)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check N60
+        if (!isnum(N60)) {
+            err.push(`N60${brk(N60)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            N60 = cdbl(N60)
+
+            //check
+            if (N60 < 0) {
+                err.push(`N60${brk(N60)}<0`)
+                delayErr = true
+            }
+
+            //非液化: N值>=50
+            if (N60 >= 50) {
+                stateFS.push(`N60${brk(N60)}>=50`)
+                noLique = true
+                FS = mergeFS(FS, limFSNoliqForSpec)
+            }
+
+        }
+
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            FC = cdbl(FC)
+
+            //check
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
+                delayErr = true
+            }
 
         }
 
@@ -4560,187 +4655,87 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
         return ret() //觸發延遲報錯並結束
     }
 
-    //CPT分析
-    let useCnLeq = false //Robertson法是沒有限制Cn要小於等於1.7, 故得使用useCnLeq=false
-    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    Fr = get(rc, 'Fr', null)
-    Ic = get(rc, 'Ic', null)
-    Icn = get(rc, 'Icn', null)
-    qt = get(rc, 'qt', null)
-    Qt = get(rc, 'Qt', null)
-    Qtn = get(rc, 'Qtn', null)
 
-    //check
-    if (!isnum(qt)) {
-        err.push(`qt${brk(qt)}非數字`)
-        return ret() //重大錯誤直接報錯結束
+    //N, 深度小於3m之N值折減25%
+    let N = N60
+    if (depth < 3) {
+        N = 0.75 * N60
     }
 
-    //轉換單位成為kg/cm2
-    sv = sv * cvru //kPa -> kg/cm2
-    svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    qt = qt * 1000 * cvru //MPa -> kg/cm2
-
-    //useIc
-    let useIc = null
-    if (useIc === null && isNumber(Icn)) {
-        useIc = Icn
+    //CN, 限制於0.5~2
+    let Pa = 100 //EN 1998-5以100kPa正規化
+    if (svpUsual > 0) {
+        CN = Math.min(Math.max(Math.sqrt(Pa / svpUsual), 0.5), 2)
     }
-    if (useIc === null && isNumber(Ic)) {
-        err.push(`無法計算Icn，強制降轉使用Ic`)
-        useIc = Ic
+    else {
+        CN = 2
     }
+    N160 = CN * N //N60通過有效覆土應力修正為N160
 
-    //useQt
-    let useQt = null
-    if (useQt === null && isNumber(Qtn)) {
-        useQt = Qtn
+    //非液化: PGA<0.15且粉土質砂N160>20或潔淨砂N160>30, EN 1998-5 4.1.4(4)
+    if (PGA < 0.15) {
+        if (FC > 35 && N160 > 20) {
+            stateFS.push(`PGA${brk(PGA)}<0.15且FC${brk(FC)}>35且N160${brk(N160)}>20`)
+            CRR = '-' //尚未計算CRR故複寫「-」
+            CSR = '-' //尚未計算CSR故複寫「-」
+            FS = mergeFS(FS, limFSNoliqForSpec)
+            return ret() //已於while區塊外, 無錯誤並結束
+        }
+        if (FC <= 5 && N160 > 30) {
+            stateFS.push(`PGA${brk(PGA)}<0.15且FC${brk(FC)}<=5且N160${brk(N160)}>30`)
+            CRR = '-' //尚未計算CRR故複寫「-」
+            CSR = '-' //尚未計算CSR故複寫「-」
+            FS = mergeFS(FS, limFSNoliqForSpec)
+            return ret() //已於while區塊外, 無錯誤並結束
+        }
     }
-    if (useQt === null && isNumber(Qt)) {
-        err.push(`無法計算Qtn，強制降轉使用Qt`)
-        useQt = Qt
+
+    //alpha, beta, 細粒料修正, 圖表曲線分為FC<=5%, 15%與>=35%
+    let alpha = 0
+    let beta = 1
+    if (FC <= 5) {
+        alpha = 0
+        beta = 1
+    }
+    else if (FC < 35) {
+        alpha = Math.exp(1.76 - 190 / FC ** 2)
+        beta = 0.99 + FC ** 1.5 / 1000
+    }
+    else {
+        alpha = 5
+        beta = 1.2
     }
+    N160cs = alpha + beta * N160
 
-    //MSF, 規模修正因子
-    MSF = (Mw / 7.5) ** (-2.56)
-
-    //rrd, 應力折減係數
-    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
-
-    //Qtncs, CRR75
-    Qtncs = null
-    CRR75 = null
-    if (useIc <= 2.5) {
-
-        //Kc
-        if (useIc <= 1.64) {
-            Kc = 1.0
-        }
-        else { //1.64<Ic<2.5
-            Kc = -0.403 * useIc ** 4 + 5.581 * useIc ** 3 - 21.63 * useIc ** 2 + 33.75 * useIc - 17.88
-            if (useIc < 2.36 && Fr < 0.5) {
-                Kc = 1.0
-            }
-        }
-
-        //Qtncs(none)
-        Qtncs = Kc * useQt
-
-        //CRR75
-        if (Qtncs < 50) {
-            CRR75 = 0.833 * (Qtncs / 1000) + 0.05
-        }
-        else { //50<=Qtncs<160
-            CRR75 = 93 * (Qtncs / 1000) ** 3 + 0.08
-        }
-
-        //CRR75 min from: P.K. Robertson(2009)-Performance based earthquake design using the CPT
-        //ref from: P.K. Robertson(1998)-Evaluating cyclic liquefaction potential using the cone penetration test
-        //Robertson and Wride (1998) set a minimum level for CRR7.5 = 0.05.
-
-        //最小值為0.05
-        CRR75 = Math.max(CRR75, 0.05)
-
-    }
-    else if (useIc < 2.7) { //2.5<Ic<2.7
-        //關於2.5<Ic<2.7過度區:
-        //古志生(0-A1050829-CPT液化評估法, pp.21)提及是基於Robertson迭代法
-        //但其學生張佩雯(2012)(莊氏CPTu, pp.45)是寫基於Ic(RW)計算
-        //此處使用古志生投影片資料進行計算
-
-        //Kc
-        Kc = 6 * (1e-7) * useIc ** 16.76
-
-        //Qtncs(none)
-        Qtncs = Kc * useQt
-
-        //CRR75
-        if (Qtncs < 50) {
-            CRR75 = 0.833 * (Qtncs / 1000) + 0.05
-        }
-        else { //50<=Qtncs<160
-            CRR75 = 93 * (Qtncs / 1000) ** 3 + 0.08
-        }
-
+    //非液化: N160cs>=30, 超出圖表曲線
+    if (N160cs >= 30) {
+        stateFS.push(`N160cs${brk(N160cs)}>=30`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        FS = mergeFS(FS, limFSNoliqForSpec)
+        return ret() //已於while區塊外, 無錯誤並結束
     }
-    else { //Ic>=2.7
-
-        //CRR75 = 0.053 * Qtn * Kalpha from: P.K. Robertson(2009)-Performance based earthquake design using the CPT
-        //Kalpha from: Boulanger and Idriss(2007)-Evaluation of Cyclic Softening in Silts and Clays
-        //tou_s: horizontal static shear stress
-        //su: undrained shear strength
-        //in clay-like soils, the minimum level for CRR7.5 = 0.17 * Kalpha
-
-        //Kalpha被忽略(Kalpha=1) from: Ku and Juang(2021)-CPT與 SPT及 Vs之液化潛能指數分析的差異性探討(2021工程永續與土木防災研討會)
-        //Robertson(2009)參考Boulanger and Idriss(2007)細粒土壤液化或軟化的評估方式而推導出細粒土壤的液化評估模式，其反覆阻抗比CRR計算方式如公式12(CRR75=0.053*Qtn)
-        //但應該是誤值，少乘Kalpha
-
-        //default
-        Kalpha = null
-
-        //check tou_s
-        if (!isnum(tou_s)) {
-            err.push(`tou_s${brk(tou_s)}非數字，強制使用Kalpha=1`)
-            Kalpha = 1 //因Ic>=2.7黏土本身較難液化, 考慮Ku and Juang(2021)視為OCR較大
-        }
-
-        //check su
-        if (!isnum(su)) {
-            err.push(`su${brk(su)}非數字，強制使用Kalpha=1`)
-            Kalpha = 1
-        }
-
-        //check
-        if (Kalpha === null) {
-
-            //cdbl
-            tou_s = cdbl(tou_s)
-
-            //check
-            if (tou_s < 0) {
-                err.push(`tou_s${brk(tou_s)}<0`)
-                return ret() //重大錯誤直接報錯結束
-            }
-
-            //cdbl
-            su = cdbl(su)
-
-            //check
-            if (su <= 0) {
-                err.push(`su${brk(su)}<=0`)
-                return ret() //重大錯誤直接報錯結束
-            }
 
-            //check
-            if (tou_s === su) {
-                err.push(`出現tou_s${brk(tou_s)}=su${brk(su)}，無法計算Kalpha`)
-                return ret() //重大錯誤直接報錯結束
-            }
-
-            //Kalpha
-            Kalpha = 1.344 - (0.344 / (1 - tou_s / su) ** 0.638)
-
-        }
-
-        //Qtncs
-        Qtncs = Kalpha * useQt
-
-        //CRR75
-        CRR75 = 0.053 * Qtncs
+    //CM, 規模修正因子, EN 1998-5 Table B.1, 超出5.5~8.0時採用端點值
+    let _Mw = Math.min(Math.max(Mw, 5.5), 8)
+    CM = interp([5.5, 6.0, 6.5, 7.0, 7.5, 8.0], [2.86, 2.20, 1.69, 1.30, 1.00, 0.67], _Mw)
 
-    }
+    //CRR75, 對應Mw=7.5
+    CRR75 = 1 / (34 - N160cs) + N160cs / 135 + 50 / (10 * N160cs + 45) ** 2 - 1 / 200
 
     //CRR
-    CRR = CRR75 * MSF
+    CRR = CRR75 * CM
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
 
-    //CSR
+    //CSR, EN 1998-5 B(4)未考慮應力折減係數, 有場址反應分析之等效應力折減係數時則採用之
     CSR = null
     if (svpDesign > 0) {
-        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+        CSR = 0.65 * PGA * (sv / svpDesign)
+        if (isnum(rdSR)) {
+            CSR *= cdbl(rdSR)
+        }
     }
     else {
         CSR = 1e20
@@ -4760,9 +4755,6 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
         if (PGA === 0) {
             stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
         }
-        if (rrd === 0) {
-            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
-        }
         FS = limFSMax
     }
     if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
@@ -4785,38 +4777,41 @@ function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2
         FS = 0
     }
 
+    //N172
+    N172 = N160 / (72 / 60) //修正鑽桿能量(打擊能量比ER)至72%
+
+    //sptSettlement
+    let slt = sptSettlement(N160, N172, CSR, FS)
+    err = [...err, ...slt.err]
+    vstrTS = slt.vstrTS
+    vstrIY = slt.vstrIY
+
     return ret()
 }
 
 
-function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw }) {
-    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+function sptAIJ({ ver = '2001', noLiqueMode = 'new', waterLevelDesign, soilClassification, depth, N60, FC, sv, svpUsual, svpDesign, PGA, Mw, rdSR }) {
+    //日本建築學會AIJ(2001)建築基礎構造設計指針, 以細粒料修正之N值Na計算液化阻抗, 並由FL與Na推估繰返剪應變gamma, 供計算水平位移指標Dcy
     let err = []
-    let rc = {}
-    let MSF = ''
+    let CN = ''
+    let N72 = ''
+    let N1 = ''
+    let dNf = ''
+    let Na = ''
+    let N160 = ''
+    let N172 = ''
     let rrd = ''
-    let Ic = ''
-    let Fr = ''
-    let qt = ''
-    let qc1N = ''
-    let qc1Ncs = ''
-    let CRR75 = ''
+    let rn = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
+    let gamma = ''
     let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
+    let vstrTS = ''
+    let vstrIY = ''
 
     function ret() {
-        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
-        // if (isnum(qc1N)) {
-        //     qc1N = qc1N / 1000 / cvru //kg/cm2 -> MPa
-        // }
-        // if (isnum(qc1Ncs)) {
-        //     qc1Ncs = qc1Ncs / 1000 / cvru //kg/cm2 -> MPa
-        // }
-        let r = { ...cptGetData(rc), rrd, qc1N, Ic, qc1Ncs, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        let r = { CN, N72, N1, dNf, Na, N160, N172, rrd, rn, CRR, CSR, FS, gamma, stateFS: join(stateFS, '; '), vstrTS, vstrIY, err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -4831,23 +4826,11 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
     while (true) {
 
         //check ver
-        if (ver !== '2002') {
-            err.push(`ver${brk(ver)}非2002`)
+        if (ver !== '2001') {
+            err.push(`ver${brk(ver)}非'2001'`)
             return ret() //重大錯誤直接報錯結束
         }
 
-        //check coe_a
-        if (!isnum(coe_a)) {
-            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
-            coe_a = 0.8
-        }
-        else {
-
-            //cdbl
-            coe_a = cdbl(coe_a)
-
-        }
-
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -4866,6 +4849,12 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
 
         }
 
+        //check noLiqueMode
+        if (noLiqueMode !== 'new' && noLiqueMode !== 'classic') {
+            err.push(`noLiqueMode${brk(noLiqueMode)}非'new'或'classic'，強制預設為'new'`)
+            noLiqueMode = 'new'
+        }
+
         //check waterLevelUsual, 不使用故不需檢查
 
         //check waterLevelDesign
@@ -4886,6 +4875,20 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
 
         }
 
+        //check soilClassification, 暫時用統一土壤分類區分 2021/05/07
+        if (!isestr(soilClassification)) {
+            err.push(`soilClassification${brk(soilClassification)}非有效字串，強制預設為SW`) //可在配合N60一併檢查才強制給SW
+            soilClassification = 'SW'
+        }
+        //soilClassification = cstr(soilClassification)
+
+        //非液化: 統一土壤分類屬黏土
+        if (isNoLiqueByUSCS(soilClassification, noLiqueMode)) {
+            stateFS.push(`非液化之土壤分類${brk(soilClassification)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
         //非液化: 地下水位以上
         if (depth < waterLevelDesign) {
             stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
@@ -4900,87 +4903,64 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check qc
-        if (!isnum(qc)) {
-            err.push(`qc${brk(qc)}非數字`)
+        //check N60
+        if (!isnum(N60)) {
+            err.push(`N60${brk(N60)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            qc = cdbl(qc)
+            N60 = cdbl(N60)
 
             //check
-            if (qc < 0) {
-                err.push(`qc${brk(qc)}<0`)
+            if (N60 < 0) {
+                err.push(`N60${brk(N60)}<0`)
                 delayErr = true
             }
 
+            //非液化: N值>=50
+            if (N60 >= 50) {
+                stateFS.push(`N60${brk(N60)}>=50`)
+                noLique = true
+                FS = mergeFS(FS, limFSNoliqForSpec)
+            }
+
         }
 
-        //check fs
-        if (!isnum(fs)) {
-            err.push(`fs${brk(fs)}非數字`)
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            fs = cdbl(fs)
+            FC = cdbl(FC)
 
             //check
-            if (fs < 0) {
-                err.push(`fs${brk(fs)}<0`)
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
                 delayErr = true
             }
 
         }
 
-        //check u2
-        if (!isnum(u2)) {
-            err.push(`u2${brk(u2)}非數字`)
-            delayErr = true
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
         else {
 
             //cdbl
-            u2 = cdbl(u2)
+            svpUsual = cdbl(svpUsual)
 
-            // //check, 須允許水壓負值
-            // if (u2 < 0) {
-            //     err.push(`u2${brk(u2)}<0`)
-            //     delayErr = true
-            // }
-
-        }
-
-        //check svp, 若有svp則直接複寫svpUsual與svpDesign
-        if (isnum(svp)) {
-
-            //cdbl
-            svp = cdbl(svp)
-
-            //save
-            svpUsual = svp
-            svpDesign = svp
-
-        }
-
-        //check svpUsual
-        if (!isnum(svpUsual)) {
-            err.push(`svpUsual${brk(svpUsual)}非數字`)
-            return ret() //重大錯誤直接報錯結束
-        }
-        else {
-
-            //cdbl
-            svpUsual = cdbl(svpUsual)
-
-            //check
-            if (svpUsual < 0) {
-                err.push(`svpUsual${brk(svpUsual)}<0`)
-                return ret() //重大錯誤直接報錯結束
-            }
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
         }
 
@@ -5049,8 +5029,8 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
             Mw = cdbl(Mw)
 
             //check
-            if (Mw < 0) {
-                err.push(`Mw${brk(Mw)}<0`)
+            if (Mw < 1) {
+                err.push(`Mw${brk(Mw)}<1`)
                 return ret() //重大錯誤直接報錯結束
             }
 
@@ -5064,7 +5044,8 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         err = [] //清除錯誤
         CRR = '-'
         CSR = '-'
-        if (!isnum(FS)) {
+        gamma = 0 //非液化土層不產生繰返剪應變, 計算Dcy時視為0
+        if (!isNumber(FS)) {
             throw new Error(`FS[${FS}]非數字`)
         }
         return ret() //無錯誤並結束
@@ -5075,87 +5056,56 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         return ret() //觸發延遲報錯並結束
     }
 
-    //CPT分析
-    let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
-    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    Fr = get(rc, 'Fr', null)
-    // Ic = get(rc, 'Ic', null)
-    // Icn = get(rc, 'Icn', null)
-    qt = get(rc, 'qt', null)
-    // Qt = get(rc, 'Qt', null)
-    // Qtn = get(rc, 'Qtn', null)
-
-    //check
-    if (!isnum(qt)) {
-        err.push(`qt${brk(qt)}非數字`)
-        return ret() //重大錯誤直接報錯結束
-    }
-
-    //轉換單位成為kg/cm2
-    sv = sv * cvru //kPa -> kg/cm2
-    svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    qt = qt * 1000 * cvru //MPa -> kg/cm2
-
-    //MSF, 規模修正因子
-    MSF = (Mw / 7.5) ** (-2.56)
-
-    //rrd, 應力折減係數
-    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
-
-    //F(%)
-    // let F = null
-    // if ((qt - sv) > 0) {
-    //     F = (fs / (qt - sv)) * 100 //基於kg/cm2
-    // }
-    // // else {
-    // //     F = 1e20 //除0就不要硬算
-    // // }
-    let F = Fr
+    //N72, AIJ之N值為日本標準貫入試驗, 打擊能量比ER約72%
+    N72 = N60 / (72 / 60) //修正鑽桿能量(打擊能量比ER)至72%
 
-    //qc1N, 單位基於kg/cm2但無法確切定義其單位, 故不給予
-    qc1N = null
+    //CN, 以98kPa正規化
     if (svpUsual > 0) {
-        qc1N = qt / Math.sqrt(svpUsual) //基於kg/cm2
+        CN = Math.sqrt(98 / svpUsual)
     }
-    // else {
-    //     qc1N = 1e20 //除0就不要硬算
-    // }
-
-    //Ic, 另外計算
-    Ic = null
-    if (isNumber(qc1N) && isNumber(F)) {
-        Ic = Math.sqrt((3.47 - Math.log10(qc1N)) ** 2 + (Math.log10(F) + 1.22) ** 2)
+    else {
+        CN = 1e20
     }
+    N1 = CN * N72
 
-    //qc1Ncs, 單位基於kg/cm2但無法確切定義其單位, 故不給予
-    qc1Ncs = null
-    if (isNumber(qc1N) && isNumber(Ic)) {
-        qc1Ncs = qc1N * (2.429 * Ic ** 4 - 16.943 * Ic ** 3 + 44.551 * Ic ** 2 - 51.497 * Ic + 22.802)
+    //dNf, 細粒料修正之N值增分
+    if (FC <= 5) {
+        dNf = 0
     }
-
-    //Calpha
-    let Calpha = -0.016 * (svpUsual / 100) ** 3 + 0.178 * (svpUsual / 100) ** 2 - 0.063 * (svpUsual / 100) + 0.903
-
-    //CRR75
-    CRR75 = null
-    if (isNumber(Calpha) && isNumber(qc1Ncs)) {
-        CRR75 = Calpha * Math.exp(-2.957 + 1.264 * (qc1Ncs / 100) ** 1.25)
+    else if (FC <= 10) {
+        dNf = 1.2 * (FC - 5)
     }
+    else {
+        dNf = 6 + 0.2 * (FC - 10)
+    }
+    Na = N1 + dNf
 
-    //CRR
-    CRR = null
-    if (isNumber(CRR75) && isNumber(MSF)) {
-        CRR = CRR75 * MSF
+    //CRR, 對應剪應變5%之液化阻抗比tl/s'z
+    if (Na < 14) {
+        CRR = 0.0882 * Math.sqrt(Na / 1.7)
+    }
+    else {
+        CRR = 0.0882 * Math.sqrt(Na / 1.7) + 1.6e-6 * (Na - 14) ** 4.5
     }
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
 
-    //CSR
+    //rrd, 應力折減係數
+    rrd = 1 - 0.015 * depth
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //rn, 等價繰返回數修正係數
+    rn = 0.1 * (Mw - 1)
+
+    //CSR, 等價繰返剪應力比td/s'z
     CSR = null
     if (svpDesign > 0) {
-        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+        CSR = rn * PGA * (sv / svpDesign) * rrd
     }
     else {
         CSR = 1e20
@@ -5200,118 +5150,412 @@ function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         FS = 0
     }
 
+    //gamma, 繰返剪應變(-), AIJ由FL與Na查圖, 圖表曲線採用Yoshimine et al.(2006)之最大剪應變擬合式, 相對密度由Tokimatsu & Yoshimi(1983)之Dr=16√Na(%)推估
+    if (isNumber(FS)) {
+        let Dr = Math.min(Math.max(0.16 * Math.sqrt(Na), 0.4), 0.9) //擬合式適用Dr為40%~90%
+        let Fa = 0.032 + 4.7 * Dr - 6.0 * Dr ** 2
+        let gammaLim = 1.859 * (1.1 - Dr) ** 3 //極限剪應變
+        if (FS >= 2) {
+            gamma = 0
+        }
+        else if (FS > Fa) {
+            gamma = Math.min(0.035 * (1 - Fa) * (2 - FS) / (FS - Fa), gammaLim)
+        }
+        else {
+            gamma = gammaLim
+        }
+    }
+
+    //N160, N172
+    N172 = N1
+    N160 = N172 / (60 / 72) //修正鑽桿能量(打擊能量比ER)至60%
+
+    //sptSettlement
+    let slt = sptSettlement(N160, N172, CSR, FS)
+    err = [...err, ...slt.err]
+    vstrTS = slt.vstrTS
+    vstrIY = slt.vstrIY
+
     return ret()
 }
 
 
-function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw }) {
-    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+function cptVolumetricStrainZhangEtAl(qc1Ncs, FS) {
     let err = []
-    let rc = {}
-    let MSF = ''
-    let rrd = ''
-    let Fr = ''
-    let Bq = ''
-    let Ic = ''
-    let Icn = ''
-    let qt = ''
-    let Qt = ''
-    let Qtn = ''
-    let Icbj = ''
-    let Csigma = ''
-    let Ksigma = ''
-    let CRR75 = ''
-    let CRR = ''
-    let CSR = ''
-    let FS = ''
-    let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
+    //Zhang, Robertson & Brachman(2002), 依FS與qc1Ncs計算體積應變(%), 各FS曲線之間以線性內插
+    //qc1Ncs適用範圍為33~200, 超出範圍時強制改為邊界值
 
-    function ret() {
-        let r = { ...cptGetData(rc), rrd, Fr, Bq, Ic, Icn, Qt, Qtn, Icbj, Csigma, Ksigma, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
-        each(r, (v, k) => {
-            if (!isestr(v) && !isnum(v)) {
-                r[k] = ''
-            }
-        })
-        return r
+    //check
+    if (!isNumber(qc1Ncs)) {
+        err.push(`qc1Ncs${brk(qc1Ncs)}非數字`)
+        return {
+            err,
+            vstr: '',
+        }
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+        return {
+            err,
+            vstr: '',
+        }
     }
 
-    //check
-    let noLique = false
-    let delayErr = false
-    while (true) {
+    //qc1Ncs
+    if (qc1Ncs < 33) {
+        err.push(`qc1Ncs${brk(qc1Ncs)}<33超過原研究範疇，強制改為33`)
+        qc1Ncs = 33
+    }
+    if (qc1Ncs > 200) {
+        err.push(`qc1Ncs${brk(qc1Ncs)}>200超過原研究範疇，強制改為200`)
+        qc1Ncs = 200
+    }
 
-        //check ver
-        if (ver !== '2012') {
-            err.push(`ver${brk(ver)}非2012`)
-            return ret() //重大錯誤直接報錯結束
-        }
+    //ps, 各FS曲線之體積應變
+    let ps = [
+        {
+            FS: 0.5,
+            vstr: 102 * qc1Ncs ** -0.82,
+        },
+        {
+            FS: 0.6,
+            vstr: qc1Ncs <= 147 ? 102 * qc1Ncs ** -0.82 : 2411 * qc1Ncs ** -1.45,
+        },
+        {
+            FS: 0.7,
+            vstr: qc1Ncs <= 110 ? 102 * qc1Ncs ** -0.82 : 1701 * qc1Ncs ** -1.42,
+        },
+        {
+            FS: 0.8,
+            vstr: 1690 * qc1Ncs ** -1.46,
+        },
+        {
+            FS: 0.9,
+            vstr: 1430 * qc1Ncs ** -1.48,
+        },
+        {
+            FS: 1.0,
+            vstr: 64 * qc1Ncs ** -0.93,
+        },
+        {
+            FS: 1.1,
+            vstr: 11 * qc1Ncs ** -0.65,
+        },
+        {
+            FS: 1.2,
+            vstr: 9.7 * qc1Ncs ** -0.69,
+        },
+        {
+            FS: 1.3,
+            vstr: 7.6 * qc1Ncs ** -0.71,
+        },
+        {
+            FS: 2.0,
+            vstr: 0,
+        },
+    ]
 
-        //check coe_a
-        if (!isnum(coe_a)) {
-            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
-            coe_a = 0.8
+    //vstr, FS小於0.5使用0.5曲線, FS大於2.0則無體積應變
+    let vstr = ''
+    if (FS <= 0.5) {
+        vstr = ps[0].vstr
+    }
+    else if (FS >= 2.0) {
+        vstr = 0
+    }
+    else {
+        vstr = interp(map(ps, 'FS'), map(ps, 'vstr'), FS)
+        if (get(vstr, 'err')) {
+            err.push(vstr.err)
+            vstr = ''
         }
-        else {
+    }
 
-            //cdbl
-            coe_a = cdbl(coe_a)
+    return {
+        err,
+        vstr,
+    }
+}
 
-        }
 
-        //check depth
-        if (!isnum(depth)) {
-            err.push(`depth${brk(depth)}非數字`)
-            return ret() //重大錯誤直接報錯結束
-        }
-        else {
+function cptSettlement(rc, FS) {
+    let err = []
+    //各CPT液化方法之qc1Ncs定義與單位不一, 故沉陷統一使用Robertson & Wride(1998)之qc1Ncs, 此亦為Zhang et al.(2002)所採用
 
-            //cdbl
-            depth = cdbl(depth)
+    //Qtn, Ic
+    let Qtn = get(rc, 'Qtn', '')
+    let Ic = get(rc, 'Ic', '')
 
-            //check
-            if (depth < 0) {
-                err.push(`depth${brk(depth)}<0`)
-                return ret() //重大錯誤直接報錯結束
-            }
+    //vstrZRB
+    let vstrZRB = ''
+    function ZRB() {
 
+        //check
+        if (!isNumber(Qtn)) {
+            err.push(`Volumetric Strain(Zhang et al.): Qtn${brk(Qtn)}非數字`)
+            return //強制跳出
+        }
+        if (!isNumber(Ic)) {
+            err.push(`Volumetric Strain(Zhang et al.): Ic${brk(Ic)}非數字`)
+            return //強制跳出
+        }
+        if (FS < 0) {
+            err.push(`Volumetric Strain(Zhang et al.): FS${brk(FS)}<0`)
+            return //強制跳出
         }
 
-        //check waterLevelUsual, 不使用故不需檢查
-
-        //check waterLevelDesign
-        if (!isnum(waterLevelDesign)) {
-            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
-            waterLevelDesign = 0
+        //Kc, Robertson & Wride(1998)
+        let Kc = 1.0
+        if (Ic > 1.64) {
+            Kc = -0.403 * Ic ** 4 + 5.581 * Ic ** 3 - 21.63 * Ic ** 2 + 33.75 * Ic - 17.88
         }
-        else {
 
-            //cdbl
-            waterLevelDesign = cdbl(waterLevelDesign)
+        //qc1Ncs
+        let qc1Ncs = Kc * Qtn
 
-            //check
-            if (waterLevelDesign < 0) {
-                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
-                waterLevelDesign = 0
-            }
+        //vstrZRB
+        vstrZRB = cptVolumetricStrainZhangEtAl(qc1Ncs, FS)
 
+        //add err, 有可能算出值但提示錯誤, 故不能清空vstr
+        if (size(vstrZRB.err) > 0) {
+            each(vstrZRB.err, (v) => {
+                err.push(`Volumetric Strain(Zhang et al.): ${v}`)
+            })
         }
 
-        //非液化: 地下水位以上
-        if (depth < waterLevelDesign) {
-            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
-            noLique = true
-            FS = mergeFS(FS, limFSNoliqForBasic)
-        }
+        //save vstr
+        vstrZRB = vstrZRB.vstr
 
-        //非液化: 深度大於20m
-        if (depth > 20) {
-            stateFS.push(`depth${brk(depth)}>20`)
-            noLique = true
-            FS = mergeFS(FS, limFSNoliqForBasic)
-        }
+    }
+    ZRB()
+
+    return {
+        err,
+        vstrZRB,
+    }
+}
+
+
+function cptGetCommonKeys() {
+    let t = `
+    
+    u0,
+    qt,
+    qnet,
+    Bq,
+    Qt,
+
+    `
+    t = replace(t, ',', '')
+    let ks = sep(t, '\n')
+    return ks
+}
+
+
+function cptGetCommonData(r) {
+    let ks = cptGetCommonKeys()
+    // console.log('cptGetCommonKeys ks', ks)
+    return dtmapping(r, ks)
+}
+
+
+function cptGetMethodKeys() {
+    let t = `
+        
+    Qtn,
+    Rf,
+    Fr,
+    Ic,
+    Icn,
+    n,
+    Cn,
+
+    iIc,
+    iIcn,
+    iRobBqqt,
+    iRobRfqt,
+    iRobBqQt,
+    iRobFrQt,
+    iRobBqQtn,
+    iRobFrQtn,
+    iRamBqQt,
+    iRamFrQt,
+
+    `
+    t = replace(t, ',', '')
+    let ks = sep(t, '\n')
+    return ks
+}
+
+
+function cptGetMethodData(r) {
+    let ks = cptGetMethodKeys()
+    // console.log('cptGetMethodKeys ks', ks)
+    return dtmapping(r, ks)
+}
+
+
+function cptGetData(r) {
+    // console.log('r', r)
+    let rr = { ...cptGetCommonData(r), ...cptGetMethodData(r) }
+    // console.log('rr', rr)
+    return rr
+}
+
+
+function cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq) {
+
+    //u0(MPa), 現地孔隙壓力
+    let u0 = intrpDefPp(depth, 'MPa') //u0(MPa)
+
+    //CPT分析
+    let rc = null
+    if (true) {
+
+        //轉換單位成為MPa
+        let _sv = sv / 1000 //kPa -> MPa
+        let _svpUsual = svpUsual / 1000 //kPa -> MPa
+        // let _svpDesign = svpDesign / 1000 //kPa -> MPa
+        let _qc = qc //MPa
+        let _fs = fs //MPa
+        let _u2 = u2 //MPa
+        let _u0 = u0 //MPa
+
+        //dt
+        let dt = {
+            depth,
+            coe_a,
+            sv: _sv,
+            svp: _svpUsual, //使用常時垂直有效應力
+            qc: _qc,
+            fs: _fs,
+            u0: _u0,
+            u2: _u2,
+        }
+
+        //calcCptCore, 此處限制輸入與輸出皆使用MPa
+        rc = calcCptCore(dt, { useCnLeq, unitSvSvp: 'MPa' })
+        // Ic = get(rc, 'Ic', null)
+        // Icn = get(rc, 'Icn', null)
+
+    }
+
+    return rc
+}
+
+
+function cptHBF({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, rdSR }) {
+    //HBF(ver=2012,2017,2021)
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+    let err = []
+    let rc = {}
+    let MSF = ''
+    let rrd = ''
+    let Ic = ''
+    let Icn = ''
+    let qt = ''
+    let qc1N = ''
+    let qc1Ncs = ''
+    let Rf = ''
+    let Kc = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let stateFS = []
+    let vstrZRB = ''
+
+    function ret() {
+        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
+        // if (isnum(qc1N)) {
+        //     qc1N = qc1N / 1000 / cvru //kg/cm2 -> MPa
+        // }
+        // if (isnum(qc1Ncs)) {
+        //     qc1Ncs = qc1Ncs / 1000 / cvru //kg/cm2 -> MPa
+        // }
+        let r = { ...cptGetData(rc), rrd, Ic, Icn, qc1N, Kc, qc1Ncs, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check ver
+        if (ver !== '2012' && ver !== '2017' && ver !== '2021') {
+            err.push(`ver${brk(ver)}非2012或2017或2021`)
+            return ret() //重大錯誤直接報錯結束
+        }
+
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
+
+            //cdbl
+            coe_a = cdbl(coe_a)
+
+        }
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
 
         //check qc
         if (!isnum(qc)) {
@@ -5489,15 +5733,15 @@ function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u
     }
 
     //CPT分析
-    let useCnLeq = true //基於Idriss and Boulanger(2006)故有限制Cn要小於等於1.7, 得使用useCnLeq=true
+    let useCnLeq = true //HBF法有限制Cn要小於等於1.7, 故得使用useCnLeq=true
     rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    qt = get(rc, 'qt', null)
-    Fr = get(rc, 'Fr', null)
-    Bq = get(rc, 'Bq', null)
+    // Fr = get(rc, 'Fr', null)
     Ic = get(rc, 'Ic', null)
     Icn = get(rc, 'Icn', null)
-    Qt = get(rc, 'Qt', null)
-    Qtn = get(rc, 'Qtn', null) //通過迭代算得, 基於Idriss and Boulanger(2006)中的qc(1N), 等同Ku and Juang (2012)中的qt(1N)
+    qt = get(rc, 'qt', null)
+    // Qt = get(rc, 'Qt', null)
+    // Qtn = get(rc, 'Qtn', null)
+    Rf = get(rc, 'Rf', null)
 
     //check
     if (!isnum(qt)) {
@@ -5509,110 +5753,59 @@ function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u
     sv = sv * cvru //kPa -> kg/cm2
     svpUsual = svpUsual * cvru //kPa -> kg/cm2
     svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    // qt = qt * 1000 * cvru //MPa -> kg/cm2
+    qt = qt * 1000 * cvru //MPa -> kg/cm2
 
-    //useIc
-    let useIc = null
-    if (useIc === null && isNumber(Icn)) {
-        useIc = Icn
+    //MSFPow, 原莊長賢excel內MSFPow=-1.11
+    let MSFPow = null
+    if (ver === '2012') {
+        MSFPow = -3.3
     }
-    if (useIc === null && isNumber(Ic)) {
-        err.push(`無法計算Icn，強制降轉使用Ic`)
-        useIc = Ic
+    else if (ver === '2017' || ver === '2021') {
+        MSFPow = -1.8 //-1.8為「依據2016土壤液化評估方法研討會結論後修正」, 依照「楊智堯_臺中市中級土壤液化潛勢地圖製作與系統說明.pdf」標注此為2017版
     }
 
-    //useQt
-    let useQt = null
-    if (useQt === null && isNumber(Qtn)) {
-        useQt = Qtn
-    }
-    if (useQt === null && isNumber(Qt)) {
-        err.push(`無法計算Qtn，強制降轉使用Qt`)
-        useQt = Qt
-    }
-
-    // //轉換單位成為kg/cm2
-    // sv = sv * cvru //kPa -> kg/cm2
-    // svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    // svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    // qt = qt * 1000 * cvru //MPa -> kg/cm2
-    // fs = fs * 1000 * cvru //MPa -> kg/cm2
-    // u2 = u2 * 1000 * cvru //MPa -> kg/cm2
-
-    //MSF from: Ku and Juang(2012)-No AccessLiquefaction and cyclic softening potential of soils – a unified piezocone penetration testing-based approach
-    //CSR (see Appendix B), such as depth-dependent shear stress reduction factor (rd), magnitude scaling factor (MSF),
-    //and overburden correction factor for cyclic stress ratio (Ks).
-    //Again, this subject is outside of the scope of the current paper,
-    //and the reader is referred to Juang et al. (2006, 2008a, 2008b).
-    //可知MSF是參考: Juang(2008)-Calibration of liquefaction potential index-A re-visit focusing on a new CPTU model.pdf
-    //The three intermediate parameters for the determination of adjusted CSR Eq. (4) are defined by Idriss and Boulanger (2004, 2006).
-    //They are provided herein for convenience in the calculation of LPI.
-    //The reader is referred to Idriss and Boulanger (2004, 2006) for details.
-    //實際上可知MSF是使用Idriss and Boulanger(2006)
-
-    //MSF, 規模修正因子, Idriss and Boulanger(2006) for sand
-    MSF = 6.9 * Math.exp(-Mw / 4) - 0.058
-    MSF = Math.min(MSF, 1.8)
-
-    //rrd, 應力折減係數, Idriss and Boulanger(2006)
-    let rd_alpha = -1.012 - 1.126 * Math.sin(depth / 11.73 + 5.133)
-    let rd_beta = 0.106 + 0.118 * Math.sin(depth / 11.28 + 5.142)
-    rrd = Math.exp(rd_alpha + rd_beta * Mw)
-    rrd = Math.min(rrd, 1)
-    // console.log('rrd',rrd,'rd_alpha',rd_alpha,'rd_beta',rd_beta,'Mw',Mw)
+    //MSF, 規模修正因子
+    MSF = (Mw / 7.5) ** (MSFPow)
 
-    //Icbj
-    Icbj = null
-    if (isNumber(Qt) && isNumber(Bq) && isNumber(Fr)) {
-        Icbj = Math.sqrt((3 - Math.log10(Qt * (1 - Bq) + 1)) ** 2 + (Math.log10(Fr) + 1.22) ** 2)
+    //rrd, 應力折減係數
+    if (depth <= 10) {
+        rrd = 1 - 0.01 * depth
     }
     else {
-        err.push(`無法計算Ic(BJ)`)
-        return ret() //重大錯誤直接報錯結束
+        rrd = 1.2 - 0.03 * depth
     }
 
-    //CRR75
-    let A = Icbj * (useQt / 100) - 14.7
-    let B = 0.909 * Icbj ** 3 - 7.47 * Icbj + 19.28
-    let C = 0.059 + 0.015 * Icbj ** 2
-    CRR75 = 0.05 + Math.exp(A + B * (useQt / 100) ** C)
-    if (isNumber(CRR75)) {
-        CRR75 = Math.min(CRR75, 1e20) //CRR75可能超大Infinity, 為避免後續FS也變成Infinity故修改至1e20
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
-    // console.log('depth',depth,'CRR75',CRR75,'A',A,'B',B,'C',C,'Icbj',Icbj,'useQt',useQt)
 
-    //Csigma
-    Csigma = null
-    if (Qtn <= 37) {
-        Csigma = 0.063
-    }
-    else if (Qtn < 211) { //37<Qtn<211
-        Csigma = 1 / (37.3 - 8.27 * (Qtn) ** 0.264)
+    //qc1N, 單位基於kg/cm2但無法確切定義其單位, 故不給予
+    qc1N = 1.7 / (svpUsual + 0.7) * qt //kg/cm2
+    // qc1N = 170 / (svpUsual + 70) * qt //kN/m2
+
+    //Kc, 管壁摩擦量對錐尖阻抗qc值之影響係數
+    if (Rf <= 0.1) {
+        Kc = 1.0
     }
-    else { //Qtn>=211
-        Csigma = 0.3
+    else {
+        Kc = 0.4 * Rf ** 2 - 0.08 * Rf + 1.004
     }
-    Csigma = Math.min(Csigma, 0.3)
 
-    //Pa
-    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
-    Pa = Pa * cvru //kPa -> kg/cm2
+    //qc1Ncs, 單位基於kg/cm2但無法確切定義其單位, 故不給予
+    qc1Ncs = Kc * qc1N
 
-    //Ksigma
-    Ksigma = 1 - Csigma * Math.log(svpUsual / Pa) //使用常時垂直有效應力
-    Ksigma = Math.min(Ksigma, 1)
+    //CRR75
+    CRR75 = 1e20
+    if (qc1Ncs < 180) {
+        CRR75 = 0.09 + (0.00028 * qc1Ncs) / (1 - qc1Ncs / 180) //基於kg/cm2
+    }
 
     //CRR
-    CRR = CRR75 * MSF * Ksigma
+    CRR = CRR75 * MSF
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
-    // console.log('depth',depth,'CRR',CRR,'CRR75',CRR75,'MSF',MSF,'Ksigma',Ksigma,'Csigma',Csigma,'svpUsual',svpUsual,'Pa',Pa,'Math.log(svpUsual / Pa)',Math.log(svpUsual / Pa))
-
-    //CSR from: Ku and Juang(2012)-No AccessLiquefaction and cyclic softening potential of soils – a unified piezocone penetration testing-based approach
-    //The Juang et al. (2008) method is a CPTu-based model that follows the framework of simplified procedures.
-    //In this CPTu-based model, the cyclic stress ratio (CSR) is computed using the formulation established by Idriss & Boulanger (2006)
-    //所以rrd使用Idriss and Boulanger(2006)
 
     //CSR
     CSR = null
@@ -5625,7 +5818,6 @@ function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u
     if (isNumber(CSR)) {
         CSR = Math.min(CSR, 1e20)
     }
-    // console.log('depth',depth,'CSR',CSR,'sv',sv,'svpDesign',svpDesign,'rrd',rrd,'PGA',PGA)
 
     //FS
     if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
@@ -5647,7 +5839,41 @@ function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u
         stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
         FS = limFSMax
     }
-    // console.log('depth',depth,'FS',FS)
+
+    //非液化: 若是qc1Ncs大於180則直接判定為非液化
+    if (qc1Ncs >= 180) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`qc1Ncs${brk(qc1Ncs)}>=180`)
+        // CRR = '-' //已計算CRR故不複寫
+        // CSR = '-' //已計算CSR故不複寫
+        FS = mergeFS(FS, limFSNoliqForBasic)
+        return ret() //已於while區塊外, 無錯誤並結束
+    }
+
+    //2021版使用Icn檢查砂黏性土
+    if (ver === '2021') {
+
+        //useIc
+        let useIc = null
+        if (useIc === null && isNumber(Icn)) {
+            useIc = Icn
+        }
+        if (useIc === null && isNumber(Ic)) {
+            err.push(`無法計算Icn，強制降轉使用Ic`)
+            useIc = Ic
+        }
+
+        //非液化: 若是useIc大於2.6則判定為非液化, 國震簡訊120期(2021)
+        if (useIc > 2.6) {
+            // err = [] //第二階段不清除錯誤
+            stateFS.push(`Ic${brk(useIc)}>2.6`)
+            // CRR = '-' //已計算CRR故不複寫
+            // CSR = '-' //已計算CSR故不複寫
+            FS = mergeFS(FS, limFSNoliqForBasic)
+            return ret() //已於while區塊外, 無錯誤並結束
+        }
+
+    }
 
     //check
     if (CRR < 0) {
@@ -5664,33 +5890,46 @@ function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u
         FS = 0
     }
 
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
     return ret()
 }
 
 
-function cptOlsen({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw }) {
+function cptNCEER({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, rdSR }) {
+    //NCEER液化研討會(1996)中Robertson利用Robertson(1990)所建立之CPT試驗土壤分類圖表，直接以錐尖阻抗qc及袖管摩擦比Rf為參數，
+    //建立土壤行為類型指數Ic(Soil Behavior Type Index)，取代以往以平均粒徑D50來表示細粒料對土壤抗液化能力的影響，
+    //建立全CPT法之土壤臨界液化強度曲線，即NCEER(1997)所選用之方法。詳細流程圖可見Robertson and Wride(1998)。
     //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
     let err = []
     let rc = {}
     let MSF = ''
     let rrd = ''
+    let Ic = ''
+    let Fr = ''
     let qt = ''
-    let qc1 = ''
-    let Rf = ''
+    let Qt = ''
+    let Qt1n = ''
+    let Kc = ''
+    let Qt1ncs = ''
     let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
     let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
+    let vstrZRB = ''
 
     function ret() {
-        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
-        // if (isnum(qc1)) {
-        //     qc1 = qc1 / cvru
-        // }
-        let r = { ...cptGetData(rc), rrd, qc1, Rf, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        if (isnum(Qt1n)) {
+            Qt1n = Qt1n / cvru
+        }
+        if (isnum(Qt1ncs)) {
+            Qt1ncs = Qt1ncs / cvru
+        }
+        let r = { ...cptGetData(rc), rrd, Qt1n, Ic, Kc, Qt1ncs, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -5952,10 +6191,12 @@ function cptOlsen({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
     //CPT分析
     let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
     rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    // Ic = get(rc, 'Ic', null)
+    Fr = get(rc, 'Fr', null)
+    Ic = get(rc, 'Ic', null)
     // Icn = get(rc, 'Icn', null)
     qt = get(rc, 'qt', null)
-    Rf = get(rc, 'Rf', null)
+    Qt = get(rc, 'Qt', null)
+    // Qtn = get(rc, 'Qtn', null)
 
     //check
     if (!isnum(qt)) {
@@ -5975,25 +6216,97 @@ function cptOlsen({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
     //rrd, 應力折減係數
     rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
 
-    //qc1, 單位基於kg/cm2但無法確切定義其單位, 故不給予
-    if (svpUsual > 0) {
-        qc1 = qt / svpUsual ** 0.7 //基於kg/cm2
-    }
-    else {
-        qc1 = 1e20
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
 
-    //Rf(%), 摩擦比(fs與qc同單位故無單位)
-    // Rf = null
-    // if (qt > 0) {
-    //     Rf = fs / qt * 100
+    //Q(none)
+    // let Q = null
+    // if (svpUsual > 0) {
+    //     Q = (qt - sv) / svpUsual
     // }
     // else {
-    //     Rf = 1e20
+    //     Q = 1e20
     // }
+    let Q = Qt
+
+    //F(%)
+    // let F = (fs / (qt - sv)) * 100
+    let F = Fr
+
+    //Qt1n(none), Ic(none), 有另外計算Ic
+    let Ict = Math.sqrt((3.47 - Math.log10(Q)) ** 2 + (Math.log10(F) + 1.22) ** 2)
+    if (Ict <= 2.6) {
+        let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+        Pa = Pa * cvru //kPa -> kg/cm2
+        if (svpUsual > 0) {
+            Qt1n = (qt / Pa) * (Pa / svpUsual) ** 0.5
+        }
+        else {
+            Qt1n = 1e20
+        }
+        let _Ict = Math.sqrt((3.47 - Math.log10(Qt1n)) ** 2 + (Math.log10(F) + 1.22) ** 2)
+        if (_Ict <= 2.6) {
+            Ic = _Ict
+        }
+        else {
+            if (svpUsual > 0) {
+                Qt1n = (qt / Pa) * (Pa / svpUsual) ** 0.75
+            }
+            else {
+                Qt1n = 1e20
+            }
+            Ic = Math.sqrt((3.47 - Math.log10(Qt1n)) ** 2 + (Math.log10(F) + 1.22) ** 2)
+        }
+    }
+    else {
+        Qt1n = Q
+        Ic = Ict
+    }
+
+    //非液化: 若是Ic大於等於2.6則須使用其他判斷準則, 或判定為非液化
+    if (Ic >= 2.6) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`Ic${brk(Ic)}>=2.6`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        FS = mergeFS(FS, limFSNoliqForBasic)
+        return ret() //已於while區塊外, 無錯誤並結束
+    }
+
+    //Kc
+    if (Ic <= 1.64) {
+        Kc = 1.0
+    }
+    else { //1.64<Ic<2.6
+        Kc = -0.403 * Ic ** 4 + 5.581 * Ic ** 3 - 21.63 * Ic ** 2 + 33.75 * Ic - 17.88
+        if (Ic < 2.36 && F < 0.5) {
+            Kc = 1.0
+        }
+    }
+
+    //Qt1ncs(none)
+    Qt1ncs = Kc * Qt1n
+
+    //非液化: 若Qt1ncs大於160(none)則直接判定為非液化
+    if (Qt1ncs >= 160) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`Qt1ncs${brk(Qt1ncs)}>=160`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        FS = mergeFS(FS, limFSNoliqForBasic)
+        return ret() //已於while區塊外, 無錯誤並結束
+    }
 
     //CRR75
-    CRR75 = 0.00128 * qc1 - 0.025 + 0.17 * Rf - 0.028 * Rf ** 2 + 0.0016 * Rf ** 3
+    CRR75 = null
+    if (Qt1ncs < 50) {
+        CRR75 = 0.833 * (Qt1ncs / 1000) + 0.05
+    }
+    else { //50<=Qt1ncs<160
+        CRR75 = 93 * (Qt1ncs / 1000) ** 3 + 0.08
+    }
 
     //CRR
     CRR = CRR75 * MSF
@@ -6049,36 +6362,39 @@ function cptOlsen({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, sv
         FS = 0
     }
 
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
     return ret()
 }
 
 
-function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, D50 }) {
+function cptRobertson({ ver = '2009', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, tou_s, su, PGA, Mw, rdSR }) {
     //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
     let err = []
     let rc = {}
     let MSF = ''
     let rrd = ''
+    let Kc = ''
+    let Kalpha = ''
+    let Fr = ''
+    let Ic = ''
+    let Icn = ''
     let qt = ''
-    let qc1 = ''
-    let qc1cr = ''
+    let Qt = ''
+    let Qtn = ''
+    let Qtncs = ''
     let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
     let stateFS = []
-    // let vstrTS = ''
-    // let vstrIY = ''
+    let vstrZRB = ''
 
     function ret() {
-        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
-        // if (isnum(qc1)) {
-        //     qc1 = qc1 / cvru
-        // }
-        if (isnum(qc1cr)) {
-            qc1cr = qc1cr / cvru
-        }
-        let r = { ...cptGetData(rc), rrd, qc1, qc1cr, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        let r = { ...cptGetData(rc), rrd, Kc, Kalpha, Fr, Ic, Icn, Qt, Qtn, Qtncs, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -6093,8 +6409,8 @@ function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2,
     while (true) {
 
         //check ver
-        if (ver !== '1988') {
-            err.push(`ver${brk(ver)}非1988`)
+        if (ver !== '2009') {
+            err.push(`ver${brk(ver)}非2009`)
             return ret() //重大錯誤直接報錯結束
         }
 
@@ -6216,24 +6532,6 @@ function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2,
 
         }
 
-        //check D50
-        if (!isnum(D50)) {
-            err.push(`D50${brk(D50)}非數字`)
-            delayErr = true
-        }
-        else {
-
-            //cdbl
-            D50 = cdbl(D50)
-
-            //check
-            if (D50 < 0) {
-                err.push(`D50${brk(D50)}<0`)
-                delayErr = true
-            }
-
-        }
-
         //check svp, 若有svp則直接複寫svpUsual與svpDesign
         if (isnum(svp)) {
 
@@ -6356,11 +6654,14 @@ function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2,
     }
 
     //CPT分析
-    let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
+    let useCnLeq = false //Robertson法是沒有限制Cn要小於等於1.7, 故得使用useCnLeq=false
     rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
-    // Ic = get(rc, 'Ic', null)
-    // Icn = get(rc, 'Icn', null)
+    Fr = get(rc, 'Fr', null)
+    Ic = get(rc, 'Ic', null)
+    Icn = get(rc, 'Icn', null)
     qt = get(rc, 'qt', null)
+    Qt = get(rc, 'Qt', null)
+    Qtn = get(rc, 'Qtn', null)
 
     //check
     if (!isnum(qt)) {
@@ -6374,67 +6675,193 @@ function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2,
     svpDesign = svpDesign * cvru //kPa -> kg/cm2
     qt = qt * 1000 * cvru //MPa -> kg/cm2
 
-    // //轉換單位成為kg/cm2
-    // sv = sv * cvru //kPa -> kg/cm2
-    // svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    // svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    // qt = qt * 1000 * cvru //MPa -> kg/cm2
-    // fs = fs * 1000 * cvru //MPa -> kg/cm2
-    // u2 = u2 * 1000 * cvru //MPa -> kg/cm2
+    //useIc
+    let useIc = null
+    if (useIc === null && isNumber(Icn)) {
+        useIc = Icn
+    }
+    if (useIc === null && isNumber(Ic)) {
+        err.push(`無法計算Icn，強制降轉使用Ic`)
+        useIc = Ic
+    }
 
-    // //轉換單位成為kg/cm2
-    // sv = sv * cvru //kPa -> kg/cm2
-    // svpUsual = svpUsual * cvru //kPa -> kg/cm2
-    // svpDesign = svpDesign * cvru //kPa -> kg/cm2
-    // qt = qt * 1000 * cvru //MPa -> kg/cm2
-    // fs = fs * 1000 * cvru //MPa -> kg/cm2
-    // u2 = u2 * 1000 * cvru //MPa -> kg/cm2
+    //useQt
+    let useQt = null
+    if (useQt === null && isNumber(Qtn)) {
+        useQt = Qtn
+    }
+    if (useQt === null && isNumber(Qt)) {
+        err.push(`無法計算Qtn，強制降轉使用Qt`)
+        useQt = Qt
+    }
 
     //MSF, 規模修正因子
     MSF = (Mw / 7.5) ** (-2.56)
 
     //rrd, 應力折減係數
-    rrd = 1 - 0.015 * depth
+    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
 
-    //qc1, 單位基於kg/cm2但無法確切定義其單位, 故不給予
-    qc1 = 1.7 / (svpUsual + 0.7) * qt
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //Qtncs, CRR75
+    Qtncs = null
+    CRR75 = null
+    if (useIc <= 2.5) {
+
+        //Kc
+        if (useIc <= 1.64) {
+            Kc = 1.0
+        }
+        else { //1.64<Ic<2.5
+            Kc = -0.403 * useIc ** 4 + 5.581 * useIc ** 3 - 21.63 * useIc ** 2 + 33.75 * useIc - 17.88
+            if (useIc < 2.36 && Fr < 0.5) {
+                Kc = 1.0
+            }
+        }
+
+        //Qtncs(none)
+        Qtncs = Kc * useQt
+
+        //CRR75
+        if (Qtncs < 50) {
+            CRR75 = 0.833 * (Qtncs / 1000) + 0.05
+        }
+        else { //50<=Qtncs<160
+            CRR75 = 93 * (Qtncs / 1000) ** 3 + 0.08
+        }
+
+        //CRR75 min from: P.K. Robertson(2009)-Performance based earthquake design using the CPT
+        //ref from: P.K. Robertson(1998)-Evaluating cyclic liquefaction potential using the cone penetration test
+        //Robertson and Wride (1998) set a minimum level for CRR7.5 = 0.05.
+
+        //最小值為0.05
+        CRR75 = Math.max(CRR75, 0.05)
 
-    //C2
-    let C2
-    if (D50 >= 0.25) { //D50單位(mm)
-        C2 = 1
     }
-    else {
-        C2 = D50 / 0.25 //D50單位(mm)
+    else if (useIc < 2.7) { //2.5<Ic<2.7
+        //關於2.5<Ic<2.7過度區:
+        //古志生(0-A1050829-CPT液化評估法, pp.21)提及是基於Robertson迭代法
+        //但其學生張佩雯(2012)(莊氏CPTu, pp.45)是寫基於Ic(RW)計算
+        //此處使用古志生投影片資料進行計算
+
+        //Kc
+        Kc = 6 * (1e-7) * useIc ** 16.76
+
+        //Qtncs(none)
+        Qtncs = Kc * useQt
+
+        //CRR75
+        if (Qtncs < 50) {
+            CRR75 = 0.833 * (Qtncs / 1000) + 0.05
+        }
+        else { //50<=Qtncs<160
+            CRR75 = 93 * (Qtncs / 1000) ** 3 + 0.08
+        }
+
     }
+    else { //Ic>=2.7
+
+        //CRR75 = 0.053 * Qtn * Kalpha from: P.K. Robertson(2009)-Performance based earthquake design using the CPT
+        //Kalpha from: Boulanger and Idriss(2007)-Evaluation of Cyclic Softening in Silts and Clays
+        //tou_s: horizontal static shear stress
+        //su: undrained shear strength
+        //in clay-like soils, the minimum level for CRR7.5 = 0.17 * Kalpha
+
+        //Kalpha被忽略(Kalpha=1) from: Ku and Juang(2021)-CPT與 SPT及 Vs之液化潛能指數分析的差異性探討(2021工程永續與土木防災研討會)
+        //Robertson(2009)參考Boulanger and Idriss(2007)細粒土壤液化或軟化的評估方式而推導出細粒土壤的液化評估模式，其反覆阻抗比CRR計算方式如公式12(CRR75=0.053*Qtn)
+        //但應該是誤值，少乘Kalpha
+
+        //default
+        Kalpha = null
+
+        //check tou_s
+        if (!isnum(tou_s)) {
+            err.push(`tou_s${brk(tou_s)}非數字，強制使用Kalpha=1`)
+            Kalpha = 1 //因Ic>=2.7黏土本身較難液化, 考慮Ku and Juang(2021)視為OCR較大
+        }
+
+        //check su
+        if (!isnum(su)) {
+            err.push(`su${brk(su)}非數字，強制使用Kalpha=1`)
+            Kalpha = 1
+        }
+
+        //check
+        if (Kalpha === null) {
+
+            //cdbl
+            tou_s = cdbl(tou_s)
+
+            //check
+            if (tou_s < 0) {
+                err.push(`tou_s${brk(tou_s)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+            //cdbl
+            su = cdbl(su)
+
+            //check
+            if (su <= 0) {
+                err.push(`su${brk(su)}<=0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+            //check
+            if (tou_s === su) {
+                err.push(`出現tou_s${brk(tou_s)}=su${brk(su)}，無法計算Kalpha`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+            //Kalpha
+            Kalpha = 1.344 - (0.344 / (1 - tou_s / su) ** 0.638)
+
+        }
+
+        //Qtncs
+        Qtncs = Kalpha * useQt
+
+        //CRR75
+        CRR75 = 0.053 * Qtncs
 
-    //C3
-    let TempL = null
-    if (svpDesign > 0) {
-        TempL = 0.1 * (MSF - 1) * PGA * (sv / svpDesign) * rrd //svp是用於CSR得要用svpDesign, Mw使用規模修正因子MSF
     }
-    else {
-        TempL = 1e20
+
+    //CRR
+    CRR = CRR75 * MSF
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
     }
-    let C3 = null
-    if (TempL !== -0.1) {
-        C3 = (TempL - 0.1) / (TempL + 0.1)
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
     }
     else {
-        C3 = 1e20
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
     }
 
-    //qc1cr(kg/cm2), 臨界正規化錐頭貫入阻抗
-    qc1cr = C2 * (50 + 200 * C3)
-    qc1cr = max(qc1cr, 0.1) //取最小值0.1，因 CSR75 可出現負值
-
-    CRR = qc1
-    CSR = qc1cr
+    //FS
     if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
         FS = CRR / CSR
     }
     if (isNumber(CSR) && CSR === 0) {
-        //qc1cr有取最小值0.1使CSR>=0.1, 故不須偵測與添加stateFS
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
     }
     if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
         stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
@@ -6456,21 +6883,42 @@ function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2,
         FS = 0
     }
 
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
     return ret()
 }
 
 
-function vsHBF({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
+function cptJuang({ ver = '2002', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, rdSR }) {
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
     let err = []
+    let rc = {}
     let MSF = ''
-    let CRR75 = ''
+    let rrd = ''
+    let Ic = ''
+    let Fr = ''
+    let qt = ''
+    let qc1N = ''
+    let qc1Ncs = ''
+    let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
     let stateFS = []
+    let vstrZRB = ''
 
     function ret() {
-        let r = { CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
+        // if (isnum(qc1N)) {
+        //     qc1N = qc1N / 1000 / cvru //kg/cm2 -> MPa
+        // }
+        // if (isnum(qc1Ncs)) {
+        //     qc1Ncs = qc1Ncs / 1000 / cvru //kg/cm2 -> MPa
+        // }
+        let r = { ...cptGetData(rc), rrd, qc1N, Ic, qc1Ncs, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -6484,6 +6932,24 @@ function vsHBF({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
     let delayErr = false
     while (true) {
 
+        //check ver
+        if (ver !== '2002') {
+            err.push(`ver${brk(ver)}非2002`)
+            return ret() //重大錯誤直接報錯結束
+        }
+
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
+
+            //cdbl
+            coe_a = cdbl(coe_a)
+
+        }
+
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -6536,59 +7002,89 @@ function vsHBF({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check Vs
-        if (!isnum(Vs)) {
-            err.push(`Vs${brk(Vs)}非數字`)
+        //check qc
+        if (!isnum(qc)) {
+            err.push(`qc${brk(qc)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            Vs = cdbl(Vs)
+            qc = cdbl(qc)
 
             //check
-            if (Vs < 0) {
-                err.push(`Vs${brk(Vs)}<0`)
+            if (qc < 0) {
+                err.push(`qc${brk(qc)}<0`)
                 delayErr = true
             }
 
         }
 
-        //check FC
-        if (!isnum(FC)) {
-            err.push(`FC${brk(FC)}非數字`)
+        //check fs
+        if (!isnum(fs)) {
+            err.push(`fs${brk(fs)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            FC = cdbl(FC)
+            fs = cdbl(fs)
 
             //check
-            if (FC < 0) {
-                err.push(`FC${brk(FC)}<0`)
+            if (fs < 0) {
+                err.push(`fs${brk(fs)}<0`)
                 delayErr = true
             }
 
         }
 
-        // //check svpUsual, 不使用故不需檢查
-        // if (!isnum(svpUsual)) {
-        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
-        //     return ret() //重大錯誤直接報錯結束
-        // }
-        // else {
+        //check u2
+        if (!isnum(u2)) {
+            err.push(`u2${brk(u2)}非數字`)
+            delayErr = true
+        }
+        else {
 
-        //     //cdbl
-        //     svpUsual = cdbl(svpUsual)
+            //cdbl
+            u2 = cdbl(u2)
 
-        //     //check
-        //     if (svpUsual < 0) {
-        //         err.push(`svpUsual${brk(svpUsual)}<0`)
-        //         return ret() //重大錯誤直接報錯結束
-        //     }
+            // //check, 須允許水壓負值
+            // if (u2 < 0) {
+            //     err.push(`u2${brk(u2)}<0`)
+            //     delayErr = true
+            // }
 
-        // }
+        }
+
+        //check svp, 若有svp則直接複寫svpUsual與svpDesign
+        if (isnum(svp)) {
+
+            //cdbl
+            svp = cdbl(svp)
+
+            //save
+            svpUsual = svp
+            svpDesign = svp
+
+        }
+
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpUsual = cdbl(svpUsual)
+
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
 
         //check svpDesign
         if (!isnum(svpDesign)) {
@@ -6681,35 +7177,84 @@ function vsHBF({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         return ret() //觸發延遲報錯並結束
     }
 
+    //CPT分析
+    let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
+    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
+    Fr = get(rc, 'Fr', null)
+    // Ic = get(rc, 'Ic', null)
+    // Icn = get(rc, 'Icn', null)
+    qt = get(rc, 'qt', null)
+    // Qt = get(rc, 'Qt', null)
+    // Qtn = get(rc, 'Qtn', null)
+
+    //check
+    if (!isnum(qt)) {
+        err.push(`qt${brk(qt)}非數字`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //轉換單位成為kg/cm2
+    sv = sv * cvru //kPa -> kg/cm2
+    svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    qt = qt * 1000 * cvru //MPa -> kg/cm2
+
     //MSF, 規模修正因子
-    //let MSF = (Mw / 7.5) ** (-1.11) //原莊長賢excel使用
-    MSF = (Mw / 7.5) ** (-3.3)
+    MSF = (Mw / 7.5) ** (-2.56)
 
     //rrd, 應力折減係數
-    let rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
-    let Vs1 = 1 / Math.sqrt(svpDesign) * Vs
-    console.log('待確認此處svpDesign,Vs的單位')
-    let Kv
-    if (FC <= 10) {
-        Kv = 1.0
+    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
-    else {
-        Kv = 0.00029 * FC ** 2 - 0.00355 * FC + 1.00651
+
+    //F(%)
+    // let F = null
+    // if ((qt - sv) > 0) {
+    //     F = (fs / (qt - sv)) * 100 //基於kg/cm2
+    // }
+    // // else {
+    // //     F = 1e20 //除0就不要硬算
+    // // }
+    let F = Fr
+
+    //qc1N, 單位基於kg/cm2但無法確切定義其單位, 故不給予
+    qc1N = null
+    if (svpUsual > 0) {
+        qc1N = qt / Math.sqrt(svpUsual) //基於kg/cm2
     }
-    let Vs100cs = Kv * (Vs1 - 100)
-    Vs100cs = Math.min(Vs100cs, 135 - 0.5)
+    // else {
+    //     qc1N = 1e20 //除0就不要硬算
+    // }
+
+    //Ic, 另外計算
+    Ic = null
+    if (isNumber(qc1N) && isNumber(F)) {
+        Ic = Math.sqrt((3.47 - Math.log10(qc1N)) ** 2 + (Math.log10(F) + 1.22) ** 2)
+    }
+
+    //qc1Ncs, 單位基於kg/cm2但無法確切定義其單位, 故不給予
+    qc1Ncs = null
+    if (isNumber(qc1N) && isNumber(Ic)) {
+        qc1Ncs = qc1N * (2.429 * Ic ** 4 - 16.943 * Ic ** 3 + 44.551 * Ic ** 2 - 51.497 * Ic + 22.802)
+    }
+
+    //Calpha
+    let Calpha = -0.016 * (svpUsual / 100) ** 3 + 0.178 * (svpUsual / 100) ** 2 - 0.063 * (svpUsual / 100) + 0.903
 
     //CRR75
     CRR75 = null
-    if (Vs1 <= 100) {
-        CRR75 = 0.09
-    }
-    else {
-        CRR75 = 0.09 + 0.00022 * Vs100cs / (1 - Vs100cs / 135)
+    if (isNumber(Calpha) && isNumber(qc1Ncs)) {
+        CRR75 = Calpha * Math.exp(-2.957 + 1.264 * (qc1Ncs / 100) ** 1.25)
     }
 
     //CRR
-    CRR = CRR75 * MSF
+    CRR = null
+    if (isNumber(CRR75) && isNumber(MSF)) {
+        CRR = CRR75 * MSF
+    }
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
@@ -6762,20 +7307,40 @@ function vsHBF({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         FS = 0
     }
 
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
     return ret()
 }
 
 
-function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
+function cptKuAndJuang({ ver = '2012', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, rdSR }) {
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
     let err = []
+    let rc = {}
+    let MSF = ''
+    let rrd = ''
+    let Fr = ''
+    let Bq = ''
+    let Ic = ''
+    let Icn = ''
+    let qt = ''
+    let Qt = ''
+    let Qtn = ''
+    let Icbj = ''
+    let Csigma = ''
+    let Ksigma = ''
     let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
     let stateFS = []
+    let vstrZRB = ''
 
     function ret() {
-        let r = { CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        let r = { ...cptGetData(rc), rrd, Fr, Bq, Ic, Icn, Qt, Qtn, Icbj, Csigma, Ksigma, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -6789,6 +7354,24 @@ function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
     let delayErr = false
     while (true) {
 
+        //check ver
+        if (ver !== '2012') {
+            err.push(`ver${brk(ver)}非2012`)
+            return ret() //重大錯誤直接報錯結束
+        }
+
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
+
+            //cdbl
+            coe_a = cdbl(coe_a)
+
+        }
+
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -6841,59 +7424,89 @@ function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check Vs
-        if (!isnum(Vs)) {
-            err.push(`Vs${brk(Vs)}非數字`)
+        //check qc
+        if (!isnum(qc)) {
+            err.push(`qc${brk(qc)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            Vs = cdbl(Vs)
+            qc = cdbl(qc)
 
             //check
-            if (Vs < 0) {
-                err.push(`Vs${brk(Vs)}<0`)
+            if (qc < 0) {
+                err.push(`qc${brk(qc)}<0`)
                 delayErr = true
             }
 
         }
 
-        //check FC
-        if (!isnum(FC)) {
-            err.push(`FC${brk(FC)}非數字`)
+        //check fs
+        if (!isnum(fs)) {
+            err.push(`fs${brk(fs)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            FC = cdbl(FC)
+            fs = cdbl(fs)
 
             //check
-            if (FC < 0) {
-                err.push(`FC${brk(FC)}<0`)
+            if (fs < 0) {
+                err.push(`fs${brk(fs)}<0`)
                 delayErr = true
             }
 
         }
 
-        // //check svpUsual, 不使用故不需檢查
-        // if (!isnum(svpUsual)) {
-        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
-        //     return ret() //重大錯誤直接報錯結束
-        // }
-        // else {
+        //check u2
+        if (!isnum(u2)) {
+            err.push(`u2${brk(u2)}非數字`)
+            delayErr = true
+        }
+        else {
 
-        //     //cdbl
-        //     svpUsual = cdbl(svpUsual)
+            //cdbl
+            u2 = cdbl(u2)
 
-        //     //check
-        //     if (svpUsual < 0) {
-        //         err.push(`svpUsual${brk(svpUsual)}<0`)
-        //         return ret() //重大錯誤直接報錯結束
-        //     }
+            // //check, 須允許水壓負值
+            // if (u2 < 0) {
+            //     err.push(`u2${brk(u2)}<0`)
+            //     delayErr = true
+            // }
 
-        // }
+        }
+
+        //check svp, 若有svp則直接複寫svpUsual與svpDesign
+        if (isnum(svp)) {
+
+            //cdbl
+            svp = cdbl(svp)
+
+            //save
+            svpUsual = svp
+            svpDesign = svp
+
+        }
+
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpUsual = cdbl(svpUsual)
+
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
 
         //check svpDesign
         if (!isnum(svpDesign)) {
@@ -6986,35 +7599,136 @@ function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         return ret() //觸發延遲報錯並結束
     }
 
-    //MSF, 規模修正因子
-    let MSF = (Mw / 7.5) ** (-3.3)
+    //CPT分析
+    let useCnLeq = true //基於Idriss and Boulanger(2006)故有限制Cn要小於等於1.7, 得使用useCnLeq=true
+    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
+    qt = get(rc, 'qt', null)
+    Fr = get(rc, 'Fr', null)
+    Bq = get(rc, 'Bq', null)
+    Ic = get(rc, 'Ic', null)
+    Icn = get(rc, 'Icn', null)
+    Qt = get(rc, 'Qt', null)
+    Qtn = get(rc, 'Qtn', null) //通過迭代算得, 基於Idriss and Boulanger(2006)中的qc(1N), 等同Ku and Juang (2012)中的qt(1N)
 
-    //rrd, 應力折減係數
-    let rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
-    let Vs1 = 1 / Math.sqrt(svpDesign) * Vs
-    console.log('待確認此處svpDesign,Vs的單位')
-    let Vs1Star
-    if (FC <= 5) {
-        Vs1Star = 215
+    //check
+    if (!isnum(qt)) {
+        err.push(`qt${brk(qt)}非數字`)
+        return ret() //重大錯誤直接報錯結束
     }
-    else if (FC <= 35) {
-        Vs1Star = 215 - 0.5 * (FC - 5)
+
+    //轉換單位成為kg/cm2
+    sv = sv * cvru //kPa -> kg/cm2
+    svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    // qt = qt * 1000 * cvru //MPa -> kg/cm2
+
+    //useIc
+    let useIc = null
+    if (useIc === null && isNumber(Icn)) {
+        useIc = Icn
+    }
+    if (useIc === null && isNumber(Ic)) {
+        err.push(`無法計算Icn，強制降轉使用Ic`)
+        useIc = Ic
+    }
+
+    //useQt
+    let useQt = null
+    if (useQt === null && isNumber(Qtn)) {
+        useQt = Qtn
+    }
+    if (useQt === null && isNumber(Qt)) {
+        err.push(`無法計算Qtn，強制降轉使用Qt`)
+        useQt = Qt
+    }
+
+    // //轉換單位成為kg/cm2
+    // sv = sv * cvru //kPa -> kg/cm2
+    // svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    // svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    // qt = qt * 1000 * cvru //MPa -> kg/cm2
+    // fs = fs * 1000 * cvru //MPa -> kg/cm2
+    // u2 = u2 * 1000 * cvru //MPa -> kg/cm2
+
+    //MSF from: Ku and Juang(2012)-No AccessLiquefaction and cyclic softening potential of soils – a unified piezocone penetration testing-based approach
+    //CSR (see Appendix B), such as depth-dependent shear stress reduction factor (rd), magnitude scaling factor (MSF),
+    //and overburden correction factor for cyclic stress ratio (Ks).
+    //Again, this subject is outside of the scope of the current paper,
+    //and the reader is referred to Juang et al. (2006, 2008a, 2008b).
+    //可知MSF是參考: Juang(2008)-Calibration of liquefaction potential index-A re-visit focusing on a new CPTU model.pdf
+    //The three intermediate parameters for the determination of adjusted CSR Eq. (4) are defined by Idriss and Boulanger (2004, 2006).
+    //They are provided herein for convenience in the calculation of LPI.
+    //The reader is referred to Idriss and Boulanger (2004, 2006) for details.
+    //實際上可知MSF是使用Idriss and Boulanger(2006)
+
+    //MSF, 規模修正因子, Idriss and Boulanger(2006) for sand
+    MSF = 6.9 * Math.exp(-Mw / 4) - 0.058
+    MSF = Math.min(MSF, 1.8)
+
+    //rrd, 應力折減係數, Idriss and Boulanger(2006)
+    let rd_alpha = -1.012 - 1.126 * Math.sin(depth / 11.73 + 5.133)
+    let rd_beta = 0.106 + 0.118 * Math.sin(depth / 11.28 + 5.142)
+    rrd = Math.exp(rd_alpha + rd_beta * Mw)
+    rrd = Math.min(rrd, 1)
+    // console.log('rrd',rrd,'rd_alpha',rd_alpha,'rd_beta',rd_beta,'Mw',Mw)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //Icbj
+    Icbj = null
+    if (isNumber(Qt) && isNumber(Bq) && isNumber(Fr)) {
+        Icbj = Math.sqrt((3 - Math.log10(Qt * (1 - Bq) + 1)) ** 2 + (Math.log10(Fr) + 1.22) ** 2)
     }
     else {
-        Vs1Star = 200
+        err.push(`無法計算Ic(BJ)`)
+        return ret() //重大錯誤直接報錯結束
     }
 
     //CRR75
-    let a = 0.022
-    let b = 2.8
-    CRR75 = a * (Vs1 / 100) ** 2 + b * (1 / (Vs1Star - Vs1) - 1 / Vs1Star)
-    CRR75 = max(CRR75, 0.1) // CRR75 會出現負值
+    let A = Icbj * (useQt / 100) - 14.7
+    let B = 0.909 * Icbj ** 3 - 7.47 * Icbj + 19.28
+    let C = 0.059 + 0.015 * Icbj ** 2
+    CRR75 = 0.05 + Math.exp(A + B * (useQt / 100) ** C)
+    if (isNumber(CRR75)) {
+        CRR75 = Math.min(CRR75, 1e20) //CRR75可能超大Infinity, 為避免後續FS也變成Infinity故修改至1e20
+    }
+    // console.log('depth',depth,'CRR75',CRR75,'A',A,'B',B,'C',C,'Icbj',Icbj,'useQt',useQt)
+
+    //Csigma
+    Csigma = null
+    if (Qtn <= 37) {
+        Csigma = 0.063
+    }
+    else if (Qtn < 211) { //37<Qtn<211
+        Csigma = 1 / (37.3 - 8.27 * (Qtn) ** 0.264)
+    }
+    else { //Qtn>=211
+        Csigma = 0.3
+    }
+    Csigma = Math.min(Csigma, 0.3)
+
+    //Pa
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    Pa = Pa * cvru //kPa -> kg/cm2
+
+    //Ksigma
+    Ksigma = 1 - Csigma * Math.log(svpUsual / Pa) //使用常時垂直有效應力
+    Ksigma = Math.min(Ksigma, 1)
 
     //CRR
-    CRR = CRR75 * MSF
+    CRR = CRR75 * MSF * Ksigma
     if (isNumber(CRR)) {
         CRR = Math.min(CRR, 1e20)
     }
+    // console.log('depth',depth,'CRR',CRR,'CRR75',CRR75,'MSF',MSF,'Ksigma',Ksigma,'Csigma',Csigma,'svpUsual',svpUsual,'Pa',Pa,'Math.log(svpUsual / Pa)',Math.log(svpUsual / Pa))
+
+    //CSR from: Ku and Juang(2012)-No AccessLiquefaction and cyclic softening potential of soils – a unified piezocone penetration testing-based approach
+    //The Juang et al. (2008) method is a CPTu-based model that follows the framework of simplified procedures.
+    //In this CPTu-based model, the cyclic stress ratio (CSR) is computed using the formulation established by Idriss & Boulanger (2006)
+    //所以rrd使用Idriss and Boulanger(2006)
 
     //CSR
     CSR = null
@@ -7027,6 +7741,7 @@ function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
     if (isNumber(CSR)) {
         CSR = Math.min(CSR, 1e20)
     }
+    // console.log('depth',depth,'CSR',CSR,'sv',sv,'svpDesign',svpDesign,'rrd',rrd,'PGA',PGA)
 
     //FS
     if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
@@ -7048,6 +7763,7 @@ function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
         FS = limFSMax
     }
+    // console.log('depth',depth,'FS',FS)
 
     //check
     if (CRR < 0) {
@@ -7064,20 +7780,37 @@ function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         FS = 0
     }
 
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
     return ret()
 }
 
 
-function vsNCEER({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
+function cptOlsen({ ver = '1997', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, rdSR }) {
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
     let err = []
+    let rc = {}
+    let MSF = ''
+    let rrd = ''
+    let qt = ''
+    let qc1 = ''
+    let Rf = ''
     let CRR75 = ''
     let CRR = ''
     let CSR = ''
     let FS = ''
     let stateFS = []
+    let vstrZRB = ''
 
     function ret() {
-        let r = { CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
+        // if (isnum(qc1)) {
+        //     qc1 = qc1 / cvru
+        // }
+        let r = { ...cptGetData(rc), rrd, qc1, Rf, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
         each(r, (v, k) => {
             if (!isestr(v) && !isnum(v)) {
                 r[k] = ''
@@ -7091,6 +7824,24 @@ function vsNCEER({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
     let delayErr = false
     while (true) {
 
+        //check ver
+        if (ver !== '1997') {
+            err.push(`ver${brk(ver)}非1997`)
+            return ret() //重大錯誤直接報錯結束
+        }
+
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
+
+            //cdbl
+            coe_a = cdbl(coe_a)
+
+        }
+
         //check depth
         if (!isnum(depth)) {
             err.push(`depth${brk(depth)}非數字`)
@@ -7143,59 +7894,89 @@ function vsNCEER({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
             FS = mergeFS(FS, limFSNoliqForBasic)
         }
 
-        //check Vs
-        if (!isnum(Vs)) {
-            err.push(`Vs${brk(Vs)}非數字`)
+        //check qc
+        if (!isnum(qc)) {
+            err.push(`qc${brk(qc)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            Vs = cdbl(Vs)
+            qc = cdbl(qc)
 
             //check
-            if (Vs < 0) {
-                err.push(`Vs${brk(Vs)}<0`)
+            if (qc < 0) {
+                err.push(`qc${brk(qc)}<0`)
                 delayErr = true
             }
 
         }
 
-        //check FC
-        if (!isnum(FC)) {
-            err.push(`FC${brk(FC)}非數字`)
+        //check fs
+        if (!isnum(fs)) {
+            err.push(`fs${brk(fs)}非數字`)
             delayErr = true
         }
         else {
 
             //cdbl
-            FC = cdbl(FC)
+            fs = cdbl(fs)
 
             //check
-            if (FC < 0) {
-                err.push(`FC${brk(FC)}<0`)
+            if (fs < 0) {
+                err.push(`fs${brk(fs)}<0`)
                 delayErr = true
             }
 
         }
 
-        // //check svpUsual, 不使用故不需檢查
-        // if (!isnum(svpUsual)) {
-        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
-        //     return ret() //重大錯誤直接報錯結束
-        // }
-        // else {
+        //check u2
+        if (!isnum(u2)) {
+            err.push(`u2${brk(u2)}非數字`)
+            delayErr = true
+        }
+        else {
 
-        //     //cdbl
-        //     svpUsual = cdbl(svpUsual)
+            //cdbl
+            u2 = cdbl(u2)
 
-        //     //check
-        //     if (svpUsual < 0) {
-        //         err.push(`svpUsual${brk(svpUsual)}<0`)
-        //         return ret() //重大錯誤直接報錯結束
-        //     }
+            // //check, 須允許水壓負值
+            // if (u2 < 0) {
+            //     err.push(`u2${brk(u2)}<0`)
+            //     delayErr = true
+            // }
 
-        // }
+        }
+
+        //check svp, 若有svp則直接複寫svpUsual與svpDesign
+        if (isnum(svp)) {
+
+            //cdbl
+            svp = cdbl(svp)
+
+            //save
+            svpUsual = svp
+            svpDesign = svp
+
+        }
+
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpUsual = cdbl(svpUsual)
+
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
 
         //check svpDesign
         if (!isnum(svpDesign)) {
@@ -7288,29 +8069,56 @@ function vsNCEER({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         return ret() //觸發延遲報錯並結束
     }
 
+    //CPT分析
+    let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
+    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
+    // Ic = get(rc, 'Ic', null)
+    // Icn = get(rc, 'Icn', null)
+    qt = get(rc, 'qt', null)
+    Rf = get(rc, 'Rf', null)
+
+    //check
+    if (!isnum(qt)) {
+        err.push(`qt${brk(qt)}非數字`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //轉換單位成為kg/cm2
+    sv = sv * cvru //kPa -> kg/cm2
+    svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    qt = qt * 1000 * cvru //MPa -> kg/cm2
+
     //MSF, 規模修正因子
-    let MSF = (Mw / 7.5) ** (-3.3)
+    MSF = (Mw / 7.5) ** (-2.56)
 
     //rrd, 應力折減係數
-    let rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
-    let Vs1 = 1 / Math.sqrt(svpDesign) * Vs
-    console.log('待確認此處svpDesign的單位')
-    let Vs1c
-    if (FC <= 5) {
-        Vs1c = 220
+    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
-    else if (FC <= 35) {
-        Vs1c = 210
+
+    //qc1, 單位基於kg/cm2但無法確切定義其單位, 故不給予
+    if (svpUsual > 0) {
+        qc1 = qt / svpUsual ** 0.7 //基於kg/cm2
     }
     else {
-        Vs1c = 200
+        qc1 = 1e20
     }
 
+    //Rf(%), 摩擦比(fs與qc同單位故無單位)
+    // Rf = null
+    // if (qt > 0) {
+    //     Rf = fs / qt * 100
+    // }
+    // else {
+    //     Rf = 1e20
+    // }
+
     //CRR75
-    let a = 0.03
-    let b = 0.9
-    CRR75 = a * (Vs1 / 100) ** 2 + b * (1 / (Vs1c - Vs1) - 1 / Vs1c)
-    CRR75 = max(CRR75, 0.1) // CRR75 會出現負值
+    CRR75 = 0.00128 * qc1 - 0.025 + 0.17 * Rf - 0.028 * Rf ** 2 + 0.0016 * Rf ** 3
 
     //CRR
     CRR = CRR75 * MSF
@@ -7366,681 +8174,4331 @@ function vsNCEER({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw }) {
         FS = 0
     }
 
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
     return ret()
 }
 
 
-let methodLiques = {
-    SPT: {
-        sptSeed,
-        // sptHBF,
-        sptHBF2012: (row) => {
-            row = { ...row, ver: '2012' }
-            return sptHBF(row)
-        },
-        sptHBF2017: (row) => {
-            row = { ...row, ver: '2017' }
-            return sptHBF(row)
-        },
-        sptNCEER,
-        // sptNJRA,
-        sptNJRA1996: (row) => {
-            row = { ...row, ver: '1996' }
-            return sptNJRA(row)
-        },
-        sptNJRA2017: (row) => {
-            row = { ...row, ver: '2017' }
-            return sptNJRA(row)
-        },
-        sptTY,
-    },
-    CPT: {
-        // cptHBF,
-        cptHBF2012: (row) => {
-            row = { ...row, ver: '2012' }
-            return cptHBF(row)
-        },
-        cptHBF2017: (row) => {
-            row = { ...row, ver: '2017' }
-            return cptHBF(row)
-        },
-        cptHBF2021: (row) => {
-            row = { ...row, ver: '2021' }
-            return cptHBF(row)
-        },
-        // cptNCEER,
-        cptNCEER1997: (row) => {
-            row = { ...row, ver: '1997' }
-            return cptNCEER(row)
-        },
-        // cptRobertson,
-        cptRobertson2009: (row) => {
-            row = { ...row, ver: '2009' }
-            return cptRobertson(row)
-        },
-        // cptJuang,
-        cptJuang2002: (row) => {
-            row = { ...row, ver: '2002' }
-            return cptJuang(row)
-        },
-        // cptKuAndJuang,
-        cptKuAndJuang2012: (row) => {
-            row = { ...row, ver: '2012' }
-            return cptKuAndJuang(row)
-        },
-        // cptOlsen,
-        cptOlsen1997: (row) => {
-            row = { ...row, ver: '1997' }
-            return cptOlsen(row)
-        },
-        // cptShibata,
-        cptShibata1988: (row) => {
-            row = { ...row, ver: '1988' }
-            return cptShibata(row)
-        },
-    },
-    VS: {
-        vsHBF,
-        vsAndrus,
-        vsNCEER,
-    },
-}
+function cptShibata({ ver = '1988', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, D50, rdSR }) {
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+    let err = []
+    let rc = {}
+    let MSF = ''
+    let rrd = ''
+    let qt = ''
+    let qc1 = ''
+    let qc1cr = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let stateFS = []
+    let vstrZRB = ''
 
+    function ret() {
+        //因經驗公式是與單位有關, 但無法確切定義其單位, 故避免轉換減少爭議
+        // if (isnum(qc1)) {
+        //     qc1 = qc1 / cvru
+        // }
+        if (isnum(qc1cr)) {
+            qc1cr = qc1cr / cvru
+        }
+        let r = { ...cptGetData(rc), rrd, qc1, qc1cr, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
 
-let methodSettlements = {
-    SPT: {
-        sptVolumetricStrainTokimatsuAndSeed,
-        sptVolumetricStrainIshiharaAndYoshimine,
-    },
-}
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
 
+        //check ver
+        if (ver !== '1988') {
+            err.push(`ver${brk(ver)}非1988`)
+            return ret() //重大錯誤直接報錯結束
+        }
 
-function liquefaction(kind, rows, opt = {}) {
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
 
-    //check
-    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
-        throw new Error(`kind(分析種類)${brk(kind)}非有效值: SPT, CPT, VS`)
-    }
+            //cdbl
+            coe_a = cdbl(coe_a)
 
-    //unitSvSvp
-    let unitSvSvp = get(opt, 'unitSvSvp')
-    if (unitSvSvp !== 'kPa' && unitSvSvp !== 'MPa') {
-        throw new Error(`opt.unitSvSvp[${unitSvSvp}] need kPa or MPa`)
-    }
+        }
 
-    //methdos
-    let methods = get(opt, 'methods', [])
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
 
-    //keyDepth, 計算核心複雜不提供更換鍵名
-    // let keyDepth = get(opt, 'keyDepth')
-    // if (!isestr(keyDepth)) {
-    //     keyDepth = 'depth'
-    // }
-    let keyDepth = 'depth'
+            //cdbl
+            depth = cdbl(depth)
 
-    //keyDepthStart, 計算核心複雜不提供更換鍵名
-    // let keyDepthStart = get(opt, 'keyDepthStart')
-    // if (!isestr(keyDepthStart)) {
-    //     keyDepthStart = 'depthStart'
-    // }
-    let keyDepthStart = 'depthStart'
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
-    //keyDepthEnd, 計算核心複雜不提供更換鍵名
-    // let keyDepthEnd = get(opt, 'keyDepthEnd')
-    // if (!isestr(keyDepthEnd)) {
-    //     keyDepthEnd = 'depthEnd'
-    // }
-    let keyDepthEnd = 'depthEnd'
+        }
 
-    //getKeysFromRows
-    let getKeysFromRows = (rows) => {
+        //check waterLevelUsual, 不使用故不需檢查
 
-        //row0
-        let row0 = get(rows, 0, [])
-        // console.log('row0', row0)
-
-        //ks, 基於第1列提取keys
-        let ks = keys(row0)
-
-        return ks
-    }
-
-    // function getLiqueKindFromKey(c) {
-    //     if (strleft(c, 3) === 'spt') {
-    //         return 'SPT'
-    //     }
-    //     else if (strleft(c, 3) === 'cpt') {
-    //         return 'CPT'
-    //     }
-    //     else if (strleft(c, 2) === 'vs') {
-    //         return 'VS'
-    //     }
-    //     throw new Error(`無法判斷分析種類: ${c}`)
-    // }
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
 
-    // function getLiqueKindFromRow(rows) {
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
 
-    //     //getKeysFromRows
-    //     let ks = getKeysFromRows(rows)
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
 
-    //     //kind
-    //     let kind = ''
-    //     each(ks, (key) => {
-    //         if (key.indexOf('-FS') >= 0) {
-    //             kind = getLiqueKindFromKey(key)
-    //             return false
-    //         }
-    //     })
+        }
 
-    //     return kind
-    // }
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
 
-    //addDepthAndPorousParams
-    let addDepthAndPorousParams = (rows, waterLevelUsual, waterLevelDesign) => {
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
 
-        //waterLevelUsual, waterLevelDesign
-        waterLevelUsual = cdbl(waterLevelUsual)
-        waterLevelDesign = cdbl(waterLevelDesign)
+        //check qc
+        if (!isnum(qc)) {
+            err.push(`qc${brk(qc)}非數字`)
+            delayErr = true
+        }
+        else {
 
-        //map
-        rows = map(rows, (v, k) => {
+            //cdbl
+            qc = cdbl(qc)
 
-            //err
-            let err = get(v, 'err', '')
+            //check
+            if (qc < 0) {
+                err.push(`qc${brk(qc)}<0`)
+                delayErr = true
+            }
 
-            //save waterLevelUsual,waterLevelDesign
-            v.waterLevelUsual = waterLevelUsual
-            v.waterLevelDesign = waterLevelDesign
+        }
 
-            //depth
-            let ds = get(v, keyDepthStart, null)
-            let de = get(v, keyDepthEnd, null)
-            let bDepth = isnum(ds) && isnum(de)
-            if (bDepth) {
-                ds = cdbl(ds)
-                de = cdbl(de)
+        //check fs
+        if (!isnum(fs)) {
+            err.push(`fs${brk(fs)}非數字`)
+            delayErr = true
+        }
+        else {
 
-                //depth
-                let depth = (ds + de) / 2
-                v[keyDepth] = depth
+            //cdbl
+            fs = cdbl(fs)
 
-            }
-            else {
-                v[keyDepth] = ''
+            //check
+            if (fs < 0) {
+                err.push(`fs${brk(fs)}<0`)
+                delayErr = true
             }
 
-            //relaPorous, SPT,CPT,VS都需要飽和與乾單位重計算垂直應力與垂直有效應力
-            let e = get(v, 'e', null)
-            let GS = get(v, 'GS', null)
-            let rd = get(v, 'rd', null) //乾單位重rd(kN/m3)
-            let rsat = get(v, 'rsat', null) //飽和單位重rsat(kN/m3)
-            let t = relaPorous(rd, rsat, GS, e)
-            if (get(t, 'err')) { //err為非中斷之錯誤訊息, 故需直接儲存
-                if (err === '') {
-                    err = t.err
-                }
-                else {
-                    if (err.indexOf(t.err) < 0) { //若不存在才加入
-                        err += `, ${t.err}`
-                    }
-                }
-                v.err = err
-            }
-            //err為非中斷訊息, 故各參數需獨立偵測是否為數值並儲存
-            if (isNumber(t.rd)) {
-                v.rd = t.rd
-            }
-            else {
-                v.rd = ''
-            }
-            if (isNumber(t.rsat)) {
-                v.rsat = t.rsat
-            }
-            else {
-                v.rsat = ''
-            }
-            if (isNumber(t.GS)) {
-                v.GS = t.GS
-            }
-            else {
-                v.GS = ''
-            }
-            if (isNumber(t.e)) {
-                v.e = t.e
-            }
-            else {
-                v.e = ''
-            }
+        }
 
-            // if (kind === 'SPT') {
+        //check u2
+        if (!isnum(u2)) {
+            err.push(`u2${brk(u2)}非數字`)
+            delayErr = true
+        }
+        else {
 
-            // }
-            // else if (kind === 'CPT') {
+            //cdbl
+            u2 = cdbl(u2)
 
+            // //check, 須允許水壓負值
+            // if (u2 < 0) {
+            //     err.push(`u2${brk(u2)}<0`)
+            //     delayErr = true
             // }
-            // else if (kind === 'VS') {
 
-            // }
+        }
 
-            return v
-        })
+        //check D50
+        if (!isnum(D50)) {
+            err.push(`D50${brk(D50)}非數字`)
+            delayErr = true
+        }
+        else {
 
-        return rows
-    }
+            //cdbl
+            D50 = cdbl(D50)
 
-    //getWaterLevelUsual, 常時地下水位(m)
-    let getWaterLevelUsual = (rows) => {
-        let r = null
+            //check
+            if (D50 < 0) {
+                err.push(`D50${brk(D50)}<0`)
+                delayErr = true
+            }
 
-        //使用最上層數據
-        if (!isnum(r)) {
-            r = get(rows, '0.waterLevelUsual', '')
         }
 
-        //使用opt數據
-        if (!isnum(r)) {
-            r = get(opt, 'waterLevelUsual', '')
-        }
+        //check svp, 若有svp則直接複寫svpUsual與svpDesign
+        if (isnum(svp)) {
+
+            //cdbl
+            svp = cdbl(svp)
+
+            //save
+            svpUsual = svp
+            svpDesign = svp
 
-        //cdbl
-        if (isnum(r)) {
-            r = cdbl(r)
         }
 
-        //預設值
-        if (!isnum(r)) {
-            r = 0
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
+        else {
 
-        return r
-    }
+            //cdbl
+            svpUsual = cdbl(svpUsual)
 
-    //getWaterLevelDesign, 設計地下水位(m)
-    let getWaterLevelDesign = (rows) => {
-        let r = null
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
-        //使用最上層數據
-        if (!isnum(r)) {
-            r = get(rows, '0.waterLevelDesign', '')
         }
 
-        //使用opt數據
-        if (!isnum(r)) {
-            r = get(opt, 'waterLevelDesign', '')
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
-        //cdbl
-        if (isnum(r)) {
-            r = cdbl(r)
         }
 
-        //預設值
-        if (!isnum(r)) {
-            r = 0
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
+        else {
 
-        return r
-    }
+            //cdbl
+            sv = cdbl(sv)
 
-    //getMw, 地震矩規模
-    let getMw = (rows) => {
-        let r = null
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
-        //使用最上層數據
-        let r_row0 = null
-        if (!isnum(r)) {
-            r = get(rows, '0.Mw', '')
-            r_row0 = r
         }
 
-        //使用opt數據
-        let r_opt = null
-        if (!isnum(r)) {
-            r = get(opt, 'Mw', '')
-            r_opt = r
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
+        else {
 
-        //cdbl
-        if (isnum(r)) {
-            r = cdbl(r)
-        }
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
-        //check
-        if (!isnum(r)) {
-            throw new Error(`rows[0].Mw or opt.Mw is not a number`)
         }
 
-        //check
-        if (r <= 0) {
-            console.log(`rows[0].Mw`, r_row0)
-            console.log(`opt.Mw`, r_opt)
-            throw new Error(`Mw[${r}]<=0`)
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
         }
+        else {
 
-        return r
-    }
+            //cdbl
+            Mw = cdbl(Mw)
 
-    //getPGA, 最大地表加速度(g)
-    let getPGA = (rows) => {
-        let r = null
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
 
-        //使用最上層數據
-        let r_row0 = null
-        if (!isnum(r)) {
-            r = get(rows, '0.PGA', '')
-            r_row0 = r
         }
 
-        //使用opt數據
-        let r_opt = null
-        if (!isnum(r)) {
-            r = get(opt, 'PGA', '')
-            r_opt = r
-        }
+        break
+    }
 
-        //cdbl
-        if (isnum(r)) {
-            r = cdbl(r)
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
         }
+        return ret() //無錯誤並結束
+    }
 
-        //check
-        if (!isnum(r)) {
-            throw new Error(`rows[0].PGA or opt.PGA is not a number`)
-        }
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
 
-        //check
-        if (r < 0) {
-            console.log(`rows[0].PGA`, r_row0)
-            console.log(`opt.PGA`, r_opt)
-            throw new Error(`PGA[${r}]<0`)
-        }
+    //CPT分析
+    let useCnLeq = false //未使用迭代法之Icn或Qtn, 故使用無限制之useCnLeq=false
+    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
+    // Ic = get(rc, 'Ic', null)
+    // Icn = get(rc, 'Icn', null)
+    qt = get(rc, 'qt', null)
 
-        return r
+    //check
+    if (!isnum(qt)) {
+        err.push(`qt${brk(qt)}非數字`)
+        return ret() //重大錯誤直接報錯結束
     }
 
-    //getVibrationType, 振動形式, 1為第一型震動[板塊邊界地震(遠震)]，2為第二型震動[內陸直下型地震(近震)]
-    let getVibrationType = (rows) => {
-        let r = null
+    //轉換單位成為kg/cm2
+    sv = sv * cvru //kPa -> kg/cm2
+    svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    qt = qt * 1000 * cvru //MPa -> kg/cm2
 
-        //使用最上層數據
-        if (!isnum(r)) {
-            r = get(rows, '0.vibrationType', '')
-        }
+    // //轉換單位成為kg/cm2
+    // sv = sv * cvru //kPa -> kg/cm2
+    // svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    // svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    // qt = qt * 1000 * cvru //MPa -> kg/cm2
+    // fs = fs * 1000 * cvru //MPa -> kg/cm2
+    // u2 = u2 * 1000 * cvru //MPa -> kg/cm2
 
-        //使用opt數據
-        if (!isnum(r)) {
-            r = get(opt, 'vibrationType', '')
-        }
+    // //轉換單位成為kg/cm2
+    // sv = sv * cvru //kPa -> kg/cm2
+    // svpUsual = svpUsual * cvru //kPa -> kg/cm2
+    // svpDesign = svpDesign * cvru //kPa -> kg/cm2
+    // qt = qt * 1000 * cvru //MPa -> kg/cm2
+    // fs = fs * 1000 * cvru //MPa -> kg/cm2
+    // u2 = u2 * 1000 * cvru //MPa -> kg/cm2
 
-        //cdbl
-        if (isnum(r)) {
-            r = cdbl(r)
-        }
+    //MSF, 規模修正因子
+    MSF = (Mw / 7.5) ** (-2.56)
 
-        //預設值
-        if (r !== 1 && r !== 2) {
-            r = 1
-        }
+    //rrd, 應力折減係數
+    rrd = 1 - 0.015 * depth
 
-        return r
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
     }
 
-    //getCoe_a
-    let getCoe_a = (rows) => {
-        let r = null
+    //qc1, 單位基於kg/cm2但無法確切定義其單位, 故不給予
+    qc1 = 1.7 / (svpUsual + 0.7) * qt
 
-        //使用最上層數據
-        if (!isnum(r)) {
-            r = get(rows, '0.coe_a', '')
-        }
+    //C2
+    let C2
+    if (D50 >= 0.25) { //D50單位(mm)
+        C2 = 1
+    }
+    else {
+        C2 = D50 / 0.25 //D50單位(mm)
+    }
 
-        //使用opt數據
-        if (!isnum(r)) {
-            r = get(opt, 'coe_a', '')
-        }
+    //C3
+    let TempL = null
+    if (svpDesign > 0) {
+        TempL = 0.1 * (MSF - 1) * PGA * (sv / svpDesign) * rrd //svp是用於CSR得要用svpDesign, Mw使用規模修正因子MSF
+    }
+    else {
+        TempL = 1e20
+    }
+    let C3 = null
+    if (TempL !== -0.1) {
+        C3 = (TempL - 0.1) / (TempL + 0.1)
+    }
+    else {
+        C3 = 1e20
+    }
 
-        //cdbl
-        if (isnum(r)) {
-            r = cdbl(r)
-        }
+    //qc1cr(kg/cm2), 臨界正規化錐頭貫入阻抗
+    qc1cr = C2 * (50 + 200 * C3)
+    qc1cr = max(qc1cr, 0.1) //取最小值0.1，因 CSR75 可出現負值
 
-        //預設值
-        if (!isnum(r)) {
-            r = 0.8
-        }
+    CRR = qc1
+    CSR = qc1cr
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        //qc1cr有取最小值0.1使CSR>=0.1, 故不須偵測與添加stateFS
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
 
-        return r
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
     }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
+    return ret()
+}
+
+
+function cptIB({ ver = '2014', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, CFC, rdSR }) {
+    //Boulanger & Idriss(2014), 以qc1Ncs計算CRR, 細粒料含量由Ic與擬合參數CFC估算, 未提供CFC時採用CFC=0
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+    let err = []
+    let rc = {}
+    let MSF = ''
+    let Ksigma = ''
+    let rrd = ''
+    let Ic = ''
+    let FC = ''
+    let CN = ''
+    let m = ''
+    let qc1N = ''
+    let dqc1N = ''
+    let qc1Ncs = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let stateFS = []
+    let vstrZRB = ''
+
+    function ret() {
+        let r = { ...cptGetData(rc), rrd, Ic, FC, CN, m, qc1N, dqc1N, qc1Ncs, MSF, Ksigma, CRR75, CRR, CSR, FS, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check ver
+        if (ver !== '2014') {
+            err.push(`ver${brk(ver)}非2014`)
+            return ret() //重大錯誤直接報錯結束
+        }
+
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
+
+            //cdbl
+            coe_a = cdbl(coe_a)
+
+        }
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check qc
+        if (!isnum(qc)) {
+            err.push(`qc${brk(qc)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            qc = cdbl(qc)
+
+            //check
+            if (qc < 0) {
+                err.push(`qc${brk(qc)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check fs
+        if (!isnum(fs)) {
+            err.push(`fs${brk(fs)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            fs = cdbl(fs)
+
+            //check
+            if (fs < 0) {
+                err.push(`fs${brk(fs)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check u2
+        if (!isnum(u2)) {
+            err.push(`u2${brk(u2)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            u2 = cdbl(u2)
+
+            // //check, 須允許水壓負值
+            // if (u2 < 0) {
+            //     err.push(`u2${brk(u2)}<0`)
+            //     delayErr = true
+            // }
+
+        }
+
+        //check svp, 若有svp則直接複寫svpUsual與svpDesign
+        if (isnum(svp)) {
+
+            //cdbl
+            svp = cdbl(svp)
+
+            //save
+            svpUsual = svp
+            svpDesign = svp
+
+        }
+
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpUsual = cdbl(svpUsual)
+
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            sv = cdbl(sv)
+
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            Mw = cdbl(Mw)
+
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
+        }
+        return ret() //無錯誤並結束
+    }
+
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
+
+
+    //check CFC
+    if (!isnum(CFC)) {
+        CFC = 0 //Boulanger & Idriss(2014)建議無場址資料時採用CFC=0
+    }
+    else {
+        CFC = cdbl(CFC)
+        if (CFC < -0.29 || CFC > 0.29) {
+            err.push(`CFC${brk(CFC)}須介於-0.29至0.29之間，強制預設為0`)
+            CFC = 0
+        }
+    }
+
+    //CPT分析
+    let useCnLeq = true //Boulanger & Idriss(2014)有限制CN要小於等於1.7, 故得使用useCnLeq=true
+    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
+    let qt = get(rc, 'qt', null)
+    let Icn = get(rc, 'Icn', null)
+    let Ict = get(rc, 'Ic', null)
+
+    //check
+    if (!isnum(qt)) {
+        err.push(`qt${brk(qt)}非數字`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //Ic, 優先使用正規化之Icn
+    Ic = null
+    if (Ic === null && isNumber(Icn)) {
+        Ic = Icn
+    }
+    if (Ic === null && isNumber(Ict)) {
+        Ic = Ict
+    }
+    if (Ic === null) {
+        err.push(`Ic${brk(Ic)}非數字`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //非液化: 若是Ic大於2.6則判定為類黏土行為, 不適用本法
+    if (Ic > 2.6) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`Ic${brk(Ic)}>2.6`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        FS = mergeFS(FS, limFSNoliqForBasic)
+        return ret() //已於while區塊外, 無錯誤並結束
+    }
+
+    //FC(%), 由Ic估算細粒料含量, 限制於0~100%
+    FC = 80 * (Ic + CFC) - 137
+    FC = Math.min(Math.max(FC, 0), 100)
+
+    //rrd, 應力折減係數, Idriss(1999)
+    let alpha = -1.012 - 1.126 * Math.sin(depth / 11.73 + 5.133)
+    let beta = 0.106 + 0.118 * Math.sin(depth / 11.28 + 5.142)
+    rrd = Math.exp(alpha + beta * Mw)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //CN, 迭代計算, 應力指數m與qc1Ncs相關
+    let Pa = cnst.Pa //大氣壓(MPa)
+    let PaKpa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    let ffc = Math.exp(1.63 - 9.7 / (FC + 2) - (15.7 / (FC + 2)) ** 2)
+    qc1N = qt / Pa
+    qc1Ncs = qc1N + (11.9 + qc1N / 14.6) * ffc //迭代初始值
+    let i = 0
+    while (true) {
+        i++
+
+        //m, qc1Ncs限制於21~254
+        let _qc1Ncs = Math.min(Math.max(qc1Ncs, 21), 254)
+        m = 1.338 - 0.249 * _qc1Ncs ** 0.264
+
+        //CN, 最大1.7
+        if (svpUsual > 0) {
+            CN = Math.min((PaKpa / svpUsual) ** m, 1.7)
+        }
+        else {
+            CN = 1.7
+        }
+        qc1N = CN * qt / Pa //qt通過有效覆土應力修正並正規化為qc1N
+        dqc1N = (11.9 + qc1N / 14.6) * ffc
+        let qc1NcsNew = qc1N + dqc1N
+
+        //check 收斂性
+        let diff = Math.abs(qc1NcsNew - qc1Ncs)
+        qc1Ncs = qc1NcsNew
+        if (diff <= 1e-6) {
+            break
+        }
+
+        //check
+        if (i >= 100) {
+            err.push(`CN迭代超過100次未收斂`)
+            break
+        }
+
+    }
+
+    //非液化: qc1Ncs>=211, 超出CRR曲線適用範圍
+    if (qc1Ncs >= 211) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`qc1Ncs${brk(qc1Ncs)}>=211`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        FS = mergeFS(FS, limFSNoliqForSpec)
+        return ret() //已於while區塊外, 無錯誤並結束
+    }
+
+    //MSF, 規模修正因子, 2014版與qc1Ncs相關
+    let MSFmax = Math.min(1.09 + (qc1Ncs / 180) ** 3, 2.2)
+    MSF = 1 + (MSFmax - 1) * (8.64 * Math.exp(-Mw / 4) - 1.325)
+
+    //Ksigma, 覆土應力修正因子, 使用設計垂直有效應力
+    let Csigma = Math.min(1 / (37.3 - 8.27 * qc1Ncs ** 0.264), 0.3)
+    Ksigma = Math.min(1 - Csigma * Math.log(svpDesign / PaKpa), 1.1)
+
+    //CRR75, 對應Mw=7.5與svp=1atm
+    CRR75 = Math.exp(qc1Ncs / 113 + (qc1Ncs / 1000) ** 2 - (qc1Ncs / 140) ** 3 + (qc1Ncs / 137) ** 4 - 2.8)
+
+    //CRR
+    CRR = CRR75 * MSF * Ksigma
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
+    }
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * (sv / svpDesign) * PGA * rrd
+    }
+    else {
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
+    }
+
+    //FS
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
+    return ret()
+}
+
+
+function cptMoss({ ver = '2006', waterLevelDesign, depth, coe_a, qc, fs, u2, svp, svpUsual, svpDesign, sv, PGA, Mw, PLiqDesign, rdSR }) {
+    //Moss et al.(2006)機率式液化分析, 模型不確定性sigma=1.632
+    //應力折減係數rd未採用Moss et al.(2006)所用之Cetin et al.(2004)式(需Vs,12m), 而以NCEER(1997)之rd取代
+    //若有使用Robertson(1986)之後版本, qc皆視為使用qt(校正後qc)
+    let err = []
+    let rc = {}
+    let rrd = ''
+    let Ic = ''
+    let Rf = ''
+    let c = ''
+    let CQ = ''
+    let qc1 = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let PLiq = ''
+    let stateFS = []
+    let vstrZRB = ''
+
+    function ret() {
+        let r = { ...cptGetData(rc), rrd, Ic, Rf, c, CQ, qc1, CRR75, CRR, CSR, FS, PLiq, vstrZRB, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check ver
+        if (ver !== '2006') {
+            err.push(`ver${brk(ver)}非2006`)
+            return ret() //重大錯誤直接報錯結束
+        }
+
+        //check coe_a
+        if (!isnum(coe_a)) {
+            err.push(`coe_a${brk(coe_a)}非數字，強制預設為0.8`)
+            coe_a = 0.8
+        }
+        else {
+
+            //cdbl
+            coe_a = cdbl(coe_a)
+
+        }
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check qc
+        if (!isnum(qc)) {
+            err.push(`qc${brk(qc)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            qc = cdbl(qc)
+
+            //check
+            if (qc < 0) {
+                err.push(`qc${brk(qc)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check fs
+        if (!isnum(fs)) {
+            err.push(`fs${brk(fs)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            fs = cdbl(fs)
+
+            //check
+            if (fs < 0) {
+                err.push(`fs${brk(fs)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check u2
+        if (!isnum(u2)) {
+            err.push(`u2${brk(u2)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            u2 = cdbl(u2)
+
+            // //check, 須允許水壓負值
+            // if (u2 < 0) {
+            //     err.push(`u2${brk(u2)}<0`)
+            //     delayErr = true
+            // }
+
+        }
+
+        //check svp, 若有svp則直接複寫svpUsual與svpDesign
+        if (isnum(svp)) {
+
+            //cdbl
+            svp = cdbl(svp)
+
+            //save
+            svpUsual = svp
+            svpDesign = svp
+
+        }
+
+        //check svpUsual
+        if (!isnum(svpUsual)) {
+            err.push(`svpUsual${brk(svpUsual)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpUsual = cdbl(svpUsual)
+
+            //check
+            if (svpUsual < 0) {
+                err.push(`svpUsual${brk(svpUsual)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            sv = cdbl(sv)
+
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            Mw = cdbl(Mw)
+
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        PLiq = 0
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
+        }
+        return ret() //無錯誤並結束
+    }
+
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
+
+
+    //check PLiqDesign
+    if (!isnum(PLiqDesign)) {
+        PLiqDesign = 0.15 //Moss et al.(2006)建議決定性分析採用PL=15%
+    }
+    else {
+        PLiqDesign = cdbl(PLiqDesign)
+        if (PLiqDesign <= 0 || PLiqDesign >= 1) {
+            err.push(`PLiqDesign${brk(PLiqDesign)}須介於0至1之間，強制預設為0.15`)
+            PLiqDesign = 0.15
+        }
+    }
+
+    //CPT分析
+    let useCnLeq = true //Moss et al.(2006)有限制CQ要小於等於1.7, 故得使用useCnLeq=true
+    rc = cptCommon(depth, coe_a, qc, fs, u2, sv, svpUsual, useCnLeq)
+    let qt = get(rc, 'qt', null)
+    let Icn = get(rc, 'Icn', null)
+    let Ict = get(rc, 'Ic', null)
+    Rf = get(rc, 'Rf', null)
+
+    //check
+    if (!isnum(qt) || qt <= 0) {
+        err.push(`qt${brk(qt)}非正數`)
+        return ret() //重大錯誤直接報錯結束
+    }
+    if (!isnum(Rf) || Rf <= 0) {
+        err.push(`Rf${brk(Rf)}非正數`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //Ic, 優先使用正規化之Icn
+    Ic = null
+    if (Ic === null && isNumber(Icn)) {
+        Ic = Icn
+    }
+    if (Ic === null && isNumber(Ict)) {
+        Ic = Ict
+    }
+
+    //非液化: 若是Ic大於2.6則判定為類黏土行為, 與其他CPT法一致
+    if (isNumber(Ic) && Ic > 2.6) {
+        // err = [] //第二階段不清除錯誤
+        stateFS.push(`Ic${brk(Ic)}>2.6`)
+        CRR = '-' //尚未計算CRR故複寫「-」
+        CSR = '-' //尚未計算CSR故複寫「-」
+        PLiq = 0
+        FS = mergeFS(FS, limFSNoliqForBasic)
+        return ret() //已於while區塊外, 無錯誤並結束
+    }
+
+    //rrd, 應力折減係數, 同sptCetin以NCEER(1997)之rd取代Cetin et al.(2004)式
+    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //c, 正規化指數, qt(MPa)與Rf(%)
+    let f1 = 0.78 * qt ** (-0.33)
+    let f2 = -(-0.32 * qt ** (-0.35) + 0.49)
+    let f3 = Math.abs(Math.log10(10 + qt)) ** 1.21
+    c = f1 * (Rf / f3) ** f2
+
+    //CQ, 最大1.7
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    if (svpUsual > 0) {
+        CQ = Math.min((Pa / svpUsual) ** c, 1.7)
+    }
+    else {
+        CQ = 1.7
+    }
+
+    //qc1(MPa)
+    qc1 = CQ * qt
+
+    //check
+    if (!isNumber(qc1)) {
+        err.push(`qc1${brk(qc1)}非數字`)
+        return ret() //重大錯誤直接報錯結束
+    }
+
+    //lnsvp, 使用設計垂直有效應力(kPa)
+    let lnsvp = Math.log(Math.max(svpDesign, 1e-6))
+
+    //tq, 錐尖阻抗相關項
+    let tq = qc1 ** 1.045 + qc1 * (0.110 * Rf) + 0.001 * Rf + c * (1 + 0.850 * Rf)
+
+    //crr
+    let crr = (Mw, lnsvp, pl) => {
+        let t = tq - 0.848 * Math.log(Mw) - 0.002 * lnsvp - 20.923 + 1.632 * jt.normal.inv(pl, 0, 1)
+        return Math.exp(t / 7.177)
+    }
+
+    //CRR75, 對應Mw=7.5與svp=1atm
+    CRR75 = crr(7.5, Math.log(Pa), PLiqDesign)
+
+    //CRR, 已含規模與覆土應力之影響
+    CRR = crr(Mw, lnsvp, PLiqDesign)
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
+    }
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * (sv / svpDesign) * PGA * rrd
+    }
+    else {
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
+    }
+
+    //PLiq, 液化機率
+    PLiq = 0
+    if (isNumber(CSR) && CSR > 0) {
+        let t = tq - 7.177 * Math.log(CSR) - 0.848 * Math.log(Mw) - 0.002 * lnsvp - 20.923
+        PLiq = jt.normal.cdf(-t / 1.632, 0, 1)
+    }
+
+    //FS
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    //cptSettlement
+    let slt = cptSettlement(rc, FS)
+    err = [...err, ...slt.err]
+    vstrZRB = slt.vstrZRB
+
+    return ret()
+}
+
+
+function vsHBF({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw, rdSR }) {
+    let err = []
+    let Vs1 = ''
+    let MSF = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let stateFS = []
+
+    function ret() {
+        let r = { Vs1, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check Vs
+        if (!isnum(Vs)) {
+            err.push(`Vs${brk(Vs)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            Vs = cdbl(Vs)
+
+            //check
+            if (Vs < 0) {
+                err.push(`Vs${brk(Vs)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            FC = cdbl(FC)
+
+            //check
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        // //check svpUsual, 不使用故不需檢查
+        // if (!isnum(svpUsual)) {
+        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
+        //     return ret() //重大錯誤直接報錯結束
+        // }
+        // else {
+
+        //     //cdbl
+        //     svpUsual = cdbl(svpUsual)
+
+        //     //check
+        //     if (svpUsual < 0) {
+        //         err.push(`svpUsual${brk(svpUsual)}<0`)
+        //         return ret() //重大錯誤直接報錯結束
+        //     }
+
+        // }
+
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            sv = cdbl(sv)
+
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            Mw = cdbl(Mw)
+
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
+        }
+        return ret() //無錯誤並結束
+    }
+
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
+
+    //MSF, 規模修正因子
+    //let MSF = (Mw / 7.5) ** (-1.11) //原莊長賢excel使用
+    MSF = (Mw / 7.5) ** (-3.3)
+
+    //rrd, 應力折減係數
+    let rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //Vs1(m/s), 使用設計垂直有效應力正規化至1atm
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    if (svpDesign > 0) {
+        Vs1 = Vs * (Pa / svpDesign) ** 0.25
+    }
+    else {
+        Vs1 = 1e20
+    }
+    let Kv
+    if (FC <= 10) {
+        Kv = 1.0
+    }
+    else {
+        Kv = 0.00029 * FC ** 2 - 0.00355 * FC + 1.00651
+    }
+    let Vs100cs = Kv * (Vs1 - 100)
+    Vs100cs = Math.min(Vs100cs, 135 - 0.5)
+
+    //CRR75
+    CRR75 = null
+    if (Vs1 <= 100) {
+        CRR75 = 0.09
+    }
+    else {
+        CRR75 = 0.09 + 0.00022 * Vs100cs / (1 - Vs100cs / 135)
+    }
+
+    //CRR
+    CRR = CRR75 * MSF
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
+    }
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+    }
+    else {
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
+    }
+
+    //FS
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    return ret()
+}
+
+
+function vsAndrus({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw, rdSR }) {
+    let err = []
+    let Vs1 = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let stateFS = []
+
+    function ret() {
+        let r = { Vs1, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check Vs
+        if (!isnum(Vs)) {
+            err.push(`Vs${brk(Vs)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            Vs = cdbl(Vs)
+
+            //check
+            if (Vs < 0) {
+                err.push(`Vs${brk(Vs)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            FC = cdbl(FC)
+
+            //check
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        // //check svpUsual, 不使用故不需檢查
+        // if (!isnum(svpUsual)) {
+        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
+        //     return ret() //重大錯誤直接報錯結束
+        // }
+        // else {
+
+        //     //cdbl
+        //     svpUsual = cdbl(svpUsual)
+
+        //     //check
+        //     if (svpUsual < 0) {
+        //         err.push(`svpUsual${brk(svpUsual)}<0`)
+        //         return ret() //重大錯誤直接報錯結束
+        //     }
+
+        // }
+
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            sv = cdbl(sv)
+
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            Mw = cdbl(Mw)
+
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
+        }
+        return ret() //無錯誤並結束
+    }
+
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
+
+    //MSF, 規模修正因子
+    let MSF = (Mw / 7.5) ** (-3.3)
+
+    //rrd, 應力折減係數
+    let rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //Vs1(m/s), 使用設計垂直有效應力正規化至1atm
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    if (svpDesign > 0) {
+        Vs1 = Vs * (Pa / svpDesign) ** 0.25
+    }
+    else {
+        Vs1 = 1e20
+    }
+    let Vs1Star
+    if (FC <= 5) {
+        Vs1Star = 215
+    }
+    else if (FC <= 35) {
+        Vs1Star = 215 - 0.5 * (FC - 5)
+    }
+    else {
+        Vs1Star = 200
+    }
+
+    //Vs1>=Vs1Star時CRR75趨近無限大, Andrus & Stokoe(2000)視為非液化
+    if (Vs1 >= Vs1Star) {
+        stateFS.push(`Vs1${brk(Vs1)}>=Vs1Star${brk(Vs1Star)}`)
+        CRR75 = '-'
+        CRR = '-'
+        CSR = '-'
+        FS = limFSNoliqForBasic
+        return ret() //無錯誤並結束
+    }
+
+    //CRR75
+    let a = 0.022
+    let b = 2.8
+    CRR75 = a * (Vs1 / 100) ** 2 + b * (1 / (Vs1Star - Vs1) - 1 / Vs1Star)
+    CRR75 = Math.max(CRR75, 0.1) // CRR75 會出現負值
+
+    //CRR
+    CRR = CRR75 * MSF
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
+    }
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+    }
+    else {
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
+    }
+
+    //FS
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    return ret()
+}
+
+
+function vsNCEER({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw, rdSR }) {
+    let err = []
+    let Vs1 = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let stateFS = []
+
+    function ret() {
+        let r = { Vs1, CRR75, CRR, CSR, FS, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check Vs
+        if (!isnum(Vs)) {
+            err.push(`Vs${brk(Vs)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            Vs = cdbl(Vs)
+
+            //check
+            if (Vs < 0) {
+                err.push(`Vs${brk(Vs)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            FC = cdbl(FC)
+
+            //check
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        // //check svpUsual, 不使用故不需檢查
+        // if (!isnum(svpUsual)) {
+        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
+        //     return ret() //重大錯誤直接報錯結束
+        // }
+        // else {
+
+        //     //cdbl
+        //     svpUsual = cdbl(svpUsual)
+
+        //     //check
+        //     if (svpUsual < 0) {
+        //         err.push(`svpUsual${brk(svpUsual)}<0`)
+        //         return ret() //重大錯誤直接報錯結束
+        //     }
+
+        // }
+
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            sv = cdbl(sv)
+
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            Mw = cdbl(Mw)
+
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
+        }
+        return ret() //無錯誤並結束
+    }
+
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
+
+    //MSF, 規模修正因子
+    let MSF = (Mw / 7.5) ** (-3.3)
+
+    //rrd, 應力折減係數
+    let rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //Vs1(m/s), 使用設計垂直有效應力正規化至1atm
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    if (svpDesign > 0) {
+        Vs1 = Vs * (Pa / svpDesign) ** 0.25
+    }
+    else {
+        Vs1 = 1e20
+    }
+    let Vs1c
+    if (FC <= 5) {
+        Vs1c = 220
+    }
+    else if (FC <= 35) {
+        Vs1c = 210
+    }
+    else {
+        Vs1c = 200
+    }
+
+    //Vs1>=Vs1c時CRR75趨近無限大, Andrus & Stokoe(2000)視為非液化
+    if (Vs1 >= Vs1c) {
+        stateFS.push(`Vs1${brk(Vs1)}>=Vs1c${brk(Vs1c)}`)
+        CRR75 = '-'
+        CRR = '-'
+        CSR = '-'
+        FS = limFSNoliqForBasic
+        return ret() //無錯誤並結束
+    }
+
+    //CRR75
+    let a = 0.03
+    let b = 0.9
+    CRR75 = a * (Vs1 / 100) ** 2 + b * (1 / (Vs1c - Vs1) - 1 / Vs1c)
+    CRR75 = Math.max(CRR75, 0.1) // CRR75 會出現負值
+
+    //CRR
+    CRR = CRR75 * MSF
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
+    }
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+    }
+    else {
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
+    }
+
+    //FS
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    return ret()
+}
+
+
+function vsKayen({ waterLevelDesign, depth, Vs, FC, svpDesign, sv, PGA, Mw, PLiqDesign, rdSR }) {
+    //Kayen et al.(2013)機率式液化分析, 以Vs1計算液化機率, 模型不確定性sigma=0.4809
+    //應力折減係數rd未採用Kayen et al.(2013)所用之Cetin et al.(2004)式(需Vs,12m), 而以NCEER(1997)之rd取代
+    let err = []
+    let rrd = ''
+    let Vs1 = ''
+    let CRR75 = ''
+    let CRR = ''
+    let CSR = ''
+    let FS = ''
+    let PLiq = ''
+    let stateFS = []
+
+    function ret() {
+        let r = { rrd, Vs1, CRR75, CRR, CSR, FS, PLiq, stateFS: join(stateFS, '; '), err: join(err, '; ') }
+        each(r, (v, k) => {
+            if (!isestr(v) && !isnum(v)) {
+                r[k] = ''
+            }
+        })
+        return r
+    }
+
+    //check
+    let noLique = false
+    let delayErr = false
+    while (true) {
+
+        //check depth
+        if (!isnum(depth)) {
+            err.push(`depth${brk(depth)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            depth = cdbl(depth)
+
+            //check
+            if (depth < 0) {
+                err.push(`depth${brk(depth)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check waterLevelUsual, 不使用故不需檢查
+
+        //check waterLevelDesign
+        if (!isnum(waterLevelDesign)) {
+            err.push(`waterLevelDesign${brk(waterLevelDesign)}非數字，強制預設為0(m)`)
+            waterLevelDesign = 0
+        }
+        else {
+
+            //cdbl
+            waterLevelDesign = cdbl(waterLevelDesign)
+
+            //check
+            if (waterLevelDesign < 0) {
+                err.push(`waterLevelDesign${brk(waterLevelDesign)}<0，強制預設為0(m)`)
+                waterLevelDesign = 0
+            }
+
+        }
+
+        //非液化: 地下水位以上
+        if (depth < waterLevelDesign) {
+            stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //非液化: 深度大於20m
+        if (depth > 20) {
+            stateFS.push(`depth${brk(depth)}>20`)
+            noLique = true
+            FS = mergeFS(FS, limFSNoliqForBasic)
+        }
+
+        //check Vs
+        if (!isnum(Vs)) {
+            err.push(`Vs${brk(Vs)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            Vs = cdbl(Vs)
+
+            //check
+            if (Vs < 0) {
+                err.push(`Vs${brk(Vs)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        //check FC
+        if (!isnum(FC)) {
+            err.push(`FC${brk(FC)}非數字`)
+            delayErr = true
+        }
+        else {
+
+            //cdbl
+            FC = cdbl(FC)
+
+            //check
+            if (FC < 0) {
+                err.push(`FC${brk(FC)}<0`)
+                delayErr = true
+            }
+
+        }
+
+        // //check svpUsual, 不使用故不需檢查
+        // if (!isnum(svpUsual)) {
+        //     err.push(`svpUsual${brk(svpUsual)}非數字`)
+        //     return ret() //重大錯誤直接報錯結束
+        // }
+        // else {
+
+        //     //cdbl
+        //     svpUsual = cdbl(svpUsual)
+
+        //     //check
+        //     if (svpUsual < 0) {
+        //         err.push(`svpUsual${brk(svpUsual)}<0`)
+        //         return ret() //重大錯誤直接報錯結束
+        //     }
+
+        // }
+
+        //check svpDesign
+        if (!isnum(svpDesign)) {
+            err.push(`svpDesign${brk(svpDesign)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            svpDesign = cdbl(svpDesign)
+
+            //check
+            if (svpDesign < 0) {
+                err.push(`svpDesign${brk(svpDesign)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check sv
+        if (!isnum(sv)) {
+            err.push(`sv${brk(sv)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            sv = cdbl(sv)
+
+            //check
+            if (sv < 0) {
+                err.push(`sv${brk(sv)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check PGA
+        if (!isnum(PGA)) {
+            err.push(`PGA${brk(PGA)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            PGA = cdbl(PGA)
+
+            //check
+            if (PGA < 0) {
+                err.push(`PGA${brk(PGA)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        //check Mw
+        if (!isnum(Mw)) {
+            err.push(`Mw${brk(Mw)}非數字`)
+            return ret() //重大錯誤直接報錯結束
+        }
+        else {
+
+            //cdbl
+            Mw = cdbl(Mw)
+
+            //check
+            if (Mw < 0) {
+                err.push(`Mw${brk(Mw)}<0`)
+                return ret() //重大錯誤直接報錯結束
+            }
+
+        }
+
+        break
+    }
+
+    //check noLique
+    if (noLique === true) {
+        err = [] //清除錯誤
+        CRR = '-'
+        CSR = '-'
+        PLiq = 0
+        if (!isnum(FS)) {
+            throw new Error(`FS[${FS}]非數字`)
+        }
+        return ret() //無錯誤並結束
+    }
+
+    //check delayErr
+    if (delayErr === true) {
+        return ret() //觸發延遲報錯並結束
+    }
+
+    //check PLiqDesign
+    if (!isnum(PLiqDesign)) {
+        PLiqDesign = 0.15 //Kayen et al.(2013)建議決定性分析採用PL=15%
+    }
+    else {
+        PLiqDesign = cdbl(PLiqDesign)
+        if (PLiqDesign <= 0 || PLiqDesign >= 1) {
+            err.push(`PLiqDesign${brk(PLiqDesign)}須介於0至1之間，強制預設為0.15`)
+            PLiqDesign = 0.15
+        }
+    }
+
+    //rrd, 應力折減係數, 同sptCetin以NCEER(1997)之rd取代Cetin et al.(2004)式
+    rrd = (1 - 0.4113 * depth ** 0.5 + 0.04052 * depth + 0.001753 * depth ** 1.5) / (1 - 0.4177 * depth ** 0.5 + 0.05729 * depth - 0.006205 * depth ** 1.5 + 0.00121 * depth ** 2)
+
+    //rdSR, 有場址反應分析之等效應力折減係數時取代簡化式
+    if (isnum(rdSR)) {
+        rrd = cdbl(rdSR)
+    }
+
+    //Vs1(m/s), 使用設計垂直有效應力正規化至1atm
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    if (svpDesign > 0) {
+        Vs1 = Vs * (Pa / svpDesign) ** 0.25
+    }
+    else {
+        Vs1 = 1e20
+    }
+
+    //lnsvp, 使用設計垂直有效應力(kPa)
+    let lnsvp = Math.log(Math.max(svpDesign, 1e-6))
+
+    //tv, 剪力波速相關項
+    let tv = (0.0073 * Vs1) ** 2.8011 + 0.0028 * FC
+
+    //crr
+    let crr = (Mw, lnsvp, pl) => {
+        let t = tv - 2.6168 * Math.log(Mw) - 0.0099 * lnsvp + 0.4809 * jt.normal.inv(pl, 0, 1)
+        return Math.exp(t / 1.946)
+    }
+
+    //CRR75, 對應Mw=7.5與svp=1atm
+    CRR75 = crr(7.5, Math.log(Pa), PLiqDesign)
+
+    //CRR, 已含規模與覆土應力之影響
+    CRR = crr(Mw, lnsvp, PLiqDesign)
+    if (isNumber(CRR)) {
+        CRR = Math.min(CRR, 1e20)
+    }
+
+    //CSR
+    CSR = null
+    if (svpDesign > 0) {
+        CSR = 0.65 * PGA * (sv / svpDesign) * rrd
+    }
+    else {
+        CSR = 1e20
+    }
+    if (isNumber(CSR)) {
+        CSR = Math.min(CSR, 1e20)
+    }
+
+    //PLiq, 液化機率
+    PLiq = 0
+    if (isNumber(CSR) && CSR > 0) {
+        let t = tv - 1.946 * Math.log(CSR) - 2.6168 * Math.log(Mw) - 0.0099 * lnsvp
+        PLiq = jt.normal.cdf(-t / 0.4809, 0, 1)
+    }
+
+    //FS
+    if (isNumber(CRR) && isNumber(CSR) && CSR > 0) {
+        FS = CRR / CSR
+    }
+    if (isNumber(CSR) && CSR === 0) {
+        if (sv === 0) {
+            stateFS.push(`sv${brk(sv)}=0，FS強制改為${limFSMax}`)
+        }
+        if (PGA === 0) {
+            stateFS.push(`PGA${brk(PGA)}=0，FS強制改為${limFSMax}`)
+        }
+        if (rrd === 0) {
+            stateFS.push(`rrd${brk(rrd)}=0，FS強制改為${limFSMax}`)
+        }
+        FS = limFSMax
+    }
+    if (isNumber(FS) && FS > limFSMax) { //針對液化土(砂土與粉土但非ML與非MH)要繪製FS至圖內, 圖內FS最大值為3, 故轉設定上限為3
+        stateFS.push(`FS${brk(FS)}>${limFSMax}，強制改為${limFSMax}`)
+        FS = limFSMax
+    }
+
+    //check
+    if (CRR < 0) {
+        err.push(`CRR${brk(CRR)}<0`)
+    }
+    if (CSR <= 0) {
+        err.push(`CSR${brk(CSR)}<=0`)
+    }
+    if (!isNumber(FS)) {
+        err.push(`FS${brk(FS)}非數字`)
+    }
+    else if (FS < 0) {
+        err.push(`FS${brk(FS)}<0，強制改為0`)
+        FS = 0
+    }
+
+    return ret()
+}
+
+
+function residualStrengthSpt(N160, FC, svp) {
+    //由N160計算液化後殘餘強度Sr(kPa), svp為垂直有效應力(kPa)
+    let err = []
+    let SrSH = ''
+    let SrIB = ''
+    let SrKW = ''
+
+    //check
+    if (!isNumber(N160) || N160 < 0) {
+        err.push(`N160${brk(N160)}非有效數字`)
+        return { SrSH, SrIB, SrKW, err }
+    }
+    if (!isNumber(svp) || svp <= 0) {
+        err.push(`svp${brk(svp)}須大於0`)
+        return { SrSH, SrIB, SrKW, err }
+    }
+
+    //dN, 細粒料修正, Seed & Harder(1990)與Idriss & Boulanger(2008)皆採用
+    let dN = 0
+    if (isNumber(FC)) {
+        let _FC = Math.min(Math.max(FC, 0), 75)
+        dN = interp([0, 10, 25, 50, 75], [0, 1, 2, 4, 5], _FC)
+    }
+    else {
+        err.push(`FC${brk(FC)}非數字，細粒料修正採用0`)
+    }
+
+    //N160csSr
+    let N160csSr = N160 + dN
+
+    //SrSH, Seed & Harder(1990)上下限之平均曲線(數化值, psf), N160csSr超過16時採用16之值以偏保守
+    let _N = Math.min(N160csSr, 16)
+    let Srpsf = interp([0, 2, 4, 6, 8, 10, 12, 14, 16], [50, 100, 200, 300, 450, 650, 900, 1200, 1550], _N)
+    SrSH = Srpsf * 0.04788 //psf -> kPa
+
+    //SrIB, Idriss & Boulanger(2008), 採用孔隙重新分布效應顯著之曲線
+    let rIB = Math.exp(N160csSr / 16 + ((N160csSr - 16) / 21.2) ** 3 - 3.0)
+    SrIB = rIB * svp
+
+    //SrKW, Kramer & Wang(2015), 使用N160且Sr與svp單位為atm
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    let SrAtm = Math.exp(-8.444 + 0.109 * N160 + 5.379 * (svp / Pa) ** 0.1)
+    SrKW = SrAtm * Pa
+
+    return { SrSH, SrIB, SrKW, err }
+}
+
+
+function residualStrengthCpt(qc, svp) {
+    //由qc計算液化後殘餘強度Sr(kPa), Olson & Stark(2002), qc單位為MPa, svp為垂直有效應力(kPa)
+    let err = []
+    let SrOS = ''
+
+    //check
+    if (!isNumber(qc) || qc < 0) {
+        err.push(`qc${brk(qc)}非有效數字`)
+        return { SrOS, err }
+    }
+    if (!isNumber(svp) || svp <= 0) {
+        err.push(`svp${brk(svp)}須大於0`)
+        return { SrOS, err }
+    }
+
+    //qc1(MPa), Kayen et al.(1992)之Cq
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    let Cq = 1.8 / (0.8 + svp / Pa)
+    let qc1 = Cq * qc
+
+    //qc1適用範圍至6.5MPa, 超過時採用6.5MPa以偏保守
+    if (qc1 > 6.5) {
+        qc1 = 6.5
+    }
+
+    //SrOS
+    SrOS = (0.03 + 0.0143 * qc1) * svp
+
+    return { SrOS, err }
+}
+
+
+let methodLiques = {
+    SPT: {
+        sptSeed,
+        // sptHBF,
+        sptHBF2012: (row) => {
+            row = { ...row, ver: '2012' }
+            return sptHBF(row)
+        },
+        sptHBF2017: (row) => {
+            row = { ...row, ver: '2017' }
+            return sptHBF(row)
+        },
+        sptNCEER,
+        // sptNJRA,
+        sptNJRA1996: (row) => {
+            row = { ...row, ver: '1996' }
+            return sptNJRA(row)
+        },
+        sptNJRA2017: (row) => {
+            row = { ...row, ver: '2017' }
+            return sptNJRA(row)
+        },
+        sptTY,
+        // sptIB,
+        sptIB2014: (row) => {
+            row = { ...row, ver: '2014' }
+            return sptIB(row)
+        },
+        // sptCetin,
+        sptCetin2004: (row) => {
+            row = { ...row, ver: '2004' }
+            return sptCetin(row)
+        },
+        // sptGB,
+        sptGB2010: (row) => {
+            row = { ...row, ver: '2010' }
+            return sptGB(row)
+        },
+        sptEC8,
+        // sptAIJ,
+        sptAIJ2001: (row) => {
+            row = { ...row, ver: '2001' }
+            return sptAIJ(row)
+        },
+    },
+    CPT: {
+        // cptHBF,
+        cptHBF2012: (row) => {
+            row = { ...row, ver: '2012' }
+            return cptHBF(row)
+        },
+        cptHBF2017: (row) => {
+            row = { ...row, ver: '2017' }
+            return cptHBF(row)
+        },
+        cptHBF2021: (row) => {
+            row = { ...row, ver: '2021' }
+            return cptHBF(row)
+        },
+        // cptNCEER,
+        cptNCEER1997: (row) => {
+            row = { ...row, ver: '1997' }
+            return cptNCEER(row)
+        },
+        // cptRobertson,
+        cptRobertson2009: (row) => {
+            row = { ...row, ver: '2009' }
+            return cptRobertson(row)
+        },
+        // cptJuang,
+        cptJuang2002: (row) => {
+            row = { ...row, ver: '2002' }
+            return cptJuang(row)
+        },
+        // cptKuAndJuang,
+        cptKuAndJuang2012: (row) => {
+            row = { ...row, ver: '2012' }
+            return cptKuAndJuang(row)
+        },
+        // cptOlsen,
+        cptOlsen1997: (row) => {
+            row = { ...row, ver: '1997' }
+            return cptOlsen(row)
+        },
+        // cptShibata,
+        cptShibata1988: (row) => {
+            row = { ...row, ver: '1988' }
+            return cptShibata(row)
+        },
+        // cptIB,
+        cptIB2014: (row) => {
+            row = { ...row, ver: '2014' }
+            return cptIB(row)
+        },
+        // cptMoss,
+        cptMoss2006: (row) => {
+            row = { ...row, ver: '2006' }
+            return cptMoss(row)
+        },
+    },
+    VS: {
+        vsHBF,
+        vsAndrus,
+        vsNCEER,
+        vsKayen,
+    },
+}
+
+
+let methodSettlements = {
+    SPT: {
+        sptVolumetricStrainTokimatsuAndSeed,
+        sptVolumetricStrainIshiharaAndYoshimine,
+    },
+    CPT: {
+        cptVolumetricStrainZhangEtAl,
+    },
+}
+
+
+//methodNoSRs, 未使用應力折減係數而無法以場址反應分析之rdSR取代之內建方法, 例如GB 50011係以臨界標準貫入錘擊數判別
+let methodNoSRs = {
+    SPT: ['sptGB2010'],
+    CPT: [],
+    VS: [],
+}
+
+
+//methodCustoms, 外部註冊之液化方法設定, 供註冊與移除時辨識非內建方法
+let methodCustoms = {
+    SPT: {},
+    CPT: {},
+    VS: {},
+}
+
+
+function customMethodWrap(kind, name, func, keysRequired, noLique) {
+    //包裝外部液化方法, 統一進行必要欄位檢查, 非液化判定與錯誤收集, 回傳值同內建方法為欄位物件
+    return (row) => {
+        let err = []
+        let stateFS = []
+
+        //ret
+        let ret = (r) => {
+            r = { ...r }
+            let errFunc = get(r, 'err', '')
+            if (isearr(errFunc)) {
+                errFunc = join(errFunc, '; ')
+            }
+            if (isestr(errFunc)) {
+                err.push(errFunc)
+            }
+            let stateFunc = get(r, 'stateFS', '')
+            if (isearr(stateFunc)) {
+                stateFunc = join(stateFunc, '; ')
+            }
+            if (isestr(stateFunc)) {
+                stateFS.push(stateFunc)
+            }
+            r.stateFS = join(stateFS, '; ')
+            r.err = join(err, '; ')
+            each(r, (v, k) => {
+                if (!isestr(v) && !isnum(v)) {
+                    r[k] = ''
+                }
+            })
+            return r
+        }
+
+        //check keysRequired
+        each(keysRequired, (k) => {
+            let v = get(row, k, '')
+            if (v === '' || v === null || v === undefined) {
+                err.push(`${k}未提供`)
+            }
+        })
+        if (size(err) > 0) {
+            return ret({ FS: '' }) //缺少必要欄位直接報錯結束
+        }
+
+        //check noLique, 沿用內建方法之非液化判定: 統一土壤分類屬黏土(僅SPT), 地下水位以上, 深度大於20m
+        let FS = ''
+        if (noLique) {
+            let depth = get(row, 'depth', '')
+            let waterLevelDesign = get(row, 'waterLevelDesign', '')
+            waterLevelDesign = isnum(waterLevelDesign) ? cdbl(waterLevelDesign) : 0
+            let soilClassification = get(row, 'soilClassification', '')
+            let noLiqueMode = get(row, 'noLiqueMode', '')
+            if (noLiqueMode !== 'new' && noLiqueMode !== 'classic') {
+                noLiqueMode = 'new'
+            }
+            if (kind === 'SPT' && isestr(soilClassification) && isNoLiqueByUSCS(soilClassification, noLiqueMode)) {
+                stateFS.push(`非液化之土壤分類${brk(soilClassification)}`)
+                FS = mergeFS(FS, limFSNoliqForBasic)
+            }
+            if (isnum(depth) && cdbl(depth) < waterLevelDesign) {
+                stateFS.push(`depth${brk(depth)}<waterLevelDesign${brk(waterLevelDesign)}`)
+                FS = mergeFS(FS, limFSNoliqForBasic)
+            }
+            if (isnum(depth) && cdbl(depth) > 20) {
+                stateFS.push(`depth${brk(depth)}>20`)
+                FS = mergeFS(FS, limFSNoliqForBasic)
+            }
+        }
+
+        //func, 外部方法拋出之錯誤轉存至err
+        let r = {}
+        try {
+            r = func({ ...row })
+        }
+        catch (e) {
+            if (isNumber(FS)) {
+                return ret({ CRR: '-', CSR: '-', FS }) //非液化土層不報錯
+            }
+            err.push(`${name}: ${get(e, 'message', e)}`)
+            return ret({ FS: '' })
+        }
+        if (!iseobj(r)) {
+            if (isNumber(FS)) {
+                return ret({ CRR: '-', CSR: '-', FS }) //非液化土層不報錯
+            }
+            err.push(`${name}: 回傳值非有效物件`)
+            return ret({ FS: '' })
+        }
+
+        //非液化土層, 保留外部方法欄位但清除計算值, 並以非液化之FS取代
+        if (isNumber(FS)) {
+            r = mapValues(r, () => '')
+            if (has(r, 'CRR')) {
+                r.CRR = '-'
+            }
+            if (has(r, 'CSR')) {
+                r.CSR = '-'
+            }
+            r.FS = FS
+            return ret(r)
+        }
+
+        //check FS
+        if (!isNumber(get(r, 'FS'))) {
+            err.push(`${name}: FS${brk(get(r, 'FS'))}非數字`)
+        }
+        if (!has(r, 'FS')) {
+            r.FS = ''
+        }
+
+        return ret(r)
+    }
+}
+
+
+function registerMethod(kind, name, func, opt = {}) {
+    //註冊外部液化方法, 註冊後可於opt.methods指定使用, 並經由liquefaction流程計算FS後之PL, H1, H1-PL等統計
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind(分析種類)${brk(kind)}非有效值: SPT, CPT, VS`)
+    }
+    if (!isestr(name)) {
+        throw new Error(`name${brk(name)}非有效字串`)
+    }
+    if (strleft(name, size(kind)) !== toLower(kind)) {
+        throw new Error(`name${brk(name)}需以${toLower(kind)}開頭`) //結果欄位排序依方法名稱前綴區分分析種類
+    }
+    if (name.indexOf('-') >= 0) {
+        throw new Error(`name${brk(name)}不可含有「-」`) //結果欄位以「-」分隔方法名稱與欄位名稱
+    }
+    if (!isfun(func)) {
+        throw new Error(`func is not a function`)
+    }
+    if (has(methodLiques[kind], name)) {
+        throw new Error(`name${brk(name)}已存在於${kind}液化方法`)
+    }
+
+    //keysRequired, 外部方法所需輸入欄位, 例如['N60', 'FC', 'svpDesign']
+    let keysRequired = get(opt, 'keysRequired', [])
+    if (!isarr(keysRequired)) {
+        throw new Error(`opt.keysRequired is not an array`)
+    }
+    each(keysRequired, (k) => {
+        if (!isestr(k)) {
+            throw new Error(`opt.keysRequired${brk(k)}非有效字串`)
+        }
+    })
+
+    //noLique, 是否套用內建非液化判定
+    let noLique = get(opt, 'noLique')
+    if (!isbol(noLique)) {
+        noLique = true
+    }
+
+    //save
+    methodCustoms[kind][name] = {
+        keysRequired: [...keysRequired],
+        noLique,
+    }
+    methodLiques[kind][name] = customMethodWrap(kind, name, func, keysRequired, noLique)
+
+}
+
+
+function unregisterMethod(kind, name) {
+    //移除外部註冊之液化方法, 內建方法不可移除
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind(分析種類)${brk(kind)}非有效值: SPT, CPT, VS`)
+    }
+    if (!has(methodCustoms[kind], name)) {
+        throw new Error(`name${brk(name)}非${kind}之外部註冊液化方法`)
+    }
+
+    //delete
+    delete methodCustoms[kind][name]
+    delete methodLiques[kind][name]
+
+}
+
+
+function liquefaction(kind, rows, opt = {}) {
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind(分析種類)${brk(kind)}非有效值: SPT, CPT, VS`)
+    }
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp')
+    if (unitSvSvp !== 'kPa' && unitSvSvp !== 'MPa') {
+        throw new Error(`opt.unitSvSvp[${unitSvSvp}] need kPa or MPa`)
+    }
+
+    //methdos
+    let methods = get(opt, 'methods', [])
+
+    //cptProfile, CPT液化分析使用之剖面, raw為原始量測值, corrected為經過渡區與薄層修正後之剖面
+    let cptProfile = get(opt, 'cptProfile')
+    if (!isestr(cptProfile)) {
+        cptProfile = 'raw'
+    }
+    if (cptProfile !== 'raw' && cptProfile !== 'corrected') {
+        throw new Error(`opt.cptProfile[${cptProfile}] need raw or corrected`)
+    }
+
+    //cptThinLayerCorrection, 修正CPT剖面之設定, 詳見calcCptThinLayerCorrection
+    let cptThinLayerCorrection = get(opt, 'cptThinLayerCorrection')
+    if (!iseobj(cptThinLayerCorrection)) {
+        cptThinLayerCorrection = {}
+    }
+
+    //siteResponse, 場址反應分析結果, 可給calcSiteResponse之回傳物件或其ltdt陣列, 各方法改以依深度內插之最大剪應力tauMax(kPa)計算等效應力折減係數rdSR, 取代簡化應力折減係數rd
+    let siteResponse = get(opt, 'siteResponse')
+    let ltdtSR = []
+    if (isearr(siteResponse)) {
+        ltdtSR = siteResponse
+    }
+    else if (iseobj(siteResponse)) {
+        ltdtSR = get(siteResponse, 'ltdt', [])
+    }
+    each(ltdtSR, (v, i) => {
+        if (!isnum(get(v, 'depth')) || !isnum(get(v, 'tauMax'))) {
+            throw new Error(`opt.siteResponse.ltdt[${i}] need depth and tauMax`)
+        }
+    })
+    ltdtSR = sortBy(ltdtSR, (v) => cdbl(v.depth))
+
+    //PGASR, 場址反應分析之地表PGA(g), 由calcSiteResponse回傳物件之dtRes.PGA取得, 用以將tauMax正規化為rdSR, 僅給ltdt陣列或樣本自帶tauMax時無地表PGA, 改視樣本PGA為地表PGA
+    let PGASR = get(siteResponse, 'dtRes.PGA', '')
+    if (iseobj(siteResponse) && size(ltdtSR) > 0) {
+        if (!isnum(PGASR) || cdbl(PGASR) <= 0) {
+            throw new Error(`opt.siteResponse.dtRes.PGA${brk(PGASR)} need > 0`)
+        }
+    }
+    PGASR = isnum(PGASR) && cdbl(PGASR) > 0 ? cdbl(PGASR) : null
+
+    //keysMapping, 計算核心鍵名對應至數據鍵名, 例如{ N60: 'SPT_N', FC: 'fines' }, 輸入時轉為核心鍵名, 輸出時轉回數據鍵名, 並套用至各方法結果欄位之欄位名稱, 例如{ FS: 'Fs' }則sptSeed-FS輸出為sptSeed-Fs
+    let keysMapping = get(opt, 'keysMapping')
+    if (!iseobj(keysMapping)) {
+        keysMapping = {}
+    }
+    keysMapping = { ...keysMapping }
+
+    //keyDepth, 計算核心固定使用depth, 數據鍵名不同時併入keysMapping
+    let keyDepth = 'depth'
+    let _keyDepth = get(opt, 'keyDepth')
+    if (isestr(_keyDepth) && _keyDepth !== keyDepth) {
+        keysMapping[keyDepth] = _keyDepth
+    }
+
+    //keyDepthStart, 計算核心固定使用depthStart, 數據鍵名不同時併入keysMapping
+    let keyDepthStart = 'depthStart'
+    let _keyDepthStart = get(opt, 'keyDepthStart')
+    if (isestr(_keyDepthStart) && _keyDepthStart !== keyDepthStart) {
+        keysMapping[keyDepthStart] = _keyDepthStart
+    }
+
+    //keyDepthEnd, 計算核心固定使用depthEnd, 數據鍵名不同時併入keysMapping
+    let keyDepthEnd = 'depthEnd'
+    let _keyDepthEnd = get(opt, 'keyDepthEnd')
+    if (isestr(_keyDepthEnd) && _keyDepthEnd !== keyDepthEnd) {
+        keysMapping[keyDepthEnd] = _keyDepthEnd
+    }
+
+    //check keysMapping, 數據鍵名需為有效字串且不可重複
+    let keysMappingInv = {}
+    each(keysMapping, (ku, ki) => {
+        if (!isestr(ku)) {
+            throw new Error(`opt.keysMapping.${ki}[${ku}] is not an effective string`)
+        }
+        if (has(keysMappingInv, ku)) {
+            throw new Error(`opt.keysMapping.${ki}[${ku}] is duplicated with opt.keysMapping.${keysMappingInv[ku]}`)
+        }
+        keysMappingInv[ku] = ki
+    })
+
+    //mappingIn, 數據鍵名轉核心鍵名, 數據內已有與核心鍵名相同之欄位則由對應欄位覆蓋
+    let mappingIn = (row) => {
+        let r = {}
+        each(row, (v, k) => {
+            if (has(keysMappingInv, k)) {
+                return //跳出換下一個
+            }
+            r[k] = v
+        })
+        each(row, (v, k) => {
+            if (has(keysMappingInv, k)) {
+                r[keysMappingInv[k]] = v
+            }
+        })
+        return r
+    }
+
+    //mappingOut, 核心鍵名轉數據鍵名, 各方法結果欄位(method-key)則轉換其欄位名稱
+    let mappingOut = (row) => {
+        let r = {}
+        each(row, (v, k) => {
+            if (has(keysMapping, k)) {
+                r[keysMapping[k]] = v
+                return //跳出換下一個
+            }
+            let i = k.indexOf('-')
+            if (i > 0) {
+                let km = k.substring(i + 1)
+                if (has(keysMapping, km)) {
+                    r[`${k.substring(0, i)}-${keysMapping[km]}`] = v
+                    return //跳出換下一個
+                }
+            }
+            r[k] = v
+        })
+        return r
+    }
+
+    //getKeysFromRows
+    let getKeysFromRows = (rows) => {
+
+        //row0
+        let row0 = get(rows, 0, [])
+        // console.log('row0', row0)
+
+        //ks, 基於第1列提取keys
+        let ks = keys(row0)
+
+        return ks
+    }
+
+    // function getLiqueKindFromKey(c) {
+    //     if (strleft(c, 3) === 'spt') {
+    //         return 'SPT'
+    //     }
+    //     else if (strleft(c, 3) === 'cpt') {
+    //         return 'CPT'
+    //     }
+    //     else if (strleft(c, 2) === 'vs') {
+    //         return 'VS'
+    //     }
+    //     throw new Error(`無法判斷分析種類: ${c}`)
+    // }
+
+    // function getLiqueKindFromRow(rows) {
+
+    //     //getKeysFromRows
+    //     let ks = getKeysFromRows(rows)
+
+    //     //kind
+    //     let kind = ''
+    //     each(ks, (key) => {
+    //         if (key.indexOf('-FS') >= 0) {
+    //             kind = getLiqueKindFromKey(key)
+    //             return false
+    //         }
+    //     })
+
+    //     return kind
+    // }
+
+    //addDepthAndPorousParams
+    let addDepthAndPorousParams = (rows, waterLevelUsual, waterLevelDesign) => {
+
+        //waterLevelUsual, waterLevelDesign
+        waterLevelUsual = cdbl(waterLevelUsual)
+        waterLevelDesign = cdbl(waterLevelDesign)
+
+        //map
+        rows = map(rows, (v, k) => {
+
+            //err
+            let err = get(v, 'err', '')
+
+            //save waterLevelUsual,waterLevelDesign
+            v.waterLevelUsual = waterLevelUsual
+            v.waterLevelDesign = waterLevelDesign
+
+            //depth
+            let ds = get(v, keyDepthStart, null)
+            let de = get(v, keyDepthEnd, null)
+            let bDepth = isnum(ds) && isnum(de)
+            if (bDepth) {
+                ds = cdbl(ds)
+                de = cdbl(de)
+
+                //depth
+                let depth = (ds + de) / 2
+                v[keyDepth] = depth
+
+            }
+            else {
+                v[keyDepth] = ''
+            }
+
+            //relaPorous, SPT,CPT,VS都需要飽和與乾單位重計算垂直應力與垂直有效應力
+            let e = get(v, 'e', null)
+            let GS = get(v, 'GS', null)
+            let rd = get(v, 'rd', null) //乾單位重rd(kN/m3)
+            let rsat = get(v, 'rsat', null) //飽和單位重rsat(kN/m3)
+            let t = relaPorous(rd, rsat, GS, e)
+            if (get(t, 'err')) { //err為非中斷之錯誤訊息, 故需直接儲存
+                if (err === '') {
+                    err = t.err
+                }
+                else {
+                    if (err.indexOf(t.err) < 0) { //若不存在才加入
+                        err += `, ${t.err}`
+                    }
+                }
+                v.err = err
+            }
+            //err為非中斷訊息, 故各參數需獨立偵測是否為數值並儲存
+            if (isNumber(t.rd)) {
+                v.rd = t.rd
+            }
+            else {
+                v.rd = ''
+            }
+            if (isNumber(t.rsat)) {
+                v.rsat = t.rsat
+            }
+            else {
+                v.rsat = ''
+            }
+            if (isNumber(t.GS)) {
+                v.GS = t.GS
+            }
+            else {
+                v.GS = ''
+            }
+            if (isNumber(t.e)) {
+                v.e = t.e
+            }
+            else {
+                v.e = ''
+            }
+
+            // if (kind === 'SPT') {
+
+            // }
+            // else if (kind === 'CPT') {
+
+            // }
+            // else if (kind === 'VS') {
+
+            // }
+
+            return v
+        })
+
+        return rows
+    }
+
+    //getWaterLevelUsual, 常時地下水位(m)
+    let getWaterLevelUsual = (rows) => {
+        let r = null
+
+        //使用最上層數據
+        if (!isnum(r)) {
+            r = get(rows, '0.waterLevelUsual', '')
+        }
+
+        //使用opt數據
+        if (!isnum(r)) {
+            r = get(opt, 'waterLevelUsual', '')
+        }
+
+        //cdbl
+        if (isnum(r)) {
+            r = cdbl(r)
+        }
+
+        //預設值
+        if (!isnum(r)) {
+            r = 0
+        }
+
+        return r
+    }
+
+    //getWaterLevelDesign, 設計地下水位(m)
+    let getWaterLevelDesign = (rows) => {
+        let r = null
+
+        //使用最上層數據
+        if (!isnum(r)) {
+            r = get(rows, '0.waterLevelDesign', '')
+        }
+
+        //使用opt數據
+        if (!isnum(r)) {
+            r = get(opt, 'waterLevelDesign', '')
+        }
+
+        //cdbl
+        if (isnum(r)) {
+            r = cdbl(r)
+        }
+
+        //預設值
+        if (!isnum(r)) {
+            r = 0
+        }
+
+        return r
+    }
+
+    //getMw, 地震矩規模
+    let getMw = (rows) => {
+        let r = null
+
+        //使用最上層數據
+        let r_row0 = null
+        if (!isnum(r)) {
+            r = get(rows, '0.Mw', '')
+            r_row0 = r
+        }
+
+        //使用opt數據
+        let r_opt = null
+        if (!isnum(r)) {
+            r = get(opt, 'Mw', '')
+            r_opt = r
+        }
+
+        //cdbl
+        if (isnum(r)) {
+            r = cdbl(r)
+        }
+
+        //check
+        if (!isnum(r)) {
+            throw new Error(`rows[0].Mw or opt.Mw is not a number`)
+        }
+
+        //check
+        if (r <= 0) {
+            console.log(`rows[0].Mw`, r_row0)
+            console.log(`opt.Mw`, r_opt)
+            throw new Error(`Mw[${r}]<=0`)
+        }
+
+        return r
+    }
+
+    //getPGA, 最大地表加速度(g)
+    let getPGA = (rows) => {
+        let r = null
+
+        //使用最上層數據
+        let r_row0 = null
+        if (!isnum(r)) {
+            r = get(rows, '0.PGA', '')
+            r_row0 = r
+        }
+
+        //使用opt數據
+        let r_opt = null
+        if (!isnum(r)) {
+            r = get(opt, 'PGA', '')
+            r_opt = r
+        }
+
+        //cdbl
+        if (isnum(r)) {
+            r = cdbl(r)
+        }
+
+        //check
+        if (!isnum(r)) {
+            throw new Error(`rows[0].PGA or opt.PGA is not a number`)
+        }
+
+        //check
+        if (r < 0) {
+            console.log(`rows[0].PGA`, r_row0)
+            console.log(`opt.PGA`, r_opt)
+            throw new Error(`PGA[${r}]<0`)
+        }
+
+        return r
+    }
+
+    //getVibrationType, 振動形式, 1為第一型震動[板塊邊界地震(遠震)]，2為第二型震動[內陸直下型地震(近震)]
+    let getVibrationType = (rows) => {
+        let r = null
+
+        //使用最上層數據
+        if (!isnum(r)) {
+            r = get(rows, '0.vibrationType', '')
+        }
+
+        //使用opt數據
+        if (!isnum(r)) {
+            r = get(opt, 'vibrationType', '')
+        }
+
+        //cdbl
+        if (isnum(r)) {
+            r = cdbl(r)
+        }
+
+        //預設值
+        if (r !== 1 && r !== 2) {
+            r = 1
+        }
+
+        return r
+    }
+
+    //getCoe_a
+    let getCoe_a = (rows) => {
+        let r = null
+
+        //使用最上層數據
+        if (!isnum(r)) {
+            r = get(rows, '0.coe_a', '')
+        }
+
+        //使用opt數據
+        if (!isnum(r)) {
+            r = get(opt, 'coe_a', '')
+        }
+
+        //cdbl
+        if (isnum(r)) {
+            r = cdbl(r)
+        }
+
+        //預設值
+        if (!isnum(r)) {
+            r = 0.8
+        }
+
+        return r
+    }
+
+    //liqParams
+    let liqParams = (kind, rows) => {
+
+        //waterLevelUsual, waterLevelDesign, verticalStress
+        if (true) {
+
+            //waterLevelUsual
+            let waterLevelUsual = getWaterLevelUsual(rows)
+
+            //waterLevelDesign
+            let waterLevelDesign = getWaterLevelDesign(rows)
+
+            //addDepthAndPorousParams
+            rows = addDepthAndPorousParams(rows, waterLevelUsual, waterLevelDesign)
+
+            //hasVerticalStress, check sv,svp
+            let hasVerticalStress = true
+            each(rows, (v) => {
+                let b1 = isnum(v.sv)
+                let b2a = isnum(v.svp)
+                let b2b = isnum(v.svpUsual) && isnum(v.svpDesign)
+                let b2 = b2a || b2b
+                let b = b1 && b2
+                if (!b) {
+                    hasVerticalStress = false
+                    return false //跳出
+                }
+            })
+
+            //check
+            if (!hasVerticalStress) {
+                //數據無垂直應力與垂直有效應力
+
+                //calcVerticalStress, 輸出sv與svp單位為kPa, 計算sv:土層中點深度之垂直總應力(kN/m2), svpUsual與svpDesign:土層中點深度之常時與設計垂直有效應力(kN/m2)
+                rows = calcVerticalStress(rows, { waterLevelUsual, waterLevelDesign, unitSvSvp: 'kPa' })
+                // console.log('calcVerticalStress rows', rows[0])
+
+            }
+            else {
+                //數據有垂直應力與垂直有效應力
+
+                //unitSvSvp, 此處sv,svp,svpUsual,svpDesign限制用kPa, 故指定輸入為MPa才要轉kPa
+                if (unitSvSvp === 'MPa') {
+                    rows = map(rows, (v, k) => {
+                        if (isNumber(v.sv)) {
+                            v.sv *= 1000
+                        }
+                        if (isNumber(v.svp)) {
+                            v.svp *= 1000
+                        }
+                        if (isNumber(v.svpUsual)) {
+                            v.svpUsual *= 1000
+                        }
+                        if (isNumber(v.svpDesign)) {
+                            v.svpDesign *= 1000
+                        }
+                        return v
+                    })
+                }
+
+                //check
+                each(rows, (v, k) => {
+                    // console.log(k, v, v[keyDepth], 'isNumber(v[keyDepth])', isNumber(v[keyDepth]))
+                    if (isNumber(v.sv)) {
+                        checkVerticalStress(v.sv, v[keyDepth], 'kPa', 'sv')
+                    }
+                    if (isNumber(v.svp)) {
+                        checkVerticalStress(v.svp, v[keyDepth], 'kPa', 'svp')
+                    }
+                    if (isNumber(v.svpUsual)) {
+                        checkVerticalStress(v.svpUsual, v[keyDepth], 'kPa', 'svpUsual')
+                    }
+                    if (isNumber(v.svpDesign)) {
+                        checkVerticalStress(v.svpDesign, v[keyDepth], 'kPa', 'svpDesign')
+                    }
+                })
+
+                //提取calcVerticalStress部份功能, 儲存地下水位以及重算中點深度
+                rows = map(rows, (v, k) => {
+
+                    //save waterLevelUsual,waterLevelDesign
+                    v.waterLevelUsual = waterLevelUsual
+                    v.waterLevelDesign = waterLevelDesign
+
+                    //ds, de
+                    let ds = get(v, keyDepthStart, null)
+                    let de = get(v, keyDepthEnd, null)
+
+                    //check
+                    if (!isnum(ds)) {
+                        throw new Error(`第 ${k} 樣本起始深度(depthStart)非數值: ${ds}`)
+                    }
+                    if (!isnum(de)) {
+                        throw new Error(`第 ${k} 樣本結束深度(depthEnd)非數值: ${de}`)
+                    }
+                    ds = cdbl(ds)
+                    de = cdbl(de)
+
+                    //depth, 土層中點深度(m)
+                    v[keyDepth] = (de + ds) / 2
+
+                    return v
+                })
+                // console.log('提取calcVerticalStress部份功能 rows', rows[0])
+
+            }
+
+        }
+
+        //Mw, PGA
+        if (true) {
+
+            //Mw
+            let Mw = getMw(rows)
+
+            //PGA(g)
+            let PGA = getPGA(rows)
+
+            //複寫各層Mw, PGA
+            rows = map(rows, (v, k) => {
+                v.Mw = Mw
+                v.PGA = PGA
+                return v
+            })
+
+        }
+
+        if (kind === 'SPT') {
+
+            //vibrationType
+            let vibrationType = getVibrationType(rows)
+
+            //複寫各層vibrationType
+            rows = map(rows, (v, k) => {
+                v.vibrationType = vibrationType
+                return v
+            })
+
+        }
+
+        if (kind === 'CPT') {
+
+            //coe_a
+            let coe_a = getCoe_a(rows)
+
+            //複寫各層coe_a
+            rows = map(rows, (v, k) => {
+                v.coe_a = coe_a
+                return v
+            })
+
+        }
+
+        // if (kind === 'VS') {
+        // }
+
+        return rows
+    }
+
+    //liqFS
+    let liqFS = (kind, row) => {
+
+        //cloneDeep
+        row = cloneDeep(row)
+
+        //ms
+        let ms = keys(methodLiques[kind])
+        if (size(methods) > 0) {
+            ms = methods
+        }
+
+        //各種液化方法
+        each(ms, (m) => {
+
+            //kpMethod
+            let kpMethod = get(methodLiques, kind, {})
+
+            //func
+            let func = get(kpMethod, m, null) //methodLiques[kind][m]
+
+            //check
+            if (!isfun(func)) {
+                console.log('kind', kind, 'method', m, 'keys(methodLiques[kind])', keys(methodLiques[kind]))
+                throw new Error(`func is not a function`)
+            }
+
+            //func
+            let r = func(row)
+            // console.log('func r', r)
+
+            //提取各方法特定欄位, 例如CSR,CRR,FS,err
+            if (kind === 'SPT') {
+
+                each(r, (vv, kk) => {
+                    row[`${m}-${kk}`] = vv //分方法儲存至row
+                })
+
+            }
+            else if (kind === 'CPT') {
+
+                //cptGetCommonKeys
+                let ks = cptGetCommonKeys()
+
+                //提取CPT基本分析欄位, 例如u0,qt,qnet, 外部註冊方法可能未提供
+                each(ks, (kk) => {
+                    if (!has(r, kk)) {
+                        return //跳出換下一個
+                    }
+                    row[`${kk}`] = r[kk] //不分方法直接儲存至row
+                })
+
+                //刪除基本分析欄位
+                each(ks, (kk) => {
+                    delete r[kk]
+                })
+                // console.log('r', r)
+
+                //其他欄位直接視為各方法分析欄位, 例如Icn,Qtn,FS,err
+                each(r, (vv, kk) => {
+                    row[`${m}-${kk}`] = vv //分方法儲存至row
+                })
+
+            }
+            else if (kind === 'VS') {
+
+                each(r, (vv, kk) => {
+                    row[`${m}-${kk}`] = vv //分方法儲存至row
+                })
+
+            }
+            // console.log('row', cloneDeep(row))
+
+        })
+
+        return row
+    }
+
+    //liqSiteResponse
+    let liqSiteResponse = (rows) => {
+
+        //vx, vy, 場址反應分析之深度與最大剪應力, 地表剪應力為0
+        let vx = map(ltdtSR, (v) => cdbl(v.depth))
+        let vy = map(ltdtSR, (v) => cdbl(v.tauMax))
+        if (size(vx) > 0 && vx[0] > 0) {
+            vx = [0, ...vx]
+            vy = [0, ...vy]
+        }
+        let depthMax = 0
+        each(ltdtSR, (v) => {
+            let de = get(v, keyDepthEnd, '')
+            depthMax = Math.max(depthMax, isnum(de) ? cdbl(de) : cdbl(v.depth))
+        })
+
+        //各樣本計算rdSR, 樣本已有tauMax(kPa)則直接使用, 超出場址反應分析深度之樣本則仍使用簡化式
+        rows = map(rows, (v) => {
+            let tauMax = get(v, 'tauMax', '')
+            if (!isnum(tauMax) && size(vx) > 0 && isnum(v[keyDepth]) && cdbl(v[keyDepth]) <= depthMax) {
+                let z = Math.min(Math.max(cdbl(v[keyDepth]), vx[0]), vx[size(vx) - 1])
+                tauMax = size(vx) > 1 ? interp(vx, vy, z) : vy[0]
+            }
+            if (!isnum(tauMax)) {
+                return v
+            }
+            tauMax = cdbl(tauMax)
+            let PGA = PGASR !== null ? PGASR : get(v, 'PGA', '')
+            let sv = get(v, 'sv', '')
+            if (!isnum(PGA) || !isnum(sv) || cdbl(PGA) <= 0 || cdbl(sv) <= 0) {
+                return v
+            }
+            v.tauMax = tauMax
+            v.rdSR = tauMax / (cdbl(PGA) * cdbl(sv)) //tauMax=PGA*sv*rd, PGA為場址反應分析之地表PGA, 各方法再以設計PGA計算CSR
+            return v
+        })
+
+        return rows
+    }
+
+    //liqSiteResponseUnsupported
+    let liqSiteResponseUnsupported = (kind, rows) => {
+        rows = map(rows, (row) => {
+            if (!isnum(get(row, 'rdSR', ''))) {
+                return row
+            }
+            each(methodNoSRs[kind], (m) => {
+                let ke = `${m}-err`
+                if (!has(row, ke)) {
+                    return //跳出換下一個, 未使用該方法
+                }
+                let err = row[ke]
+                let e = '不支援場址反應分析之rdSR, 仍採用原方法計算'
+                row[ke] = isestr(err) ? `${err}; ${e}` : e
+            })
+            return row
+        })
+        return rows
+    }
+
+    //liqPL
+    let liqPL = (rows) => {
+
+        //cloneDeep
+        rows = cloneDeep(rows)
+
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
+
+        //計算各種液化潛勢PL
+        each(ks, (key) => {
+
+            //從FS挑液化方法
+            if (key.indexOf('-FS') < 0) {
+                return //跳出換下一個
+            }
+
+            //method, 從FS欄位提取液化方法method
+            let method = key.replace('-FS', '')
+            // console.log('method', method)
+
+            //sumPL
+            let sumPL = 0
+            rows = map(rows, (v, k) => {
+
+                //液化方法的PL
+                // console.log('isnum(v[keyDepthStart])', isnum(v[keyDepthStart]), v[keyDepthStart])
+                // console.log('isnum(v[keyDepthEnd])', isnum(v[keyDepthEnd]), v[keyDepthEnd])
+                // console.log('isnum(v[keyDepth])', isnum(v[keyDepth]), v[keyDepth])
+                // console.log('isnum(v[key])', isnum(v[key]), v[key])
+                if (isnum(v[keyDepthStart]) &&
+                        isnum(v[keyDepthEnd]) &&
+                        isnum(v[keyDepth]) &&
+                        isnum(v[key])
+                ) {
+                    let zs = cdbl(v[keyDepthStart])
+                    let ze = cdbl(v[keyDepthEnd])
+                    let z = cdbl(v[keyDepth])
+                    let FL = cdbl(v[key])
+                    let F = 1 - Math.min(Math.max(FL, 0), 1)
+                    let W = 10 - 0.5 * z
+                    sumPL += F * W * (ze - zs)
+                    // console.log('zs', zs)
+                    // console.log('ze', ze)
+                    // console.log('z', z)
+                    // console.log('FL', FL)
+                    // console.log('F', F)
+                    // console.log('W', W)
+                    // console.log('F * W * (ze - zs)', F * W * (ze - zs))
+                    // console.log('sumPL', sumPL)
+                    // console.log('')
+                }
+
+                //save
+                v[`${method}-PL`] = sumPL
+
+                return v
+            })
+
+        })
+
+        return rows
+    }
+
+    //liqPLProb
+    let liqPLProb = (rows) => {
+
+        //cloneDeep
+        rows = cloneDeep(rows)
+
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
+
+        //計算機率式液化方法之機率加權液化潛勢, 沿用PL之深度權重但改以液化機率PLiq取代F
+        each(ks, (key) => {
+
+            //從PLiq挑液化方法
+            if (key.indexOf('-PLiq') < 0) {
+                return //跳出換下一個
+            }
+
+            //method, 從PLiq欄位提取液化方法method
+            let method = key.replace('-PLiq', '')
+            // console.log('method', method)
+
+            //sumPL
+            let sumPL = 0
+            rows = map(rows, (v, k) => {
+
+                //液化方法的機率加權PL
+                if (isnum(v[keyDepthStart]) &&
+                        isnum(v[keyDepthEnd]) &&
+                        isnum(v[keyDepth]) &&
+                        isnum(v[key])
+                ) {
+                    let zs = cdbl(v[keyDepthStart])
+                    let ze = cdbl(v[keyDepthEnd])
+                    let z = cdbl(v[keyDepth])
+                    let P = Math.min(Math.max(cdbl(v[key]), 0), 1)
+                    let W = 10 - 0.5 * z
+                    sumPL += P * W * (ze - zs)
+                }
+
+                //save
+                v[`${method}-PLProb`] = sumPL
+
+                return v
+            })
+
+        })
+
+        return rows
+    }
+
+    //liqH1
+    let liqH1 = (rows) => {
+
+        //cloneDeep
+        rows = cloneDeep(rows)
+
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
+
+        //計算各液化方法下之非液化層厚度H1
+        each(ks, (key) => {
+
+            //從FS挑液化方法
+            if (key.indexOf('-FS') < 0) {
+                return //跳出換下一個
+            }
+
+            //method, 從FS欄位提取液化方法method
+            let method = key.replace('-FS', '')
+            // console.log('method', method)
+
+            //sumH1
+            let contiH1 = true //是否連續出現非液化層
+            let sumH1 = 0
+            rows = map(rows, (v, k) => {
+
+                //液化方法的H1
+                if (isnum(v[keyDepthStart]) &&
+                    isnum(v[keyDepthEnd]) &&
+                    // isnum(v[keyDepth]) &&
+                    isnum(v[key])
+                ) {
+                    let zs = cdbl(v[keyDepthStart])
+                    let ze = cdbl(v[keyDepthEnd])
+                    // let z = cdbl(v[keyDepth])
+                    let FS = cdbl(v[key])
+                    let noLiq = FS >= 1
+                    if (contiH1 && !noLiq) {
+                        contiH1 = false
+                    }
+                    if (contiH1) {
+                        sumH1 += noLiq ? (ze - zs) : 0 //僅針對非液化層才累積計算H1
+                        sumH1 = Math.min(sumH1, 7) //查表H1最大到7
+                        // console.log('zs', zs)
+                        // console.log('ze', ze)
+                        // console.log('FS', FS)
+                        // console.log('sumH1', sumH1)
+                        // console.log('')
+                    }
+                }
+
+                //save
+                v[`${method}-H1`] = sumH1 //往下會儲存各層所累積之H1, 故取最下方土層H1即為本孔之H1
+
+                return v
+            })
+
+        })
+
+        return rows
+    }
+
+    //liqH1PL
+    let liqH1PL = (rows) => {
+
+        //cloneDeep
+        rows = cloneDeep(rows)
+
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
+
+        //計算各液化方法下之H1-PL判定結果(A,B1,B2,B3,C)
+        each(ks, (key) => {
+
+            //從FS挑液化方法
+            if (key.indexOf('-FS') < 0) {
+                return //跳出換下一個
+            }
+
+            //method, 從FS欄位提取液化方法method
+            let method = key.replace('-FS', '')
+            // console.log('method', method)
+
+            //keyH1, keyPL
+            let keyH1 = `${method}-H1`
+            let keyPL = `${method}-PL`
+
+            //液化方法的H1-PL
+            rows = map(rows, (v, k) => {
+
+                //液化方法的H1PL, 若有有效H1與PL就計算判定結果, 越往下
+                // let iH1PL = 0
+                let H1PL = '-' //若無必要參數則給予預設值「-」
+                if (// isnum(v[keyDepthStart]) &&
+                    // isnum(v[keyDepthEnd]) &&
+                    // isnum(v[keyDepth]) &&
+                    isnum(v[keyH1]) &&
+                    isnum(v[keyPL])
+                ) {
+                    // let zs = cdbl(v[keyDepthStart])
+                    // let ze = cdbl(v[keyDepthEnd])
+                    // let z = cdbl(v[keyDepth])
+                    let H1 = cdbl(v[keyH1])
+                    let PL = cdbl(v[keyPL])
+                    if (H1 <= 3) {
+                        if (PL >= 5) {
+                            // iH1PL = 5
+                            H1PL = 'C'
+                        }
+                        else {
+                            // iH1PL = 4
+                            H1PL = 'B3'
+                        }
+                    }
+                    else if (H1 <= 5) {
+                        if (PL >= 5) {
+                            // iH1PL = 3
+                            H1PL = 'B2'
+                        }
+                        else {
+                            // iH1PL = 2
+                            H1PL = 'B1'
+                        }
+                    }
+                    else {
+                        // iH1PL = 1
+                        H1PL = 'A'
+                    }
+                }
+
+                //save
+                // v[`${method}-iH1PL`] = iH1PL
+                v[`${method}-H1PL`] = H1PL
+
+                return v
+            })
+
+        })
+
+        return rows
+    }
+
+    //liqSett
+    let liqSett = (rows) => {
+
+        //cloneDeep
+        rows = cloneDeep(rows)
+
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
+
+        //計算各種液化沉陷
+        each(ks, (key) => {
+            if (key.indexOf('-vstr') >= 0) {
+
+                //s
+                let s = split(key, '-vstr')
+                // console.log('s', s)
+
+                //method
+                let method = get(s, 0, '')
+                // console.log('method', method)
+
+                //type
+                let type = get(s, 1, '')
+                // console.log('type', type)
+
+                //sumStl
+                let sumStl = 0
+                rows = map(rows, (v, k) => {
+                    // console.log(k, v, 'key', key, 'v[key]', v[key])
 
-    //liqParams
-    let liqParams = (kind, rows) => {
+                    //液化方法的vstr
+                    // console.log('isnum(v[keyDepthStart])', isnum(v[keyDepthStart]), v[keyDepthStart])
+                    // console.log('isnum(v[keyDepthEnd])', isnum(v[keyDepthEnd]), v[keyDepthEnd])
+                    // console.log('isnum(v[key])', isnum(v[key]), v[key])
+                    if (isnum(v[keyDepthStart]) &&
+                        isnum(v[keyDepthEnd]) &&
+                        isnum(v[key])
+                    ) {
+                        let zs = cdbl(v[keyDepthStart])
+                        let ze = cdbl(v[keyDepthEnd])
 
-        //waterLevelUsual, waterLevelDesign, verticalStress
-        if (true) {
+                        let vstr = cdbl(v[key]) / 100 //由百分比(%)還原成比例
+                        sumStl += vstr * (ze - zs)
+                    }
 
-            //waterLevelUsual
-            let waterLevelUsual = getWaterLevelUsual(rows)
+                    //save
+                    v[`${method}-stl${type}`] = sumStl //沉陷(m)
 
-            //waterLevelDesign
-            let waterLevelDesign = getWaterLevelDesign(rows)
+                    return v
+                })
 
-            //addDepthAndPorousParams
-            rows = addDepthAndPorousParams(rows, waterLevelUsual, waterLevelDesign)
+            }
+        })
 
-            //hasVerticalStress, check sv,svp
-            let hasVerticalStress = true
-            each(rows, (v) => {
-                let b1 = isnum(v.sv)
-                let b2a = isnum(v.svp)
-                let b2b = isnum(v.svpUsual) && isnum(v.svpDesign)
-                let b2 = b2a || b2b
-                let b = b1 && b2
-                if (!b) {
-                    hasVerticalStress = false
-                    return false //跳出
-                }
-            })
+        return rows
+    }
 
-            //check
-            if (!hasVerticalStress) {
-                //數據無垂直應力與垂直有效應力
+    //liqLSN
+    let liqLSN = (rows) => {
 
-                //calcVerticalStress, 輸出sv與svp單位為kPa, 計算sv:土層中點深度之垂直總應力(kN/m2), svpUsual與svpDesign:土層中點深度之常時與設計垂直有效應力(kN/m2)
-                rows = calcVerticalStress(rows, { waterLevelUsual, waterLevelDesign, unitSvSvp: 'kPa' })
-                // console.log('calcVerticalStress rows', rows[0])
+        //cloneDeep
+        rows = cloneDeep(rows)
 
-            }
-            else {
-                //數據有垂直應力與垂直有效應力
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
 
-                //unitSvSvp, 此處sv,svp,svpUsual,svpDesign限制用kPa, 故指定輸入為MPa才要轉kPa
-                if (unitSvSvp === 'MPa') {
-                    rows = map(rows, (v, k) => {
-                        if (isNumber(v.sv)) {
-                            v.sv *= 1000
-                        }
-                        if (isNumber(v.svp)) {
-                            v.svp *= 1000
-                        }
-                        if (isNumber(v.svpUsual)) {
-                            v.svpUsual *= 1000
-                        }
-                        if (isNumber(v.svpDesign)) {
-                            v.svpDesign *= 1000
-                        }
-                        return v
-                    })
-                }
+        //計算各種液化嚴重性指數LSN, van Ballegooy et al.(2014), LSN = 1000 * ∫ εv / z dz
+        each(ks, (key) => {
+            if (key.indexOf('-vstr') >= 0) {
 
-                //check
-                each(rows, (v, k) => {
-                    // console.log(k, v, v[keyDepth], 'isNumber(v[keyDepth])', isNumber(v[keyDepth]))
-                    if (isNumber(v.sv)) {
-                        checkVerticalStress(v.sv, v[keyDepth], 'kPa', 'sv')
-                    }
-                    if (isNumber(v.svp)) {
-                        checkVerticalStress(v.svp, v[keyDepth], 'kPa', 'svp')
-                    }
-                    if (isNumber(v.svpUsual)) {
-                        checkVerticalStress(v.svpUsual, v[keyDepth], 'kPa', 'svpUsual')
-                    }
-                    if (isNumber(v.svpDesign)) {
-                        checkVerticalStress(v.svpDesign, v[keyDepth], 'kPa', 'svpDesign')
-                    }
-                })
+                //s
+                let s = split(key, '-vstr')
 
-                //提取calcVerticalStress部份功能, 儲存地下水位以及重算中點深度
-                rows = map(rows, (v, k) => {
+                //method
+                let method = get(s, 0, '')
 
-                    //save waterLevelUsual,waterLevelDesign
-                    v.waterLevelUsual = waterLevelUsual
-                    v.waterLevelDesign = waterLevelDesign
+                //type
+                let type = get(s, 1, '')
 
-                    //ds, de
-                    let ds = get(v, keyDepthStart, null)
-                    let de = get(v, keyDepthEnd, null)
+                //sumLSN
+                let sumLSN = 0
+                rows = map(rows, (v, k) => {
 
-                    //check
-                    if (!isnum(ds)) {
-                        throw new Error(`第 ${k} 樣本起始深度(depthStart)非數值: ${ds}`)
-                    }
-                    if (!isnum(de)) {
-                        throw new Error(`第 ${k} 樣本結束深度(depthEnd)非數值: ${de}`)
+                    //液化方法的vstr
+                    if (isnum(v[keyDepthStart]) &&
+                        isnum(v[keyDepthEnd]) &&
+                        isnum(v[keyDepth]) &&
+                        isnum(v[key])
+                    ) {
+                        let zs = cdbl(v[keyDepthStart])
+                        let ze = cdbl(v[keyDepthEnd])
+                        let z = cdbl(v[keyDepth])
+                        if (z > 0) {
+                            let vstr = cdbl(v[key]) / 100 //由百分比(%)還原成比例
+                            sumLSN += 1000 * vstr / z * (ze - zs)
+                        }
                     }
-                    ds = cdbl(ds)
-                    de = cdbl(de)
 
-                    //depth, 土層中點深度(m)
-                    v[keyDepth] = (de + ds) / 2
+                    //save
+                    v[`${method}-LSN${type}`] = sumLSN
 
                     return v
                 })
-                // console.log('提取calcVerticalStress部份功能 rows', rows[0])
 
             }
+        })
 
-        }
-
-        //Mw, PGA
-        if (true) {
+        return rows
+    }
 
-            //Mw
-            let Mw = getMw(rows)
+    //liqLPIish
+    let liqLPIish = (rows) => {
 
-            //PGA(g)
-            let PGA = getPGA(rows)
+        //cloneDeep
+        rows = cloneDeep(rows)
 
-            //複寫各層Mw, PGA
-            rows = map(rows, (v, k) => {
-                v.Mw = Mw
-                v.PGA = PGA
-                return v
-            })
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
 
-        }
+        //計算各液化方法之LPIish, Maurer et al.(2015), 考慮非液化表層厚度H1抑制地表液化徵兆
+        each(ks, (key) => {
 
-        if (kind === 'SPT') {
+            //從FS挑液化方法
+            if (key.indexOf('-FS') < 0) {
+                return //跳出換下一個
+            }
 
-            //vibrationType
-            let vibrationType = getVibrationType(rows)
+            //method, 從FS欄位提取液化方法method
+            let method = key.replace('-FS', '')
 
-            //複寫各層vibrationType
-            rows = map(rows, (v, k) => {
-                v.vibrationType = vibrationType
-                return v
+            //H1, Maurer et al.(2015)取地表至首個FS<1土層頂部之深度, 無FS之土層亦計入非液化表層, 不同於liqH1此處不限制最大值
+            //若全孔皆無FS<1土層則無液化層貢獻LPIish, H1維持0不影響結果
+            let H1 = 0
+            each(rows, (v) => {
+                if (isnum(v[keyDepthStart]) &&
+                    isnum(v[key]) &&
+                    cdbl(v[key]) < 1
+                ) {
+                    H1 = cdbl(v[keyDepthStart])
+                    return false //跳出
+                }
             })
 
-        }
+            //sumLPIish
+            let sumLPIish = 0
+            rows = map(rows, (v, k) => {
 
-        if (kind === 'CPT') {
+                //液化方法的LPIish
+                if (isnum(v[keyDepthStart]) &&
+                    isnum(v[keyDepthEnd]) &&
+                    isnum(v[keyDepth]) &&
+                    isnum(v[key])
+                ) {
+                    let zs = cdbl(v[keyDepthStart])
+                    let ze = cdbl(v[keyDepthEnd])
+                    let z = cdbl(v[keyDepth])
+                    let FS = cdbl(v[key])
+                    if (z > 0 && z <= 20 && FS < 1) {
+                        let m = Math.exp(5 / (25.56 * (1 - FS))) - 1
+                        if (H1 * m <= 3) {
+                            sumLPIish += (1 - FS) * 25.56 / z * (ze - zs)
+                        }
+                    }
+                }
 
-            //coe_a
-            let coe_a = getCoe_a(rows)
+                //save
+                v[`${method}-LPIish`] = sumLPIish
 
-            //複寫各層coe_a
-            rows = map(rows, (v, k) => {
-                v.coe_a = coe_a
                 return v
             })
 
-        }
-
-        // if (kind === 'VS') {
-        // }
+        })
 
         return rows
     }
 
-    //liqFS
-    let liqFS = (kind, row) => {
+    //liqIshihara
+    let liqIshihara = (rows) => {
 
         //cloneDeep
-        row = cloneDeep(row)
-
-        //ms
-        let ms = keys(methodLiques[kind])
-        if (size(methods) > 0) {
-            ms = methods
-        }
-
-        //各種液化方法
-        each(ms, (m) => {
-
-            //kpMethod
-            let kpMethod = get(methodLiques, kind, {})
-
-            //func
-            let func = get(kpMethod, m, null) //methodLiques[kind][m]
-
-            //check
-            if (!isfun(func)) {
-                console.log('kind', kind, 'method', m, 'keys(methodLiques[kind])', keys(methodLiques[kind]))
-                throw new Error(`func is not a function`)
-            }
+        rows = cloneDeep(rows)
 
-            //func
-            let r = func(row)
-            // console.log('func r', r)
+        //getKeysFromRows
+        let ks = getKeysFromRows(rows)
 
-            //提取各方法特定欄位, 例如CSR,CRR,FS,err
-            if (kind === 'SPT') {
+        //PGAs
+        let PGAs = map(kpIshiharaBoundary, 'PGA')
 
-                each(r, (vv, kk) => {
-                    row[`${m}-${kk}`] = vv //分方法儲存至row
-                })
+        //計算各液化方法之Ishihara(1985)地表破壞判定, H1為非液化表層厚度, H2為其下液化層累計厚度
+        each(ks, (key) => {
 
+            //從FS挑液化方法
+            if (key.indexOf('-FS') < 0) {
+                return //跳出換下一個
             }
-            else if (kind === 'CPT') {
-
-                //cptGetCommonKeys
-                let ks = cptGetCommonKeys()
 
-                //提取CPT基本分析欄位, 例如u0,qt,qnet
-                each(ks, (kk) => {
-                    row[`${kk}`] = r[kk] //不分方法直接儲存至row
-                })
+            //method, 從FS欄位提取液化方法method
+            let method = key.replace('-FS', '')
 
-                //刪除基本分析欄位
-                each(ks, (kk) => {
-                    delete r[kk]
-                })
-                // console.log('r', r)
+            //H1, H2
+            let contiH1 = true //是否連續出現非液化層
+            let H1 = 0
+            let H2 = 0
+            each(rows, (v) => {
+                if (isnum(v[keyDepthStart]) &&
+                    isnum(v[keyDepthEnd]) &&
+                    isnum(v[key])
+                ) {
+                    let zs = cdbl(v[keyDepthStart])
+                    let ze = cdbl(v[keyDepthEnd])
+                    let FS = cdbl(v[key])
+                    let noLiq = FS >= 1
+                    if (contiH1 && !noLiq) {
+                        contiH1 = false
+                    }
+                    if (contiH1) {
+                        H1 += ze - zs
+                    }
+                    else if (!noLiq) {
+                        H2 += ze - zs
+                    }
+                }
+            })
 
-                //其他欄位直接視為各方法分析欄位, 例如Icn,Qtn,FS,err
-                each(r, (vv, kk) => {
-                    row[`${m}-${kk}`] = vv //分方法儲存至row
+            //H1Lim, 依PGA內插各邊界曲線於H2處之H1, PGA超出範圍則取最近曲線
+            let H1Lim = '-'
+            let PGA = get(rows, `0.PGA`, '')
+            if (isnum(PGA)) {
+                PGA = cdbl(PGA)
+                let H1Lims = map(kpIshiharaBoundary, (b) => {
+                    let vx = map(b.data, (d) => {
+                        return d[0]
+                    })
+                    let vy = map(b.data, (d) => {
+                        return d[1]
+                    })
+                    return interp(vx, vy, Math.min(H2, 100))
                 })
+                let _PGA = Math.min(Math.max(PGA, min(PGAs)), max(PGAs))
+                H1Lim = interp(PGAs, H1Lims, _PGA)
+                if (!isNumber(H1Lim)) {
+                    H1Lim = '-'
+                }
+            }
 
+            //Ishihara
+            let Ishihara = '-' //若無必要參數則給予預設值「-」
+            if (isNumber(H1Lim)) {
+                if (H2 > 0 && H1 < H1Lim) {
+                    Ishihara = '地表破壞'
+                }
+                else {
+                    Ishihara = '無地表破壞'
+                }
             }
-            // console.log('row', cloneDeep(row))
+
+            //save, 屬鑽孔結果故各層皆儲存
+            rows = map(rows, (v, k) => {
+                v[`${method}-IshiharaH1`] = H1
+                v[`${method}-IshiharaH2`] = H2
+                v[`${method}-IshiharaH1Lim`] = H1Lim
+                v[`${method}-Ishihara`] = Ishihara
+                return v
+            })
 
         })
 
-        return row
+        return rows
     }
 
-    //liqPL
-    let liqPL = (rows) => {
+    //liqIlE
+    let liqIlE = (rows) => {
 
         //cloneDeep
         rows = cloneDeep(rows)
@@ -8048,63 +12506,76 @@ function liquefaction(kind, rows, opt = {}) {
         //getKeysFromRows
         let ks = getKeysFromRows(rows)
 
-        //計算各種液化潛勢PL
+        //計算GB 50011液化指數IlE與液化等級, 僅針對有臨界錘擊數Ncr之液化方法
         each(ks, (key) => {
 
-            //從FS挑液化方法
-            if (key.indexOf('-FS') < 0) {
+            //從Ncr挑液化方法
+            if (strright(key, 4) !== '-Ncr') {
                 return //跳出換下一個
             }
 
-            //method, 從FS欄位提取液化方法method
-            let method = key.replace('-FS', '')
-            // console.log('method', method)
+            //method, 從Ncr欄位提取液化方法method
+            let method = key.replace('-Ncr', '')
 
-            //sumPL
-            let sumPL = 0
+            //sumIlE, IlE = Σ(1-Ni/Ncri)*di*Wi, 僅累計Ni<Ncri之土層, FS即為Ni/Ncri
+            let sumIlE = 0
             rows = map(rows, (v, k) => {
 
-                //液化方法的PL
-                // console.log('isnum(v[keyDepthStart])', isnum(v[keyDepthStart]), v[keyDepthStart])
-                // console.log('isnum(v[keyDepthEnd])', isnum(v[keyDepthEnd]), v[keyDepthEnd])
-                // console.log('isnum(v[keyDepth])', isnum(v[keyDepth]), v[keyDepth])
-                // console.log('isnum(v[key])', isnum(v[key]), v[key])
                 if (isnum(v[keyDepthStart]) &&
                         isnum(v[keyDepthEnd]) &&
                         isnum(v[keyDepth]) &&
-                        isnum(v[key])
+                        isnum(v[`${method}-FS`])
                 ) {
                     let zs = cdbl(v[keyDepthStart])
                     let ze = cdbl(v[keyDepthEnd])
                     let z = cdbl(v[keyDepth])
-                    let FL = cdbl(v[key])
-                    let F = 1 - Math.min(Math.max(FL, 0), 1)
-                    let W = 10 - 0.5 * z
-                    sumPL += F * W * (ze - zs)
-                    // console.log('zs', zs)
-                    // console.log('ze', ze)
-                    // console.log('z', z)
-                    // console.log('FL', FL)
-                    // console.log('F', F)
-                    // console.log('W', W)
-                    // console.log('F * W * (ze - zs)', F * W * (ze - zs))
-                    // console.log('sumPL', sumPL)
-                    // console.log('')
+                    let FS = cdbl(v[`${method}-FS`])
+                    let W = 0 //權函數(1/m), 深度5m以內為10, 20m為0, 中間線性內插
+                    if (z <= 5) {
+                        W = 10
+                    }
+                    else if (z < 20) {
+                        W = 10 - (z - 5) * 10 / 15
+                    }
+                    if (FS < 1) {
+                        sumIlE += (1 - FS) * (ze - zs) * W
+                    }
                 }
 
                 //save
-                v[`${method}-PL`] = sumPL
+                v[`${method}-IlE`] = sumIlE //往下會儲存各層所累積之IlE, 故取最下方土層IlE即為本孔之IlE
 
                 return v
             })
 
+            //IlEGrade, 液化等級
+            let IlEGrade = ''
+            if (sumIlE <= 0) {
+                IlEGrade = '不液化'
+            }
+            else if (sumIlE <= 6) {
+                IlEGrade = '輕微'
+            }
+            else if (sumIlE <= 18) {
+                IlEGrade = '中等'
+            }
+            else {
+                IlEGrade = '嚴重'
+            }
+
+            //save, 屬鑽孔結果故各層皆儲存
+            rows = map(rows, (v, k) => {
+                v[`${method}-IlEGrade`] = IlEGrade
+                return v
+            })
+
         })
 
         return rows
     }
 
-    //liqH1
-    let liqH1 = (rows) => {
+    //liqEC8
+    let liqEC8 = (rows) => {
 
         //cloneDeep
         rows = cloneDeep(rows)
@@ -8112,51 +12583,36 @@ function liquefaction(kind, rows, opt = {}) {
         //getKeysFromRows
         let ks = getKeysFromRows(rows)
 
-        //計算各液化方法下之非液化層厚度H1
+        //判定Eurocode 8液化潛能, 僅針對有安全係數lambda之液化方法
         each(ks, (key) => {
 
-            //從FS挑液化方法
-            if (key.indexOf('-FS') < 0) {
+            //從lambda挑液化方法
+            if (strright(key, 7) !== '-lambda') {
                 return //跳出換下一個
             }
 
-            //method, 從FS欄位提取液化方法method
-            let method = key.replace('-FS', '')
-            // console.log('method', method)
+            //method, 從lambda欄位提取液化方法method
+            let method = key.replace('-lambda', '')
 
-            //sumH1
-            let contiH1 = true //是否連續出現非液化層
-            let sumH1 = 0
+            //各層FS小於lambda則判定為具液化潛能
+            let bLiq = false
             rows = map(rows, (v, k) => {
-
-                //液化方法的H1
-                if (isnum(v[keyDepthStart]) &&
-                    isnum(v[keyDepthEnd]) &&
-                    // isnum(v[keyDepth]) &&
-                    isnum(v[key])
-                ) {
-                    let zs = cdbl(v[keyDepthStart])
-                    let ze = cdbl(v[keyDepthEnd])
-                    // let z = cdbl(v[keyDepth])
-                    let FS = cdbl(v[key])
-                    let noLiq = FS >= 1
-                    if (contiH1 && !noLiq) {
-                        contiH1 = false
-                    }
-                    if (contiH1) {
-                        sumH1 += noLiq ? (ze - zs) : 0 //僅針對非液化層才累積計算H1
-                        sumH1 = Math.min(sumH1, 7) //查表H1最大到7
-                        // console.log('zs', zs)
-                        // console.log('ze', ze)
-                        // console.log('FS', FS)
-                        // console.log('sumH1', sumH1)
-                        // console.log('')
+                let FS = v[`${method}-FS`]
+                let lambda = v[key]
+                let state = ''
+                if (isnum(FS) && isnum(lambda)) {
+                    state = cdbl(FS) < cdbl(lambda) ? '具液化潛能' : '無液化潛能'
+                    if (cdbl(FS) < cdbl(lambda)) {
+                        bLiq = true
                     }
                 }
+                v[`${method}-EC8`] = state
+                return v
+            })
 
-                //save
-                v[`${method}-H1`] = sumH1 //往下會儲存各層所累積之H1, 故取最下方土層H1即為本孔之H1
-
+            //save, 屬鑽孔結果故各層皆儲存
+            rows = map(rows, (v, k) => {
+                v[`${method}-EC8Class`] = bLiq ? '具液化潛能' : '無液化潛能'
                 return v
             })
 
@@ -8165,8 +12621,8 @@ function liquefaction(kind, rows, opt = {}) {
         return rows
     }
 
-    //liqH1PL
-    let liqH1PL = (rows) => {
+    //liqDcy
+    let liqDcy = (rows) => {
 
         //cloneDeep
         rows = cloneDeep(rows)
@@ -8174,69 +12630,63 @@ function liquefaction(kind, rows, opt = {}) {
         //getKeysFromRows
         let ks = getKeysFromRows(rows)
 
-        //計算各液化方法下之H1-PL判定結果(A,B1,B2,B3,C)
+        //計算AIJ水平位移指標Dcy(m)與液化程度, 僅針對有繰返剪應變gamma之液化方法
         each(ks, (key) => {
 
-            //從FS挑液化方法
-            if (key.indexOf('-FS') < 0) {
+            //從gamma挑液化方法
+            if (strright(key, 6) !== '-gamma') {
                 return //跳出換下一個
             }
 
-            //method, 從FS欄位提取液化方法method
-            let method = key.replace('-FS', '')
-            // console.log('method', method)
-
-            //keyH1, keyPL
-            let keyH1 = `${method}-H1`
-            let keyPL = `${method}-PL`
+            //method, 從gamma欄位提取液化方法method
+            let method = key.replace('-gamma', '')
 
-            //液化方法的H1-PL
+            //sumDcy, Dcy = Σgamma*H, 僅累計深度20m以內土層
+            let sumDcy = 0
             rows = map(rows, (v, k) => {
 
-                //液化方法的H1PL, 若有有效H1與PL就計算判定結果, 越往下
-                // let iH1PL = 0
-                let H1PL = '-' //若無必要參數則給予預設值「-」
-                if (// isnum(v[keyDepthStart]) &&
-                    // isnum(v[keyDepthEnd]) &&
-                    // isnum(v[keyDepth]) &&
-                    isnum(v[keyH1]) &&
-                    isnum(v[keyPL])
+                if (isnum(v[keyDepthStart]) &&
+                        isnum(v[keyDepthEnd]) &&
+                        isnum(v[key])
                 ) {
-                    // let zs = cdbl(v[keyDepthStart])
-                    // let ze = cdbl(v[keyDepthEnd])
-                    // let z = cdbl(v[keyDepth])
-                    let H1 = cdbl(v[keyH1])
-                    let PL = cdbl(v[keyPL])
-                    if (H1 <= 3) {
-                        if (PL >= 5) {
-                            // iH1PL = 5
-                            H1PL = 'C'
-                        }
-                        else {
-                            // iH1PL = 4
-                            H1PL = 'B3'
-                        }
-                    }
-                    else if (H1 <= 5) {
-                        if (PL >= 5) {
-                            // iH1PL = 3
-                            H1PL = 'B2'
-                        }
-                        else {
-                            // iH1PL = 2
-                            H1PL = 'B1'
-                        }
-                    }
-                    else {
-                        // iH1PL = 1
-                        H1PL = 'A'
+                    let zs = cdbl(v[keyDepthStart])
+                    let ze = Math.min(cdbl(v[keyDepthEnd]), 20)
+                    let gamma = cdbl(v[key])
+                    if (ze > zs) {
+                        sumDcy += gamma * (ze - zs)
                     }
                 }
 
                 //save
-                // v[`${method}-iH1PL`] = iH1PL
-                v[`${method}-H1PL`] = H1PL
+                v[`${method}-Dcy`] = sumDcy //往下會儲存各層所累積之Dcy, 故取最下方土層Dcy即為本孔之Dcy
+
+                return v
+            })
+
+            //DcyGrade, 液化程度, AIJ以Dcy(cm)分為0, 5, 10, 20, 40
+            let DcyGrade = ''
+            if (sumDcy <= 0) {
+                DcyGrade = '無'
+            }
+            else if (sumDcy <= 0.05) {
+                DcyGrade = '輕微'
+            }
+            else if (sumDcy <= 0.1) {
+                DcyGrade = '小'
+            }
+            else if (sumDcy <= 0.2) {
+                DcyGrade = '中'
+            }
+            else if (sumDcy <= 0.4) {
+                DcyGrade = '大'
+            }
+            else {
+                DcyGrade = '甚大'
+            }
 
+            //save, 屬鑽孔結果故各層皆儲存
+            rows = map(rows, (v, k) => {
+                v[`${method}-DcyGrade`] = DcyGrade
                 return v
             })
 
@@ -8245,8 +12695,8 @@ function liquefaction(kind, rows, opt = {}) {
         return rows
     }
 
-    //liqSett
-    let liqSett = (rows) => {
+    //liqSr
+    let liqSr = (kind, rows) => {
 
         //cloneDeep
         rows = cloneDeep(rows)
@@ -8254,49 +12704,72 @@ function liquefaction(kind, rows, opt = {}) {
         //getKeysFromRows
         let ks = getKeysFromRows(rows)
 
-        //計算各種液化沉陷
-        each(ks, (key) => {
-            if (key.indexOf('-vstr') >= 0) {
+        //addErr, 殘餘強度之錯誤訊息併入各方法err欄位
+        let addErr = (v, method, errs) => {
+            if (size(errs) === 0) {
+                return
+            }
+            let kerr = `${method}-err`
+            let err = get(v, kerr, '')
+            v[kerr] = join(isestr(err) ? [err, ...errs] : errs, '; ')
+        }
 
-                //s
-                let s = split(key, '-vstr')
-                // console.log('s', s)
+        //計算各液化方法判定液化(FS<1)土層之殘餘強度Sr(kPa)
+        each(ks, (key) => {
 
-                //method
-                let method = get(s, 0, '')
-                // console.log('method', method)
+            //從FS挑液化方法
+            if (strright(key, 3) !== '-FS') {
+                return //跳出換下一個
+            }
 
-                //type
-                let type = get(s, 1, '')
-                // console.log('type', type)
+            //method, 從FS欄位提取液化方法method
+            let method = key.replace('-FS', '')
 
-                //sumStl
-                let sumStl = 0
-                rows = map(rows, (v, k) => {
-                    // console.log(k, v, 'key', key, 'v[key]', v[key])
+            //SPT法須有N160, 例如sptGB2010未使用N160故不計算
+            if (kind === 'SPT' && ks.indexOf(`${method}-N160`) < 0) {
+                return //跳出換下一個
+            }
 
-                    //液化方法的vstr
-                    // console.log('isnum(v[keyDepthStart])', isnum(v[keyDepthStart]), v[keyDepthStart])
-                    // console.log('isnum(v[keyDepthEnd])', isnum(v[keyDepthEnd]), v[keyDepthEnd])
-                    // console.log('isnum(v[key])', isnum(v[key]), v[key])
-                    if (isnum(v[keyDepthStart]) &&
-                        isnum(v[keyDepthEnd]) &&
-                        isnum(v[key])
-                    ) {
-                        let zs = cdbl(v[keyDepthStart])
-                        let ze = cdbl(v[keyDepthEnd])
+            rows = map(rows, (v, k) => {
 
-                        let vstr = cdbl(v[key]) / 100 //由百分比(%)還原成比例
-                        sumStl += vstr * (ze - zs)
+                //svp, 使用設計垂直有效應力, CPT若有svp則以svp為主
+                let svp = get(v, 'svpDesign', '')
+                if (isnum(v.svp)) {
+                    svp = v.svp
+                }
+                svp = isnum(svp) ? cdbl(svp) : null
+
+                //r
+                let FS = v[key]
+                let bLiq = isnum(FS) && cdbl(FS) < 1
+                if (kind === 'SPT') {
+                    let r = { SrSH: '', SrIB: '', SrKW: '' }
+                    if (bLiq) {
+                        let N160 = get(v, `${method}-N160`, '')
+                        let FC = get(v, 'FC', '')
+                        r = residualStrengthSpt(isnum(N160) ? cdbl(N160) : null, isnum(FC) ? cdbl(FC) : null, svp)
                     }
+                    v[`${method}-SrSH`] = r.SrSH
+                    v[`${method}-SrIB`] = r.SrIB
+                    v[`${method}-SrKW`] = r.SrKW
+                    addErr(v, method, r.err)
+                }
+                else if (kind === 'CPT') {
+                    let r = { SrOS: '' }
+                    if (bLiq) {
+                        let qt = get(v, 'qt', '') //CPT法qc皆視為使用qt, 優先使用校正後qt
+                        if (!isnum(qt)) {
+                            qt = get(v, 'qc', '')
+                        }
+                        r = residualStrengthCpt(isnum(qt) ? cdbl(qt) : null, svp)
+                    }
+                    v[`${method}-SrOS`] = r.SrOS
+                    addErr(v, method, r.err)
+                }
 
-                    //save
-                    v[`${method}-stl${type}`] = sumStl //沉陷(m)
-
-                    return v
-                })
+                return v
+            })
 
-            }
         })
 
         return rows
@@ -8319,6 +12792,11 @@ function liquefaction(kind, rows, opt = {}) {
     rows = cloneDeep(rows)
     // console.log('cloneDeep rows', rows[0])
 
+    //mappingIn
+    if (size(keysMapping) > 0) {
+        rows = map(rows, mappingIn)
+    }
+
     //checkDepthStartEnd
     let ckds = checkDepthStartEnd(rows)
     if (size(ckds) > 0) {
@@ -8330,33 +12808,74 @@ function liquefaction(kind, rows, opt = {}) {
         return cdbl(v[keyDepthStart])
     })
 
+    //calcCptThinLayerCorrection, 液化分析前修正CPT過渡區與薄層效應之qc與fs
+    if (kind === 'CPT' && cptProfile === 'corrected') {
+        rows = calcCptThinLayerCorrection(rows, cptThinLayerCorrection)
+    }
+
     //liqParams, 自動計算參數
     rows = liqParams(kind, rows)
     // console.log('liqParams rows', rows[0])
 
+    //liqSiteResponse, 有場址反應分析結果時計算等效應力折減係數
+    rows = liqSiteResponse(rows)
+
     //liqFS, 各樣本計算安全係數與沉陷
     rows = map(rows, (row, k) => {
         return liqFS(kind, row)
     })
 
-    //liqPL, 目前僅SPT法可使用liqPL計算液化潛勢PL, 不適用於CPT
+    //liqSiteResponseUnsupported, 有rdSR時對未支援場址反應分析之方法報錯
+    rows = liqSiteResponseUnsupported(kind, rows)
+
+    //liqPL, 僅需各液化方法之FS, 各分析種類皆計算液化潛勢PL
+    rows = liqPL(rows)
+
+    //liqPLProb, 目前僅SPT機率式液化方法有輸出液化機率PLiq
     if (kind === 'SPT') {
-        rows = liqPL(rows)
+        rows = liqPLProb(rows)
     }
 
-    //liqSett, 目前僅SPT法有支援計算沉陷
-    if (kind === 'SPT') {
+    //liqSett, 目前SPT與CPT法有支援計算沉陷
+    if (kind === 'SPT' || kind === 'CPT') {
         rows = liqSett(rows)
     }
 
-    //liqH1, 目前僅SPT法有支援計算H1
+    //liqH1, 僅需各液化方法之FS, 各分析種類皆計算H1
+    rows = liqH1(rows)
+
+    //liqH1PL, 由H1與PL判定, 各分析種類皆計算H1-PL
+    rows = liqH1PL(rows)
+
+    //liqLSN, 目前SPT與CPT法有輸出體積應變可計算LSN
+    if (kind === 'SPT' || kind === 'CPT') {
+        rows = liqLSN(rows)
+    }
+
+    //liqLPIish, 僅需各液化方法之FS
+    rows = liqLPIish(rows)
+
+    //liqIshihara, 僅需各液化方法之FS, 計算Ishihara(1985)地表破壞判定
+    rows = liqIshihara(rows)
+
+    //liqIlE, 目前僅SPT法有支援計算GB 50011液化指數IlE
+    if (kind === 'SPT') {
+        rows = liqIlE(rows)
+    }
+
+    //liqEC8, 目前僅SPT法有支援Eurocode 8液化潛能判定
     if (kind === 'SPT') {
-        rows = liqH1(rows)
+        rows = liqEC8(rows)
     }
 
-    //liqH1PL, 目前僅SPT法有支援計算H1-PL
+    //liqDcy, 目前僅SPT法有支援計算AIJ水平位移指標Dcy
     if (kind === 'SPT') {
-        rows = liqH1PL(rows)
+        rows = liqDcy(rows)
+    }
+
+    //liqSr, 目前SPT與CPT法有支援計算液化後殘餘強度
+    if (kind === 'SPT' || kind === 'CPT') {
+        rows = liqSr(kind, rows)
     }
 
     //排序欄位
@@ -8374,11 +12893,12 @@ function liquefaction(kind, rows, opt = {}) {
 
         //添加各液化分析結果
         each(methodLiques[kind], (m, km) => {
-            let nkm = size(km)
+            let kmd = `${km}-` //需含分隔符號比對, 避免外部方法名稱以內建方法名稱開頭(例如sptSeedX)時誤取內建方法欄位
+            let nkmd = size(kmd)
             let kerr = ''
             let err = ''
             each(row, (v, k) => {
-                if (strleft(k, nkm) === km) {
+                if (strleft(k, nkmd) === kmd) {
                     if (strright(k, 4) === '-err') {
                         kerr = k
                         err = v
@@ -8431,6 +12951,11 @@ function liquefaction(kind, rows, opt = {}) {
         })
     }
 
+    //mappingOut
+    if (size(keysMapping) > 0) {
+        rows = map(rows, mappingOut)
+    }
+
     return rows
 }
 
@@ -8460,6 +12985,8 @@ let calcLiquefaction = {
     mLiques: methodLiques,
     mSettls: methodSettlements,
     calc: liquefaction,
+    register: registerMethod,
+    unregister: unregisterMethod,
 }
 
 
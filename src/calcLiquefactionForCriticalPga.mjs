@@ -0,0 +1,834 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import keys from 'lodash-es/keys.js'
+import filter from 'lodash-es/filter.js'
+import size from 'lodash-es/size.js'
+import times from 'lodash-es/times.js'
+import pull from 'lodash-es/pull.js'
+import sortBy from 'lodash-es/sortBy.js'
+import isNumber from 'lodash-es/isNumber.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import dtmapping from 'wsemi/src/dtmapping.mjs'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import isbol from 'wsemi/src/isbol.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import strleft from 'wsemi/src/strleft.mjs'
+import strright from 'wsemi/src/strright.mjs'
+import calcLiquefaction from './calcLiquefaction.mjs'
+import calcLiquefactionClearStress from './calcLiquefactionClearStress.mjs'
+import calcLiquefactionSptAddPropsBasic from './calcLiquefactionSptAddPropsBasic.mjs'
+import calcLiquefactionSpt from './calcLiquefactionSpt.mjs'
+import calcLiquefactionExtractErr from './calcLiquefactionExtractErr.mjs'
+import calcLiquefactionAddErr from './calcLiquefactionAddErr.mjs'
+
+
+function pickCols(ltdt, keyIdentifier) {
+    //挑選指定結尾字串的欄位, 須比對結尾, 避免例如'-PL'誤選'-PLiq'
+    let dt0 = get(ltdt, 0)
+    let ks = keys(dt0)
+    ks = filter(ks, (k) => {
+        return strright(k, size(keyIdentifier)) === keyIdentifier
+    })
+    return ks
+}
+
+
+function getCriteria(ltdt, methods) {
+    //由液化分析結果欄位判斷可使用之判識準則, PL與H1PL須各液化方法皆有對應欄位, 沉陷則提取結果欄位內之體積應變曲線種類
+    let ks = []
+    each(ltdt, (v) => {
+        each(keys(v), (k) => {
+            if (ks.indexOf(k) < 0) {
+                ks.push(k)
+            }
+        })
+    })
+    let hasCol = (t) => {
+        let b = size(methods) > 0
+        each(methods, (m) => {
+            if (ks.indexOf(`${m}${t}`) < 0) {
+                b = false
+                return false //跳出
+            }
+        })
+        return b
+    }
+    let stlTypes = []
+    each(methods, (m) => {
+        let h = `${m}-stl`
+        each(ks, (k) => {
+            if (strleft(k, size(h)) === h) {
+                let t = k.substring(size(h))
+                if (stlTypes.indexOf(t) < 0) {
+                    stlTypes.push(t)
+                }
+            }
+        })
+    })
+    return {
+        hasPL: hasCol('-PL'),
+        hasH1PL: hasCol('-H1PL'),
+        stlTypes,
+    }
+}
+
+
+function ckUseCriteria(opt, key, use, has) {
+    //指定使用之判識準則但液化方法結果無對應欄位時報錯, 未指定時則依結果欄位決定是否使用
+    if (use && !has) {
+        if (get(opt, key) === true) {
+            throw new Error(`opt.${key}[true]無法使用, 液化方法結果無對應欄位`)
+        }
+        return false
+    }
+    return use
+}
+
+
+function ckFS(ltdt, keyFS) {
+    //判識rows的液化狀態與訊息, 由上往下判斷第1個出現液化土層即跳出
+    let state = '未液化'
+    let msg = '無'
+    let FSmin = 1e20
+    let failurePGA = ''
+    each(ltdt, (v) => {
+        let FS = get(v, keyFS, '')
+        if (!isNumber(FS)) {
+            // console.log(`欄位(${keyFS})的安全係數值(${FS})非數字`)
+            return true //無FS跳出換下一個
+        }
+        if (FS <= 1) {
+            state = '已液化'
+            msg = `深度(${v.depthStart}-${v.depthEnd}m)發生液化(FS=${FS}<=1)`
+            failurePGA = v.PGA
+            return false //跳出
+        }
+        else {
+            FSmin = Math.min(FSmin, FS)
+        }
+    })
+    if (state === '未液化') {
+        msg = `最小安全係數值(${FSmin})`
+    }
+    return {
+        state,
+        failurePGA,
+        msg,
+    }
+}
+
+
+function ckPL(ltdt, keyPL) {
+    let state = '未有液化潛勢'
+    let msg = '無'
+    let failurePGA = ''
+
+    //j, 最下列的指標
+    let j = size(ltdt) - 1
+
+    //取得最下列
+    let rowEnd = get(ltdt, j)
+
+    let PL = get(rowEnd, keyPL, '')
+    if (!isNumber(PL)) {
+        state = '錯誤'
+        msg = `欄位(${keyPL})的液化潛勢值(${PL})非數字`
+    }
+    else if (PL >= 15) {
+        state = '具液化潛勢'
+        msg = `超過指定液化潛勢值(${PL}>=15)`
+        failurePGA = rowEnd.PGA
+    }
+    else {
+        msg = `液化潛勢值(${PL})`
+    }
+
+    return {
+        state,
+        failurePGA,
+        msg,
+    }
+}
+
+
+function ckStl(ltdt, keyStl, stlLim) {
+    let state = '未有沉陷危害'
+    let msg = '無'
+    let failurePGA = ''
+
+    //j, 最下列的指標
+    let j = size(ltdt) - 1
+
+    //取得最下列
+    let rowEnd = get(ltdt, j)
+
+    let Stl = get(rowEnd, keyStl, '')
+    if (!isNumber(Stl)) {
+        state = '錯誤'
+        msg = `欄位(${keyStl})的沉陷值(${Stl})非數字`
+    }
+    else if (Stl >= stlLim) {
+        state = '具沉陷危害'
+        msg = `超過指定沉陷值(${Stl}>=${stlLim}m)`
+        failurePGA = rowEnd.PGA
+    }
+    else {
+        msg = `沉陷(${Stl}m)`
+    }
+
+    return {
+        state,
+        failurePGA,
+        msg,
+    }
+}
+
+
+function ckH1PL(ltdt, keyH1PL) {
+    let state = '未有高可能性的顯著液化破壞'
+    let msg = '無'
+    let failurePGA = ''
+
+    //j, 最下列的指標
+    let j = size(ltdt) - 1
+
+    //取得最下列
+    let rowEnd = get(ltdt, j)
+
+    let H1PL = get(rowEnd, keyH1PL, '')
+    if (H1PL !== 'A' && H1PL !== 'B1' && H1PL !== 'B2' && H1PL !== 'B3' && H1PL !== 'C') {
+        state = '錯誤'
+        msg = `欄位(${keyH1PL})的顯著液化破壞之可能性值(${H1PL})非['A','B1','B2','B3','C']`
+    }
+    else if (H1PL === 'C') {
+        state = '具液化潛勢'
+        msg = `已達高可能性的顯著液化破壞(${H1PL})`
+        failurePGA = rowEnd.PGA
+    }
+    else {
+        msg = `顯著液化破壞之可能性值(${H1PL})`
+    }
+
+    return {
+        state,
+        failurePGA,
+        msg,
+    }
+}
+
+
+function calcLiquefactionByKind(kind, ltdt, methods, opt = {}) {
+    //SPT沿用calcLiquefactionSpt, CPT與VS則直接呼叫calcLiquefaction.calc, 並依相同流程提取err
+
+    //SPT
+    if (kind === 'SPT') {
+        return calcLiquefactionSpt(ltdt, methods, opt)
+    }
+
+    //PGA, Mw, waterLevelUsual, waterLevelDesign, unitSvSvp
+    let PGA = get(opt, 'PGA', '')
+    let Mw = get(opt, 'Mw', '')
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    let waterLevelDesign = get(opt, 'waterLevelDesign', 0)
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //cloneDeep
+    ltdt = cloneDeep(ltdt)
+
+    //hasRsat, CPT數據常僅提供sv與svp而無rsat, 此時無法重算應力故沿用原本sv與svp
+    let hasRsat = true
+    each(ltdt, (v) => {
+        if (!isnum(v.rsat)) {
+            hasRsat = false
+            return false //跳出
+        }
+    })
+
+    //calcLiquefactionClearStress
+    if (hasRsat) {
+        ltdt = calcLiquefactionClearStress(ltdt)
+    }
+
+    //複寫各層PGA, Mw與地下水位, 因calcLiquefaction會優先使用數據內之值
+    ltdt = map(ltdt, (v) => {
+        v.PGA = PGA
+        v.Mw = Mw
+        v.waterLevelUsual = waterLevelUsual
+        v.waterLevelDesign = waterLevelDesign
+        return v
+    })
+
+    let errTemp = ''
+    try {
+
+        //calcLiquefaction.calc
+        let optLiq = {
+            unitSvSvp,
+            methods,
+        }
+        ltdt = calcLiquefaction.calc(kind, ltdt, optLiq)
+
+    }
+    catch (e) {
+        console.log(e)
+        errTemp = e.toString()
+    }
+
+    //calcLiquefactionExtractErr, 合併各液化方法的err
+    let dtRes = calcLiquefactionExtractErr(ltdt, { returnLastone: true })
+
+    //calcLiquefactionAddErr, 若液化運算有非預期錯誤也要合併err
+    dtRes = calcLiquefactionAddErr(dtRes, errTemp)
+
+    return {
+        ltdt,
+        dtRes,
+    }
+}
+
+
+function calcCriticalPga(kind, ltdt, PGA, methods, opt = {}) {
+
+    //check
+    if (!isnum(PGA)) {
+        throw new Error(`PGA is not a number`)
+    }
+    PGA = cdbl(PGA)
+
+    //methods
+    if (!isearr(methods)) {
+        throw new Error(`methods[${methods}] is not an effective array`)
+    }
+
+    //Mw, 不事先check, 因JRA非必要
+    let Mw = get(opt, 'Mw', '')
+
+    //waterLevelUsual
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    waterLevelUsual = cdbl(waterLevelUsual)
+
+    //waterLevelDesign
+    let waterLevelDesign = get(opt, 'waterLevelDesign', 0)
+    waterLevelDesign = cdbl(waterLevelDesign)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //pgaMax
+    let pgaMax = get(opt, 'pgaMax', '')
+    if (!isnum(pgaMax)) {
+        pgaMax = 2 //PGA極限值給2g
+    }
+    pgaMax = cdbl(pgaMax)
+
+    //useFS
+    let useFS = get(opt, 'useFS', true)
+    if (!isbol(useFS)) {
+        useFS = true
+    }
+
+    //usePL
+    let usePL = get(opt, 'usePL', true)
+    if (!isbol(usePL)) {
+        usePL = true
+    }
+
+    //useStl
+    let useStl = get(opt, 'useStl', true)
+    if (!isbol(useStl)) {
+        useStl = true
+    }
+
+    //stlLims
+    let stlLims = get(opt, 'stlLims', [])
+    if (!isearr(stlLims)) {
+        stlLims = [0.3]
+    }
+
+    //useH1PL
+    let useH1PL = get(opt, 'useH1PL', true)
+    if (!isbol(useH1PL)) {
+        useH1PL = true
+    }
+
+    //stlTypes, 沉陷之體積應變曲線種類
+    let stlTypes = get(opt, 'stlTypes', [])
+    if (!isearr(stlTypes)) {
+        stlTypes = []
+    }
+
+    //calcLiquefactionByKind
+    let r = calcLiquefactionByKind(kind, ltdt, methods, { PGA, Mw, waterLevelUsual, waterLevelDesign, unitSvSvp })
+    let ltdtTemp = r.ltdt
+    let dtRes = r.dtRes
+
+    //要等液化分析完才有欄位
+    let ksFS = pickCols(ltdtTemp, '-FS')
+    let ksPL = pickCols(ltdtTemp, '-PL')
+    let ksH1PL = pickCols(ltdtTemp, '-H1PL')
+
+    //gPGA
+    let gPGA = (v) => {
+        if (isnum(v)) {
+            return v
+        }
+        return pgaMax
+    }
+
+    //useFS
+    if (useFS) {
+        each(ksFS, (k) => {
+            let r = ckFS(ltdtTemp, k)
+            dtRes[`${k}-state`] = r.state
+            dtRes[`${k}-failurePGA`] = gPGA(r.failurePGA)
+            dtRes[`${k}-msg`] = r.msg
+        })
+    }
+
+    //usePL
+    if (usePL) {
+        each(ksPL, (k) => {
+            let r = ckPL(ltdtTemp, k)
+            dtRes[`${k}-state`] = r.state
+            dtRes[`${k}-failurePGA`] = gPGA(r.failurePGA)
+            dtRes[`${k}-msg`] = r.msg
+        })
+    }
+
+    //useStl
+    if (useStl) {
+        each(stlLims, (stlLim) => {
+            each(stlTypes, (stlType) => {
+                let ksStl = pickCols(ltdtTemp, `-stl${stlType}`)
+                each(ksStl, (k) => {
+                    let r = ckStl(ltdtTemp, k, stlLim)
+                    dtRes[`${k}${stlLim}-state`] = r.state
+                    dtRes[`${k}${stlLim}-failurePGA`] = gPGA(r.failurePGA)
+                    dtRes[`${k}${stlLim}-msg`] = r.msg
+                })
+            })
+        })
+    }
+
+    //useH1PL
+    if (useH1PL) {
+        each(ksH1PL, (k) => {
+            let r = ckH1PL(ltdtTemp, k)
+            dtRes[`${k}-state`] = r.state
+            dtRes[`${k}-failurePGA`] = gPGA(r.failurePGA)
+            dtRes[`${k}-msg`] = r.msg
+        })
+    }
+
+    return {
+        ltdt: ltdtTemp,
+        dtRes,
+    }
+}
+
+
+function calcLiquefactionForCriticalPga(kind, ltdt, methods, opt = {}) {
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind[${kind}] need SPT, CPT or VS`)
+    }
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //methods
+    if (!isearr(methods)) {
+        throw new Error(`methods[${methods}] is not an effective array`)
+    }
+
+    //Mw
+    let Mw = get(opt, 'Mw', '')
+    if (!isnum(Mw)) {
+        Mw = 6.8
+    }
+    Mw = cdbl(Mw)
+
+    //waterLevelUsual
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    waterLevelUsual = cdbl(waterLevelUsual)
+
+    //waterLevelDesign
+    let waterLevelDesign = get(opt, 'waterLevelDesign', 0)
+    waterLevelDesign = cdbl(waterLevelDesign)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //pgaMax
+    let pgaMax = get(opt, 'pgaMax', '')
+    if (!isnum(pgaMax)) {
+        pgaMax = 2 //PGA極限值給2g
+    }
+    pgaMax = cdbl(pgaMax)
+
+    //searchMode, slice為依pgaSlice逐步切分PGA, bisection為二分法搜尋至pgaTol
+    let searchMode = get(opt, 'searchMode', '')
+    if (searchMode !== 'slice' && searchMode !== 'bisection') {
+        searchMode = 'slice'
+    }
+
+    //pgaSlice
+    let pgaSlice = get(opt, 'pgaSlice', '')
+    if (!isnum(pgaSlice)) {
+        pgaSlice = 0.02 //切細至0.02g
+    }
+    pgaSlice = cdbl(pgaSlice)
+
+    //pgaTol
+    let pgaTol = get(opt, 'pgaTol', '')
+    if (!isnum(pgaTol)) {
+        pgaTol = 0.001 //二分法收斂至0.001g
+    }
+    pgaTol = cdbl(pgaTol)
+    if (pgaTol <= 0) {
+        throw new Error(`opt.pgaTol[${pgaTol}] need > 0`)
+    }
+
+    //useFS
+    let useFS = get(opt, 'useFS', true)
+    if (!isbol(useFS)) {
+        useFS = true
+    }
+
+    //usePL
+    let usePL = get(opt, 'usePL', true)
+    if (!isbol(usePL)) {
+        usePL = true
+    }
+
+    //useStl
+    let useStl = get(opt, 'useStl', true)
+    if (!isbol(useStl)) {
+        useStl = true
+    }
+
+    //stlLims
+    let stlLims = get(opt, 'stlLims', [])
+    if (!isearr(stlLims)) {
+        stlLims = [0.3]
+    }
+
+    //useH1PL
+    let useH1PL = get(opt, 'useH1PL', true)
+    if (!isbol(useH1PL)) {
+        useH1PL = true
+    }
+
+    //keysPick
+    let keysPick = get(opt, 'keysPick', [])
+    if (!isearr(keysPick)) {
+        keysPick = []
+    }
+
+    //returnLtdtForEachPga
+    let returnLtdtForEachPga = get(opt, 'returnLtdtForEachPga', '')
+    if (!isbol(returnLtdtForEachPga)) {
+        returnLtdtForEachPga = false
+    }
+
+    //calcLiquefactionSptAddPropsBasic, 先擴充供液化分析之欄位, 即便液化分析會再重新偵測擴充, 主要是須更新原始數據之用
+    if (kind === 'SPT') {
+        ltdt = calcLiquefactionSptAddPropsBasic(ltdt)
+    }
+
+    //getCriteria, 以PGA上限試算, 由液化分析結果欄位判斷可使用之判識準則
+    let rProbe = calcLiquefactionByKind(kind, ltdt, methods, { PGA: pgaMax, Mw, waterLevelUsual, waterLevelDesign, unitSvSvp })
+    let criteria = getCriteria(rProbe.ltdt, methods)
+    usePL = ckUseCriteria(opt, 'usePL', usePL, criteria.hasPL)
+    useH1PL = ckUseCriteria(opt, 'useH1PL', useH1PL, criteria.hasH1PL)
+    let stlTypes = criteria.stlTypes
+
+    //calcPga, 計算指定PGA之判識結果
+    let calcPga = (PGA) => {
+
+        //calcCriticalPga
+        let optCalcCriticalPga = {
+            Mw,
+            waterLevelUsual,
+            waterLevelDesign,
+            unitSvSvp,
+            pgaMax,
+            useFS,
+            usePL,
+            useStl,
+            stlLims,
+            useH1PL,
+            stlTypes,
+        }
+        let r = calcCriticalPga(kind, ltdt, PGA, methods, optCalcCriticalPga)
+        let ltdtTemp = r.ltdt
+        let dtRes = r.dtRes
+
+        //add inputPGA
+        dtRes.inputPGA = PGA
+
+        return {
+            ltdt: ltdtTemp,
+            dtRes,
+        }
+    }
+
+    //kpStateTar, 各判識準則之破壞狀態
+    let kpStateTar = {}
+    if (useFS) {
+        kpStateTar['-FS-state'] = '已液化'
+    }
+    if (usePL) {
+        kpStateTar['-PL-state'] = '具液化潛勢'
+    }
+    if (useStl) {
+        each(stlLims, (stlLim) => {
+            each(stlTypes, (stlType) => {
+                kpStateTar[`-stl${stlType}${stlLim}-state`] = '具沉陷危害'
+            })
+        })
+    }
+    if (useH1PL) {
+        kpStateTar['-H1PL-state'] = '具液化潛勢'
+    }
+
+    //ltdtRes
+    let pgasLtdt = []
+    let ltdtRes = []
+    let kpLimit = {} //二分法搜尋所得之各判識準則臨界結果
+    if (searchMode === 'slice') {
+
+        //pgaTests
+        let pgaTests = times(pgaMax / pgaSlice)
+
+        each(pgaTests, (v) => {
+
+            //PGA
+            let PGA = (v + 1) * pgaSlice
+
+            //calcPga
+            let r = calcPga(PGA)
+
+            //push
+            if (returnLtdtForEachPga) {
+                pgasLtdt.push({
+                    PGA,
+                    ltdt: r.ltdt,
+                })
+            }
+            ltdtRes.push(r.dtRes)
+
+        })
+
+    }
+    else {
+
+        //kpPga, 已計算PGA之結果, 避免各判識準則重複計算相同PGA
+        let kpPga = {}
+        let calcPgaCache = (PGA) => {
+            let kPGA = `${PGA}`
+            if (!kpPga[kPGA]) {
+                let r = calcPga(PGA)
+                kpPga[kPGA] = r
+                if (returnLtdtForEachPga) {
+                    pgasLtdt.push({
+                        PGA,
+                        ltdt: r.ltdt,
+                    })
+                }
+                ltdtRes.push(r.dtRes)
+            }
+            return kpPga[kPGA].dtRes
+        }
+
+        //dtResMax, 先計算PGA上限之結果
+        let dtResMax = calcPgaCache(pgaMax)
+
+        //各判識準則分別以二分法搜尋
+        each(kpStateTar, (stateTar, t) => {
+            let ksState = pickCols([dtResMax], t)
+            each(ksState, (k) => {
+
+                //於PGA上限未達破壞狀態, 則不需搜尋
+                if (dtResMax[k] !== stateTar) {
+                    return true //跳出換下一個
+                }
+
+                //bisection
+                let pgaLow = 0
+                let pgaHigh = pgaMax
+                let dtResHigh = dtResMax
+                while (pgaHigh - pgaLow > pgaTol) {
+                    let pgaMid = (pgaLow + pgaHigh) / 2
+                    let dtResMid = calcPgaCache(pgaMid)
+                    if (dtResMid[k] === stateTar) {
+                        pgaHigh = pgaMid
+                        dtResHigh = dtResMid
+                    }
+                    else {
+                        pgaLow = pgaMid
+                    }
+                }
+
+                //kpga, kmsg
+                let kpga = k.replace('-state', '-failurePGA')
+                let kmsg = k.replace('-state', '-msg')
+
+                //save
+                kpLimit[k] = {
+                    state: stateTar,
+                    kpga,
+                    pga: dtResHigh.PGA,
+                    kmsg,
+                    msg: dtResHigh[kmsg],
+                }
+
+            })
+        })
+
+        //sortBy
+        ltdtRes = sortBy(ltdtRes, 'inputPGA')
+        pgasLtdt = sortBy(pgasLtdt, 'PGA')
+
+    }
+
+    //calcLiquefactionExtractErr, 合併各PGA下各液化方法的err
+    ltdtRes = calcLiquefactionExtractErr(ltdtRes, { mergeTo: 'last', returnLastone: false })
+
+    //取最後1個, 即PGA上限之結果
+    let res = cloneDeep(get(ltdtRes, size(ltdtRes) - 1))
+
+    //searchLimit
+    if (searchMode === 'slice') {
+        each(kpStateTar, (stateTar, t) => {
+            let ksState = pickCols(ltdtRes, t)
+            each(ksState, (k) => {
+                each(ltdtRes, (dtRes) => {
+                    if (dtRes[k] === stateTar) {
+
+                        //kpga, kmsg
+                        let kpga = k.replace('-state', '-failurePGA')
+                        let kmsg = k.replace('-state', '-msg')
+
+                        //save
+                        res[k] = stateTar
+                        res[kpga] = dtRes.PGA
+                        res[kmsg] = dtRes[kmsg]
+
+                        return false //跳出
+                    }
+                })
+            })
+        })
+    }
+    else {
+        each(kpLimit, (v, k) => {
+            res[k] = v.state
+            res[v.kpga] = v.pga
+            res[v.kmsg] = v.msg
+        })
+    }
+
+    //ts
+    let ts = []
+    if (useFS) {
+        ts.push('-FS')
+    }
+    if (usePL) {
+        ts.push('-PL')
+    }
+    if (useStl) {
+        each(stlLims, (stlLim) => {
+            each(stlTypes, (stlType) => {
+                ts.push(`-stl${stlType}${stlLim}`)
+            })
+        })
+    }
+    if (useH1PL) {
+        ts.push('-H1PL')
+    }
+
+    //afts
+    let afts = [
+        '-state',
+        '-failurePGA',
+        '-msg',
+    ]
+
+    //ks
+    let ks = [
+        ...keysPick,
+        'inputPGA',
+    ]
+
+    //add ks
+    each(methods, (m) => {
+        each(ts, (t) => {
+            each(afts, (aft) => {
+                let k = `${m}${t}${aft}`
+                ks.push(k)
+            })
+        })
+        ks.push(`${m}-err`) //儲存各液化方法的(各層累計提取)err, 代表各液化方法於全部分層所出現的錯誤
+    })
+
+    //重排欄位 ltdtRes
+    ltdtRes = map(ltdtRes, (v, k) => {
+
+        //dtmapping
+        let dt = dtmapping(v, ks)
+
+        return dt
+    })
+
+    //modify ks, ltdtResp內為彙整各pga條件下結果, 故不需要inputPGA
+    pull(ks, 'inputPGA')
+
+    //重排欄位 ltdtResp
+    let ltdtResp = [res]
+    ltdtResp = map(ltdtResp, (v, k) => {
+
+        //dtmapping
+        let dt = dtmapping(v, ks)
+
+        return dt
+    })
+
+    //r
+    let r = {
+        ltdt,
+        ltdtRes,
+        ltdtResp,
+    }
+    if (returnLtdtForEachPga) {
+        r.pgasLtdt = pgasLtdt
+    }
+
+    return r
+}
+
+
+export {
+    getCriteria,
+    ckUseCriteria,
+    pickCols,
+    ckFS,
+    ckPL,
+    ckStl,
+    ckH1PL,
+    calcLiquefactionByKind
+}
+export default calcLiquefactionForCriticalPga
@@ -0,0 +1,437 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import pull from 'lodash-es/pull.js'
+import sortBy from 'lodash-es/sortBy.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import dtmapping from 'wsemi/src/dtmapping.mjs'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import isbol from 'wsemi/src/isbol.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import calcLiquefactionSptAddPropsBasic from './calcLiquefactionSptAddPropsBasic.mjs'
+import calcLiquefactionExtractErr from './calcLiquefactionExtractErr.mjs'
+import { getCriteria, ckUseCriteria, pickCols, ckFS, ckPL, ckStl, ckH1PL, calcLiquefactionByKind } from './calcLiquefactionForCriticalPga.mjs'
+
+
+function calcLiquefactionForCriticalWaterLevel(kind, ltdt, methods, opt = {}) {
+    //固定常時地下水位, 將設計地下水位由常時地下水位往上抬升至wlMin, 搜尋各液化方法首次觸發各判識準則之設計地下水位(m)
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind[${kind}] need SPT, CPT or VS`)
+    }
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //methods
+    if (!isearr(methods)) {
+        throw new Error(`methods[${methods}] is not an effective array`)
+    }
+
+    //check rsat, 變動設計地下水位須重算應力, 故各層須有rsat, 若地下水位可能低於該層則亦須有rd
+    each(ltdt, (v, k) => {
+        if (!isnum(get(v, 'rsat'))) {
+            throw new Error(`ltdt[${k}].rsat[${get(v, 'rsat')}] is not a number`)
+        }
+    })
+
+    //PGA
+    let PGA = get(opt, 'PGA', '')
+    if (!isnum(PGA)) {
+        throw new Error(`opt.PGA[${PGA}] is not a number`)
+    }
+    PGA = cdbl(PGA)
+
+    //Mw
+    let Mw = get(opt, 'Mw', '')
+    if (!isnum(Mw)) {
+        Mw = 6.8
+    }
+    Mw = cdbl(Mw)
+
+    //waterLevelUsual
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    waterLevelUsual = cdbl(waterLevelUsual)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //wlMin, 設計地下水位可抬升之最淺深度, 預設至地表
+    let wlMin = get(opt, 'wlMin', '')
+    if (!isnum(wlMin)) {
+        wlMin = 0
+    }
+    wlMin = cdbl(wlMin)
+    if (wlMin > waterLevelUsual) {
+        throw new Error(`opt.wlMin[${wlMin}] > opt.waterLevelUsual[${waterLevelUsual}]`)
+    }
+
+    //searchMode, slice為依wlSlice逐步抬升水位, bisection為二分法搜尋至wlTol
+    let searchMode = get(opt, 'searchMode', '')
+    if (searchMode !== 'slice' && searchMode !== 'bisection') {
+        searchMode = 'slice'
+    }
+
+    //wlSlice
+    let wlSlice = get(opt, 'wlSlice', '')
+    if (!isnum(wlSlice)) {
+        wlSlice = 0.1 //切細至0.1m
+    }
+    wlSlice = cdbl(wlSlice)
+    if (wlSlice <= 0) {
+        throw new Error(`opt.wlSlice[${wlSlice}] need > 0`)
+    }
+
+    //wlTol
+    let wlTol = get(opt, 'wlTol', '')
+    if (!isnum(wlTol)) {
+        wlTol = 0.01 //二分法收斂至0.01m
+    }
+    wlTol = cdbl(wlTol)
+    if (wlTol <= 0) {
+        throw new Error(`opt.wlTol[${wlTol}] need > 0`)
+    }
+
+    //useFS
+    let useFS = get(opt, 'useFS', true)
+    if (!isbol(useFS)) {
+        useFS = true
+    }
+
+    //usePL
+    let usePL = get(opt, 'usePL', true)
+    if (!isbol(usePL)) {
+        usePL = true
+    }
+
+    //useStl
+    let useStl = get(opt, 'useStl', true)
+    if (!isbol(useStl)) {
+        useStl = true
+    }
+
+    //stlLims
+    let stlLims = get(opt, 'stlLims', [])
+    if (!isearr(stlLims)) {
+        stlLims = [0.3]
+    }
+
+    //useH1PL
+    let useH1PL = get(opt, 'useH1PL', true)
+    if (!isbol(useH1PL)) {
+        useH1PL = true
+    }
+
+    //keysPick
+    let keysPick = get(opt, 'keysPick', [])
+    if (!isearr(keysPick)) {
+        keysPick = []
+    }
+
+    //returnLtdtForEachWaterLevel
+    let returnLtdtForEachWaterLevel = get(opt, 'returnLtdtForEachWaterLevel', '')
+    if (!isbol(returnLtdtForEachWaterLevel)) {
+        returnLtdtForEachWaterLevel = false
+    }
+
+    //calcLiquefactionSptAddPropsBasic, 先擴充供液化分析之欄位, 即便液化分析會再重新偵測擴充, 主要是須更新原始數據之用
+    if (kind === 'SPT') {
+        ltdt = calcLiquefactionSptAddPropsBasic(ltdt)
+    }
+
+    //getCriteria, 以常時地下水位試算, 由液化分析結果欄位判斷可使用之判識準則
+    let rProbe = calcLiquefactionByKind(kind, ltdt, methods, { PGA, Mw, waterLevelUsual, waterLevelDesign: waterLevelUsual, unitSvSvp })
+    let criteria = getCriteria(rProbe.ltdt, methods)
+    usePL = ckUseCriteria(opt, 'usePL', usePL, criteria.hasPL)
+    useH1PL = ckUseCriteria(opt, 'useH1PL', useH1PL, criteria.hasH1PL)
+    let stlTypes = criteria.stlTypes
+
+    //kpStateTar, 各判識準則之破壞狀態
+    let kpStateTar = {}
+    if (useFS) {
+        kpStateTar['-FS-state'] = '已液化'
+    }
+    if (usePL) {
+        kpStateTar['-PL-state'] = '具液化潛勢'
+    }
+    if (useStl) {
+        each(stlLims, (stlLim) => {
+            each(stlTypes, (stlType) => {
+                kpStateTar[`-stl${stlType}${stlLim}-state`] = '具沉陷危害'
+            })
+        })
+    }
+    if (useH1PL) {
+        kpStateTar['-H1PL-state'] = '具液化潛勢'
+    }
+
+    //calcWaterLevel, 計算指定設計地下水位之判識結果
+    let calcWaterLevel = (waterLevelDesign) => {
+
+        //calcLiquefactionByKind
+        let r = calcLiquefactionByKind(kind, ltdt, methods, { PGA, Mw, waterLevelUsual, waterLevelDesign, unitSvSvp })
+        let ltdtTemp = r.ltdt
+        let dtRes = r.dtRes
+
+        //要等液化分析完才有欄位
+        let ksFS = pickCols(ltdtTemp, '-FS')
+        let ksPL = pickCols(ltdtTemp, '-PL')
+        let ksH1PL = pickCols(ltdtTemp, '-H1PL')
+
+        //save
+        let save = (k, r, stateTar) => {
+            dtRes[`${k}-state`] = r.state
+            dtRes[`${k}-failureWaterLevel`] = r.state === stateTar ? waterLevelDesign : '' //未觸發則給空字串, 同ckFS之failurePGA
+            dtRes[`${k}-msg`] = r.msg
+        }
+
+        //useFS
+        if (useFS) {
+            each(ksFS, (k) => {
+                save(k, ckFS(ltdtTemp, k), '已液化')
+            })
+        }
+
+        //usePL
+        if (usePL) {
+            each(ksPL, (k) => {
+                save(k, ckPL(ltdtTemp, k), '具液化潛勢')
+            })
+        }
+
+        //useStl
+        if (useStl) {
+            each(stlLims, (stlLim) => {
+                each(stlTypes, (stlType) => {
+                    let ksStl = pickCols(ltdtTemp, `-stl${stlType}`)
+                    each(ksStl, (k) => {
+                        save(`${k}${stlLim}`, ckStl(ltdtTemp, k, stlLim), '具沉陷危害')
+                    })
+                })
+            })
+        }
+
+        //useH1PL
+        if (useH1PL) {
+            each(ksH1PL, (k) => {
+                save(k, ckH1PL(ltdtTemp, k), '具液化潛勢')
+            })
+        }
+
+        //add inputWaterLevelDesign
+        dtRes.inputWaterLevelDesign = waterLevelDesign
+
+        return {
+            ltdt: ltdtTemp,
+            dtRes,
+        }
+    }
+
+    //kpWl, 已計算設計地下水位之結果, 避免重複計算
+    let wlsLtdt = []
+    let ltdtRes = []
+    let kpWl = {}
+    let calcWaterLevelCache = (wl) => {
+        let kWl = `${wl}`
+        if (!kpWl[kWl]) {
+            let r = calcWaterLevel(wl)
+            kpWl[kWl] = r
+            if (returnLtdtForEachWaterLevel) {
+                wlsLtdt.push({
+                    waterLevelDesign: wl,
+                    ltdt: r.ltdt,
+                })
+            }
+            ltdtRes.push(r.dtRes)
+        }
+        return kpWl[kWl].dtRes
+    }
+
+    //kpLimit, 各判識準則臨界結果
+    let kpLimit = {}
+    if (searchMode === 'slice') {
+
+        //wls, 由常時地下水位往上抬升至wlMin
+        let wls = []
+        let n = Math.ceil((waterLevelUsual - wlMin) / wlSlice - 1e-9)
+        for (let i = 0; i <= n; i++) {
+            wls.push(Math.max(waterLevelUsual - i * wlSlice, wlMin))
+        }
+
+        //calcWaterLevelCache
+        let dtRess = map(wls, (wl) => {
+            return calcWaterLevelCache(wl)
+        })
+
+        //由深至淺取首個觸發破壞狀態者
+        each(kpStateTar, (stateTar, t) => {
+            let ksState = pickCols(dtRess, t)
+            each(ksState, (k) => {
+                each(dtRess, (dtRes) => {
+                    if (dtRes[k] === stateTar) {
+                        kpLimit[k] = dtRes
+                        return false //跳出
+                    }
+                })
+            })
+        })
+
+    }
+    else {
+
+        //dtResTop, 先計算wlMin之結果
+        let dtResTop = calcWaterLevelCache(wlMin)
+
+        //dtResUsual, 常時地下水位之結果
+        let dtResUsual = calcWaterLevelCache(waterLevelUsual)
+
+        //各判識準則分別以二分法搜尋
+        each(kpStateTar, (stateTar, t) => {
+            let ksState = pickCols([dtResTop], t)
+            each(ksState, (k) => {
+
+                //於常時地下水位即已觸發
+                if (dtResUsual[k] === stateTar) {
+                    kpLimit[k] = dtResUsual
+                    return true //跳出換下一個
+                }
+
+                //抬升至wlMin仍未觸發, 則不需搜尋
+                if (dtResTop[k] !== stateTar) {
+                    return true //跳出換下一個
+                }
+
+                //bisection, wlFail為已觸發之較淺水位, wlSafe為未觸發之較深水位
+                let wlFail = wlMin
+                let wlSafe = waterLevelUsual
+                let dtResFail = dtResTop
+                while (wlSafe - wlFail > wlTol) {
+                    let wlMid = (wlFail + wlSafe) / 2
+                    let dtResMid = calcWaterLevelCache(wlMid)
+                    if (dtResMid[k] === stateTar) {
+                        wlFail = wlMid
+                        dtResFail = dtResMid
+                    }
+                    else {
+                        wlSafe = wlMid
+                    }
+                }
+
+                //save
+                kpLimit[k] = dtResFail
+
+            })
+        })
+
+    }
+
+    //sortBy, 由深至淺
+    ltdtRes = sortBy(ltdtRes, (v) => {
+        return -v.inputWaterLevelDesign
+    })
+    wlsLtdt = sortBy(wlsLtdt, (v) => {
+        return -v.waterLevelDesign
+    })
+
+    //calcLiquefactionExtractErr, 合併各設計地下水位下各液化方法的err
+    ltdtRes = calcLiquefactionExtractErr(ltdtRes, { mergeTo: 'last', returnLastone: false })
+
+    //取最後1個, 即wlMin之結果
+    let res = cloneDeep(get(ltdtRes, size(ltdtRes) - 1))
+
+    //save limit
+    each(kpLimit, (dtRes, k) => {
+        let kwl = k.replace('-state', '-failureWaterLevel')
+        let kmsg = k.replace('-state', '-msg')
+        res[k] = dtRes[k]
+        res[kwl] = dtRes[kwl]
+        res[kmsg] = dtRes[kmsg]
+    })
+
+    //ts
+    let ts = []
+    if (useFS) {
+        ts.push('-FS')
+    }
+    if (usePL) {
+        ts.push('-PL')
+    }
+    if (useStl) {
+        each(stlLims, (stlLim) => {
+            each(stlTypes, (stlType) => {
+                ts.push(`-stl${stlType}${stlLim}`)
+            })
+        })
+    }
+    if (useH1PL) {
+        ts.push('-H1PL')
+    }
+
+    //afts
+    let afts = [
+        '-state',
+        '-failureWaterLevel',
+        '-msg',
+    ]
+
+    //ks
+    let ks = [
+        ...keysPick,
+        'inputWaterLevelDesign',
+    ]
+
+    //add ks
+    each(methods, (m) => {
+        each(ts, (t) => {
+            each(afts, (aft) => {
+                let k = `${m}${t}${aft}`
+                ks.push(k)
+            })
+        })
+        ks.push(`${m}-err`) //儲存各液化方法的(各層累計提取)err, 代表各液化方法於全部分層所出現的錯誤
+    })
+
+    //重排欄位 ltdtRes
+    ltdtRes = map(ltdtRes, (v, k) => {
+
+        //dtmapping
+        let dt = dtmapping(v, ks)
+
+        return dt
+    })
+
+    //modify ks, ltdtResp內為彙整各設計地下水位條件下結果, 故不需要inputWaterLevelDesign
+    pull(ks, 'inputWaterLevelDesign')
+
+    //重排欄位 ltdtResp
+    let ltdtResp = [res]
+    ltdtResp = map(ltdtResp, (v, k) => {
+
+        //dtmapping
+        let dt = dtmapping(v, ks)
+
+        return dt
+    })
+
+    //r
+    let r = {
+        ltdt,
+        ltdtRes,
+        ltdtResp,
+    }
+    if (returnLtdtForEachWaterLevel) {
+        r.wlsLtdt = wlsLtdt
+    }
+
+    return r
+}
+
+
+export default calcLiquefactionForCriticalWaterLevel
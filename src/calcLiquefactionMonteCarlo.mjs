@@ -0,0 +1,477 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import keys from 'lodash-es/keys.js'
+import size from 'lodash-es/size.js'
+import uniq from 'lodash-es/uniq.js'
+import join from 'lodash-es/join.js'
+import split from 'lodash-es/split.js'
+import times from 'lodash-es/times.js'
+import range from 'lodash-es/range.js'
+import sortBy from 'lodash-es/sortBy.js'
+import filter from 'lodash-es/filter.js'
+import isNumber from 'lodash-es/isNumber.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import iseobj from 'wsemi/src/iseobj.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import isbol from 'wsemi/src/isbol.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import pseudoRandom from 'wsemi/src/pseudoRandom.mjs'
+import jt from 'w-statistic/src/jStat.mjs'
+import arrAverage from 'w-statistic/src/arrAverage.mjs'
+import arrStd from 'w-statistic/src/arrStd.mjs'
+import arrQuartile from 'w-statistic/src/arrQuartile.mjs'
+import calcLiquefactionSptAddPropsBasic from './calcLiquefactionSptAddPropsBasic.mjs'
+import { getCriteria, calcLiquefactionByKind } from './calcLiquefactionForCriticalPga.mjs'
+
+
+//全孔共用之輸入參數, 每次模擬僅抽樣1次, 其餘鍵值則為各層獨立抽樣
+let keysGlobal = ['PGA', 'Mw', 'waterLevelUsual', 'waterLevelDesign']
+
+
+function parseDist(dist, vBase, name) {
+    //解析機率分布, 回傳抽樣函數, 輸入為[0,1)之隨機數
+
+    //type
+    let type = get(dist, 'type', '')
+    if (type !== 'normal' && type !== 'lognormal' && type !== 'uniform') {
+        throw new Error(`${name}.type[${type}] need normal, lognormal or uniform`)
+    }
+
+    //lb, ub, 上下限
+    let lb = get(dist, 'min', '')
+    lb = isnum(lb) ? cdbl(lb) : null
+    let ub = get(dist, 'max', '')
+    ub = isnum(ub) ? cdbl(ub) : null
+    if (lb !== null && ub !== null && lb > ub) {
+        throw new Error(`${name}.min[${lb}] > ${name}.max[${ub}]`)
+    }
+
+    //uniform
+    if (type === 'uniform') {
+        if (lb === null || ub === null) {
+            throw new Error(`${name} need min and max for uniform`)
+        }
+        return (u) => {
+            return lb + u * (ub - lb)
+        }
+    }
+
+    //mean, 未給則使用原始值
+    let mean = get(dist, 'mean', '')
+    if (!isnum(mean)) {
+        mean = vBase
+    }
+    mean = cdbl(mean)
+
+    //std, 未給則由變異係數cov計算
+    let std = get(dist, 'std', '')
+    if (!isnum(std)) {
+        let cov = get(dist, 'cov', '')
+        if (!isnum(cov)) {
+            throw new Error(`${name} need std or cov`)
+        }
+        std = cdbl(cov) * Math.abs(mean)
+    }
+    std = cdbl(std)
+    if (std < 0) {
+        throw new Error(`${name}.std[${std}] need >= 0`)
+    }
+
+    //cdf, inv
+    let cdf = null
+    let inv = null
+    if (type === 'normal') {
+        cdf = (x) => jt.normal.cdf(x, mean, std)
+        inv = (p) => jt.normal.inv(p, mean, std)
+    }
+    else {
+        if (mean <= 0) {
+            throw new Error(`${name}.mean[${mean}] need > 0 for lognormal`)
+        }
+        if (lb !== null && lb <= 0) {
+            lb = null //對數常態分布本身即>0
+        }
+        let sLn = Math.sqrt(Math.log(1 + (std / mean) ** 2))
+        let mLn = Math.log(mean) - sLn ** 2 / 2
+        cdf = (x) => jt.lognormal.cdf(x, mLn, sLn)
+        inv = (p) => jt.lognormal.inv(p, mLn, sLn)
+    }
+
+    //std為0則為定值
+    if (std === 0) {
+        return () => {
+            let v = mean
+            if (lb !== null) {
+                v = Math.max(v, lb)
+            }
+            if (ub !== null) {
+                v = Math.min(v, ub)
+            }
+            return v
+        }
+    }
+
+    //pa, pb, 截尾分布之累積機率範圍, 以反函數法於範圍內抽樣
+    let pa = lb !== null ? cdf(lb) : 0
+    let pb = ub !== null ? cdf(ub) : 1
+    if (pb <= pa) {
+        throw new Error(`${name}.min[${lb}]~${name}.max[${ub}] is out of distribution`)
+    }
+
+    return (u) => {
+        let p = pa + u * (pb - pa)
+        p = Math.min(Math.max(p, 1e-12), 1 - 1e-12) //避免反函數出現無窮大
+        let v = inv(p)
+        if (lb !== null) {
+            v = Math.max(v, lb)
+        }
+        if (ub !== null) {
+            v = Math.min(v, ub)
+        }
+        return v
+    }
+}
+
+
+function calcStat(vs, percentiles) {
+    //計算數值陣列之平均值, 標準差與百分位數, 僅統計數字
+    let r = {
+        mean: '',
+        std: '',
+    }
+    let rs = filter(vs, isNumber)
+    let n = size(rs)
+    if (n > 0) {
+        r.mean = arrAverage(rs)
+    }
+    if (n > 1) {
+        r.std = arrStd(rs)
+    }
+    each(percentiles, (p) => {
+        let k = `P${Math.round(p * 1000) / 10}`
+        r[k] = n > 0 ? arrQuartile(rs, p) : ''
+    })
+    return r
+}
+
+
+function calcLiquefactionMonteCarlo(kind, ltdt, methods, opt = {}) {
+    //依輸入參數之機率分布進行蒙地卡羅模擬, 統計各層與全孔之FS, PL與沉陷量
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind[${kind}] need SPT, CPT or VS`)
+    }
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //methods
+    if (!isearr(methods)) {
+        throw new Error(`methods[${methods}] is not an effective array`)
+    }
+
+    //PGA
+    let PGA = get(opt, 'PGA', '')
+    if (!isnum(PGA)) {
+        throw new Error(`opt.PGA[${PGA}] is not a number`)
+    }
+    PGA = cdbl(PGA)
+
+    //Mw
+    let Mw = get(opt, 'Mw', '')
+    if (!isnum(Mw)) {
+        Mw = 6.8
+    }
+    Mw = cdbl(Mw)
+
+    //waterLevelUsual
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    waterLevelUsual = cdbl(waterLevelUsual)
+
+    //waterLevelDesign
+    let waterLevelDesign = get(opt, 'waterLevelDesign', 0)
+    waterLevelDesign = cdbl(waterLevelDesign)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //dists, 各輸入鍵值之機率分布, 例如{ N60: { type: 'lognormal', cov: 0.3 }, PGA: { type: 'uniform', min: 0.2, max: 0.3 } }
+    let dists = get(opt, 'dists', {})
+    if (!iseobj(dists)) {
+        dists = {}
+    }
+
+    //distsByLayer, 各層指定之機率分布, 以ltdt指標為鍵, 優先於dists
+    let distsByLayer = get(opt, 'distsByLayer', {})
+    if (!iseobj(distsByLayer) && !isearr(distsByLayer)) {
+        distsByLayer = {}
+    }
+
+    //check
+    if (size(dists) === 0 && size(distsByLayer) === 0) {
+        throw new Error(`need opt.dists or opt.distsByLayer`)
+    }
+
+    //nSample
+    let nSample = get(opt, 'nSample', '')
+    if (!isnum(nSample)) {
+        nSample = 100
+    }
+    nSample = Math.round(cdbl(nSample))
+    if (nSample < 1) {
+        throw new Error(`opt.nSample[${nSample}] need >= 1`)
+    }
+
+    //seed
+    let seed = get(opt, 'seed', '')
+    if (!isnum(seed) && !isestr(seed)) {
+        seed = 1
+    }
+
+    //percentiles
+    let percentiles = get(opt, 'percentiles', [])
+    if (!isearr(percentiles)) {
+        percentiles = [0.05, 0.5, 0.95]
+    }
+    each(percentiles, (p) => {
+        if (!isnum(p) || cdbl(p) <= 0 || cdbl(p) > 1) {
+            throw new Error(`opt.percentiles[${p}] need > 0 and <= 1`)
+        }
+    })
+    percentiles = map(percentiles, cdbl)
+
+    //keysPick
+    let keysPick = get(opt, 'keysPick', [])
+    if (!isearr(keysPick)) {
+        keysPick = ['depthStart', 'depthEnd', 'depth']
+    }
+
+    //returnLtdtForEachSample
+    let returnLtdtForEachSample = get(opt, 'returnLtdtForEachSample', '')
+    if (!isbol(returnLtdtForEachSample)) {
+        returnLtdtForEachSample = false
+    }
+
+    //calcLiquefactionSptAddPropsBasic, 先擴充欄位, 使N60, FC, rsat等鍵值可被指定機率分布
+    if (kind === 'SPT') {
+        ltdt = calcLiquefactionSptAddPropsBasic(ltdt)
+    }
+
+    //sortBy, calcLiquefaction會依depthStart排序各層, 故先排序使各層統計與輸出層對應, ids為排序後各層之原始指標
+    let ids = sortBy(range(size(ltdt)), (i) => {
+        return cdbl(get(ltdt, `${i}.depthStart`, ''))
+    })
+    ltdt = map(ids, (i) => {
+        return ltdt[i]
+    })
+
+    //kpBase, 全孔參數原始值
+    let kpBase = {
+        PGA,
+        Mw,
+        waterLevelUsual,
+        waterLevelDesign,
+    }
+
+    //fsGlobal, 全孔參數抽樣函數
+    let fsGlobal = {}
+    each(keysGlobal, (k) => {
+        if (!iseobj(dists[k])) {
+            return true //跳出換下一個
+        }
+        fsGlobal[k] = parseDist(dists[k], kpBase[k], `opt.dists.${k}`)
+    })
+
+    //fsLayer, 各層參數抽樣函數, 各層原始值非數字則不抽樣
+    let fsLayer = map(ltdt, (v, i) => {
+        let dt = {
+            ...dists,
+            ...get(distsByLayer, ids[i], {}), //distsByLayer以原始指標為鍵
+        }
+        let fs = {}
+        each(keys(dt).sort(), (k) => {
+            if (keysGlobal.indexOf(k) >= 0) {
+                return true //跳出換下一個
+            }
+            if (!iseobj(dt[k])) {
+                return true //跳出換下一個
+            }
+            if (!isnum(v[k]) && !isnum(get(dt[k], 'mean', ''))) {
+                return true //跳出換下一個
+            }
+            fs[k] = parseDist(dt[k], v[k], `ltdt[${ids[i]}].${k}`)
+        })
+        return fs
+    })
+
+    //getCriteria, 以原始值試算, 由液化分析結果欄位判斷是否可統計PL與沉陷量
+    let rProbe = calcLiquefactionByKind(kind, ltdt, methods, { ...kpBase, unitSvSvp })
+    let criteria = getCriteria(rProbe.ltdt, methods)
+
+    //rng, 指定種子之偽隨機數產生函數
+    let rng = pseudoRandom(seed, true)
+
+    //ksStat, 各層統計欄位
+    let ksStat = []
+    each(methods, (m) => {
+        ksStat.push(`${m}-FS`)
+        if (criteria.hasPL) {
+            ksStat.push(`${m}-PL`)
+        }
+        each(criteria.stlTypes, (stlType) => {
+            ksStat.push(`${m}-stl${stlType}`)
+        })
+    })
+
+    //samples
+    let samplesLayer = map(ltdt, () => {
+        let dt = {}
+        each(ksStat, (k) => {
+            dt[k] = []
+        })
+        return dt
+    })
+    let samplesHole = {}
+    each(methods, (m) => {
+        samplesHole[`${m}-FSmin`] = []
+        if (criteria.hasPL) {
+            samplesHole[`${m}-PL`] = []
+        }
+        each(criteria.stlTypes, (stlType) => {
+            samplesHole[`${m}-stl${stlType}`] = []
+        })
+    })
+    let samplesGlobal = {}
+    each(fsGlobal, (f, k) => {
+        samplesGlobal[k] = []
+    })
+    let errs = {}
+    each(methods, (m) => {
+        errs[m] = []
+    })
+    let ltdtsSample = []
+
+    times(nSample, (i) => {
+
+        //抽樣全孔參數
+        let kp = { ...kpBase }
+        each(keysGlobal, (k) => {
+            if (fsGlobal[k]) {
+                kp[k] = fsGlobal[k](rng())
+                samplesGlobal[k].push(kp[k])
+            }
+        })
+
+        //抽樣各層參數
+        let ltdtTemp = map(ltdt, (v, j) => {
+            v = cloneDeep(v)
+            each(fsLayer[j], (f, k) => {
+                v[k] = f(rng())
+            })
+            return v
+        })
+
+        //calcLiquefactionByKind
+        let r = calcLiquefactionByKind(kind, ltdtTemp, methods, {
+            PGA: kp.PGA,
+            Mw: kp.Mw,
+            waterLevelUsual: kp.waterLevelUsual,
+            waterLevelDesign: kp.waterLevelDesign,
+            unitSvSvp,
+        })
+        let ltdtRes = r.ltdt
+        let dtRes = r.dtRes
+
+        //save layer
+        each(ltdtRes, (v, j) => {
+            each(ksStat, (k) => {
+                samplesLayer[j][k].push(get(v, k, ''))
+            })
+        })
+
+        //save hole, FS取全孔最小值, PL與沉陷量為累計值故取最下層
+        let vLast = get(ltdtRes, size(ltdtRes) - 1, {})
+        each(methods, (m) => {
+            let FSs = filter(map(ltdtRes, (v) => get(v, `${m}-FS`, '')), isNumber)
+            samplesHole[`${m}-FSmin`].push(size(FSs) > 0 ? Math.min(...FSs) : '')
+            if (criteria.hasPL) {
+                samplesHole[`${m}-PL`].push(get(vLast, `${m}-PL`, ''))
+            }
+            each(criteria.stlTypes, (stlType) => {
+                samplesHole[`${m}-stl${stlType}`].push(get(vLast, `${m}-stl${stlType}`, ''))
+            })
+            let err = get(dtRes, `${m}-err`, '')
+            if (isestr(err)) {
+                errs[m] = [...errs[m], ...split(err, '; ')]
+            }
+        })
+
+        //save ltdt
+        if (returnLtdtForEachSample) {
+            ltdtsSample.push({
+                ...kp,
+                ltdt: ltdtRes,
+            })
+        }
+
+    })
+
+    //ltdtStat, 各層統計
+    let ltdtStat = map(ltdt, (v, j) => {
+        let dt = {}
+        each(keysPick, (k) => {
+            dt[k] = get(v, k, '')
+        })
+        each(ksStat, (k) => {
+            let st = calcStat(samplesLayer[j][k], percentiles)
+            each(st, (s, t) => {
+                dt[`${k}-${t}`] = s
+            })
+        })
+        return dt
+    })
+
+    //dtStat, 全孔統計
+    let dtStat = {
+        nSample,
+    }
+    each(samplesGlobal, (vs, k) => {
+        let st = calcStat(vs, percentiles)
+        each(st, (s, t) => {
+            dtStat[`${k}-${t}`] = s
+        })
+    })
+    each(samplesHole, (vs, k) => {
+        let st = calcStat(vs, percentiles)
+        each(st, (s, t) => {
+            dtStat[`${k}-${t}`] = s
+        })
+    })
+    each(methods, (m) => {
+        dtStat[`${m}-err`] = join(uniq(errs[m]), '; ') //各次模擬出現之錯誤訊息, 同訊息僅保留1次
+    })
+
+    //r
+    let r = {
+        ltdtStat,
+        dtStat,
+    }
+    if (returnLtdtForEachSample) {
+        r.ltdtsSample = ltdtsSample
+    }
+
+    return r
+}
+
+
+export {
+    keysGlobal
+}
+export default calcLiquefactionMonteCarlo
@@ -0,0 +1,345 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import sortBy from 'lodash-es/sortBy.js'
+import isNumber from 'lodash-es/isNumber.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import iseobj from 'wsemi/src/iseobj.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import calcLiquefactionSptAddPropsBasic from './calcLiquefactionSptAddPropsBasic.mjs'
+import { getCriteria, calcLiquefactionByKind } from './calcLiquefactionForCriticalPga.mjs'
+
+
+function calcRate(scenarios, key, threshold, isLower) {
+    //加總觸發之情境年發生率, isLower為true代表計算小於門檻值(FS), 否則為大於門檻值(PL與沉陷量)
+    //各情境以確定性結果是否超越門檻值取0或1, 未納入液化機率(-PLiq)或模型不確定性, 故非Kramer & Mayfield(2007)之完整機率積分
+    let rate = 0
+    each(scenarios, (s) => {
+        let v = s[key]
+        if (!isNumber(v)) {
+            return true //跳出換下一個
+        }
+        if (isLower ? v < threshold : v > threshold) {
+            rate += s.rate
+        }
+    })
+    return rate
+}
+
+
+function calcValueAtRate(scenarios, key, rateTar, isLower) {
+    //由情境依不利程度排序後累加年發生率, 取累計年發生率達目標值之結果
+    let ss = []
+    each(scenarios, (s) => {
+        if (isNumber(s[key])) {
+            ss.push(s)
+        }
+    })
+    ss = sortBy(ss, (s) => {
+        return isLower ? s[key] : -s[key]
+    })
+    let rateCum = 0
+    let r = ''
+    each(ss, (s) => {
+        rateCum += s.rate
+        if (rateCum >= rateTar) {
+            r = s[key]
+            return false //跳出
+        }
+    })
+    return r
+}
+
+
+function calcLiquefactionPerformanceBased(kind, ltdt, methods, opt = {}) {
+    //確定性性能設計近似法, 以PGA危害度曲線與規模解構權重積分各情境之確定性液化結果, 求各回歸期之FS, PL與沉陷量
+    //架構參考Kramer & Mayfield(2007), 但各情境僅以確定性結果判定是否超越(0或1), 未考慮液化機率與模型不確定性
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind[${kind}] need SPT, CPT or VS`)
+    }
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //methods
+    if (!isearr(methods)) {
+        throw new Error(`methods[${methods}] is not an effective array`)
+    }
+
+    //hazard, PGA危害度曲線, 各點給予PGA(g), 年超越機率rate與規模解構deagg, 例如[{ PGA: 0.1, rate: 0.02, deagg: [{ Mw: 6.5, weight: 0.6 }, { Mw: 7.5, weight: 0.4 }] }]
+    let hazard = get(opt, 'hazard', [])
+    if (!isearr(hazard)) {
+        throw new Error(`opt.hazard is not an effective array`)
+    }
+
+    //Mw, 危害度曲線點未給deagg時使用
+    let Mw = get(opt, 'Mw', '')
+    if (!isnum(Mw)) {
+        Mw = 6.8
+    }
+    Mw = cdbl(Mw)
+
+    //waterLevelUsual
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    waterLevelUsual = cdbl(waterLevelUsual)
+
+    //waterLevelDesign
+    let waterLevelDesign = get(opt, 'waterLevelDesign', 0)
+    waterLevelDesign = cdbl(waterLevelDesign)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //returnPeriods, 回歸期(年)
+    let returnPeriods = get(opt, 'returnPeriods', [])
+    if (!isearr(returnPeriods)) {
+        returnPeriods = [72, 475, 975, 2475]
+    }
+    each(returnPeriods, (TR) => {
+        if (!isnum(TR) || cdbl(TR) <= 0) {
+            throw new Error(`opt.returnPeriods[${TR}] need > 0`)
+        }
+    })
+    returnPeriods = map(returnPeriods, cdbl)
+
+    //thresholds, 危害度曲線之門檻值, FS為小於門檻值, PL與沉陷量(m)為大於門檻值
+    let thresholds = get(opt, 'thresholds', {})
+    if (!iseobj(thresholds)) {
+        thresholds = {}
+    }
+    let thresholdsFS = get(thresholds, 'FS', [])
+    if (!isearr(thresholdsFS)) {
+        thresholdsFS = [0.5, 0.75, 1, 1.25, 1.5, 2]
+    }
+    let thresholdsPL = get(thresholds, 'PL', [])
+    if (!isearr(thresholdsPL)) {
+        thresholdsPL = [1, 5, 10, 15, 20, 30]
+    }
+    let thresholdsStl = get(thresholds, 'stl', [])
+    if (!isearr(thresholdsStl)) {
+        thresholdsStl = [0.05, 0.1, 0.2, 0.3, 0.5]
+    }
+
+    //keysPick
+    let keysPick = get(opt, 'keysPick', [])
+    if (!isearr(keysPick)) {
+        keysPick = ['depthStart', 'depthEnd', 'depth']
+    }
+
+    //sortBy, 依PGA由小至大
+    hazard = sortBy(hazard, (v) => {
+        return cdbl(get(v, 'PGA', ''))
+    })
+
+    //check hazard
+    each(hazard, (v, i) => {
+        let PGA = get(v, 'PGA', '')
+        let rate = get(v, 'rate', '')
+        if (!isnum(PGA) || cdbl(PGA) <= 0) {
+            throw new Error(`opt.hazard[${i}].PGA[${PGA}] need > 0`)
+        }
+        if (!isnum(rate) || cdbl(rate) <= 0) {
+            throw new Error(`opt.hazard[${i}].rate[${rate}] need > 0`)
+        }
+        if (i > 0 && cdbl(rate) > cdbl(hazard[i - 1].rate)) {
+            throw new Error(`opt.hazard[${i}].rate[${rate}] need <= opt.hazard[${i - 1}].rate[${hazard[i - 1].rate}]`)
+        }
+    })
+
+    //calcLiquefactionSptAddPropsBasic, 先擴充欄位, 避免各情境重複偵測
+    if (kind === 'SPT') {
+        ltdt = calcLiquefactionSptAddPropsBasic(ltdt)
+    }
+
+    //getCriteria, 以危害度曲線首點試算, 由液化分析結果欄位判斷是否可計算PL與沉陷量
+    let rProbe = calcLiquefactionByKind(kind, ltdt, methods, {
+        PGA: cdbl(hazard[0].PGA),
+        Mw,
+        waterLevelUsual,
+        waterLevelDesign,
+        unitSvSvp,
+    })
+    let criteria = getCriteria(rProbe.ltdt, methods)
+
+    //ts, 各液化方法之全孔指標, FSmin為小於門檻值, 其餘為大於門檻值
+    let ts = ['FSmin']
+    if (criteria.hasPL) {
+        ts.push('PL')
+    }
+    each(criteria.stlTypes, (stlType) => {
+        ts.push(`stl${stlType}`)
+    })
+    let getThresholds = (t) => {
+        if (t === 'FSmin') {
+            return thresholdsFS
+        }
+        if (t === 'PL') {
+            return thresholdsPL
+        }
+        return thresholdsStl
+    }
+
+    //scenarios, 各PGA區間與規模之情境, 年發生率為PGA區間年超越機率差值乘上規模權重, 最大PGA則取其年超越機率
+    let scenarios = []
+    let ltdtsLayer = []
+    let ltdtRef = null
+    let nh = size(hazard)
+    each(hazard, (v, i) => {
+
+        //PGA, 區間[PGA_i, PGA_i+1)以上下界之幾何平均代表, 若以下界分析會低估需求, 最大PGA之開放區間則依前一區間之比例外插上界
+        let PGALow = cdbl(v.PGA)
+        let PGAUp = PGALow
+        if (i < nh - 1) {
+            PGAUp = cdbl(hazard[i + 1].PGA)
+        }
+        else if (i > 0) {
+            PGAUp = PGALow * PGALow / cdbl(hazard[i - 1].PGA)
+        }
+        let PGA = Math.sqrt(PGALow * PGAUp)
+
+        //dRate, 區間年發生率
+        let rate = cdbl(v.rate)
+        let rateNext = i < nh - 1 ? cdbl(hazard[i + 1].rate) : 0
+        let dRate = rate - rateNext
+
+        //deagg, 規模解構權重正規化
+        let deagg = get(v, 'deagg', [])
+        if (!isearr(deagg)) {
+            deagg = [{ Mw, weight: 1 }]
+        }
+        let wSum = 0
+        each(deagg, (d, j) => {
+            if (!isnum(get(d, 'Mw', '')) || !isnum(get(d, 'weight', '')) || cdbl(d.weight) < 0) {
+                throw new Error(`opt.hazard[${i}].deagg[${j}] need Mw and weight >= 0`)
+            }
+            wSum += cdbl(d.weight)
+        })
+        if (wSum <= 0) {
+            throw new Error(`opt.hazard[${i}].deagg need sum of weight > 0`)
+        }
+
+        each(deagg, (d) => {
+            let _Mw = cdbl(d.Mw)
+            let w = cdbl(d.weight) / wSum
+            if (w === 0) {
+                return true //跳出換下一個
+            }
+
+            //calcLiquefactionByKind
+            let r = calcLiquefactionByKind(kind, ltdt, methods, {
+                PGA,
+                Mw: _Mw,
+                waterLevelUsual,
+                waterLevelDesign,
+                unitSvSvp,
+            })
+            let ltdtRes = r.ltdt
+            if (ltdtRef === null) {
+                ltdtRef = ltdtRes //液化分析後才有depth等擴充欄位, 供提取keysPick
+            }
+            let vLast = get(ltdtRes, size(ltdtRes) - 1, {})
+
+            //s, FS取全孔最小值, PL與沉陷量為累計值故取最下層
+            let s = {
+                PGA,
+                Mw: _Mw,
+                rate: dRate * w,
+            }
+            each(methods, (m) => {
+                let FSmin = ''
+                each(ltdtRes, (u) => {
+                    let FS = get(u, `${m}-FS`, '')
+                    if (isNumber(FS) && (!isNumber(FSmin) || FS < FSmin)) {
+                        FSmin = FS
+                    }
+                })
+                s[`${m}-FSmin`] = FSmin
+                each(ts, (t) => {
+                    if (t === 'FSmin') {
+                        return true //跳出換下一個
+                    }
+                    let vt = get(vLast, `${m}-${t}`, '')
+                    s[`${m}-${t}`] = isNumber(vt) ? vt : ''
+                })
+            })
+            scenarios.push(s)
+
+            //save layer
+            ltdtsLayer.push(map(ltdtRes, (u) => {
+                let dt = {
+                    rate: s.rate,
+                }
+                each(methods, (m) => {
+                    let FS = get(u, `${m}-FS`, '')
+                    dt[`${m}-FS`] = isNumber(FS) ? FS : ''
+                })
+                return dt
+            }))
+
+        })
+    })
+
+    //ltdtCurve, 各液化方法各指標之年超越機率與回歸期曲線
+    let ltdtCurve = []
+    each(methods, (m) => {
+        each(ts, (t) => {
+            let isLower = t === 'FSmin'
+            each(getThresholds(t), (threshold) => {
+                let rate = calcRate(scenarios, `${m}-${t}`, cdbl(threshold), isLower)
+                ltdtCurve.push({
+                    method: m,
+                    indicator: t,
+                    threshold: cdbl(threshold),
+                    rate,
+                    returnPeriod: rate > 0 ? 1 / rate : '',
+                })
+            })
+        })
+    })
+
+    //dtRes, 各回歸期之全孔FSmin, PL與沉陷量, 超出危害度曲線範圍則給空字串
+    let dtRes = {}
+    each(methods, (m) => {
+        each(ts, (t) => {
+            let isLower = t === 'FSmin'
+            each(returnPeriods, (TR) => {
+                dtRes[`${m}-${t}-TR${TR}`] = calcValueAtRate(scenarios, `${m}-${t}`, 1 / TR, isLower)
+            })
+        })
+    })
+
+    //ltdtLayer, 各回歸期之各層FS
+    let ltdtLayer = map(ltdt, (v, i) => {
+        let dt = {}
+        each(keysPick, (k) => {
+            dt[k] = get(ltdtRef, `${i}.${k}`, '')
+        })
+        let ss = map(ltdtsLayer, (ltdtTemp) => {
+            return ltdtTemp[i]
+        })
+        each(methods, (m) => {
+            each(returnPeriods, (TR) => {
+                dt[`${m}-FS-TR${TR}`] = calcValueAtRate(ss, `${m}-FS`, 1 / TR, true)
+            })
+        })
+        return dt
+    })
+
+    return {
+        scenarios,
+        ltdtCurve,
+        ltdtLayer,
+        dtRes,
+    }
+}
+
+
+export default calcLiquefactionPerformanceBased
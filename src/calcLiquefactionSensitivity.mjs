@@ -0,0 +1,271 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import filter from 'lodash-es/filter.js'
+import sortBy from 'lodash-es/sortBy.js'
+import isNumber from 'lodash-es/isNumber.js'
+import cloneDeep from 'lodash-es/cloneDeep.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import iseobj from 'wsemi/src/iseobj.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import calcLiquefactionSptAddPropsBasic from './calcLiquefactionSptAddPropsBasic.mjs'
+import { getCriteria, calcLiquefactionByKind } from './calcLiquefactionForCriticalPga.mjs'
+import { keysGlobal } from './calcLiquefactionMonteCarlo.mjs'
+
+
+//預設可擾動之輸入參數
+let keysDef = ['N60', 'FC', 'rsat', 'waterLevelDesign', 'PGA', 'Mw', 'qc', 'fs', 'Vs']
+
+
+function perturb(v, range, bound) {
+    //依擾動方式計算擾動後數值, ratio為比例增減, delta為增減量, value為直接指定值
+    let type = get(range, 'type', '')
+    let d = get(range, bound, '')
+    if (!isnum(d)) {
+        return v
+    }
+    d = cdbl(d)
+    if (type === 'delta') {
+        return v + d
+    }
+    if (type === 'value') {
+        return d
+    }
+    return v * (1 + d)
+}
+
+
+function calcLiquefactionSensitivity(kind, ltdt, methods, opt = {}) {
+    //逐一擾動各輸入參數(one-at-a-time), 統計各液化方法之臨界層FS, PL與沉陷量變化幅度, 供繪製龍捲風圖
+
+    //check
+    if (kind !== 'SPT' && kind !== 'CPT' && kind !== 'VS') {
+        throw new Error(`kind[${kind}] need SPT, CPT or VS`)
+    }
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //methods
+    if (!isearr(methods)) {
+        throw new Error(`methods[${methods}] is not an effective array`)
+    }
+
+    //PGA
+    let PGA = get(opt, 'PGA', '')
+    if (!isnum(PGA)) {
+        throw new Error(`opt.PGA[${PGA}] is not a number`)
+    }
+    PGA = cdbl(PGA)
+
+    //Mw
+    let Mw = get(opt, 'Mw', '')
+    if (!isnum(Mw)) {
+        Mw = 6.8
+    }
+    Mw = cdbl(Mw)
+
+    //waterLevelUsual
+    let waterLevelUsual = get(opt, 'waterLevelUsual', 0)
+    waterLevelUsual = cdbl(waterLevelUsual)
+
+    //waterLevelDesign
+    let waterLevelDesign = get(opt, 'waterLevelDesign', 0)
+    waterLevelDesign = cdbl(waterLevelDesign)
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp', '')
+    if (!isestr(unitSvSvp)) {
+        unitSvSvp = 'kPa'
+    }
+
+    //ranges, 各輸入參數之擾動範圍, 例如{ N60: { low: -0.2, high: 0.2 }, PGA: { type: 'delta', low: -0.05, high: 0.05 } }, type預設ratio
+    let ranges = get(opt, 'ranges', {})
+    if (!iseobj(ranges)) {
+        throw new Error(`opt.ranges is not an effective object`)
+    }
+    each(ranges, (range, k) => {
+        let type = get(range, 'type', 'ratio')
+        if (type !== 'ratio' && type !== 'delta' && type !== 'value') {
+            throw new Error(`opt.ranges.${k}.type[${type}] need ratio, delta or value`)
+        }
+        if (!isnum(get(range, 'low')) && !isnum(get(range, 'high'))) {
+            throw new Error(`opt.ranges.${k} need low or high`)
+        }
+    })
+
+    //keys, 擾動參數, 未給則依預設順序挑選ranges內之參數
+    let keys = get(opt, 'keys', [])
+    if (!isearr(keys)) {
+        keys = filter(keysDef, (k) => {
+            return iseobj(ranges[k])
+        })
+        each(ranges, (range, k) => {
+            if (keys.indexOf(k) < 0) {
+                keys.push(k)
+            }
+        })
+    }
+
+    //calcLiquefactionSptAddPropsBasic, 先擴充欄位, 使N60, FC, rsat等鍵值可被擾動
+    if (kind === 'SPT') {
+        ltdt = calcLiquefactionSptAddPropsBasic(ltdt)
+    }
+
+    //kpBase, 全孔參數原始值
+    let kpBase = {
+        PGA,
+        Mw,
+        waterLevelUsual,
+        waterLevelDesign,
+    }
+
+    //calc, 計算液化
+    let calc = (kp, ltdtTemp) => {
+        let r = calcLiquefactionByKind(kind, ltdtTemp, methods, {
+            ...kp,
+            unitSvSvp,
+        })
+        return r.ltdt
+    }
+
+    //基準情境
+    let ltdtBase = calc(kpBase, ltdt)
+
+    //getCriteria, 由基準情境液化分析結果欄位判斷是否可統計PL與沉陷量
+    let criteria = getCriteria(ltdtBase, methods)
+
+    //ts, 各液化方法統計之指標
+    let ts = ['FS']
+    if (criteria.hasPL) {
+        ts.push('PL')
+    }
+    each(criteria.stlTypes, (stlType) => {
+        ts.push(`stl${stlType}`)
+    })
+
+    //ilayers, 各液化方法之臨界層, 取基準情境FS最小之土層, 擾動時固定比對該層
+    let ilayers = {}
+    let dtBase = {}
+    each(methods, (m) => {
+        let iMin = null
+        let FSmin = null
+        each(ltdtBase, (v, i) => {
+            let FS = get(v, `${m}-FS`, '')
+            if (isNumber(FS) && (FSmin === null || FS < FSmin)) {
+                FSmin = FS
+                iMin = i
+            }
+        })
+        ilayers[m] = iMin
+        dtBase[`${m}-criticalDepthStart`] = iMin !== null ? get(ltdtBase, `${iMin}.depthStart`, '') : ''
+        dtBase[`${m}-criticalDepthEnd`] = iMin !== null ? get(ltdtBase, `${iMin}.depthEnd`, '') : ''
+    })
+
+    //pick, 提取各指標, FS取臨界層, PL與沉陷量為累計值故取最下層
+    let pick = (ltdtRes) => {
+        let vLast = get(ltdtRes, size(ltdtRes) - 1, {})
+        let dt = {}
+        each(methods, (m) => {
+            each(ts, (t) => {
+                let v = ''
+                if (t === 'FS') {
+                    v = ilayers[m] !== null ? get(ltdtRes, `${ilayers[m]}.${m}-FS`, '') : ''
+                }
+                else {
+                    v = get(vLast, `${m}-${t}`, '')
+                }
+                dt[`${m}-${t}`] = isNumber(v) ? v : ''
+            })
+        })
+        return dt
+    }
+    let base = pick(ltdtBase)
+    each(base, (v, k) => {
+        dtBase[k] = v
+    })
+
+    //ltdtSens, 逐一擾動各參數
+    let ltdtSens = []
+    each(keys, (key) => {
+        let range = ranges[key]
+        if (!iseobj(range)) {
+            throw new Error(`opt.ranges.${key} is not an effective object`)
+        }
+
+        //低值與高值情境
+        let rs = {}
+        let hasKey = true
+        each(['low', 'high'], (bound) => {
+            let kp = { ...kpBase }
+            let ltdtTemp = ltdt
+            if (keysGlobal.indexOf(key) >= 0) {
+                kp[key] = perturb(kpBase[key], range, bound)
+            }
+            else {
+                let n = 0
+                ltdtTemp = map(ltdt, (v) => {
+                    v = cloneDeep(v)
+                    if (isnum(v[key])) {
+                        v[key] = perturb(cdbl(v[key]), range, bound)
+                        n++
+                    }
+                    return v
+                })
+                if (n === 0) {
+                    hasKey = false //各層皆無此參數則不分析, 例如SPT無qc
+                    return false //跳出
+                }
+            }
+            rs[bound] = pick(calc(kp, ltdtTemp))
+        })
+        if (!hasKey) {
+            return true //跳出換下一個
+        }
+
+        //save
+        each(methods, (m) => {
+            each(ts, (t) => {
+                let k = `${m}-${t}`
+                let vb = base[k]
+                let vl = rs.low[k]
+                let vh = rs.high[k]
+                let swing = ''
+                if (isNumber(vl) && isNumber(vh)) {
+                    swing = Math.abs(vh - vl)
+                }
+                ltdtSens.push({
+                    method: m,
+                    indicator: t,
+                    key,
+                    type: get(range, 'type', 'ratio'),
+                    low: get(range, 'low', ''),
+                    high: get(range, 'high', ''),
+                    base: vb,
+                    resultLow: vl,
+                    resultHigh: vh,
+                    swing,
+                })
+            })
+        })
+
+    })
+
+    //sortBy, 依液化方法與指標分組, 組內依變化幅度由大至小排序, 無變化幅度者置後
+    ltdtSens = sortBy(ltdtSens, [
+        (v) => methods.indexOf(v.method),
+        (v) => ts.indexOf(v.indicator),
+        (v) => isNumber(v.swing) ? -v.swing : 1e20,
+    ])
+
+    return {
+        dtBase,
+        ltdtSens,
+    }
+}
+
+
+export default calcLiquefactionSensitivity
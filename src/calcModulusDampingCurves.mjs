@@ -0,0 +1,336 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+import cnst from './cnst.mjs'
+
+
+//strainsDef, 預設輸出曲線之剪應變(%)
+let strainsDef = [0.0001, 0.0003, 0.001, 0.003, 0.01, 0.03, 0.1, 0.3, 1]
+
+
+//Seed & Idriss(1970)砂土平均曲線, 剪應變(%)與阻尼比(%)
+let kpSeedIdriss = {
+    strain: [0.0001, 0.0003, 0.001, 0.003, 0.01, 0.03, 0.1, 0.3, 1, 3, 10],
+    GGmax: [1.0, 1.0, 0.99, 0.96, 0.85, 0.64, 0.37, 0.18, 0.08, 0.05, 0.035],
+    damping: [0.24, 0.42, 0.8, 1.4, 2.8, 5.1, 9.8, 15.5, 21, 25, 28],
+}
+
+
+//Vucetic & Dobry(1991)各PI之曲線, 為近似原文圖表之數值表, 剪應變(%)與阻尼比(%)
+let kpVuceticDobry = {
+    strain: [0.0001, 0.0003, 0.001, 0.003, 0.01, 0.03, 0.1, 0.3, 1],
+    PI: [0, 15, 30, 50, 100, 200],
+    GGmax: [
+        [1.0, 0.995, 0.97, 0.90, 0.76, 0.54, 0.29, 0.13, 0.05],
+        [1.0, 1.0, 0.99, 0.95, 0.85, 0.66, 0.41, 0.21, 0.09],
+        [1.0, 1.0, 1.0, 0.97, 0.90, 0.76, 0.52, 0.30, 0.14],
+        [1.0, 1.0, 1.0, 0.99, 0.94, 0.84, 0.64, 0.40, 0.20],
+        [1.0, 1.0, 1.0, 1.0, 0.98, 0.93, 0.79, 0.57, 0.32],
+        [1.0, 1.0, 1.0, 1.0, 1.0, 0.97, 0.89, 0.72, 0.48],
+    ],
+    damping: [
+        [1.0, 1.1, 1.6, 3.0, 5.6, 9.8, 15.0, 20.0, 24.0],
+        [1.0, 1.0, 1.3, 2.2, 4.0, 7.2, 11.5, 16.0, 20.5],
+        [1.0, 1.0, 1.1, 1.8, 3.0, 5.5, 9.0, 13.2, 17.5],
+        [1.0, 1.0, 1.0, 1.5, 2.4, 4.3, 7.4, 11.2, 15.0],
+        [1.0, 1.0, 1.0, 1.2, 1.8, 3.0, 5.2, 8.3, 11.8],
+        [1.0, 1.0, 1.0, 1.0, 1.3, 2.0, 3.6, 6.0, 9.0],
+    ],
+}
+
+
+//EPRI(1993)砂土各深度範圍之曲線, 為近似原文圖表之數值表, 深度範圍為0~20, 20~50, 50~120, 120~250, 250~500, 500~1000ft, 剪應變(%)與阻尼比(%)
+let kpEPRI = {
+    strain: [0.0001, 0.0003, 0.001, 0.003, 0.01, 0.03, 0.1, 0.3, 1],
+    depthEnd: [6.1, 15.2, 36.6, 76.2, 152.4, 304.8],
+    GGmax: [
+        [1.0, 0.99, 0.96, 0.88, 0.71, 0.47, 0.23, 0.10, 0.04],
+        [1.0, 0.99, 0.97, 0.91, 0.77, 0.55, 0.29, 0.13, 0.05],
+        [1.0, 1.0, 0.98, 0.93, 0.82, 0.62, 0.36, 0.17, 0.07],
+        [1.0, 1.0, 0.99, 0.95, 0.86, 0.69, 0.43, 0.22, 0.09],
+        [1.0, 1.0, 0.99, 0.97, 0.90, 0.76, 0.51, 0.27, 0.12],
+        [1.0, 1.0, 1.0, 0.98, 0.93, 0.82, 0.59, 0.34, 0.15],
+    ],
+    damping: [
+        [1.3, 1.5, 2.2, 3.9, 7.4, 12.3, 18.0, 22.4, 25.0],
+        [1.1, 1.2, 1.8, 3.2, 6.2, 10.7, 16.3, 21.0, 24.0],
+        [0.9, 1.0, 1.5, 2.7, 5.2, 9.2, 14.6, 19.6, 23.0],
+        [0.8, 0.9, 1.2, 2.2, 4.3, 7.9, 13.0, 18.2, 22.0],
+        [0.7, 0.8, 1.0, 1.8, 3.5, 6.6, 11.4, 16.7, 21.0],
+        [0.6, 0.7, 0.9, 1.5, 2.8, 5.5, 10.0, 15.2, 20.0],
+    ],
+}
+
+
+//models, 支援之曲線模式
+let models = ['SeedIdriss1970', 'VuceticDobry1991', 'Darendeli2001', 'EPRI1993']
+
+
+function interpLog(strains, vs, strain) {
+    //依剪應變對數內插曲線值, 超出範圍採用端點值
+    let n = size(strains)
+    if (strain <= strains[0]) {
+        return vs[0]
+    }
+    if (strain >= strains[n - 1]) {
+        return vs[n - 1]
+    }
+    for (let i = 1; i < n; i++) {
+        if (strain <= strains[i]) {
+            let x0 = Math.log10(strains[i - 1])
+            let x1 = Math.log10(strains[i])
+            let r = (Math.log10(strain) - x0) / (x1 - x0)
+            return vs[i - 1] + (vs[i] - vs[i - 1]) * r
+        }
+    }
+    return vs[n - 1]
+}
+
+
+function curveDarendeli(strain, PI, OCR, svpm, frequency, nCycle) {
+    //Darendeli(2001)修正雙曲線模式, svpm為平均有效應力(kPa), 回傳G/Gmax與阻尼比(%)
+    let Pa = cnst.Pa * 1000 //大氣壓(kPa), MPa -> kPa
+    let sm = svpm / Pa
+
+    //gr, 參考剪應變(%)
+    let gr = (0.0352 + 0.0010 * PI * OCR ** 0.3246) * sm ** 0.3483
+    let a = 0.9190
+    let GGmax = 1 / (1 + (strain / gr) ** a)
+
+    //Dmin, 小應變阻尼比(%)
+    let Dmin = (0.8005 + 0.0129 * PI * OCR ** (-0.1069)) * sm ** (-0.2889) * (1 + 0.2919 * Math.log(frequency))
+
+    //DMasing, 依a=1之Masing準則阻尼比修正至a
+    let D1 = (100 / Math.PI) * (4 * (strain - gr * Math.log((strain + gr) / gr)) / (strain ** 2 / (strain + gr)) - 2)
+    let c1 = -1.1143 * a ** 2 + 1.8618 * a + 0.2523
+    let c2 = 0.0805 * a ** 2 - 0.0710 * a - 0.0095
+    let c3 = -0.0005 * a ** 2 + 0.0002 * a + 0.0003
+    let DMasing = c1 * D1 + c2 * D1 ** 2 + c3 * D1 ** 3
+
+    //b, 反覆次數之比例係數
+    let b = 0.6329 - 0.0057 * Math.log(nCycle)
+    let damping = b * GGmax ** 0.1 * DMasing + Dmin
+
+    return { GGmax, damping }
+}
+
+
+function getModulusDampingCurve(model, params = {}, strains = strainsDef) {
+    //依曲線模式計算各剪應變(%)之G/Gmax與阻尼比(%), params可給PI(%), OCR, svpm(平均有效應力, kPa), depth(m), frequency(Hz)與nCycle
+
+    //check
+    if (models.indexOf(model) < 0) {
+        throw new Error(`model[${model}] need ${models.join(', ')}`)
+    }
+    if (!isearr(strains)) {
+        throw new Error(`strains is not an effective array`)
+    }
+    strains = map(strains, cdbl)
+
+    //PI, 非數字視為非塑性
+    let PI = get(params, 'PI', '')
+    PI = isnum(PI) ? Math.max(cdbl(PI), 0) : 0
+
+    //OCR
+    let OCR = get(params, 'OCR', '')
+    OCR = isnum(OCR) ? Math.max(cdbl(OCR), 1) : 1
+
+    let GGmax = []
+    let damping = []
+    if (model === 'SeedIdriss1970') {
+        GGmax = map(strains, (s) => interpLog(kpSeedIdriss.strain, kpSeedIdriss.GGmax, s))
+        damping = map(strains, (s) => interpLog(kpSeedIdriss.strain, kpSeedIdriss.damping, s))
+    }
+    else if (model === 'VuceticDobry1991' || model === 'EPRI1993') {
+
+        //kp, vk, v, 依PI或深度於相鄰曲線間線性內插
+        let kp = model === 'VuceticDobry1991' ? kpVuceticDobry : kpEPRI
+        let vk = model === 'VuceticDobry1991' ? kpVuceticDobry.PI : kpEPRI.depthEnd
+        let v = PI
+        if (model === 'EPRI1993') {
+            let depth = get(params, 'depth', '')
+            if (!isnum(depth)) {
+                throw new Error(`params.depth[${depth}] is not a number`)
+            }
+            v = cdbl(depth)
+        }
+        let i1 = 0
+        while (i1 < size(vk) - 1 && vk[i1] < v) {
+            i1++
+        }
+        let i0 = Math.max(i1 - 1, 0)
+        let r = 0
+        if (model === 'VuceticDobry1991' && i1 > i0) {
+            r = Math.min(Math.max((v - vk[i0]) / (vk[i1] - vk[i0]), 0), 1)
+        }
+        else {
+            i0 = i1 //EPRI依深度範圍直接取用該範圍曲線
+        }
+        GGmax = map(strains, (s) => {
+            let g0 = interpLog(kp.strain, kp.GGmax[i0], s)
+            let g1 = interpLog(kp.strain, kp.GGmax[i1], s)
+            return g0 + (g1 - g0) * r
+        })
+        damping = map(strains, (s) => {
+            let d0 = interpLog(kp.strain, kp.damping[i0], s)
+            let d1 = interpLog(kp.strain, kp.damping[i1], s)
+            return d0 + (d1 - d0) * r
+        })
+
+    }
+    else if (model === 'Darendeli2001') {
+
+        //svpm
+        let svpm = get(params, 'svpm', '')
+        if (!isnum(svpm) || cdbl(svpm) <= 0) {
+            throw new Error(`params.svpm[${svpm}] need > 0`)
+        }
+        svpm = cdbl(svpm)
+
+        //frequency, 載重頻率(Hz)
+        let frequency = get(params, 'frequency', '')
+        frequency = isnum(frequency) ? cdbl(frequency) : 1
+
+        //nCycle, 反覆次數
+        let nCycle = get(params, 'nCycle', '')
+        nCycle = isnum(nCycle) ? cdbl(nCycle) : 10
+
+        each(strains, (s) => {
+            let r = curveDarendeli(s, PI, OCR, svpm, frequency, nCycle)
+            GGmax.push(r.GGmax)
+            damping.push(r.damping)
+        })
+
+    }
+
+    return {
+        strain: strains,
+        GGmax,
+        damping,
+    }
+}
+
+
+function calcModulusDampingCurves(ltdt, opt = {}) {
+    //依各土層PI, 垂直有效應力與OCR計算G/Gmax與阻尼比曲線, 存於curve欄位可直接供calcSiteResponse使用
+
+    //check
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+
+    //model
+    let model = get(opt, 'model')
+    if (!isestr(model)) {
+        model = 'Darendeli2001'
+    }
+    if (models.indexOf(model) < 0) {
+        throw new Error(`opt.model[${model}] need ${models.join(', ')}`)
+    }
+
+    //unitSvSvp
+    let unitSvSvp = get(opt, 'unitSvSvp')
+    if (unitSvSvp !== 'kPa' && unitSvSvp !== 'MPa') {
+        throw new Error(`opt.unitSvSvp[${unitSvSvp}] need kPa or MPa`)
+    }
+
+    //keyDepth
+    let keyDepth = get(opt, 'keyDepth')
+    if (!isestr(keyDepth)) {
+        keyDepth = 'depth'
+    }
+
+    //keyPI
+    let keyPI = get(opt, 'keyPI')
+    if (!isestr(keyPI)) {
+        keyPI = 'PI'
+    }
+
+    //keySvp, 預設使用calcVerticalStress之svp
+    let keySvp = get(opt, 'keySvp')
+    if (!isestr(keySvp)) {
+        keySvp = 'svp'
+    }
+
+    //keyOCR, 預設使用calcEstmOcr之ocr
+    let keyOCR = get(opt, 'keyOCR')
+    if (!isestr(keyOCR)) {
+        keyOCR = 'ocr'
+    }
+
+    //keyCurve
+    let keyCurve = get(opt, 'keyCurve')
+    if (!isestr(keyCurve)) {
+        keyCurve = 'curve'
+    }
+
+    //K0, 靜止土壓力係數, 供計算平均有效應力
+    let K0 = get(opt, 'K0')
+    if (!isnum(K0)) {
+        K0 = 0.5
+    }
+    K0 = cdbl(K0)
+
+    //strains
+    let strains = get(opt, 'strains')
+    if (!isearr(strains)) {
+        strains = strainsDef
+    }
+
+    //frequency, nCycle
+    let frequency = get(opt, 'frequency', '')
+    let nCycle = get(opt, 'nCycle', '')
+
+    let rs = map(ltdt, (dt) => {
+
+        //svpm, 平均有效應力(kPa)
+        let svp = get(dt, keySvp, '')
+        let svpm = ''
+        if (isnum(svp)) {
+            svp = cdbl(svp)
+            if (unitSvSvp === 'MPa') {
+                svp *= 1000
+            }
+            svpm = svp * (1 + 2 * K0) / 3
+        }
+
+        //curve, 缺少必要參數時給空字串
+        let curve = ''
+        let depth = get(dt, keyDepth, '')
+        let bOk = true
+        if (model === 'Darendeli2001' && (!isnum(svpm) || svpm <= 0)) {
+            bOk = false
+        }
+        if (model === 'EPRI1993' && !isnum(depth)) {
+            bOk = false
+        }
+        if (bOk) {
+            curve = getModulusDampingCurve(model, {
+                PI: get(dt, keyPI, ''),
+                OCR: get(dt, keyOCR, ''),
+                svpm,
+                depth,
+                frequency,
+                nCycle,
+            }, strains)
+        }
+
+        return {
+            ...dt,
+            [keyCurve]: curve,
+        }
+    })
+
+    return rs
+}
+
+
+export {
+    getModulusDampingCurve
+}
+export default calcModulusDampingCurves
@@ -0,0 +1,531 @@
+import get from 'lodash-es/get.js'
+import each from 'lodash-es/each.js'
+import map from 'lodash-es/map.js'
+import size from 'lodash-es/size.js'
+import sortBy from 'lodash-es/sortBy.js'
+import isnum from 'wsemi/src/isnum.mjs'
+import isearr from 'wsemi/src/isearr.mjs'
+import iseobj from 'wsemi/src/iseobj.mjs'
+import isestr from 'wsemi/src/isestr.mjs'
+import cdbl from 'wsemi/src/cdbl.mjs'
+
+
+//g, 重力加速度(m/s2)
+let g = 9.81
+
+
+//複數運算, 以[實部, 虛部]表示
+let cAdd = (a, b) => [a[0] + b[0], a[1] + b[1]]
+let cSub = (a, b) => [a[0] - b[0], a[1] - b[1]]
+let cMul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]]
+let cDiv = (a, b) => {
+    let d = b[0] * b[0] + b[1] * b[1]
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d]
+}
+let cScale = (a, s) => [a[0] * s, a[1] * s]
+let cExp = (a) => {
+    let r = Math.exp(a[0])
+    return [r * Math.cos(a[1]), r * Math.sin(a[1])]
+}
+let cSqrt = (a) => {
+    let r = Math.sqrt(Math.sqrt(a[0] * a[0] + a[1] * a[1]))
+    let t = Math.atan2(a[1], a[0]) / 2
+    return [r * Math.cos(t), r * Math.sin(t)]
+}
+
+
+function fft(re, im, inverse) {
+    //基2迭代快速傅立葉轉換, 直接修改re與im, 長度需為2的次方, 逆轉換已除以長度
+    let n = size(re)
+
+    //位元反轉排列
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        while (j & bit) {
+            j ^= bit
+            bit >>= 1
+        }
+        j ^= bit
+        if (i < j) {
+            let t = re[i]
+            re[i] = re[j]
+            re[j] = t
+            t = im[i]
+            im[i] = im[j]
+            im[j] = t
+        }
+    }
+
+    //蝴蝶運算
+    for (let len = 2; len <= n; len <<= 1) {
+        let ang = 2 * Math.PI / len * (inverse ? 1 : -1)
+        let wr = Math.cos(ang)
+        let wi = Math.sin(ang)
+        for (let i = 0; i < n; i += len) {
+            let cr = 1
+            let ci = 0
+            for (let j = 0; j < len / 2; j++) {
+                let k = i + j + len / 2
+                let tr = re[k] * cr - im[k] * ci
+                let ti = re[k] * ci + im[k] * cr
+                re[k] = re[i + j] - tr
+                im[k] = im[i + j] - ti
+                re[i + j] += tr
+                im[i + j] += ti
+                let t = cr * wr - ci * wi
+                ci = cr * wi + ci * wr
+                cr = t
+            }
+        }
+    }
+
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n
+            im[i] /= n
+        }
+    }
+}
+
+
+function interpLog(strains, vs, strain) {
+    //依剪應變對數內插曲線值, 超出範圍採用端點值
+    let n = size(strains)
+    if (strain <= strains[0]) {
+        return vs[0]
+    }
+    if (strain >= strains[n - 1]) {
+        return vs[n - 1]
+    }
+    for (let i = 1; i < n; i++) {
+        if (strain <= strains[i]) {
+            let x0 = Math.log10(strains[i - 1])
+            let x1 = Math.log10(strains[i])
+            let r = (Math.log10(strain) - x0) / (x1 - x0)
+            return vs[i - 1] + (vs[i] - vs[i - 1]) * r
+        }
+    }
+    return vs[n - 1]
+}
+
+
+function getCurve(layer, curves, dampingDef) {
+    //取得土層之G/Gmax與阻尼比曲線, 剪應變與阻尼比單位為(%), 未給曲線則視為線彈性並使用固定阻尼比
+    let curve = get(layer, 'curve', '')
+    if (isestr(curve)) {
+        if (!iseobj(curves[curve])) {
+            throw new Error(`curve[${curve}] is not in opt.curves`)
+        }
+        curve = curves[curve]
+    }
+    if (!iseobj(curve)) {
+        let damping = get(layer, 'damping', '')
+        damping = isnum(damping) ? cdbl(damping) : dampingDef
+        return {
+            strain: [1e-4, 10],
+            GGmax: [1, 1],
+            damping: [damping, damping],
+        }
+    }
+    let strain = get(curve, 'strain', [])
+    let GGmax = get(curve, 'GGmax', [])
+    let damping = get(curve, 'damping', [])
+    if (!isearr(strain) || size(strain) !== size(GGmax) || size(strain) !== size(damping)) {
+        throw new Error(`curve need strain, GGmax and damping with the same length`)
+    }
+    each(strain, (v, i) => {
+        if (!isnum(v) || cdbl(v) <= 0 || (i > 0 && cdbl(v) <= cdbl(strain[i - 1]))) {
+            throw new Error(`curve.strain[${v}] need > 0 and increasing`)
+        }
+    })
+    return {
+        strain: map(strain, cdbl),
+        GGmax: map(GGmax, cdbl),
+        damping: map(damping, cdbl),
+    }
+}
+
+
+function calcSiteResponse(ltdt, acc, opt = {}) {
+    //等效線性一維頻率域場址反應分析(SHAKE), 由基盤輸入加速度歷時計算各子層最大剪應變, 最大剪應力與最大加速度, 最大剪應力可供calcLiquefaction取代簡化應力折減係數rd
+
+    //check
+    if (!isearr(ltdt)) {
+        throw new Error(`ltdt is not an effective array`)
+    }
+    if (!isearr(acc)) {
+        throw new Error(`acc is not an effective array`)
+    }
+
+    //keyDepthStart
+    let keyDepthStart = get(opt, 'keyDepthStart')
+    if (!isestr(keyDepthStart)) {
+        keyDepthStart = 'depthStart'
+    }
+
+    //keyDepthEnd
+    let keyDepthEnd = get(opt, 'keyDepthEnd')
+    if (!isestr(keyDepthEnd)) {
+        keyDepthEnd = 'depthEnd'
+    }
+
+    //keyVs, 剪力波速(m/s)
+    let keyVs = get(opt, 'keyVs')
+    if (!isestr(keyVs)) {
+        keyVs = 'Vs'
+    }
+
+    //keyUnitWeight, 單位重(kN/m3)
+    let keyUnitWeight = get(opt, 'keyUnitWeight')
+    if (!isestr(keyUnitWeight)) {
+        keyUnitWeight = 'rsat'
+    }
+
+    //dt, 輸入加速度歷時之時間間距(s)
+    let dt = get(opt, 'dt')
+    if (!isnum(dt) || cdbl(dt) <= 0) {
+        throw new Error(`opt.dt[${dt}] need > 0`)
+    }
+    dt = cdbl(dt)
+
+    //VsRock, 基盤剪力波速(m/s)
+    let VsRock = get(opt, 'VsRock')
+    if (!isnum(VsRock) || cdbl(VsRock) <= 0) {
+        throw new Error(`opt.VsRock[${VsRock}] need > 0`)
+    }
+    VsRock = cdbl(VsRock)
+
+    //rsatRock, 基盤單位重(kN/m3)
+    let rsatRock = get(opt, 'rsatRock')
+    if (!isnum(rsatRock)) {
+        rsatRock = 22
+    }
+    rsatRock = cdbl(rsatRock)
+
+    //dampingRock, 基盤阻尼比(%)
+    let dampingRock = get(opt, 'dampingRock')
+    if (!isnum(dampingRock)) {
+        dampingRock = 1
+    }
+    dampingRock = cdbl(dampingRock)
+
+    //motionType, 輸入運動位置, outcrop為基盤露頭, within為基盤內
+    let motionType = get(opt, 'motionType')
+    if (!isestr(motionType)) {
+        motionType = 'outcrop'
+    }
+    if (motionType !== 'outcrop' && motionType !== 'within') {
+        throw new Error(`opt.motionType[${motionType}] need outcrop or within`)
+    }
+
+    //curves, 各土層依curve名稱取用之G/Gmax與阻尼比曲線, 例如{ sand: { strain: [0.0001, ...], GGmax: [1, ...], damping: [0.5, ...] } }, 剪應變與阻尼比單位為(%)
+    let curves = get(opt, 'curves')
+    if (!iseobj(curves)) {
+        curves = {}
+    }
+
+    //dampingDef, 未給曲線土層之阻尼比(%)
+    let dampingDef = get(opt, 'dampingDef')
+    if (!isnum(dampingDef)) {
+        dampingDef = 2
+    }
+    dampingDef = cdbl(dampingDef)
+
+    //ratioStrain, 有效剪應變與最大剪應變之比值, 常用0.65或(Mw-1)/10
+    let ratioStrain = get(opt, 'ratioStrain')
+    if (!isnum(ratioStrain)) {
+        ratioStrain = 0.65
+    }
+    ratioStrain = cdbl(ratioStrain)
+
+    //nIter, 等效線性最大迭代次數
+    let nIter = get(opt, 'nIter')
+    if (!isnum(nIter)) {
+        nIter = 15
+    }
+    nIter = cdbl(nIter)
+
+    //tol, 等效線性收斂之G與阻尼比相對誤差
+    let tol = get(opt, 'tol')
+    if (!isnum(tol)) {
+        tol = 0.01
+    }
+    tol = cdbl(tol)
+
+    //thicknessMax, 子層最大厚度(m), 土層依此細分以計算剪應力剖面
+    let thicknessMax = get(opt, 'thicknessMax')
+    if (!isnum(thicknessMax)) {
+        thicknessMax = 1
+    }
+    thicknessMax = cdbl(thicknessMax)
+    if (thicknessMax <= 0) {
+        throw new Error(`opt.thicknessMax[${thicknessMax}] need > 0`)
+    }
+
+    //ls, 子層
+    let ls = []
+    let sv = 0
+    each(sortBy(ltdt, (v) => cdbl(get(v, keyDepthStart))), (v, i) => {
+        let ds = get(v, keyDepthStart)
+        let de = get(v, keyDepthEnd)
+        let Vs = get(v, keyVs)
+        let rsat = get(v, keyUnitWeight)
+        if (!isnum(ds) || !isnum(de) || cdbl(de) <= cdbl(ds)) {
+            throw new Error(`ltdt[${i}] need ${keyDepthStart} < ${keyDepthEnd}`)
+        }
+        if (!isnum(Vs) || cdbl(Vs) <= 0) {
+            throw new Error(`ltdt[${i}].${keyVs}[${Vs}] need > 0`)
+        }
+        if (!isnum(rsat) || cdbl(rsat) <= 0) {
+            throw new Error(`ltdt[${i}].${keyUnitWeight}[${rsat}] need > 0`)
+        }
+        ds = cdbl(ds)
+        de = cdbl(de)
+        Vs = cdbl(Vs)
+        rsat = cdbl(rsat)
+        if (i === 0 && ds !== 0) {
+            throw new Error(`ltdt[0].${keyDepthStart}[${ds}] need 0`)
+        }
+        if (i > 0 && Math.abs(ds - ls[size(ls) - 1].depthEnd) > 1e-6) {
+            throw new Error(`ltdt[${i}].${keyDepthStart}[${ds}] need connect to previous layer`)
+        }
+        let curve = getCurve(v, curves, dampingDef)
+        let n = Math.ceil((de - ds) / thicknessMax - 1e-9)
+        let h = (de - ds) / n
+        for (let j = 0; j < n; j++) {
+            let zs = ds + h * j
+            ls.push({
+                ilayer: i,
+                depthStart: zs,
+                depthEnd: zs + h,
+                depth: zs + h / 2,
+                h,
+                Vs,
+                rsat,
+                rho: rsat / g, //密度(t/m3)
+                Gmax: rsat / g * Vs ** 2, //最大剪力模數(kPa)
+                sv: sv + rsat * h / 2, //子層中點垂直總應力(kPa)
+                curve,
+                GGmax: curve.GGmax[0],
+                damping: curve.damping[0],
+            })
+            sv += rsat * h
+        }
+    })
+    let nl = size(ls)
+
+    //X, 輸入加速度頻譜, 補零至2的次方並加倍以保留靜默區
+    let na = size(acc)
+    let N = 1
+    while (N < na * 2) {
+        N *= 2
+    }
+    let xr = new Array(N).fill(0)
+    let xi = new Array(N).fill(0)
+    each(acc, (v, i) => {
+        xr[i] = cdbl(v) * g //g -> m/s2
+    })
+    fft(xr, xi, false)
+    let nf = N / 2 + 1
+    let dw = 2 * Math.PI / (N * dt)
+
+    //calcTf, 依目前各子層G與阻尼比計算各頻率之A與B係數
+    let rhoRock = rsatRock / g
+    let GRock = rhoRock * VsRock ** 2
+    let getGstar = (G, damping) => {
+        let xi = damping / 100
+        return [G * (1 - 2 * xi ** 2), G * 2 * xi * Math.sqrt(1 - xi ** 2)]
+    }
+    let calcTf = () => {
+        let GsRock = getGstar(GRock, dampingRock)
+        let VsStarRock = cSqrt(cScale(GsRock, 1 / rhoRock))
+        let Gss = map(ls, (l) => getGstar(l.Gmax * l.GGmax, l.damping))
+        let VsStars = map(ls, (l, i) => cSqrt(cScale(Gss[i], 1 / l.rho)))
+        let tfs = []
+        for (let f = 0; f < nf; f++) {
+            let w = dw * f
+            let A = [1, 0]
+            let B = [1, 0]
+            let AB = []
+            for (let m = 0; m < nl; m++) {
+                let l = ls[m]
+                let k = cDiv([w, 0], VsStars[m])
+                AB.push({ A, B, k })
+                let rhoVsNext = m < nl - 1 ? cScale(VsStars[m + 1], ls[m + 1].rho) : cScale(VsStarRock, rhoRock)
+                let alpha = cDiv(cScale(VsStars[m], l.rho), rhoVsNext)
+                let E = cExp(cMul([0, 1], cScale(k, l.h)))
+                let Einv = cDiv([1, 0], E)
+                let ApE = cMul(A, E)
+                let BpE = cMul(B, Einv)
+                let a1 = cAdd([1, 0], alpha)
+                let a2 = cSub([1, 0], alpha)
+                let An = cScale(cAdd(cMul(ApE, a1), cMul(BpE, a2)), 0.5)
+                let Bn = cScale(cAdd(cMul(ApE, a2), cMul(BpE, a1)), 0.5)
+                A = An
+                B = Bn
+            }
+            let den = motionType === 'outcrop' ? cScale(A, 2) : cAdd(A, B)
+            tfs.push({ AB, den })
+        }
+        return { tfs, Gss }
+    }
+
+    //calcResp, 計算各子層中點之剪應變(-), 剪應力(kPa)與加速度(g)歷時之最大值
+    let calcResp = (tfs, Gss, withAcc) => {
+        let rs = []
+        for (let m = 0; m < nl; m++) {
+            let hz = ls[m].h / 2
+            let gr = new Array(N).fill(0)
+            let gi = new Array(N).fill(0)
+            let ar = new Array(N).fill(0)
+            let ai = new Array(N).fill(0)
+            for (let f = 1; f < nf; f++) {
+                let w = dw * f
+                let { A, B, k } = tfs[f].AB[m]
+                let E = cExp(cMul([0, 1], cScale(k, hz)))
+                let Einv = cDiv([1, 0], E)
+                let up = cMul(A, E)
+                let dn = cMul(B, Einv)
+                let X = [xr[f], xi[f]]
+
+                //剪應變, u=-acc/w^2, gamma=du/dz=ik(Ae^(ikz)-Be^(-ikz))
+                let tg = cDiv(cMul(cMul([0, 1], k), cSub(up, dn)), tfs[f].den)
+                let G = cScale(cMul(tg, X), -1 / w ** 2)
+                gr[f] = G[0]
+                gi[f] = G[1]
+                if (f < N / 2) {
+                    gr[N - f] = G[0]
+                    gi[N - f] = -G[1]
+                }
+
+                //加速度
+                if (withAcc) {
+                    let ta = cDiv(cAdd(up, dn), tfs[f].den)
+                    let Ac = cMul(ta, X)
+                    ar[f] = Ac[0]
+                    ai[f] = Ac[1]
+                    if (f < N / 2) {
+                        ar[N - f] = Ac[0]
+                        ai[N - f] = -Ac[1]
+                    }
+                }
+            }
+
+            //剪應力, tau=G*gamma
+            let tr = new Array(N).fill(0)
+            let ti = new Array(N).fill(0)
+            for (let f = 0; f < N; f++) {
+                let T = cMul(Gss[m], [gr[f], gi[f]])
+                tr[f] = T[0]
+                ti[f] = T[1]
+            }
+
+            fft(gr, gi, true)
+            fft(tr, ti, true)
+            let strainMax = 0
+            let tauMax = 0
+            for (let t = 0; t < N; t++) {
+                strainMax = Math.max(strainMax, Math.abs(gr[t]))
+                tauMax = Math.max(tauMax, Math.abs(tr[t]))
+            }
+            let accMax = ''
+            if (withAcc) {
+                fft(ar, ai, true)
+                accMax = 0
+                for (let t = 0; t < N; t++) {
+                    accMax = Math.max(accMax, Math.abs(ar[t]))
+                }
+                accMax /= g
+            }
+            rs.push({ strainMax, tauMax, accMax })
+        }
+        return rs
+    }
+
+    //等效線性迭代
+    let iter = 0
+    let converged = false
+    let rs = null
+    while (iter < nIter) {
+        iter++
+        let { tfs, Gss } = calcTf()
+        rs = calcResp(tfs, Gss, false)
+        let errMax = 0
+        each(ls, (l, m) => {
+            let strainEff = ratioStrain * rs[m].strainMax * 100 //比例轉百分比(%)
+            let GGmax = interpLog(l.curve.strain, l.curve.GGmax, strainEff)
+            let damping = interpLog(l.curve.strain, l.curve.damping, strainEff)
+            errMax = Math.max(errMax, Math.abs(GGmax - l.GGmax) / GGmax)
+            if (damping > 0) {
+                errMax = Math.max(errMax, Math.abs(damping - l.damping) / damping)
+            }
+            l.strainEff = strainEff
+            l.GGmax = GGmax
+            l.damping = damping
+        })
+        if (errMax < tol) {
+            converged = true
+            break
+        }
+    }
+
+    //最終G與阻尼比之反應
+    let { tfs, Gss } = calcTf()
+    rs = calcResp(tfs, Gss, true)
+
+    //accSurface, 地表加速度歷時(g), 地表處A=B=1
+    let sr = new Array(N).fill(0)
+    let si = new Array(N).fill(0)
+    for (let f = 0; f < nf; f++) {
+        let S = cMul(cDiv([2, 0], tfs[f].den), [xr[f], xi[f]])
+        sr[f] = S[0]
+        si[f] = S[1]
+        if (f > 0 && f < N / 2) {
+            sr[N - f] = S[0]
+            si[N - f] = -S[1]
+        }
+    }
+    fft(sr, si, true)
+    let accSurface = map(sr.slice(0, na), (v) => v / g)
+    let PGA = 0
+    each(accSurface, (v) => {
+        PGA = Math.max(PGA, Math.abs(v))
+    })
+    let PGAInput = 0
+    each(acc, (v) => {
+        PGAInput = Math.max(PGAInput, Math.abs(cdbl(v)))
+    })
+
+    //ltdtRes
+    let ltdtRes = map(ls, (l, m) => {
+        return {
+            [keyDepthStart]: l.depthStart,
+            [keyDepthEnd]: l.depthEnd,
+            depth: l.depth,
+            Vs: l.Vs,
+            rsat: l.rsat,
+            sv: l.sv,
+            GGmax: l.GGmax,
+            damping: l.damping,
+            strainEff: l.strainEff,
+            strainMax: rs[m].strainMax * 100, //比例轉百分比(%)
+            tauMax: rs[m].tauMax,
+            tauRatio: l.sv > 0 ? rs[m].tauMax / l.sv : '', //最大剪應力與垂直總應力比值
+            accMax: rs[m].accMax,
+        }
+    })
+
+    return {
+        ltdt: ltdtRes,
+        accSurface,
+        dtRes: {
+            PGA,
+            PGAInput,
+            nIter: iter,
+            converged,
+        },
+    }
+}
+
+
+export default calcSiteResponse
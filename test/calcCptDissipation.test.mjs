@@ -0,0 +1,66 @@
+import assert from 'assert'
+import calcCptDissipation, { buildIntrpU0 } from '../src/calcCptDissipation.mjs'
+import rowsIn1 from './calcCptDissipation-rowsIn1.json' assert { type: "json" }
+import rowsIn2 from './calcCptDissipation-rowsIn2.json' assert { type: "json" }
+import resOut1 from './calcCptDissipation-resOut1.json' assert { type: "json" }
+import resOut2 from './calcCptDissipation-resOut2.json' assert { type: "json" }
+import resOut3 from './calcCptDissipation-resOut3.json' assert { type: "json" }
+import u0sOut4 from './calcCptDissipation-u0sOut4.json' assert { type: "json" }
+import resOut5 from './calcCptDissipation-resOut5.json' assert { type: "json" }
+
+
+describe(`calcCptDissipation`, function() {
+
+    let opt1 = { Ir: 100, depth: 10 }
+    it(`should return resOut1 when calcCptDissipation(rowsIn1, ${JSON.stringify(opt1)})`, function() {
+        let r = calcCptDissipation(rowsIn1, opt1)
+        let rr = resOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = { Ir: 200, depth: 15, dc: 0.0437 }
+    it(`should return resOut2 when calcCptDissipation(rowsIn2, ${JSON.stringify(opt2)})`, function() {
+        let r = calcCptDissipation(rowsIn2, opt2)
+        let rr = resOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt3 = { Ir: 100, depth: 10, u0: 0.08 }
+    it(`should return resOut3 when calcCptDissipation(rowsIn1, ${JSON.stringify(opt3)})`, function() {
+        let r = calcCptDissipation(rowsIn1, opt3)
+        let rr = resOut3
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    it(`should return u0sOut4 when buildIntrpU0([resOut1, resOut2])`, function() {
+        let intrpU0 = buildIntrpU0([resOut1, resOut2])
+        let r = [0, 2, 5, 10, 12, 15, 20].map((depth) => {
+            return {
+                depth,
+                u0: intrpU0(depth),
+            }
+        })
+        let rr = u0sOut4
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt5 = { Ir: 200, depth: 15, dc: 0.0437, u0: 0.1177 }
+    it(`should return resOut5 when calcCptDissipation(rowsIn2, ${JSON.stringify(opt5)})`, function() {
+        let r = calcCptDissipation(rowsIn2, opt5)
+        let rr = resOut5
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    it(`should throw when buildIntrpU0([resOut2]) without equilibrium and input u0`, function() {
+        assert.throws(() => {
+            buildIntrpU0([resOut2])
+        }, /dtRes\.u0/)
+    })
+
+    it(`should throw when calcCptDissipation(rowsIn1, {})`, function() {
+        assert.throws(() => {
+            calcCptDissipation(rowsIn1, {})
+        }, /opt\.Ir/)
+    })
+
+})
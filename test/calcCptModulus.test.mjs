@@ -0,0 +1,53 @@
+import assert from 'assert'
+import calcCptModulus from '../src/calcCptModulus.mjs'
+import rowsIn from './calcCptVelocityShear-rowsOut10.json' assert { type: "json" }
+import rowsOut1 from './calcCptModulus-rowsOut1.json' assert { type: "json" }
+import rowsOut2 from './calcCptModulus-rowsOut2.json' assert { type: "json" }
+import rowsOut3 from './calcCptModulus-rowsOut3.json' assert { type: "json" }
+import rowsOut4 from './calcCptModulus-rowsOut4.json' assert { type: "json" }
+
+
+describe(`calcCptModulus`, function() {
+
+    let opt1 = {
+        unitSvSvp: 'MPa',
+    }
+    it(`should return rowsOut1 when calcCptModulus(rowsIn, ${JSON.stringify(opt1)})`, function() {
+        let r = calcCptModulus(rowsIn, opt1)
+        let rr = rowsOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = {
+        unitSvSvp: 'MPa',
+        strainTarget: 0.5,
+    }
+    it(`should return rowsOut2 when calcCptModulus(rowsIn, ${JSON.stringify(opt2)})`, function() {
+        let r = calcCptModulus(rowsIn, opt2)
+        let rr = rowsOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt3 = {
+        unitSvSvp: 'MPa',
+        methodE: 'G0 reduction by Darendeli(2001)',
+        strainTarget: 0.01,
+        nu: 0.25,
+    }
+    it(`should return rowsOut3 when calcCptModulus(rowsIn, ${JSON.stringify(opt3)})`, function() {
+        let r = calcCptModulus(rowsIn, opt3)
+        let rr = rowsOut3
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt4 = {
+        unitSvSvp: 'MPa',
+        methodE: 'Baldi(1989) for sand',
+    }
+    it(`should return rowsOut4 when calcCptModulus(rowsIn, ${JSON.stringify(opt4)})`, function() {
+        let r = calcCptModulus(rowsIn, opt4)
+        let rr = rowsOut4
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+})
@@ -0,0 +1,27 @@
+import assert from 'assert'
+import calcCptPermeability from '../src/calcCptPermeability.mjs'
+import rowsIn from './calcCptModulus-rowsOut1.json' assert { type: "json" }
+import rowsOut1 from './calcCptPermeability-rowsOut1.json' assert { type: "json" }
+import rowsOut2 from './calcCptPermeability-rowsOut2.json' assert { type: "json" }
+
+
+describe(`calcCptPermeability`, function() {
+
+    let opt1 = {}
+    it(`should return rowsOut1 when calcCptPermeability(rowsIn, ${JSON.stringify(opt1)})`, function() {
+        let r = calcCptPermeability(rowsIn, opt1)
+        let rr = rowsOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = {
+        keyZone: 'iRobFrQt',
+        ratioKhKv: 2,
+    }
+    it(`should return rowsOut2 when calcCptPermeability(rowsIn, ${JSON.stringify(opt2)})`, function() {
+        let r = calcCptPermeability(rowsIn, opt2)
+        let rr = rowsOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+})
@@ -0,0 +1,31 @@
+import assert from 'assert'
+import calcCptStrength from '../src/calcCptStrength.mjs'
+import rowsIn from './calcCpt-rowsOut1.json' assert { type: "json" }
+import rowsOut1 from './calcCptStrength-rowsOut1.json' assert { type: "json" }
+import rowsOut2 from './calcCptStrength-rowsOut2.json' assert { type: "json" }
+
+
+describe(`calcCptStrength`, function() {
+
+    let opt1 = {
+        unitSvSvp: 'MPa',
+    }
+    it(`should return rowsOut1 when calcCptStrength(rowsIn, ${JSON.stringify(opt1)})`, function() {
+        let r = calcCptStrength(rowsIn, opt1)
+        let rr = rowsOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = {
+        unitSvSvp: 'MPa',
+        Nkt: 16,
+        NDu: 6,
+        sepIc: 2.5,
+    }
+    it(`should return rowsOut2 when calcCptStrength(rowsIn, ${JSON.stringify(opt2)})`, function() {
+        let r = calcCptStrength(rowsIn, opt2)
+        let rr = rowsOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+})
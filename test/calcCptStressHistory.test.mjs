@@ -0,0 +1,32 @@
+import assert from 'assert'
+import calcCptStressHistory from '../src/calcCptStressHistory.mjs'
+import rowsIn from './calcCptStrength-rowsOut1.json' assert { type: "json" }
+import rowsOut1 from './calcCptStressHistory-rowsOut1.json' assert { type: "json" }
+import rowsOut2 from './calcCptStressHistory-rowsOut2.json' assert { type: "json" }
+
+
+describe(`calcCptStressHistory`, function() {
+
+    let opt1 = {
+        unitSvSvp: 'MPa',
+    }
+    it(`should return rowsOut1 when calcCptStressHistory(rowsIn, ${JSON.stringify(opt1)})`, function() {
+        let r = calcCptStressHistory(rowsIn, opt1)
+        let rr = rowsOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = {
+        unitSvSvp: 'MPa',
+        methodOcr: 'Kulhawy & Mayne(1990) for clay',
+        methodDr: 'Kulhawy & Mayne(1990) for sand',
+        compressibility: 'high',
+        ageYear: 1000,
+    }
+    it(`should return rowsOut2 when calcCptStressHistory(rowsIn, ${JSON.stringify(opt2)})`, function() {
+        let r = calcCptStressHistory(rowsIn, opt2)
+        let rr = rowsOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+})
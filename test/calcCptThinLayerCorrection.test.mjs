@@ -0,0 +1,40 @@
+import assert from 'assert'
+import calcCptThinLayerCorrection from '../src/calcCptThinLayerCorrection.mjs'
+import calcLiquefaction from '../src/calcLiquefaction.mjs'
+import rowsIn from './calcLiquefaction-cpt-rowsIn1.json' assert { type: "json" }
+import rowsOut1 from './calcCptThinLayerCorrection-rowsOut1.json' assert { type: "json" }
+import rowsOut2 from './calcCptThinLayerCorrection-rowsOut2.json' assert { type: "json" }
+import rowsOut3 from './calcCptThinLayerCorrection-rowsOut3.json' assert { type: "json" }
+
+
+describe(`calcCptThinLayerCorrection`, function() {
+
+    it(`should return rowsOut1 when calcCptThinLayerCorrection(rowsIn)`, function() {
+        let r = calcCptThinLayerCorrection(rowsIn)
+        let rr = rowsOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = { useTransitionZone: false }
+    it(`should return rowsOut2 when calcCptThinLayerCorrection(rowsIn, ${JSON.stringify(opt2)})`, function() {
+        let r = calcCptThinLayerCorrection(rowsIn, opt2)
+        let rr = rowsOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt3 = {
+        waterLevelUsual: 0.7,
+        waterLevelDesign: 0.7,
+        PGA: 0.32,
+        Mw: 7.3,
+        unitSvSvp: 'kPa',
+        methods: ['cptHBF2012', 'cptRobertson2009'],
+        cptProfile: 'corrected',
+    }
+    it(`should return rowsOut3 when calcLiquefaction.calc('CPT', rowsIn, ${JSON.stringify(opt3)})`, function() {
+        let r = calcLiquefaction.calc('CPT', rowsIn, opt3)
+        let rr = rowsOut3
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+})
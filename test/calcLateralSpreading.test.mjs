@@ -0,0 +1,25 @@
+import assert from 'assert'
+import calcLateralSpreading from '../src/calcLateralSpreading.mjs'
+import rowsIn1 from './calcLateralSpreading-rowsIn1.json' assert { type: "json" }
+import rowsIn2 from './calcLateralSpreading-rowsIn2.json' assert { type: "json" }
+import resOut1 from './calcLateralSpreading-resOut1.json' assert { type: "json" }
+import resOut2 from './calcLateralSpreading-resOut2.json' assert { type: "json" }
+
+
+describe(`calcLateralSpreading`, function() {
+
+    let opt1 = { slope: 1.5, R: 20 }
+    it(`should return resOut1 when calcLateralSpreading('SPT', rowsIn1, ${JSON.stringify(opt1)})`, function() {
+        let r = calcLateralSpreading('SPT', rowsIn1, opt1)
+        let rr = resOut1
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+    let opt2 = { ratioLH: 10 }
+    it(`should return resOut2 when calcLateralSpreading('CPT', rowsIn2, ${JSON.stringify(opt2)})`, function() {
+        let r = calcLateralSpreading('CPT', rowsIn2, opt2)
+        let rr = resOut2
+        assert.strict.deepStrictEqual(r, rr)
+    })
+
+})